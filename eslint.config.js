@@ -15,7 +15,7 @@ export default [
   },
   {
     // page.evaluate() callbacks run in the browser
-    files: ['src/index.js'],
+    files: ['src/index.js', 'src/doctor.js'],
     languageOptions: {
       globals: { ...globals.node, ...globals.browser },
     },
@@ -0,0 +1,131 @@
+/**
+ * Local control interface for the scheduler's run queue (see queue.js).
+ *
+ *   GET    /queue        the running run, the queued ones and the last outcome
+ *   POST   /queue        queue a scrape; JSON body { year, month } or { from, to }
+ *                        ("YYYY-MM"), optionally { consumers: [...] }; {} for the
+ *                        current month. 202 when queued, 200 with the existing
+ *                        entry when the same run is already queued or running,
+ *                        503 while the scheduler shuts down
+ *   DELETE /queue/<id>   cancel a queued run (409 once it is running)
+ *
+ * Served by the scheduler on ADMIN_HOST:ADMIN_PORT. With ADMIN_TOKEN set,
+ * every request needs "Authorization: Bearer <token>".
+ */
+
+import { createHash, timingSafeEqual } from 'node:crypto';
+import http from 'node:http';
+import { z } from 'zod';
+import config from './config.js';
+import log from './logger.js';
+import { runKey } from './queue.js';
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+/* ---------- Request body ---------- */
+const monthParam = z.string().regex(/^\d{4}-(0[1-9]|1[0-2])$/, 'Expected YYYY-MM with a month 01-12');
+const runSchema = z.strictObject({
+  year:      z.number().int().min(2020).max(2100).optional(),
+  month:     z.number().int().min(1).max(12).optional(),
+  from:      monthParam.optional(),
+  to:        monthParam.optional(),
+  consumers: z.array(z.string().min(1)).min(1).optional(),
+})
+  .refine(r => (r.from === undefined) === (r.to === undefined), { error: '"from" and "to" go together', path: ['from'] })
+  .refine(r => r.from === undefined || (r.year === undefined && r.month === undefined),
+    { error: '"from"/"to" cannot be combined with "year"/"month"', path: ['from'] })
+  .refine(r => r.from === undefined || r.from <= r.to, { error: '"from" must not be after "to"', path: ['from'] });
+
+class BadRequest extends Error {}
+
+async function readJson(req) {
+  let size = 0;
+  const chunks = [];
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) throw new BadRequest('Request body too large');
+    chunks.push(chunk);
+  }
+  const text = Buffer.concat(chunks).toString('utf8').trim();
+  if (text === '') return {};
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new BadRequest('Request body is not valid JSON');
+  }
+}
+
+/* ---------- Auth ---------- */
+const sha256 = (s) => createHash('sha256').update(s).digest();
+
+function authorized(req) {
+  if (!config.ADMIN_TOKEN) return true;
+  const m = /^Bearer\s+(.+)$/i.exec(req.headers.authorization ?? '');
+  return m !== null && timingSafeEqual(sha256(m[1]), sha256(config.ADMIN_TOKEN));
+}
+
+/* ---------- Request handling ---------- */
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, { 'content-type': 'application/json; charset=utf-8', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+async function handle(queue, enqueue, req, res) {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  const idMatch = /^\/queue\/(\d+)$/.exec(pathname);
+  const allow = pathname === '/queue' ? 'GET, POST' : idMatch ? 'DELETE' : null;
+
+  if (!allow) return send(res, 404, { error: 'Not found' });
+  if (!allow.split(', ').includes(req.method)) return send(res, 405, { error: 'Method not allowed' }, { allow });
+  if (!authorized(req)) return send(res, 401, { error: 'Unauthorized' }, { 'www-authenticate': 'Bearer' });
+
+  if (req.method === 'GET') return send(res, 200, queue.list());
+
+  if (req.method === 'DELETE') {
+    const { entry, cancelled } = queue.cancel(Number(idMatch[1]));
+    if (cancelled) {
+      log.info({ id: entry.id, label: entry.label }, '[admin] Cancelled queued run');
+      return send(res, 200, { cancelled: entry });
+    }
+    return entry ? send(res, 409, { error: 'Run already in progress', running: entry })
+      : send(res, 404, { error: 'No such queued run' });
+  }
+
+  let body;
+  try {
+    body = await readJson(req);
+  } catch (err) {
+    if (err instanceof BadRequest) return send(res, 400, { error: err.message });
+    throw err;
+  }
+  const parsed = runSchema.safeParse(body);
+  if (!parsed.success) {
+    const issues = parsed.error.issues.map(i => `${i.path.join('.') || 'body'}: ${i.message}`);
+    return send(res, 400, { error: 'Invalid run', issues });
+  }
+
+  const key = runKey(parsed.data);
+  const queued = enqueue({
+    key, label: `admin ${key}`, kind: 'scrape', opts: { ...parsed.data, trigger: 'admin' }, source: 'admin',
+  });
+  if (!queued) return send(res, 503, { error: 'Shutting down, not accepting runs' });
+  const { entry, duplicate } = queued;
+  if (!duplicate) log.info({ id: entry.id, label: entry.label }, '[admin] Queued run');
+  send(res, duplicate ? 200 : 202, { entry, duplicate });
+}
+
+/**
+ * HTTP server for the queue controls (not yet listening). POSTed runs go
+ * through `enqueue` (the scheduler's, which merges jobs and refuses runs
+ * while shutting down): { entry, duplicate } like queue.enqueue(), or null
+ * for a refused run, answered with 503.
+ */
+export function createAdminServer(queue, { enqueue = (run) => queue.enqueue(run) } = {}) {
+  return http.createServer((req, res) => {
+    handle(queue, enqueue, req, res).catch((err) => {
+      log.error({ err, url: req.url }, '[admin] Request failed');
+      if (!res.headersSent) send(res, 500, { error: 'Internal error' });
+      else res.end();
+    });
+  });
+}
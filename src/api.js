@@ -0,0 +1,195 @@
+/**
+ * Read-only HTTP API over the stored consumption data.
+ *
+ *   GET /hourly?from&to&consumer    one row per stored hour; `minutes` of it stored (quarter hours combined)
+ *   GET /daily?from&to&consumer     sums per local day (config.TZ)
+ *   GET /monthly?from&to&consumer   sums per local month, next to the portal's total
+ *   GET /latest?consumer            newest stored hour per consumer
+ *   GET /revisions?from&to&consumer portal revisions of stored hours, per local day
+ *
+ * Every endpoint reads active energy unless `measurement` names another
+ * (src/measurements.js); peak power is the maximum per day/month, not the sum.
+ *
+ * JSON by default; CSV with ?format=csv or "Accept: text/csv".
+ * With API_TOKEN set, every request needs "Authorization: Bearer <token>".
+ *
+ * Usage:
+ *   node --env-file-if-exists=.env src/api.js
+ */
+
+import { createHash, timingSafeEqual } from 'node:crypto';
+import http from 'node:http';
+import { pathToFileURL } from 'node:url';
+import { z } from 'zod';
+import config from './config.js';
+import log from './logger.js';
+import * as db from './db.js';
+import { toCsv } from './export.js';
+import { MEASUREMENTS, ACTIVE_ENERGY } from './measurements.js';
+import { parseDayDate, parseYearMonth } from './util.js';
+
+const DAY_MS = 86_400_000;
+const MAX_HOURLY_RANGE_MS = 366 * DAY_MS;
+
+/* ---------- Query parameters ---------- */
+const dayParam     = z.iso.date();
+const monthParam   = z.string().regex(/^\d{4}-\d{2}$/, 'Expected YYYY-MM');
+const instantParam = z.union([z.iso.date(), z.iso.datetime({ offset: true })], { error: 'Expected YYYY-MM-DD or an ISO datetime with offset' });
+const common       = {
+  consumer: z.string().min(1).optional(),
+  format:   z.enum(['json', 'csv']).optional(),
+  measurement: z.enum(Object.keys(MEASUREMENTS)).default(ACTIVE_ENERGY),
+};
+
+class BadRequest extends Error {}
+
+const localMidnight = (str, plusDays = 0) => {
+  const { year, month, day } = parseDayDate(str);
+  return new Date(year, month - 1, day + plusDays);
+};
+const monthStart = (str, plusMonths = 0) => {
+  const { year, month } = parseYearMonth(str);
+  return new Date(year, month - 1 + plusMonths, 1);
+};
+
+// Inclusive local days; default: the last 31 days up to today
+function dayRange({ from, to }) {
+  const now = new Date();
+  const end = to === undefined ? new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1) : localMidnight(to, 1);
+  const start = from === undefined ? new Date(end.getFullYear(), end.getMonth(), end.getDate() - 31) : localMidnight(from);
+  return [start, end];
+}
+
+/**
+ * Per endpoint: the query schema, how to turn parsed params into a [from, to)
+ * Date range (dates are inclusive local days/months; datetimes are exact),
+ * the db query and the CSV column order.
+ */
+const ENDPOINTS = {
+  '/hourly': {
+    schema: z.strictObject({ from: instantParam.optional(), to: instantParam.optional(), ...common }),
+    range: ({ from, to }) => {
+      const now = new Date();
+      const start = from === undefined ? new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1)
+                  : from.includes('T') ? new Date(from) : localMidnight(from);
+      const end   = to === undefined ? now
+                  : to.includes('T') ? new Date(to) : localMidnight(to, 1);
+      if (end - start > MAX_HOURLY_RANGE_MS) throw new BadRequest('Hourly range is limited to 366 days');
+      return [start, end];
+    },
+    query: db.queryHourly,
+    columns: ['consumer', 'timestamp', 'kwh', 'minutes'],
+  },
+  '/daily': {
+    schema: z.strictObject({ from: dayParam.optional(), to: dayParam.optional(), ...common }),
+    range: dayRange,
+    query: db.queryDaily,
+    columns: ['consumer', 'day', 'kwh', 'hours'],
+  },
+  '/monthly': {
+    schema: z.strictObject({ from: monthParam.optional(), to: monthParam.optional(), ...common }),
+    range: ({ from, to }) => {
+      const now = new Date();
+      const end = to === undefined ? new Date(now.getFullYear(), now.getMonth() + 1, 1) : monthStart(to, 1);
+      const start = from === undefined ? new Date(end.getFullYear(), end.getMonth() - 12, 1) : monthStart(from);
+      return [start, end];
+    },
+    query: db.queryMonthly,
+    columns: ['consumer', 'month', 'hourly_kwh', 'hours', 'portal_kwh'],
+  },
+  '/latest': {
+    schema: z.strictObject(common),
+    range: () => [null, null],
+    query: db.queryLatest,
+    columns: ['consumer', 'timestamp', 'kwh', 'updated_at'],
+  },
+  '/revisions': {
+    schema: z.strictObject({ from: dayParam.optional(), to: dayParam.optional(), ...common }),
+    range: dayRange,
+    query: db.queryRevisions,
+    columns: ['consumer', 'day', 'hours', 'revisions', 'diff_kwh', 'first_changed', 'last_changed'],
+  },
+};
+
+/* ---------- Auth ---------- */
+const sha256 = (s) => createHash('sha256').update(s).digest();
+
+function authorized(req) {
+  if (!config.API_TOKEN) return true;
+  const m = /^Bearer\s+(.+)$/i.exec(req.headers.authorization ?? '');
+  // Compare digests: equal length for timingSafeEqual, no length leak
+  return m !== null && timingSafeEqual(sha256(m[1]), sha256(config.API_TOKEN));
+}
+
+/* ---------- Request handling ---------- */
+function send(res, status, body, contentType = 'application/json; charset=utf-8', headers = {}) {
+  res.writeHead(status, { 'content-type': contentType, ...headers });
+  res.end(typeof body === 'string' ? body : JSON.stringify(body));
+}
+
+async function handle(req, res) {
+  const url = new URL(req.url, 'http://localhost');
+  const endpoint = ENDPOINTS[url.pathname];
+
+  if (!endpoint) return send(res, 404, { error: 'Not found' });
+  if (req.method !== 'GET') return send(res, 405, { error: 'Method not allowed' }, undefined, { allow: 'GET' });
+  if (!authorized(req)) {
+    return send(res, 401, { error: 'Unauthorized' }, undefined, { 'www-authenticate': 'Bearer' });
+  }
+
+  const parsed = endpoint.schema.safeParse(Object.fromEntries(url.searchParams));
+  if (!parsed.success) {
+    const issues = parsed.error.issues.map(i => `${i.path[0] ?? 'query'}: ${i.message}`);
+    return send(res, 400, { error: 'Invalid query parameters', issues });
+  }
+  const params = parsed.data;
+
+  let from, to;
+  try {
+    [from, to] = endpoint.range(params);
+  } catch (err) {
+    if (err instanceof BadRequest) return send(res, 400, { error: err.message });
+    throw err;
+  }
+  if (from && to && from >= to) return send(res, 400, { error: '"from" must be before "to"' });
+
+  const rows = await endpoint.query({ from, to, consumer: params.consumer ?? null, measurement: params.measurement });
+
+  const csv = params.format === 'csv' || (!params.format && (req.headers.accept ?? '').includes('text/csv'));
+  if (csv) return send(res, 200, toCsv(rows, endpoint.columns), 'text/csv; charset=utf-8');
+  send(res, 200, rows);
+}
+
+/** HTTP server for the API (not yet listening). */
+export function createApiServer() {
+  return http.createServer((req, res) => {
+    handle(req, res).catch((err) => {
+      log.error({ err, url: req.url }, '[api] Request failed');
+      if (!res.headersSent) send(res, 500, { error: 'Internal error' });
+      else res.end();
+    });
+  });
+}
+
+/* ---------- Entry point ---------- */
+const isMain = process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href;
+if (isMain) {
+  const server = createApiServer();
+  server.listen(config.API_PORT, config.API_HOST, () => {
+    log.info({ host: config.API_HOST, port: config.API_PORT, auth: Boolean(config.API_TOKEN) }, '[api] Listening');
+  });
+
+  let shuttingDown = false;
+  const shutdown = async (signal) => {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    log.info({ signal }, '[api] Shutting down');
+    server.closeIdleConnections();
+    await new Promise(resolve => server.close(resolve));
+    await db.closePool();
+    process.exit(0);
+  };
+
+  process.on('SIGINT',  () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+}
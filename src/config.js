@@ -1,18 +1,58 @@
 import os from 'node:os';
+import cron from 'node-cron';
 import { z } from 'zod';
+import { ACTIVE_ENERGY, MEASUREMENTS } from './measurements.js';
 
 // Zod 4's .default() takes the *output* type and bypasses parsing,
 // so the default must be a boolean, not the string 'true'/'false'.
 const boolStr = (def) => z.stringbool().default(def);
+// Comma-separated list -> trimmed, non-empty entries ("" -> []).
+const listStr = (def = '') => z.string().default(def).transform(s => s.split(',').map(x => x.trim()).filter(Boolean));
+// JSON document -> parsed, then checked against `schema`.
+const jsonStr = (schema) => z.string().transform((s, ctx) => {
+  try {
+    return JSON.parse(s);
+  } catch {
+    ctx.addIssue({ code: 'custom', message: 'must be valid JSON' });
+    return z.NEVER;
+  }
+}).pipe(schema);
+
+// One scheduler job (see src/jobs.js)
+const job = z.strictObject({
+  name:     z.string().regex(/^[A-Za-z0-9_-]+$/, 'job names may only contain letters, digits, - and _'),
+  schedule: z.string().refine(s => cron.validate(s), 'invalid cron expression'),
+  target:   z.enum(['current', 'previous', 'window']).default('current'),
+  months:   z.number().int().min(1).default(1),
+  enabled:  z.boolean().default(true),
+  catchUp:  z.boolean().default(true),
+});
 
 const schema = z.object({
   LOGIN_URL:                   z.string().min(1, 'LOGIN_URL is required'),
   // EDYNA_ prefix avoids collision with the shell's own USERNAME variable
   EDYNA_USERNAME:              z.string().min(1, 'EDYNA_USERNAME is required'),
   EDYNA_PASSWORD:              z.string().min(1, 'EDYNA_PASSWORD is required'),
+  CONSUMERS:                   listStr(),
+  // Portal UI language for month headers and dates: de, it, or auto-detected from the monthly grid
+  PORTAL_LOCALE:               z.enum(['auto', 'de', 'it']).default('auto'),
+  // Decimal separator for ambiguous numbers ("1.234"); auto = the portal language's
+  PORTAL_DECIMAL:              z.enum(['auto', ',', '.']).default('auto'),
+  // Curve grids to scrape; the optional ones are skipped when the portal doesn't show them
+  MEASUREMENTS:                listStr(Object.keys(MEASUREMENTS).join(','))
+    .pipe(z.array(z.enum(Object.keys(MEASUREMENTS))).refine(m => m.includes(ACTIVE_ENERGY), `must include ${ACTIVE_ENERGY}`)),
   HEADLESS:                    boolStr(true),
   DEBUG_SHOTS:                 boolStr(false),
   SCREENSHOT_DIR:              z.string().default(os.tmpdir()),
+  // Saved portal session (cookies), reused until it expires; unset logs in on every run
+  SESSION_FILE:                z.string().optional(),
+  // Where --db mode writes, comma-separated; see src/sinks/
+  SINKS:                       listStr('postgres').pipe(z.array(z.enum(['postgres', 'sqlite', 'influx'])).min(1)),
+  SQLITE_PATH:                 z.string().default('edyna.sqlite'),
+  INFLUX_URL:                  z.url().optional(),
+  INFLUX_TOKEN:                z.string().optional(),
+  INFLUX_ORG:                  z.string().optional(),
+  INFLUX_BUCKET:               z.string().default('edyna'),
   DB_HOST:                     z.string().default('localhost'),
   DB_PORT:                     z.coerce.number().int().positive().default(5432),
   DB_NAME:                     z.string().default('edyna'),
@@ -20,12 +60,64 @@ const schema = z.object({
   DB_PASSWORD:                 z.string().optional(),
   DB_SSL:                      boolStr(false),
   DB_SSL_REJECT_UNAUTHORIZED:  boolStr(true),
+  // Schedule of the default daily job; JOBS, when set, replaces the default jobs
   CRON_SCHEDULE:               z.string().default('0 9 * * *'),
-  RUN_ON_START:                boolStr(false),
+  JOBS:                        jsonStr(z.array(job).min(1)
+    .refine(jobs => new Set(jobs.map(j => j.name)).size === jobs.length, 'job names must be unique')).optional(),
+  // Last run per job and the pending run queue, kept across scheduler restarts
+  SCHEDULER_STATE_FILE:        z.string().default('state/scheduler.json'),
+  // Empty string disables the gap-healing job
+  GAP_SCHEDULE:                z.string().default('0 21 * * *'),
+  GAP_LOOKBACK_MONTHS:         z.coerce.number().int().min(1).default(3),
+  GAP_GRACE_DAYS:              z.coerce.number().int().min(0).default(2),
+  // Re-scrapes of a gap month that stored nothing new before the gap check leaves it alone
+  GAP_MAX_ATTEMPTS:            z.coerce.number().int().min(1).default(3),
   TZ:                          z.string().default('Europe/Rome'),
+  // TimescaleDB policies on edyna_hourly; 0 disables (plain PostgreSQL ignores both)
+  TIMESCALE_COMPRESS_AFTER_DAYS: z.coerce.number().int().min(0).default(0),
+  TIMESCALE_RETENTION_DAYS:    z.coerce.number().int().min(0).default(0),
+  API_HOST:                    z.string().default('127.0.0.1'),
+  API_PORT:                    z.coerce.number().int().positive().default(8080),
+  API_TOKEN:                   z.string().optional(),
+  METRICS_HOST:                z.string().default('127.0.0.1'),
+  METRICS_PORT:                z.coerce.number().int().nonnegative().default(9464),  // 0 disables /metrics
+  // Scheduler run-queue controls (see src/admin.js)
+  ADMIN_HOST:                  z.string().default('127.0.0.1'),
+  ADMIN_PORT:                  z.coerce.number().int().nonnegative().default(9465),  // 0 disables the admin endpoint
+  ADMIN_TOKEN:                 z.string().optional(),
+  // "[format+]url", format one of json (default), ntfy, gotify, slack; see src/notify.js
+  NOTIFY_WEBHOOKS:             listStr().pipe(z.array(z.string().regex(/^((json|ntfy|gotify|slack)\+)?https?:\/\//i,
+                                 'Expected [json+|ntfy+|gotify+|slack+]http(s)://...'))),
+  NOTIFY_FAILURE_THRESHOLD:    z.coerce.number().int().min(1).default(3),
+  NOTIFY_STALE_HOURS:          z.coerce.number().int().min(0).default(72),   // 0 disables the freshness alert
+  NOTIFY_REPEAT_HOURS:         z.coerce.number().int().min(0).default(24),   // 0 = never repeat a firing alert
+  // MQTT publishing after each successful scrape (see src/mqtt.js); unset MQTT_URL disables it
+  MQTT_URL:                    z.string().regex(/^(mqtts?|wss?):\/\//, 'Expected mqtt://, mqtts://, ws:// or wss://').optional(),
+  MQTT_USERNAME:               z.string().optional(),
+  MQTT_PASSWORD:               z.string().optional(),
+  MQTT_CLIENT_ID:              z.string().default('edyna-consumer-stats'),
+  MQTT_TOPIC_PREFIX:           z.string().default('edyna'),
+  MQTT_DISCOVERY_PREFIX:       z.string().default('homeassistant'),   // empty disables Home Assistant discovery
   LOG_LEVEL:                   z.enum(['debug', 'info', 'warn', 'error']).default('info'),
+  // JSON file with F1/F2/F3 prices and fixed fees (see src/tariff.js); unset disables cost calculation
+  TARIFF_FILE:                 z.string().optional(),
+  RECONCILE_TOLERANCE_KWH:     z.coerce.number().min(0).default(1),
+  // Scraped days failing these checks are quarantined instead of stored (see src/validate.js)
+  VALIDATE_MAX_HOURLY_KWH:     z.coerce.number().positive().default(100),
+  VALIDATE_TOTAL_TOLERANCE_KWH: z.coerce.number().min(0).default(0.05),
   SCRAPE_RETRIES:              z.coerce.number().int().min(1).default(3),
   SCRAPE_RETRY_DELAY_MS:       z.coerce.number().int().min(0).default(10000),
+  // Retries of a single portal step, re-navigating from the last good page; the session retry is the last resort
+  STEP_RETRIES:                z.coerce.number().int().min(1).default(2),
+  STEP_RETRY_DELAY_MS:         z.coerce.number().int().min(0).default(5000),
+  // How long each step waits for its elements and for the page to settle (ms)
+  STEP_TIMEOUT_LOGIN_MS:       z.coerce.number().int().positive().default(20000),
+  STEP_TIMEOUT_VERBRAUCHER_MS: z.coerce.number().int().positive().default(30000),
+  STEP_TIMEOUT_CONSUMERS_MS:   z.coerce.number().int().positive().default(360000),
+  STEP_TIMEOUT_CURVE_MS:       z.coerce.number().int().positive().default(360000),
+  STEP_TIMEOUT_YEAR_MS:        z.coerce.number().int().positive().default(60000),
+  STEP_TIMEOUT_MONTHLY_MS:     z.coerce.number().int().positive().default(360000),
+  STEP_TIMEOUT_DAILY_MS:       z.coerce.number().int().positive().default(360000),
 });
 
 // Every key may also be set with an EDYNA_ prefix (e.g. EDYNA_CRON_SCHEDULE),
@@ -38,7 +130,7 @@ for (const key of Object.keys(schema.shape)) {
 
 const result = schema.safeParse(env);
 if (!result.success) {
-  const issues = result.error.issues.map(i => `  ${i.path[0]}: ${i.message}`).join('\n');
+  const issues = result.error.issues.map(i => `  ${i.path.join('.')}: ${i.message}`).join('\n');
   console.error('[config] Invalid or missing environment variables:\n' + issues);
   process.exit(1);
 }
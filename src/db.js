@@ -1,7 +1,11 @@
 import pg from 'pg';
 import config from './config.js';
 import log from './logger.js';
-import { parseDayDate, hourTimestamps } from './util.js';
+import { runMigrations, migrationStatus as getMigrationStatus } from './migrate.js';
+import { ACTIVE_ENERGY, MEASUREMENTS } from './measurements.js';
+import {
+  monthRange, summarizeGaps, formatYearMonth, compareTotals, daySpans,
+} from './util.js';
 
 let pool = null;
 
@@ -25,99 +29,590 @@ function getPool() {
   return pool;
 }
 
+/** Bring the schema up to date (see src/migrate.js); safe to call on every run. */
 export async function initializeSchema() {
+  const applied = await runMigrations(getPool());
+  await syncTimescalePolicies();
+  return applied;
+}
+
+/** Applied and pending migrations, for `migrate status`. */
+export async function migrationStatus() {
+  return getMigrationStatus(getPool());
+}
+
+/**
+ * Upsert hourly rows (expandDailyHourly() output, unique timestamps) of one
+ * measurement in one statement. Rows whose stored kwh already equals the
+ * scraped value are left untouched (IS DISTINCT FROM), so updated_at only
+ * moves on real changes. Every changed value is recorded in
+ * edyna_hourly_revisions in the same transaction, and quarantined versions
+ * of the saved days are marked resolved. Stored values of another interval
+ * length in the time the saved days cover (hours a day is now published in
+ * quarter hours, or back) are deleted first, without revisions.
+ *
+ * @param {string} consumer
+ * @param {Array<{timestamp: Date, date: {year: number, month: number, day: number}, interval?: number, kwh: number}>} hours
+ * @param {{ runId?: string|null, measurement?: string }} [opts]  scrape run stored with each revision
+ */
+export async function saveHourlyRows(consumer, hours, { runId = null, measurement = ACTIVE_ENERGY } = {}) {
+  const rows = hours.map(r => [r.timestamp, r.kwh, r.interval ?? 60]);
+  if (rows.length === 0) {
+    log.info('No rows to save');
+    return { insertedCount: 0, updatedCount: 0, unchangedCount: 0 };
+  }
+
+  const times = hours.map(r => r.timestamp.getTime());
+  const [first, last] = [new Date(Math.min(...times)), new Date(Math.max(...times))];
+  const placeholders = rows.map((_, i) => `($1, $4, $${i * 3 + 5}, $${i * 3 + 6}, $${i * 3 + 7})`).join(', ');
+  const params = [consumer, first, last, measurement, ...rows.flat()];
+
   const client = await getPool().connect();
+  let result;
   try {
-    log.info('Creating schema if not exists...');
-
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS edyna_hourly (
-        timestamp  TIMESTAMPTZ      NOT NULL PRIMARY KEY,
-        kwh        DOUBLE PRECISION NOT NULL,
-        created_at TIMESTAMPTZ      DEFAULT NOW(),
-        updated_at TIMESTAMPTZ      DEFAULT NOW()
+    await client.query('BEGIN');
+    const spans = daySpans(hours);
+    const cleared = await client.query(
+      `DELETE FROM edyna_hourly h
+        USING unnest($3::timestamptz[], $4::timestamptz[], $5::int[]) AS s(f, t, minutes)
+        WHERE h.consumer = $1 AND h.measurement = $2
+          AND h.timestamp >= s.f AND h.timestamp < s.t AND h.interval_minutes <> s.minutes`,
+      [consumer, measurement, spans.map(s => s.from), spans.map(s => s.to), spans.map(s => s.interval ?? 60)]
+    );
+    if (cleared.rowCount > 0) {
+      log.info({ consumer, measurement, cleared: cleared.rowCount }, 'Replacing values of another interval length');
+    }
+    // `previous` is read from the statement's snapshot, i.e. before the upsert
+    result = await client.query(
+      `WITH previous AS (
+         SELECT timestamp, kwh FROM edyna_hourly
+          WHERE consumer = $1 AND measurement = $4 AND timestamp >= $2 AND timestamp <= $3
+       )
+       INSERT INTO edyna_hourly (consumer, measurement, timestamp, kwh, interval_minutes)
+       VALUES ${placeholders}
+       ON CONFLICT (consumer, measurement, timestamp)
+       DO UPDATE SET kwh = EXCLUDED.kwh, updated_at = NOW()
+       WHERE edyna_hourly.kwh IS DISTINCT FROM EXCLUDED.kwh
+       RETURNING timestamp, kwh, (xmax = 0) AS inserted,
+                 (SELECT p.kwh FROM previous p WHERE p.timestamp = edyna_hourly.timestamp) AS old_kwh`,
+      params
+    );
+    const revised = result.rows.filter(r => !r.inserted);
+    if (revised.length > 0) {
+      await client.query(
+        `INSERT INTO edyna_hourly_revisions (consumer, measurement, timestamp, old_kwh, new_kwh, run_id)
+         SELECT $1, $6, t, o, n, $5 FROM unnest($2::timestamptz[], $3::float8[], $4::float8[]) AS r(t, o, n)`,
+        [consumer, revised.map(r => r.timestamp), revised.map(r => r.old_kwh), revised.map(r => r.kwh), runId, measurement]
       );
-    `);
-
-    await client.query(`
-      SELECT create_hypertable('edyna_hourly', 'timestamp', if_not_exists => TRUE, migrate_data => TRUE);
-    `).catch((err) => {
-      if (err.message.includes('function create_hypertable') || err.message.includes('does not exist')) {
-        log.info('TimescaleDB not available, using regular table');
-      } else {
-        throw err;
-      }
-    });
-
-    // PK already indexes timestamp; remove the duplicate index older versions created
-    await client.query('DROP INDEX IF EXISTS idx_edyna_hourly_timestamp;');
-
-    log.info('Schema initialized');
+    }
+    const days = [...new Set(hours.map(r => `${formatYearMonth(r.date)}-${String(r.date.day).padStart(2, '0')}`))];
+    await client.query(
+      `UPDATE edyna_hourly_quarantine SET resolved_at = NOW()
+        WHERE consumer = $1 AND measurement = $3 AND day = ANY($2::date[]) AND resolved_at IS NULL`,
+      [consumer, days, measurement]
+    );
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
   } finally {
     client.release();
   }
+
+  const insertedCount = result.rows.filter(r => r.inserted).length;
+  const updatedCount = result.rows.length - insertedCount;
+  const unchangedCount = rows.length - result.rows.length;
+
+  log.info({ consumer, measurement, insertedCount, updatedCount, unchangedCount }, 'Saved daily hourly data');
+  // The rollups cover active energy only (migration 009)
+  if (result.rows.length > 0 && measurement === ACTIVE_ENERGY) await refreshRollups({ from: first, to: last });
+  return { insertedCount, updatedCount, unchangedCount };
 }
 
 /**
- * Upsert scraped hourly values in one statement.
- * Rows whose stored kwh already equals the scraped value are left untouched
- * (IS DISTINCT FROM), so updated_at only moves on real changes.
+ * Store days that failed validation (validate.validateDays() `quarantined`
+ * entries) for one consumer. A day already quarantined gets the new values
+ * and reasons and is unresolved again. Entries without a parsed `day` can't
+ * be keyed and are only logged. Returns the number of rows written.
  *
- * @param {{ year: number|null, days: Array<{date: string, hourly: Array<number|null>}> }} dailyData
+ * @param {string} consumer
+ * @param {Array<{day: string|null, date: string, hourly: Array<number|null>, total_kwh: number,
+ *                portal_total_kwh?: number|null, reasons: string[]}>} days
+ * @param {{ runId?: string|null, measurement?: string, interval?: number }} [opts]  interval: minutes per value
  */
-export async function saveDailyHourlyData(dailyData) {
-  // Map keyed by epoch ms: a single INSERT must not contain the same
-  // timestamp twice (Postgres 21000). Last value wins; overlaps are logged.
-  const byTimestamp = new Map();
-  for (const day of dailyData.days) {
-    const parsedDate = parseDayDate(day.date, dailyData.year);
-    if (!parsedDate) {
-      log.warn({ date: day.date }, 'Skipping unparseable date');
-      continue;
-    }
-    const timestamps = hourTimestamps(parsedDate, day.hourly.length);
-    day.hourly.forEach((kwh, h) => {
-      if (kwh === null || kwh === undefined) return;
-      const ts = timestamps[h];
-      if (byTimestamp.has(ts.getTime())) {
-        log.warn({ timestamp: ts.toISOString(), date: day.date, hour: h },
-          'Duplicate timestamp in scraped batch, keeping last value');
-      }
-      byTimestamp.set(ts.getTime(), [ts, kwh]);
-    });
+export async function saveQuarantine(consumer, days, { runId = null, measurement = ACTIVE_ENERGY, interval = 60 } = {}) {
+  const keyed = days.filter(d => d.day !== null);
+  for (const d of days.filter(d => d.day === null)) {
+    log.warn({ consumer, date: d.date, reasons: d.reasons }, 'Not quarantining day with unparseable date');
   }
-  const rows = [...byTimestamp.values()];
+  if (keyed.length === 0) return 0;
 
-  if (rows.length === 0) {
-    log.info('No rows to save');
+  await getPool().query(
+    `INSERT INTO edyna_hourly_quarantine
+       (consumer, measurement, day, reasons, hourly, total_kwh, portal_total_kwh, run_id, interval_minutes)
+     SELECT $1, $4, d.day, ARRAY(SELECT jsonb_array_elements_text(d.reasons)), d.hourly, d.total_kwh, d.portal_total_kwh, $3, $5
+       FROM jsonb_to_recordset($2::jsonb)
+            AS d(day date, reasons jsonb, hourly jsonb, total_kwh float8, portal_total_kwh float8)
+     ON CONFLICT (consumer, measurement, day) DO UPDATE SET
+       reasons = EXCLUDED.reasons, hourly = EXCLUDED.hourly, total_kwh = EXCLUDED.total_kwh,
+       portal_total_kwh = EXCLUDED.portal_total_kwh, run_id = EXCLUDED.run_id,
+       interval_minutes = EXCLUDED.interval_minutes, last_seen = NOW(), resolved_at = NULL`,
+    [consumer, JSON.stringify(keyed.map(d => ({
+      day: d.day, reasons: d.reasons, hourly: d.hourly, total_kwh: d.total_kwh, portal_total_kwh: d.portal_total_kwh ?? null,
+    }))), runId, measurement, interval]
+  );
+  log.info({ consumer, measurement, quarantined: keyed.length }, 'Saved quarantined days');
+  return keyed.length;
+}
+
+/**
+ * Upsert the portal's monthly totals of one measurement for one consumer
+ * and year, with the same IS DISTINCT FROM semantics as the hourly data. A
+ * changed value for a month already stored means Edyna corrected it; those
+ * are logged.
+ *
+ * @param {{ consumer: string, year: number, measurement?: string, months: Array<{month: number, kwh: number}> }} monthlyData
+ */
+export async function saveMonthlyData({ consumer, year, measurement = ACTIVE_ENERGY, months }) {
+  if (months.length === 0) {
+    log.info({ consumer, year, measurement }, 'No monthly totals to save');
     return { insertedCount: 0, updatedCount: 0, unchangedCount: 0 };
   }
 
-  const placeholders = rows.map((_, i) => `($${i * 2 + 1}, $${i * 2 + 2})`).join(', ');
-  const params = rows.flat();
+  const placeholders = months.map((_, i) => `($1, $2, $${i * 2 + 3}::date, $${i * 2 + 4})`).join(', ');
+  const params = [consumer, measurement, ...months.flatMap(m => [formatYearMonth({ year, month: m.month }) + '-01', m.kwh])];
 
+  // CTEs share one snapshot, so `previous` still sees the pre-upsert values.
   const result = await getPool().query(
-    `INSERT INTO edyna_hourly (timestamp, kwh)
-     VALUES ${placeholders}
-     ON CONFLICT (timestamp)
-     DO UPDATE SET kwh = EXCLUDED.kwh, updated_at = NOW()
-     WHERE edyna_hourly.kwh IS DISTINCT FROM EXCLUDED.kwh
-     RETURNING (xmax = 0) AS inserted`,
+    `WITH previous AS (
+       SELECT month, kwh FROM edyna_monthly WHERE consumer = $1 AND measurement = $2
+     ), upserted AS (
+       INSERT INTO edyna_monthly (consumer, measurement, month, kwh)
+       VALUES ${placeholders}
+       ON CONFLICT (consumer, measurement, month)
+       DO UPDATE SET kwh = EXCLUDED.kwh, updated_at = NOW()
+       WHERE edyna_monthly.kwh IS DISTINCT FROM EXCLUDED.kwh
+       RETURNING month, kwh, (xmax = 0) AS inserted
+     )
+     SELECT to_char(u.month, 'YYYY-MM') AS month, u.kwh, u.inserted, p.kwh AS previous_kwh
+       FROM upserted u LEFT JOIN previous p USING (month)`,
     params
   );
 
+  for (const r of result.rows.filter(r => !r.inserted)) {
+    log.warn({ consumer, measurement, month: r.month, previousKwh: r.previous_kwh, kwh: r.kwh }, 'Portal corrected monthly total');
+  }
+
   const insertedCount = result.rows.filter(r => r.inserted).length;
   const updatedCount = result.rows.length - insertedCount;
-  const unchangedCount = rows.length - result.rows.length;
+  const unchangedCount = months.length - result.rows.length;
 
-  log.info({ insertedCount, updatedCount, unchangedCount }, 'Saved daily hourly data');
+  log.info({ consumer, year, measurement, insertedCount, updatedCount, unchangedCount }, 'Saved monthly totals');
   return { insertedCount, updatedCount, unchangedCount };
 }
 
+/**
+ * Compare each stored portal monthly total of active energy with the sum of
+ * edyna_hourly for that month (month boundaries at local midnight in
+ * config.TZ). Rows are flagged when they differ by more than
+ * RECONCILE_TOLERANCE_KWH.
+ *
+ * @param {{ consumers?: string[], from: {year: number, month: number}, to: {year: number, month: number} }} opts
+ * @returns {Promise<Array<{consumer: string, month: string, portalKwh: number,
+ *   hourlyKwh: number, hours: number, diff: number, flagged: boolean}>>}
+ */
+export async function reconcileMonthly({ consumers = [], from, to }) {
+  const { rows } = await getPool().query(
+    `SELECT m.consumer,
+            to_char(m.month, 'YYYY-MM') AS month,
+            m.kwh                       AS portal_kwh,
+            COALESCE(SUM(h.kwh), 0)     AS hourly_kwh,
+            (COALESCE(SUM(h.interval_minutes), 0) / 60.0)::float8 AS hours
+       FROM edyna_monthly m
+       LEFT JOIN edyna_hourly h
+              ON h.consumer = m.consumer
+             AND h.measurement = m.measurement
+             AND h.timestamp >= (m.month::timestamp AT TIME ZONE $4)
+             AND h.timestamp <  ((m.month + INTERVAL '1 month')::timestamp AT TIME ZONE $4)
+      WHERE m.measurement = 'active_energy'
+        AND m.month BETWEEN $1::date AND $2::date
+        AND (cardinality($3::text[]) = 0 OR m.consumer = ANY($3))
+      GROUP BY m.consumer, m.month, m.kwh
+      ORDER BY m.consumer, m.month`,
+    [formatYearMonth(from) + '-01', formatYearMonth(to) + '-01', consumers, config.TZ]
+  );
+
+  return rows.map(r => ({
+    consumer: r.consumer,
+    month: r.month,
+    portalKwh: r.portal_kwh,
+    hourlyKwh: r.hourly_kwh,
+    hours: r.hours,
+    ...compareTotals(r.portal_kwh, r.hourly_kwh, config.RECONCILE_TOLERANCE_KWH),
+  }));
+}
+
+/**
+ * Missing-hour report of active energy per consumer and month.
+ * Defaults to the last GAP_LOOKBACK_MONTHS months (current month included).
+ * Consumers default to every consumer already stored plus the CONSUMERS
+ * allowlist, so a POD with no rows at all still shows up as fully missing.
+ * Hours newer than GAP_GRACE_DAYS before today are not expected yet — the
+ * portal publishes with a delay.
+ *
+ * @param {{ from?: {year: number, month: number}, to?: {year: number, month: number}, consumers?: string[] }} [opts]
+ * @returns {Promise<Array<{consumer: string, year: number, month: number,
+ *   expected: number, stored: number, missing: number, firstMissing: Date|null}>>}
+ */
+export async function findGaps({ from = null, to = null, consumers = null } = {}) {
+  const now = new Date();
+  to ??= { year: now.getFullYear(), month: now.getMonth() + 1 };
+  if (!from) {
+    const start = new Date(to.year, to.month - config.GAP_LOOKBACK_MONTHS, 1);
+    from = { year: start.getFullYear(), month: start.getMonth() + 1 };
+  }
+  const until = new Date(now.getFullYear(), now.getMonth(), now.getDate() - config.GAP_GRACE_DAYS);
+
+  if (!consumers?.length) {
+    const { rows } = await getPool().query(`SELECT DISTINCT consumer FROM edyna_hourly WHERE measurement = 'active_energy'`);
+    consumers = [...new Set([...rows.map(r => r.consumer), ...config.CONSUMERS])];
+  }
+
+  // Quarter hours count towards the hour they fall in
+  const { rows } = await getPool().query(
+    `SELECT DISTINCT consumer, date_trunc('hour', timestamp) AS timestamp FROM edyna_hourly
+      WHERE measurement = 'active_energy' AND timestamp >= $1 AND timestamp < $2 AND consumer = ANY($3)`,
+    [new Date(from.year, from.month - 1, 1), new Date(to.year, to.month, 1), consumers]
+  );
+  const stored = new Map(consumers.map(c => [c, new Set()]));
+  for (const r of rows) stored.get(r.consumer).add(r.timestamp.getTime());
+
+  const months = monthRange(from, to);
+  return consumers.flatMap(consumer =>
+    summarizeGaps(months, stored.get(consumer), until).map(g => ({ consumer, ...g }))
+  );
+}
+
+/**
+ * Upsert per-day cost rows from tariff.dailyCosts(). Costs follow the
+ * tariff file, so rows are simply overwritten.
+ */
+export async function saveDailyCosts(rows) {
+  const COLUMNS = ['consumer', 'day', 'f1_kwh', 'f2_kwh', 'f3_kwh', 'kwh', 'hours', 'energy_cost', 'fixed_cost', 'total_cost'];
+  const BATCH = 1000;   // 10 params per row, well under the 65535 limit
+
+  for (let start = 0; start < rows.length; start += BATCH) {
+    const batch = rows.slice(start, start + BATCH);
+    const placeholders = batch.map((_, i) =>
+      `(${COLUMNS.map((c, j) => `$${i * COLUMNS.length + j + 1}${c === 'day' ? '::date' : ''}`).join(', ')})`).join(', ');
+    await getPool().query(
+      `INSERT INTO edyna_daily_cost (${COLUMNS.join(', ')})
+       VALUES ${placeholders}
+       ON CONFLICT (consumer, day)
+       DO UPDATE SET ${COLUMNS.slice(2).map(c => `${c} = EXCLUDED.${c}`).join(', ')}, updated_at = NOW()`,
+      batch.flatMap(r => COLUMNS.map(c => r[c]))
+    );
+  }
+  log.info({ days: rows.length }, 'Saved daily costs');
+}
+
+/* ---------- Hours from before 0.4 ---------- */
+// Migration 001 keeps them under consumer = '' when it adds the column.
+
+/** Number of stored values not yet assigned to a consumer. */
+export async function countUnassignedHours() {
+  const { rows: [{ count }] } = await getPool().query(`SELECT COUNT(*)::int AS count FROM edyna_hourly WHERE consumer = ''`);
+  return count;
+}
+
+/**
+ * Assign the values stored under consumer = '' to `consumer`. Where it
+ * already has a value for the same time (scraped since), that one is kept
+ * and the old one dropped. Returns { claimed, dropped }.
+ */
+export async function claimUnassignedHours(consumer) {
+  const client = await getPool().connect();
+  let claimed;
+  let dropped;
+  try {
+    await client.query('BEGIN');
+    ({ rowCount: dropped } = await client.query(
+      `DELETE FROM edyna_hourly old USING edyna_hourly h
+        WHERE old.consumer = '' AND h.consumer = $1 AND h.measurement = old.measurement AND h.timestamp = old.timestamp`,
+      [consumer]
+    ));
+    ({ rows: [claimed] } = await client.query(
+      `WITH moved AS (UPDATE edyna_hourly SET consumer = $1 WHERE consumer = '' RETURNING timestamp)
+       SELECT COUNT(*)::int AS count, MIN(timestamp) AS first, MAX(timestamp) AS last FROM moved`,
+      [consumer]
+    ));
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  log.info({ consumer, claimed: claimed.count, dropped }, 'Assigned values stored before 0.4');
+  if (claimed.count > 0) await refreshRollups({ from: claimed.first, to: claimed.last });
+  return { claimed: claimed.count, dropped };
+}
+
+/* ---------- Scrape run history ---------- */
+/**
+ * Record a run as started ('running'). `from`/`to` ({year, month}) are set
+ * for range backfills, `year`/`month` for single-month runs (null = latest).
+ */
+export async function startRun({ runId, trigger, year = null, month = null, from = null, to = null, consumers = null }) {
+  const firstOfMonth = (ym) => (ym ? formatYearMonth(ym) + '-01' : null);
+  await getPool().query(
+    `INSERT INTO edyna_scrape_runs (run_id, trigger, target_year, target_month, range_from, range_to, consumers)
+     VALUES ($1, $2, $3, $4, $5::date, $6::date, $7)`,
+    [runId, trigger, year, month, firstOfMonth(from), firstOfMonth(to), consumers]
+  );
+}
+
+/** Complete a started run; counts are run totals (util.runTotals), null where no sink reported them. */
+export async function finishRun(runId, {
+  outcome, attempts, months, insertedCount, updatedCount, unchangedCount, quarantinedCount, error = null,
+}) {
+  await getPool().query(
+    `UPDATE edyna_scrape_runs
+        SET finished_at = NOW(), outcome = $2, attempts = $3, months = $4,
+            inserted_count = $5, updated_count = $6, unchanged_count = $7, quarantined_count = $8,
+            error_class = $9, error_message = $10
+      WHERE run_id = $1`,
+    [runId, outcome, attempts, months, insertedCount, updatedCount, unchangedCount, quarantinedCount,
+      error?.name ?? null, error?.message ?? null]
+  );
+}
+
+/** The newest `limit` runs, newest first. */
+export async function queryRuns({ limit = 10 } = {}) {
+  const { rows } = await getPool().query(
+    `SELECT run_id, trigger, target_year, target_month,
+            to_char(range_from, 'YYYY-MM') AS range_from, to_char(range_to, 'YYYY-MM') AS range_to,
+            consumers, started_at, finished_at, attempts, outcome, error_class, error_message, months,
+            inserted_count, updated_count, unchanged_count, quarantined_count
+       FROM edyna_scrape_runs
+      ORDER BY started_at DESC
+      LIMIT $1`,
+    [limit]
+  );
+  return rows;
+}
+
+/* ---------- Read queries (HTTP API) ---------- */
+// Range bounds are Dates (half-open [from, to)); day/month buckets are local to config.TZ.
+// Each reads one measurement, active energy unless asked for another.
+
+// Combines a measurement's hours into days and months (src/measurements.js)
+const aggregateSql = (measurement) => (MEASUREMENTS[measurement].aggregate === 'max' ? 'MAX(kwh)' : 'SUM(kwh)');
+
+/** Values per hour; quarter hours are combined as into days, `minutes` tells how much of the hour is stored. */
+export async function queryHourly({ from, to, consumer = null, measurement = ACTIVE_ENERGY }) {
+  const { rows } = await getPool().query(
+    `SELECT consumer,
+            date_trunc('hour', timestamp)  AS timestamp,
+            ${aggregateSql(measurement)}   AS kwh,
+            SUM(interval_minutes)::int     AS minutes
+       FROM edyna_hourly
+      WHERE timestamp >= $1 AND timestamp < $2 AND ($3::text IS NULL OR consumer = $3) AND measurement = $4
+      GROUP BY 1, 2
+      ORDER BY 1, 2`,
+    [from, to, consumer, measurement]
+  );
+  return rows;
+}
+
+/**
+ * Revised hours per consumer and local day of the data: how many values
+ * changed, the net change in kWh (sum of new - old, so repeated revisions of
+ * one hour telescope) and when the changes were seen.
+ */
+export async function queryRevisions({ from, to, consumer = null, measurement = ACTIVE_ENERGY }) {
+  const { rows } = await getPool().query(
+    `SELECT consumer,
+            to_char(timestamp AT TIME ZONE $4, 'YYYY-MM-DD') AS day,
+            COUNT(DISTINCT timestamp)::int AS hours,
+            COUNT(*)::int                  AS revisions,
+            SUM(new_kwh - old_kwh)         AS diff_kwh,
+            MIN(changed_at)                AS first_changed,
+            MAX(changed_at)                AS last_changed
+       FROM edyna_hourly_revisions
+      WHERE timestamp >= $1 AND timestamp < $2 AND ($3::text IS NULL OR consumer = $3) AND measurement = $5
+      GROUP BY 1, 2
+      ORDER BY 1, 2`,
+    [from, to, consumer, config.TZ, measurement]
+  );
+  return rows;
+}
+
+/** Hours per local day, summed (energy) or their maximum (power). */
+export async function queryDaily({ from, to, consumer = null, measurement = ACTIVE_ENERGY }) {
+  const { rows } = await getPool().query(
+    `SELECT consumer,
+            to_char(timestamp AT TIME ZONE $4, 'YYYY-MM-DD') AS day,
+            ${aggregateSql(measurement)} AS kwh,
+            (SUM(interval_minutes) / 60.0)::float8 AS hours
+       FROM edyna_hourly
+      WHERE timestamp >= $1 AND timestamp < $2 AND ($3::text IS NULL OR consumer = $3) AND measurement = $5
+      GROUP BY 1, 2
+      ORDER BY 1, 2`,
+    [from, to, consumer, config.TZ, measurement]
+  );
+  return rows;
+}
+
+/** Hours per local month (as queryDaily) next to the portal's own total (either may be null). */
+export async function queryMonthly({ from, to, consumer = null, measurement = ACTIVE_ENERGY }) {
+  const { rows } = await getPool().query(
+    `WITH hourly AS (
+       SELECT consumer,
+              date_trunc('month', timestamp AT TIME ZONE $4)::date AS month,
+              ${aggregateSql(measurement)} AS kwh,
+              (SUM(interval_minutes) / 60.0)::float8 AS hours
+         FROM edyna_hourly
+        WHERE timestamp >= $1 AND timestamp < $2 AND ($3::text IS NULL OR consumer = $3) AND measurement = $5
+        GROUP BY 1, 2
+     ), portal AS (
+       SELECT consumer, month, kwh
+         FROM edyna_monthly
+        WHERE month >= ($1 AT TIME ZONE $4)::date AND month < ($2 AT TIME ZONE $4)::date
+          AND ($3::text IS NULL OR consumer = $3) AND measurement = $5
+     )
+     SELECT COALESCE(h.consumer, p.consumer)                 AS consumer,
+            to_char(COALESCE(h.month, p.month), 'YYYY-MM')   AS month,
+            h.kwh                                            AS hourly_kwh,
+            COALESCE(h.hours, 0)                             AS hours,
+            p.kwh                                            AS portal_kwh
+       FROM hourly h
+       FULL JOIN portal p ON p.consumer = h.consumer AND p.month = h.month
+      ORDER BY 1, 2`,
+    [from, to, consumer, config.TZ, measurement]
+  );
+  return rows;
+}
+
+/** Newest stored hour per consumer. */
+export async function queryLatest({ consumer = null, measurement = ACTIVE_ENERGY } = {}) {
+  const { rows } = await getPool().query(
+    `SELECT DISTINCT ON (consumer) consumer, timestamp, kwh, updated_at
+       FROM edyna_hourly
+      WHERE ($1::text IS NULL OR consumer = $1) AND measurement = $2
+      ORDER BY consumer, timestamp DESC`,
+    [consumer, measurement]
+  );
+  return rows;
+}
+
+/* ---------- Rollups and TimescaleDB policies ---------- */
+let rollupKind;   // 'cagg' | 'matview' | null, looked up once per pool
+let rollupsStale = false;   // materialized views changed since their last refresh
+
+async function timescaleHypertable() {
+  const ext = await getPool().query(`SELECT 1 FROM pg_extension WHERE extname = 'timescaledb'`);
+  if (ext.rowCount === 0) return false;
+  const ht = await getPool().query(
+    `SELECT 1 FROM timescaledb_information.hypertables WHERE hypertable_name = 'edyna_hourly'`);
+  return ht.rowCount > 0;
+}
+
+/**
+ * Bring edyna_hourly_daily / edyna_hourly_monthly (migration 005) up to date
+ * for hours in [from, to]. Continuous aggregates only recompute buckets lying
+ * fully inside the window, so it is widened to whole local months. Plain
+ * materialized views can only be refreshed whole, so they are marked stale
+ * here and refreshed once by flushRollups() when the run closes the pool.
+ * Best effort: a failed refresh is logged, the hourly data is already saved.
+ */
+export async function refreshRollups({ from, to }) {
+  try {
+    if (rollupKind === undefined) {
+      const { rows } = await getPool().query(
+        `SELECT relkind FROM pg_class WHERE relname = 'edyna_hourly_daily' AND relkind IN ('v', 'm')`);
+      rollupKind = rows[0]?.relkind === 'v' ? 'cagg' : rows[0]?.relkind === 'm' ? 'matview' : null;
+    }
+    if (rollupKind === 'cagg') {
+      const start = new Date(from.getFullYear(), from.getMonth(), 1);
+      const end = new Date(to.getFullYear(), to.getMonth() + 1, 1);
+      for (const view of ['edyna_hourly_daily', 'edyna_hourly_monthly']) {
+        // Window inlined as literals (ISO timestamps), not bound as CALL parameters
+        await getPool().query(
+          `CALL refresh_continuous_aggregate('${view}', '${start.toISOString()}', '${end.toISOString()}')`);
+      }
+    } else if (rollupKind === 'matview') {
+      rollupsStale = true;
+    }
+  } catch (err) {
+    log.warn({ err }, 'Could not refresh daily/monthly rollups');
+  }
+}
+
+/** Refresh materialized-view rollups marked stale by refreshRollups(); best effort likewise. */
+export async function flushRollups() {
+  if (!rollupsStale) return;
+  rollupsStale = false;
+  try {
+    for (const view of ['edyna_hourly_daily', 'edyna_hourly_monthly']) {
+      await getPool().query(`REFRESH MATERIALIZED VIEW CONCURRENTLY ${view}`);
+    }
+  } catch (err) {
+    log.warn({ err }, 'Could not refresh daily/monthly rollups');
+  }
+}
+
+/**
+ * Make the compression and retention policies on edyna_hourly match
+ * TIMESCALE_COMPRESS_AFTER_DAYS / TIMESCALE_RETENTION_DAYS (0 = none).
+ * Only touches a policy whose interval differs. No-op without TimescaleDB.
+ */
+async function syncTimescalePolicies() {
+  if (!await timescaleHypertable()) return;
+  const q = (sql, params) => getPool().query(sql, params);
+
+  const current = async (proc, key) => (await q(
+    `SELECT (config->>$2)::interval AS after FROM timescaledb_information.jobs
+      WHERE proc_name = $1 AND hypertable_name = 'edyna_hourly'`, [proc, key])).rows[0]?.after ?? null;
+  const sameDays = async (proc, key, days) => (await q(
+    `SELECT EXISTS (SELECT 1 FROM timescaledb_information.jobs
+      WHERE proc_name = $1 AND hypertable_name = 'edyna_hourly'
+        AND (config->>$2)::interval = make_interval(days => $3)) AS same`, [proc, key, days])).rows[0].same;
+
+  const compressDays = config.TIMESCALE_COMPRESS_AFTER_DAYS;
+  if (compressDays > 0 && !await sameDays('policy_compression', 'compress_after', compressDays)) {
+    const { rows: [{ enabled }] } = await q(
+      `SELECT compression_enabled AS enabled FROM timescaledb_information.hypertables WHERE hypertable_name = 'edyna_hourly'`);
+    if (!enabled) {
+      await q(`ALTER TABLE edyna_hourly SET (timescaledb.compress,
+                 timescaledb.compress_segmentby = 'consumer, measurement', timescaledb.compress_orderby = 'timestamp')`);
+    }
+    await q(`SELECT remove_compression_policy('edyna_hourly', if_exists => TRUE)`);
+    await q(`SELECT add_compression_policy('edyna_hourly', make_interval(days => $1))`, [compressDays]);
+    log.info({ days: compressDays }, 'Compression policy set');
+  } else if (compressDays === 0 && await current('policy_compression', 'compress_after') !== null) {
+    await q(`SELECT remove_compression_policy('edyna_hourly', if_exists => TRUE)`);
+    log.info('Compression policy removed (already compressed chunks stay compressed)');
+  }
+
+  const retentionDays = config.TIMESCALE_RETENTION_DAYS;
+  if (retentionDays > 0 && !await sameDays('policy_retention', 'drop_after', retentionDays)) {
+    await q(`SELECT remove_retention_policy('edyna_hourly', if_exists => TRUE)`);
+    await q(`SELECT add_retention_policy('edyna_hourly', make_interval(days => $1))`, [retentionDays]);
+    log.info({ days: retentionDays }, 'Retention policy set');
+  } else if (retentionDays === 0 && await current('policy_retention', 'drop_after') !== null) {
+    await q(`SELECT remove_retention_policy('edyna_hourly', if_exists => TRUE)`);
+    log.info('Retention policy removed');
+  }
+}
+
 export async function closePool() {
   if (pool) {
+    await flushRollups();
     await pool.end();
     pool = null;
+    rollupKind = undefined;
     log.info('Database connection closed');
   }
 }
@@ -0,0 +1,309 @@
+/**
+ * Portal self-check (`node src/index.js doctor`): log in, walk the pages a
+ * scrape visits and check what the scraper relies on there — every entry in
+ * SELECTORS, the hourly-table fallback chain, the grid headers, the portal
+ * language and the number and date formats. A missing element comes with suggested
+ * replacements: elements with the same control name under different naming
+ * containers (what an ASP.NET page change usually does to IDs), then
+ * elements matching its label text.
+ *
+ * The walk uses the scraper's own steps, passed in by src/index.js; the
+ * format checks below are pure.
+ */
+
+import log from './logger.js';
+import { detectInterval, isAggregateHeader, normalizeNumber, numberShape, parseDayDate, formatTable } from './util.js';
+import { parseMonthName, detectLocale } from './locale.js';
+
+/* ---------- Format checks ---------- */
+const EMPTY = new Set(['', '-', 'N/A']);
+const HOUR_HEADER_RE = /^\d{1,2}(:\d{2})?(\s*-\s*\d{1,2}(:\d{2})?)?$/;
+
+/**
+ * Portal number cells that normalizeNumber() can't read, or would misread:
+ * "1.234" taken as thousands (the locale's `decimal` is ",") while the
+ * other cells show a decimal point. Cells showing both conventions fail as
+ * a whole. Empty cells ("", "-", "N/A") are fine.
+ * @returns {{ ok: boolean, count: number, decimal: string|null, bad: string[] }}
+ *   `decimal`: the separator the cells show; `bad`: up to 5 samples
+ */
+export function checkNumbers(cells, decimal = ',') {
+  const filled = cells.map(c => c.trim()).filter(c => !EMPTY.has(c));
+  const shapes = filled.map(c => ({ cell: c, ...numberShape(c) }));
+  const shown = [...new Set(shapes.filter(s => s.separator && !s.ambiguous).map(s => s.separator))];
+  const misread = shown.length === 1 && shown[0] !== decimal;
+  const bad = shapes
+    .filter(s => normalizeNumber(s.cell, { decimal }) === null || (misread && s.ambiguous))
+    .map(s => s.cell);
+  return {
+    ok: filled.length > 0 && bad.length === 0 && shown.length < 2,
+    count: filled.length,
+    decimal: shown.length === 1 ? shown[0] : null,
+    bad: (shown.length < 2 ? bad : filled).slice(0, 5),
+  };
+}
+
+/** Date cells of the hourly grid that parseDayDate() can't read. */
+export function checkDates(cells, fallbackYear = null) {
+  const bad = cells.filter(c => parseDayDate(c, fallbackYear) === null);
+  return { ok: cells.length > 0 && bad.length === 0, count: cells.length, bad: bad.slice(0, 5) };
+}
+
+/**
+ * The hourly grid's header row: the date column, value columns covering 23
+ * to 25 hours ("01:00", "1", "00-01", or quarter hours "00:15", …, see
+ * detectInterval()) and optionally a trailing aggregate ("Summe").
+ */
+export function checkHourlyHeaders(headers) {
+  const rest = headers.slice(1);
+  const aggregate = isAggregateHeader(rest.at(-1));
+  const columns = aggregate ? rest.slice(0, -1) : rest;
+  const minutes = detectInterval(columns);
+  const hours = (columns.length * (minutes ?? 60)) / 60;
+  const bad = columns.filter(h => !HOUR_HEADER_RE.test(h));
+  return {
+    ok: minutes !== null && hours >= 23 && hours <= 25 && bad.length === 0,
+    hours,
+    minutes,
+    columns: columns.length,
+    aggregate,
+    bad: bad.slice(0, 5),
+  };
+}
+
+/**
+ * The monthly grid: a month link and a header naming its month (in
+ * `locale`, or either language when null/"auto") per calendar month; an
+ * aggregate column may follow. `locale` is the language the headers are in.
+ */
+export function checkMonthHeaders(headers, links, locale = null) {
+  const shown = locale && locale !== 'auto' ? locale : detectLocale(headers);
+  const columns = headers.filter(h => !isAggregateHeader(h));
+  const months = new Set(columns.map(h => parseMonthName(h, shown)));
+  const unknown = columns.filter(h => parseMonthName(h, shown) === null);
+  return {
+    ok: months.size === 12 && unknown.length === 0 && columns.length === 12 && links >= 12,
+    months: columns.length,
+    links,
+    locale: shown,
+    unknown: unknown.slice(0, 5),
+  };
+}
+
+/* ---------- Report ---------- */
+/**
+ * Plain-text report of doctor checks ([{ page, check, ok, detail, suggestion }],
+ * ok null = not reached, or an optional element not shown) with a pass/fail/skip count.
+ */
+export function formatDoctorReport(checks) {
+  const result = (ok) => (ok === null ? 'skip' : ok ? 'PASS' : 'FAIL');
+  const count = (ok) => checks.filter(c => c.ok === ok).length;
+  return `${formatTable(checks.map(c => ({ ...c, ok: result(c.ok) })), [
+    { key: 'page',       label: 'Page' },
+    { key: 'check',      label: 'Check' },
+    { key: 'ok',         label: 'Result' },
+    { key: 'detail',     label: 'Detail' },
+    { key: 'suggestion', label: 'Suggestion' },
+  ])}\n\n${count(true)} passed, ${count(false)} failed, ${count(null)} skipped`;
+}
+
+/* ---------- Suggestions ---------- */
+// How to recognise each element by what it shows, for when its ID is gone
+const HINTS = {
+  loginUser:       { tag: 'input[type="text"], input:not([type])' },
+  loginPassword:   { tag: 'input[type="password"]' },
+  loginBtn:        { tag: 'input[type="submit"], button', text: 'anmelden|login|accedi|entra' },
+  loginPanel:      { tag: 'div, fieldset', has: 'input[type="password"]' },
+  menuVerbraucher: { tag: 'a', text: 'verbraucher|utenz|fornitur' },
+  consumerTable:   { tag: 'table', text: 'IT\\d{3}E\\d{8}' },
+  curveBtn:        { tag: 'a, input, button', text: 'kurve|curva|profil' },
+  curveBtnPrefix:  { tag: 'a, input, button', text: 'kurve|curva|profil' },
+  yearDropdown:    { tag: 'select', text: '20\\d\\d' },
+  energyGrid:      { tag: 'table', text: 'j[äa]n|gen' },
+};
+
+// Grids the scraper reads when the portal shows them (MEASUREMENTS); not every meter has them
+const OPTIONAL = ['reactiveGrid', 'powerGrid'];
+
+// Runs in the page. `selector` is "#id" or, for `prefix`, the ID prefix of a
+// numbered series; returns how many elements match and, when none does, up
+// to three replacement selectors.
+function probeInPage({ selector, prefix, hint }) {
+  const query = prefix ? `[id^="${selector}"]` : selector;
+  const count = document.querySelectorAll(query).length;
+  if (count > 0) return { count, suggestions: [] };
+
+  const suggestions = [];
+  const add = (s) => { if (s && !suggestions.includes(s) && suggestions.length < 3) suggestions.push(s); };
+  const id = selector.replace(/^#/, '').replace(/_$/, '');
+  const segments = id.split('_');
+  // The control name: the last ID segment, with the row number for numbered ones
+  const name = /^\d+$/.test(segments.at(-1)) ? segments.slice(-2).join('_') : segments.at(-1);
+  for (const el of document.querySelectorAll(`[id*="${name}"]`)) {
+    if (prefix) add(el.id.slice(0, el.id.lastIndexOf(name) + name.length) + (selector.endsWith('_') ? '_' : ''));
+    else if (el.id.endsWith(name)) add(`#${el.id}`);
+  }
+  if (hint) {
+    const text = hint.text ? new RegExp(hint.text, 'i') : null;
+    const matches = Array.from(document.querySelectorAll(hint.tag))
+      .filter(el => (!text || text.test(el.innerText || el.value || '')) && (!hint.has || el.querySelector(hint.has)))
+      // Innermost first: a layout table containing the grid matches too
+      .sort((a, b) => (a.innerText ?? '').length - (b.innerText ?? '').length);
+    for (const el of matches) {
+      if (el.id) add(prefix ? el.id.replace(/\d+$/, '') : `#${el.id}`);
+    }
+  }
+  return { count, suggestions };
+}
+
+/* ---------- Portal walk ---------- */
+/**
+ * Check the live portal. `portal` holds what the walk needs from the scraper:
+ * { selectors, hourlyTables, creds, locale, decimalOf, launchBrowser, settle,
+ *   performLogin, clickVerbraucher, clickCurve, scrapeMonthlyGrid, clickMonth }.
+ * Each step leaves the page settled, so elements are checked without
+ * waiting for them. A page whose prerequisites failed is not reached.
+ *
+ * @returns {Promise<Array<{page: string, check: string, ok: boolean|null, detail: string|null, suggestion: string|null}>>}
+ */
+export async function runDoctor(portal) {
+  const { selectors, creds } = portal;
+  const checks = [];
+  // Set from the monthly grid's headers; the hourly numbers are read in the same locale
+  let locale = portal.locale;
+  const report = (page, check, ok, detail = null, suggestion = null) => {
+    checks.push({ page, check, ok, detail, suggestion });
+    log.info({ page, check, ok, detail }, '[doctor] Check');
+    return ok;
+  };
+
+  function reportNumbers(pageName, check, cells) {
+    const numbers = checkNumbers(cells, portal.decimalOf(locale));
+    const shown = { ',': 'decimal comma', '.': 'decimal point' }[numbers.decimal] ?? 'no decimals';
+    return report(pageName, check, numbers.ok,
+      numbers.bad.length ? `misread or mixed: ${numbers.bad.join(' | ')}` : `${numbers.count} values, ${shown}`);
+  }
+
+  async function probe(page, pageName, key) {
+    const selector = selectors[key];
+    const prefix = !selector.startsWith('#');
+    const { count, suggestions } = await page.evaluate(probeInPage, { selector, prefix, hint: HINTS[key] ?? null });
+    return report(pageName, key, count > 0, count > 0 ? `${count} × ${prefix ? `${selector}*` : selector}` : `${selector} not found`,
+      suggestions.join(', ') || null);
+  }
+
+  async function probeOptional(page, pageName, key) {
+    const shown = await page.$(selectors[key]) !== null;
+    return report(pageName, key, shown || null, shown ? selectors[key] : `${selectors[key]} not shown (optional)`);
+  }
+
+  // Each runs only if the one before passed
+  const pages = [
+    ['login page', async (page) => {
+      await page.goto(creds.loginUrl, { waitUntil: 'domcontentloaded' });
+      await portal.settle(page);
+      let ok = true;
+      for (const key of ['loginPanel', 'loginUser', 'loginPassword', 'loginBtn']) ok = await probe(page, 'login page', key) && ok;
+      return ok;
+    }],
+    ['login', async (page) => {
+      try {
+        await portal.performLogin(page, creds);
+        return report('login', 'credentials', true, page.url());
+      } catch (err) {
+        return report('login', 'credentials', false, err.message);
+      }
+    }],
+    ['start page', async (page) => {
+      if (!await probe(page, 'start page', 'menuVerbraucher')) return false;
+      await portal.clickVerbraucher(page);
+      return true;
+    }],
+    ['consumer list', async (page) => {
+      let ok = true;
+      for (const key of ['tabContainer', 'consumerTable', 'curveBtn', 'curveBtnPrefix']) ok = await probe(page, 'consumer list', key) && ok;
+      if (ok) await portal.clickCurve(page, { index: 0, id: 'first row' });
+      return ok;
+    }],
+    ['curve tab', async (page) => {
+      let ok = true;
+      for (const key of ['yearDropdown', 'energyGrid', 'monthBtnPrefix']) ok = await probe(page, 'curve tab', key) && ok;
+      if (!ok) return false;
+      const years = await page.$$eval(`${selectors.yearDropdown} option`, opts => opts.map(o => o.value));
+      report('curve tab', 'year options', years.length > 0 && years.every(y => /^\d{4}$/.test(y)), years.join(', ') || 'none');
+      for (const key of OPTIONAL) await probeOptional(page, 'curve tab', key);
+
+      const grid = await page.evaluate((gridSel, btnPrefix) => {
+        const table = document.querySelector(gridSel);
+        return {
+          headers: Array.from(table.querySelectorAll('tr:first-child th')).map(th => th.innerText.trim()),
+          values: Array.from(table.querySelectorAll(`tr:nth-child(2) a[id^="${btnPrefix}"]`)).map(a => a.innerText.trim()),
+        };
+      }, selectors.energyGrid, selectors.monthBtnPrefix);
+      const months = checkMonthHeaders(grid.headers, grid.values.length, locale);
+      locale = months.locale;
+      ok = report('curve tab', 'month columns', months.ok,
+        `${months.months} headers (${grid.headers.join(' ')}), ${months.links} month links${months.unknown.length ? `; not a month: ${months.unknown.join(' | ')}` : ''}`,
+        months.ok ? null : 'set PORTAL_LOCALE to the portal language') && ok;
+      const source = portal.locale === 'auto' ? 'detected' : 'PORTAL_LOCALE';
+      report('curve tab', 'language', true, months.locale ? `${months.locale} (${source})` : 'not detected, headers read in either language');
+      ok = reportNumbers('curve tab', 'monthly number format', grid.values) && ok;
+      if (!ok) return false;
+      const month = await portal.clickMonth(page, await portal.scrapeMonthlyGrid(page));
+      return report('curve tab', 'month with data', month !== false, month ? month.label : 'none in the year shown');
+    }],
+    ['hourly table', async (page) => {
+      const found = await page.evaluate((chain) => {
+        const candidates = chain.map(sel => ({ selector: sel, id: document.querySelector(sel)?.id ?? null }));
+        const wide = Array.from(document.querySelectorAll('table')).find(t => t.querySelectorAll('tr:first-child th').length >= 24);
+        candidates.push({ selector: 'first table with 24+ header cells', id: wide ? wide.id || '(no id)' : null });
+        const index = candidates.findIndex(c => c.id !== null);
+        if (index === -1) return { candidates, index };
+        const table = index < chain.length ? document.querySelector(chain[index]) : wide;
+        const rows = Array.from(table.querySelectorAll('tr'));
+        const cells = rows.slice(1).map(r => Array.from(r.querySelectorAll('td')).map(td => td.innerText.trim())).filter(r => r.length);
+        return {
+          candidates,
+          index,
+          headers: Array.from(rows[0]?.querySelectorAll('th, td') ?? []).map(c => c.innerText.trim()),
+          dates: cells.map(r => r[0]),
+          values: cells.flatMap(r => r.slice(1)),
+        };
+      }, portal.hourlyTables);
+
+      // The scraper takes the first match; the ones before it are tried and missed
+      const tried = found.index === -1 ? found.candidates : found.candidates.slice(0, found.index + 1);
+      const chain = tried.map((c, i) => `${c.selector}: ${i === found.index ? `used (${c.id})` : 'no match'}`).join('; ');
+      if (!report('hourly table', 'fallback chain', found.index !== -1, chain)) return false;
+
+      const headers = checkHourlyHeaders(found.headers);
+      const shape = headers.minutes === null || headers.minutes === 60 ? `${headers.hours} hours`
+        : `${headers.columns} ${headers.minutes}-minute intervals (${headers.hours} hours)`;
+      report('hourly table', 'hour columns', headers.ok,
+        `${shape}${headers.aggregate ? ` + "${found.headers.at(-1)}"` : ''}${headers.bad.length ? `; unexpected: ${headers.bad.join(' | ')}` : ''}`);
+      const dates = checkDates(found.dates);
+      report('hourly table', 'date format', dates.ok, dates.bad.length ? `unreadable: ${dates.bad.join(' | ')}` : `${dates.count} days`);
+      return reportNumbers('hourly table', 'hourly number format', found.values);
+    }],
+  ];
+
+  const browser = await portal.launchBrowser();
+  try {
+    const page = await browser.newPage();
+    let reached = true;
+    for (const [name, run] of pages) {
+      if (!reached) {
+        report(name, '(page)', null, 'not reached');
+        continue;
+      }
+      try {
+        reached = await run(page);
+      } catch (err) {
+        reached = report(name, '(page)', false, err.message);
+      }
+    }
+    return checks;
+  } finally {
+    await browser.close();
+  }
+}
@@ -0,0 +1,132 @@
+/**
+ * File export of scraped data (used when running without, or alongside, --db).
+ *
+ * Every format carries the same flat record, in this column order:
+ *
+ *   type       "hourly" | "monthly"
+ *   consumer   POD code (or grid label) of the consumer
+ *   period     hourly: local date "YYYY-MM-DD"; monthly: "YYYY-MM"
+ *   hour       hourly: 0-based hour after local midnight (0-22/23/24 on DST days); monthly: empty
+ *   timestamp  hourly: start of the interval, ISO 8601 UTC; monthly: empty
+ *   kwh          the value, in `unit` (named for active energy, the only
+ *                measurement before there were others)
+ *   measurement  "active_energy" | "reactive_energy" | "peak_power" (src/measurements.js)
+ *   unit         "kWh" | "kvarh" | "kW"
+ *   interval_minutes  hourly: minutes the value covers (60, or 15 for quarter
+ *                hours, which share their hour); monthly: empty
+ *
+ * json   - one array of records
+ * ndjson - one record per line
+ * csv    - header row + one row per record, RFC 4180 quoting
+ */
+
+import { writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { expandDailyHourly, formatYearMonth } from './util.js';
+import { ACTIVE_ENERGY, MEASUREMENTS } from './measurements.js';
+
+export const FORMATS = ['json', 'ndjson', 'csv'];
+export const COLUMNS = ['type', 'consumer', 'period', 'hour', 'timestamp', 'kwh', 'measurement', 'unit', 'interval_minutes'];
+
+const pad2 = (n) => String(n).padStart(2, '0');
+
+/**
+ * Pick a format from the output path's extension; json when unknown or stdout.
+ */
+export function inferFormat(out) {
+  const ext = path.extname(out ?? '').toLowerCase();
+  if (ext === '.csv') return 'csv';
+  if (ext === '.ndjson' || ext === '.jsonl') return 'ndjson';
+  return 'json';
+}
+
+/**
+ * Build export records from scraped data.
+ * Overlapping input (e.g. a retried session) is de-duplicated per consumer
+ * and measurement on timestamp / month, last value wins. Output is sorted:
+ * hourly before monthly, then by consumer, measurement and time. Data without
+ * a `measurement` is active energy.
+ *
+ * @param {{ daily: Array<{consumer: string, measurement?: string, year: number|null, days: Array}>,
+ *           monthly: Array<{consumer: string, measurement?: string, year: number, months: Array<{month: number, kwh: number}>}> }} collected
+ */
+export function buildRecords({ daily = [], monthly = [] }) {
+  const hourly = new Map();
+  for (const dailyData of daily) {
+    const measurement = dailyData.measurement ?? ACTIVE_ENERGY;
+    for (const r of expandDailyHourly(dailyData).rows) {
+      hourly.set(`${dailyData.consumer}|${measurement}|${r.timestamp.getTime()}`, {
+        type: 'hourly',
+        consumer: dailyData.consumer,
+        period: `${r.date.year}-${pad2(r.date.month)}-${pad2(r.date.day)}`,
+        hour: r.hour,
+        timestamp: r.timestamp.toISOString(),
+        kwh: r.kwh,
+        measurement,
+        unit: MEASUREMENTS[measurement].unit,
+        interval_minutes: r.interval,
+      });
+    }
+  }
+
+  const months = new Map();
+  for (const { consumer, measurement = ACTIVE_ENERGY, year, months: values } of monthly) {
+    const unit = MEASUREMENTS[measurement].unit;
+    for (const { month, kwh } of values) {
+      const period = formatYearMonth({ year, month });
+      months.set(`${consumer}|${measurement}|${period}`,
+        { type: 'monthly', consumer, period, hour: null, timestamp: null, kwh, measurement, unit, interval_minutes: null });
+    }
+  }
+
+  const byConsumerThen = (key) => (a, b) =>
+    a.consumer.localeCompare(b.consumer) || a.measurement.localeCompare(b.measurement) || a[key].localeCompare(b[key]);
+  return [
+    ...[...hourly.values()].sort(byConsumerThen('timestamp')),
+    ...[...months.values()].sort(byConsumerThen('period')),
+  ];
+}
+
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const s = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * RFC 4180 CSV (CRLF line endings) with a header row of `columns`.
+ * Dates are written as ISO 8601 UTC, null/undefined as empty cells.
+ */
+export function toCsv(rows, columns) {
+  return [columns, ...rows.map(r => columns.map(c => r[c]))]
+    .map(row => row.map(csvField).join(',') + '\r\n')
+    .join('');
+}
+
+/** Serialize records in one of FORMATS. Output always ends with a newline. */
+export function serialize(records, format) {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(records, null, 2) + '\n';
+    case 'ndjson':
+      return records.map(r => JSON.stringify(r) + '\n').join('');
+    case 'csv':
+      return toCsv(records, COLUMNS);
+    default:
+      throw new Error(`Unknown export format: ${format}. Expected one of ${FORMATS.join(', ')}.`);
+  }
+}
+
+/**
+ * Write records to `out`, or to stdout when out is "-".
+ * Returns the number of records written.
+ */
+export async function writeExport(records, { out, format }) {
+  const body = serialize(records, format);
+  if (out === '-') {
+    await new Promise((resolve, reject) => process.stdout.write(body, err => (err ? reject(err) : resolve())));
+  } else {
+    await writeFile(out, body);
+  }
+  return records.length;
+}
@@ -2,11 +2,12 @@
  * Edyna portal automation:
  *  - Login
  *  - Click "Verbraucher" (longer / configurable wait)
- *  - Click first curve button (Stundenprofil)
- *  - Scrape monthly Wirkenergie (kWh) values shown in curve tab
- *  - Navigate to daily view for latest month with data
- *  - Scrape daily hourly kWh usage (per-hour breakdown per day)
- *  - Save to TimescaleDB database (--db flag)
+ *  - For every consumer (POD) in the Verbraucher grid:
+ *    - Click its curve button (Stundenprofil)
+ *    - Scrape monthly Wirkenergie (kWh) values shown in curve tab
+ *    - Navigate to daily view for latest month with data
+ *    - Scrape daily hourly kWh usage (per-hour breakdown per day)
+ *  - Save to the SINKS: PostgreSQL/TimescaleDB, SQLite and/or InfluxDB (--db flag)
  *
  * ENV: see src/config.js for full list
  *
@@ -17,16 +18,40 @@
  *   node src/index.js --month 3                        - Scrape specific month (1=Jan … 12=Dec)
  *   node src/index.js --year 2025 --month 3            - Scrape March 2025
  *   node src/index.js --db --year 2025 --month 3       - Above + save to database
+ *   node src/index.js --consumer IT001E12345678        - Only this consumer (repeatable)
+ *   node src/index.js --db --from 2024-01 --to 2025-12 - Backfill a month range in one session
+ *   node src/index.js --out data.csv                   - Also write hourly + monthly data to a file (- = stdout)
+ *   node src/index.js --gaps                           - Report missing hours per month (--from/--to optional)
+ *   node src/index.js --reconcile                      - Portal monthly totals vs hourly sums (--from/--to optional)
+ *   node src/index.js --costs [--daily]                - F1/F2/F3 cost per month (or day) from TARIFF_FILE; stores them too
+ *   node src/index.js --revisions                      - Hours the portal revised after they were stored, per day (--from/--to optional)
+ *   node src/index.js migrate status|up                - Show or apply database schema migrations
+ *   node src/index.js status [--limit 20]              - Recent runs (edyna_scrape_runs) and the newest stored hour
+ *   node src/index.js doctor                           - Log in and check the portal still has what the scraper expects
  */
 
+import { randomUUID } from 'node:crypto';
 import { parseArgs } from 'node:util';
 import path from 'node:path';
 import { pathToFileURL } from 'node:url';
 import puppeteer from 'puppeteer';
 import config from './config.js';
-import log from './logger.js';
+import log, { setLogStream } from './logger.js';
 import * as db from './db.js';
-import { normalizeNumber, isAggregateHeader } from './util.js';
+import { openSinks } from './sinks/index.js';
+import * as metrics from './metrics.js';
+import { FORMATS, inferFormat, buildRecords, writeExport } from './export.js';
+import { loadTariff, dailyCosts, monthlyCosts } from './tariff.js';
+import { validateDays } from './validate.js';
+import { latestReadings, publishReadings } from './mqtt.js';
+import { loadSession, saveSession, clearSession } from './session.js';
+import { runDoctor, formatDoctorReport } from './doctor.js';
+import { parseMonthName, detectLocale, decimalSeparator } from './locale.js';
+import { ACTIVE_ENERGY, aggregateValues } from './measurements.js';
+import {
+  normalizeNumber, parseDayDate, isAggregateHeader, detectInterval, parsePodCode, filterConsumers,
+  parseYearMonth, formatYearMonth, monthRange, addMonths, formatTable, runTotals, formatRunTarget,
+} from './util.js';
 
 /* ---------- Selectors ---------- */
 const SELECTORS = {
@@ -38,13 +63,95 @@ const SELECTORS = {
   tabContainer:   '#body_ctl00_ctl00_tcListUtenze',
   consumerTable:  '#body_ctl00_ctl00_tcListUtenze_TList_cUFListUtenze_gvUtenze',
   curveBtn:       '#body_ctl00_ctl00_tcListUtenze_TList_cUFListUtenze_gvUtenze_btnCurve_0',
+  // Per-row curve buttons are <curveBtnPrefix><rowIndex>
+  curveBtnPrefix: 'body_ctl00_ctl00_tcListUtenze_TList_cUFListUtenze_gvUtenze_btnCurve_',
   yearDropdown:   '#body_ctl00_ctl00_tcListUtenze_TCurve_cCurve_ddlAnno',
   energyGrid:     '#body_ctl00_ctl00_tcListUtenze_TCurve_cCurve_gvCurveAttiva',
   // Prefix for ID-attribute matching inside page.evaluate()
   monthBtnPrefix: 'body_ctl00_ctl00_tcListUtenze_TCurve_cCurve_gvCurveAttiva_btnCurve',
+  // Optional grids below the active energy one; not every meter has them
+  reactiveGrid:      '#body_ctl00_ctl00_tcListUtenze_TCurve_cCurve_gvCurveReattiva',
+  reactiveBtnPrefix: 'body_ctl00_ctl00_tcListUtenze_TCurve_cCurve_gvCurveReattiva_btnCurve',
+  powerGrid:         '#body_ctl00_ctl00_tcListUtenze_TCurve_cCurve_gvCurvePotenza',
+  powerBtnPrefix:    'body_ctl00_ctl00_tcListUtenze_TCurve_cCurve_gvCurvePotenza_btnCurve',
 };
 
+// The curve tab's grid per measurement (src/measurements.js)
+const GRIDS = {
+  active_energy:   { grid: SELECTORS.energyGrid,   btnPrefix: SELECTORS.monthBtnPrefix,    label: 'Active energy grid' },
+  reactive_energy: { grid: SELECTORS.reactiveGrid, btnPrefix: SELECTORS.reactiveBtnPrefix, label: 'Reactive energy grid' },
+  peak_power:      { grid: SELECTORS.powerGrid,    btnPrefix: SELECTORS.powerBtnPrefix,    label: 'Power grid' },
+};
+
+// Where scrapeDailyHourlyUsage looks for the hourly table, in order; the last
+// resort is the first table with at least 24 header cells
+const HOURLY_TABLES = ['table[id*="gvDettaglio"]', 'table[id*="Consumi"]', 'table[id*="Giornalier"]'];
+
 /* ---------- Utilities ---------- */
+/** The portal rejected the credentials (as opposed to being unreachable or slow). */
+export class LoginError extends Error {
+  name = 'LoginError';
+}
+
+/** A failure no retry can fix (e.g. the requested year isn't offered); neither steps nor sessions retry it. */
+export class PermanentError extends Error {
+  name = 'PermanentError';
+}
+
+/**
+ * An element the scraper relies on is missing from a page the portal served
+ * fine, even after a retry: its layout changed. Permanent, so nothing
+ * retries it further; `doctor` suggests replacement selectors.
+ */
+export class LayoutError extends PermanentError {
+  name = 'LayoutError';
+}
+
+/**
+ * An element (`what`, found by `selector`) that did not show up in time.
+ * Retryable: a failed partial postback leaves a page looking just like one
+ * whose layout changed. `layoutChanged` says it looked like the latter;
+ * when the element is still missing after a step retry or a new session,
+ * step() and main() turn it into a LayoutError (see asLayoutError()).
+ */
+class MissingElementError extends Error {
+  name = 'MissingElementError';
+
+  constructor(message, { selector, what, layoutChanged }) {
+    super(message);
+    Object.assign(this, { selector, what, layoutChanged });
+  }
+}
+
+/**
+ * The error for an element that did not show up in time. When the page
+ * loaded with a 2xx status, is not the login page (unless `loginPage`) and
+ * has gone quiet, the element may simply not be there: `layoutChanged`.
+ * Otherwise the portal is slow or failing.
+ */
+async function missingElement(page, selector, what, err, { loginPage = false } = {}) {
+  const layoutChanged = await (async () => {
+    if (!loginPage && page.url().includes('Login.tws')) return false;
+    if (await page.$(selector) !== null) return false;
+    const status = await page.evaluate(() => performance.getEntriesByType('navigation')[0]?.responseStatus ?? 0);
+    if (status < 200 || status >= 300) return false;
+    await page.waitForNetworkIdle({ idleTime: 500, timeout: 2000 });
+    return true;
+  })().catch(() => false);
+
+  return new MissingElementError(`${what} not found: ${err.message}`, { selector, what, layoutChanged });
+}
+
+/**
+ * `err` as a LayoutError when it is a MissingElementError that looked like a
+ * layout change and `seen` (a retry having run) says it did before; else `err`.
+ */
+function asLayoutError(err, seen) {
+  if (!(err instanceof MissingElementError) || !err.layoutChanged || !seen) return err;
+  return new LayoutError(`${err.what} (${err.selector}) is missing from the page; the portal layout may have changed. `
+    + 'Run "node src/index.js doctor" for replacement selectors.');
+}
+
 function sleep(ms) {
   return new Promise(res => setTimeout(res, ms));
 }
@@ -56,9 +163,11 @@ async function withRetry(fn, { maxAttempts = 3, baseDelay = 10000, label = 'oper
       return await fn();
     } catch (err) {
       lastErr = err;
+      if (err instanceof PermanentError) break;
       if (attempt < maxAttempts) {
         const wait = baseDelay * attempt;
         log.warn({ attempt, maxAttempts, waitMs: wait }, `[${label}] failed, retrying: ${err.message}`);
+        metrics.retries.inc({ label });
         await sleep(wait);
       }
     }
@@ -66,6 +175,33 @@ async function withRetry(fn, { maxAttempts = 3, baseDelay = 10000, label = 'oper
   throw lastErr;
 }
 
+/**
+ * Run one portal step with its own retry budget (STEP_RETRIES attempts).
+ * Before a retry, `recover` brings the page back to where the step starts
+ * (see checkpoints()); without it the step is simply run again. A failing
+ * recovery, rejected credentials and PermanentErrors go straight to the
+ * session retry in main(); so does an element missing again on a retry, as
+ * a LayoutError. Every attempt's wall time goes to /metrics, failures
+ * included, so timeouts show up.
+ */
+async function step(name, fn, { recover = null } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    const done = metrics.stepDuration.startTimer({ step: name });
+    try {
+      return await fn();
+    } catch (thrown) {
+      const err = asLayoutError(thrown, attempt > 1);
+      if (attempt >= config.STEP_RETRIES || err instanceof LoginError || err instanceof PermanentError) throw err;
+      log.warn({ attempt, maxAttempts: config.STEP_RETRIES }, `[${name}] Step failed, retrying: ${err.message}`);
+      metrics.retries.inc({ label: `step:${name}` });
+    } finally {
+      done();
+    }
+    await sleep(config.STEP_RETRY_DELAY_MS);
+    if (recover) await recover();
+  }
+}
+
 async function saveScreenshot(page, name) {
   if (!config.DEBUG_SHOTS) return;
   try {
@@ -89,7 +225,7 @@ async function launchBrowser() {
 /* ---------- Generic idle wait ---------- */
 // WebForms partial postbacks don't always navigate, so a bounded network-idle
 // wait is the best available "page settled" signal.
-async function settle(page, { timeout = 20000 } = {}) {
+async function settle(page, { timeout = config.STEP_TIMEOUT_LOGIN_MS } = {}) {
   try {
     await page.waitForNetworkIdle({ idleTime: 750, timeout });
   } catch {
@@ -103,13 +239,21 @@ async function performLogin(page, { loginUrl, username, password }) {
   await page.goto(loginUrl, { waitUntil: 'domcontentloaded' });
 
   log.info('[login] Filling credentials');
-  await page.locator(SELECTORS.loginUser).setTimeout(5000).fill(username);
-  await page.locator(SELECTORS.loginPassword).setTimeout(5000).fill(password);
+  const timeout = config.STEP_TIMEOUT_LOGIN_MS;
+  const locate = (selector, what) => {
+    const fail = async (err) => { throw await missingElement(page, selector, what, err, { loginPage: true }); };
+    return {
+      fill: (value) => page.locator(selector).setTimeout(timeout).fill(value).catch(fail),
+      click: () => page.locator(selector).setTimeout(timeout).click().catch(fail),
+    };
+  };
+  await locate(SELECTORS.loginUser, 'Username field').fill(username);
+  await locate(SELECTORS.loginPassword, 'Password field').fill(password);
 
   log.info('[login] Submitting');
   const beforeUrl = page.url();
-  await page.locator(SELECTORS.loginBtn).setTimeout(5000).click();
-  await settle(page, { timeout: 20000 });
+  await locate(SELECTORS.loginBtn, 'Login button').click();
+  await settle(page, { timeout });
 
   const afterUrl = page.url();
   const loginPanelExists = await page.$(SELECTORS.loginPanel) !== null;
@@ -117,17 +261,60 @@ async function performLogin(page, { loginUrl, username, password }) {
 
   if (!success) {
     await saveScreenshot(page, 'login_failure.png');
-    throw new Error('Login not confirmed as successful.');
+    throw new LoginError('Login not confirmed as successful.');
   }
   log.info({ afterUrl }, '[login] Login successful');
 }
 
+/* ---------- Session reuse ---------- */
+/**
+ * Log in, or reuse the session saved in SESSION_FILE while the portal still
+ * accepts it: an expired session redirects to Login.tws and shows the login
+ * panel, and only then is the form filled in. Returns the page reached after
+ * login, which persistSession() stores for the next validation.
+ */
+async function login(browser, page, creds) {
+  const file = config.SESSION_FILE;
+  const saved = file ? await loadSession(file) : null;
+  if (saved) {
+    await browser.setCookie(...saved.cookies);
+    await page.goto(saved.url, { waitUntil: 'domcontentloaded' });
+    await settle(page, { timeout: config.STEP_TIMEOUT_LOGIN_MS });
+    const expired = page.url().includes('Login.tws') || await page.$(SELECTORS.loginPanel) !== null;
+    if (!expired) {
+      log.info({ file }, '[session] Reusing saved session');
+      metrics.logins.inc({ method: 'session' });
+      return saved.url;
+    }
+    log.info({ file }, '[session] Saved session expired, logging in');
+    await clearSession(file);
+  }
+
+  await performLogin(page, creds);
+  metrics.logins.inc({ method: 'form' });
+  const url = page.url();
+  await persistSession(browser, url);
+  return url;
+}
+
+// Best effort: not being able to save the session only costs a login next time.
+async function persistSession(browser, url) {
+  if (!config.SESSION_FILE) return;
+  try {
+    await saveSession(config.SESSION_FILE, { url, cookies: await browser.cookies() });
+  } catch (err) {
+    log.warn({ err, file: config.SESSION_FILE }, '[session] Could not save session');
+  }
+}
+
 /* ---------- Click Verbraucher ---------- */
 async function clickVerbraucher(page) {
   log.info('[verbraucher] Clicking menu item');
   const beforeUrl = page.url();
-  await page.locator(SELECTORS.menuVerbraucher).setTimeout(25000).click();
-  await settle(page, { timeout: 30000 });
+  await page.locator(SELECTORS.menuVerbraucher).setTimeout(config.STEP_TIMEOUT_VERBRAUCHER_MS).click().catch(async (err) => {
+    throw await missingElement(page, SELECTORS.menuVerbraucher, 'Verbraucher menu item', err);
+  });
+  await settle(page, { timeout: config.STEP_TIMEOUT_VERBRAUCHER_MS });
 
   const tabExists   = await page.$(SELECTORS.tabContainer)   !== null;
   const tableExists = await page.$(SELECTORS.consumerTable)  !== null;
@@ -138,23 +325,57 @@ async function clickVerbraucher(page) {
   }
 }
 
-/* ---------- Click first curve button ---------- */
-async function clickFirstCurve(page) {
-  log.info('[curve] Waiting for curve button');
+/* ---------- List consumers ---------- */
+/**
+ * Enumerate the rows of the consumer grid that have a curve button.
+ * Returns [{ index, id, label }] where id is the POD code when one is shown
+ * (falling back to the first cell's text) and label is the row's full text.
+ */
+async function listConsumers(page) {
+  log.info('[consumers] Waiting for consumer grid');
+  // The first row's button is the slowest thing on the page to appear.
+  await page.waitForSelector(SELECTORS.curveBtn, { timeout: config.STEP_TIMEOUT_CONSUMERS_MS }).catch(async (err) => {
+    await saveScreenshot(page, 'curve_button_failure.png');
+    throw await missingElement(page, SELECTORS.curveBtn, 'Curve button (btnCurve_0)', err);
+  });
+
+  const rows = await page.evaluate((tableSel, btnPrefix) => {
+    const table = document.querySelector(tableSel);
+    if (!table) return [];
+    return Array.from(table.querySelectorAll(`[id^="${btnPrefix}"]`)).map(btn => {
+      const row = btn.closest('tr');
+      const cells = row ? Array.from(row.querySelectorAll('td')).map(td => td.innerText.trim()).filter(Boolean) : [];
+      return { index: Number(btn.id.slice(btnPrefix.length)), cells };
+    }).filter(r => Number.isInteger(r.index));
+  }, SELECTORS.consumerTable, SELECTORS.curveBtnPrefix);
+
+  const consumers = rows.map(({ index, cells }) => ({
+    index,
+    id: parsePodCode(cells.join(' ')) ?? cells[0] ?? `#${index}`,
+    label: cells.join(' | '),
+  }));
+  log.info({ consumers }, '[consumers] Found consumers');
+  return consumers;
+}
+
+/* ---------- Click a consumer's curve button ---------- */
+async function clickCurve(page, consumer) {
+  log.info({ consumer: consumer.id }, '[curve] Clicking curve button');
+  const selector = `#${SELECTORS.curveBtnPrefix}${consumer.index}`;
   try {
-    await page.locator(SELECTORS.curveBtn).setTimeout(360000).click();
+    await page.locator(selector).setTimeout(config.STEP_TIMEOUT_CURVE_MS).click();
   } catch (err) {
     await saveScreenshot(page, 'curve_button_failure.png');
-    throw new Error(`Curve button (btnCurve_0) not clickable: ${err.message}`);
+    throw await missingElement(page, selector, `Curve button (btnCurve_${consumer.index})`, err);
   }
-  await settle(page, { timeout: 360000 });
+  await settle(page, { timeout: config.STEP_TIMEOUT_CURVE_MS });
 }
 
 /* ---------- Select year ---------- */
 async function selectYear(page, year) {
   log.info('[year] Waiting for year dropdown');
-  await page.waitForSelector(SELECTORS.yearDropdown, { timeout: 60000 }).catch(() => {
-    throw new Error('Year dropdown (ddlAnno) not found.');
+  await page.waitForSelector(SELECTORS.yearDropdown, { timeout: config.STEP_TIMEOUT_YEAR_MS }).catch(async (err) => {
+    throw await missingElement(page, SELECTORS.yearDropdown, 'Year dropdown (ddlAnno)', err);
   });
 
   const available = await page.evaluate((sel) => {
@@ -163,25 +384,37 @@ async function selectYear(page, year) {
   }, SELECTORS.yearDropdown);
 
   if (!available.includes(String(year))) {
-    throw new Error(`Year ${year} not available. Available: ${available.join(', ')}`);
+    throw new PermanentError(`Year ${year} not available. Available: ${available.join(', ')}`);
   }
 
   log.info({ year }, '[year] Selecting year');
   await page.select(SELECTORS.yearDropdown, String(year));
-  await settle(page, { timeout: 60000 });
+  await settle(page, { timeout: config.STEP_TIMEOUT_YEAR_MS });
   log.info({ year }, '[year] Year selected');
 }
 
-/* ---------- Scrape monthly active energy ---------- */
-async function scrapeMonthlyActiveEnergy(page) {
-  log.info('[scrape] Waiting for energy grid');
-  await page.waitForSelector(SELECTORS.energyGrid, { timeout: 360000 }).catch(() => {
-    throw new Error('Active energy grid not found after extended wait.');
-  });
+/* ---------- Scrape the monthly grids ---------- */
+/**
+ * Returns { measurement, year, locale, months: [{ month (1-12), label, index, raw, kwh }] }:
+ * the year shown, the portal language (null when undetected) and one entry
+ * per month column, `kwh` being the value in the measurement's unit. The
+ * active energy grid is waited for; the others are optional and give null
+ * when the page doesn't have them.
+ */
+async function scrapeMonthlyGrid(page, measurement = ACTIVE_ENERGY) {
+  const { grid, btnPrefix, label } = GRIDS[measurement];
+  if (measurement === ACTIVE_ENERGY) {
+    log.info('[scrape] Waiting for energy grid');
+    await page.waitForSelector(grid, { timeout: config.STEP_TIMEOUT_MONTHLY_MS }).catch(async (err) => {
+      throw await missingElement(page, grid, label, err);
+    });
+  } else if (await page.$(grid) === null) {
+    return null;
+  }
 
-  const data = await page.evaluate((gridSel, btnPrefix) => {
+  const data = await page.evaluate((gridSel, btnPrefix, yearSel) => {
     const grid = document.querySelector(gridSel);
-    if (!grid) return { months: [], values: [], map: {} };
+    if (!grid) return { months: [], values: [], year: null };
 
     const monthNames = Array.from(grid.querySelectorAll('tr:first-child th'))
       .map(th => th.innerText.trim());
@@ -191,55 +424,81 @@ async function scrapeMonthlyActiveEnergy(page) {
     );
 
     const rawValues = anchorNodes.map(a => a.innerText.replace(/\s*<i.*$/i, '').trim());
-    const map = {};
-    monthNames.forEach((m, i) => { map[m] = rawValues[i] || ''; });
 
-    return { months: monthNames, values: rawValues, map };
-  }, SELECTORS.energyGrid, SELECTORS.monthBtnPrefix);
+    const year = document.querySelector(yearSel)?.value || null;
+
+    return { months: monthNames, values: rawValues, year };
+  }, grid, btnPrefix, SELECTORS.yearDropdown);
+
+  const locale = config.PORTAL_LOCALE === 'auto' ? detectLocale(data.months) : config.PORTAL_LOCALE;
+  const months = monthColumns(data.months, locale).map(m => {
+    const raw = data.values[m.index] ?? '';
+    return { ...m, raw, kwh: normalizeNumber(raw, { decimal: decimalOf(locale) }) };
+  });
+  return { measurement, year: data.year ? Number(data.year) : null, locale, months };
+}
 
-  const parsed = {};
-  for (const [month, raw] of Object.entries(data.map)) {
-    parsed[month] = normalizeNumber(raw);
+/**
+ * The active energy grid (scrapeMonthlyGrid) with the grids of the other
+ * configured MEASUREMENTS under `others` ({ [measurement]: grid }); grids the
+ * portal doesn't show are left out.
+ */
+async function scrapeMonthlyCurves(page) {
+  const monthlyData = await scrapeMonthlyGrid(page, ACTIVE_ENERGY);
+  const others = {};
+  for (const measurement of config.MEASUREMENTS.filter(m => m !== ACTIVE_ENERGY)) {
+    const grid = await scrapeMonthlyGrid(page, measurement);
+    if (grid) others[measurement] = grid;
+    else log.info({ measurement }, '[scrape] Grid not shown, skipping');
   }
+  return { ...monthlyData, others };
+}
 
-  return { raw: data.map, parsed, months: data.months };
+/**
+ * Map the monthly grid's headers to months: [{ month (1-12), label, index }],
+ * index being the column (and month link) position. Headers are read in
+ * `locale` (null = either language); an aggregate column is skipped. When a
+ * header is unknown or repeated, columns are taken to run January..December.
+ */
+function monthColumns(headers, locale) {
+  const columns = headers
+    .map((label, index) => ({ month: parseMonthName(label, locale), label, index }))
+    .filter(c => !isAggregateHeader(c.label));
+  const months = columns.map(c => c.month);
+  if (!months.includes(null) && new Set(months).size === months.length) return columns;
+  log.warn({ headers, locale }, '[scrape] Month headers not recognised, taking columns as January..December');
+  return columns.slice(0, 12).map((c, i) => ({ ...c, month: i + 1 }));
 }
 
+const decimalOf = (locale) => decimalSeparator(locale, config.PORTAL_DECIMAL);
+
 /* ---------- Find latest non-null month and click ---------- */
 /**
+ * Returns the clicked entry of monthsData.months, or false.
  * @param {object} page
- * @param {object} monthsData    - { months, parsed }
- * @param {number|null} targetMonthIndex - 0-based; null = auto-select latest non-null
+ * @param {object} monthsData    - scrapeMonthlyGrid() result; its measurement picks the grid
+ * @param {number|null} targetMonth - 1-12; null = auto-select latest non-null
  */
-async function findLatestNonNullMonthAndClick(page, monthsData, targetMonthIndex = null) {
-  let lastNonNullMonth = null;
-  let lastNonNullIndex = -1;
+async function findLatestNonNullMonthAndClick(page, monthsData, targetMonth = null) {
+  let target;
 
-  if (targetMonthIndex !== null) {
-    if (targetMonthIndex < 0 || targetMonthIndex >= monthsData.months.length) {
-      log.warn({ targetMonthIndex }, '[daily] Requested month index out of range');
+  if (targetMonth !== null) {
+    target = monthsData.months.find(m => m.month === targetMonth);
+    if (!target) {
+      log.warn({ targetMonth, headers: monthsData.months.map(m => m.label) }, '[daily] Requested month not in the monthly grid');
       return false;
     }
-    lastNonNullIndex = targetMonthIndex;
-    lastNonNullMonth = monthsData.months[targetMonthIndex];
-    log.info({ month: lastNonNullMonth, index: lastNonNullIndex }, '[daily] Using requested month');
+    log.info({ month: target.label, index: target.index }, '[daily] Using requested month');
   } else {
-    for (let i = monthsData.months.length - 1; i >= 0; i--) {
-      const monthName = monthsData.months[i];
-      if (monthsData.parsed[monthName] != null) {
-        lastNonNullMonth = monthName;
-        lastNonNullIndex = i;
-        break;
-      }
-    }
+    target = monthsData.months.findLast(m => m.kwh != null);
   }
 
-  if (lastNonNullMonth === null) {
+  if (!target) {
     log.info('[daily] No non-null month found, skipping daily view');
     return false;
   }
 
-  log.info({ month: lastNonNullMonth, index: lastNonNullIndex }, '[daily] Target month');
+  log.info({ month: target.label, index: target.index }, '[daily] Target month');
 
   const clicked = await page.evaluate((gridSel, btnPrefix, index) => {
     const grid = document.querySelector(gridSel);
@@ -248,32 +507,39 @@ async function findLatestNonNullMonthAndClick(page, monthsData, targetMonthIndex
     if (index < 0 || index >= anchors.length) return false;
     anchors[index].click();
     return true;
-  }, SELECTORS.energyGrid, SELECTORS.monthBtnPrefix, lastNonNullIndex);
+  }, GRIDS[monthsData.measurement].grid, GRIDS[monthsData.measurement].btnPrefix, target.index);
 
   if (!clicked) {
     log.warn('[daily] Failed to click monthly view link');
     return false;
   }
 
-  log.info({ month: lastNonNullMonth }, '[daily] Navigating to monthly view');
-  await settle(page, { timeout: 360000 });
+  log.info({ month: target.label }, '[daily] Navigating to monthly view');
+  await settle(page, { timeout: config.STEP_TIMEOUT_DAILY_MS });
 
-  return lastNonNullMonth;
+  return target;
 }
 
 /* ---------- Scrape daily hourly usage ---------- */
 /**
- * Returns { year, month, days: [{ date, hourly: Array<number|null>, total_kwh }] }.
- * `hourly` keeps every value column the portal shows (23/24/25 on DST days);
- * index h = h-th hour after local midnight.
+ * Returns { measurement, year, month (1-12), interval, days: [{ date, hourly: Array<number|null>, total_kwh, portal_total_kwh }] }.
+ * `interval` is the minutes per value column (60, or 15 for quarter-hour
+ * load profiles; see detectInterval). `hourly` keeps every value column the
+ * portal shows (23/24/25 hours or 92/96/100 quarter hours on DST days);
+ * index i = i-th interval after local midnight. `total_kwh` is the day's
+ * sum, or maximum for power; `portal_total_kwh` is the grid's own (null
+ * without one), for validateDays() to cross-check. Numbers are read in
+ * `locale`, the language detected from the monthly grid (see decimalOf).
  */
-async function scrapeDailyHourlyUsage(page, { monthName = null, expectedYear = null } = {}) {
-  log.info('[daily] Parsing daily hourly data');
-
-  const data = await page.evaluate(() => {
-    let table = document.querySelector('table[id*="gvDettaglio"]');
-    if (!table) table = document.querySelector('table[id*="Consumi"]');
-    if (!table) table = document.querySelector('table[id*="Giornalier"]');
+async function scrapeDailyHourlyUsage(page, { measurement = ACTIVE_ENERGY, month = null, expectedYear = null, locale = null } = {}) {
+  log.info({ measurement }, '[daily] Parsing daily hourly data');
+
+  const data = await page.evaluate((chain) => {
+    let table = null;
+    for (const sel of chain) {
+      table = document.querySelector(sel);
+      if (table) break;
+    }
     if (!table) {
       for (const t of document.querySelectorAll('table')) {
         const headers = t.querySelectorAll('tr:first-child th');
@@ -298,38 +564,42 @@ async function scrapeDailyHourlyUsage(page, { monthName = null, expectedYear = n
     }
 
     return { headers, days, tableId: table.id };
-  });
+  }, HOURLY_TABLES);
 
   if (data.error) {
     log.warn({ error: data.error }, '[daily] Could not find hourly table');
     return null;
   }
 
-  log.info({ tableId: data.tableId, columns: data.headers.length, days: data.days.length }, '[daily] Found hourly table');
-
   // The grid's last column is an aggregate ("Summe"), not a 25th hour —
   // keeping it would map the day total onto the next day's 00:00 timestamp.
   const dropTrailingTotal = isAggregateHeader(data.headers.at(-1));
 
-  let year = expectedYear ?? new Date().getFullYear();
-  if (data.days.length > 0) {
-    const yearMatch = data.days[0].dateCell.match(/\d{4}/);
-    if (yearMatch) year = parseInt(yearMatch[0], 10);
+  const valueHeaders = data.headers.slice(1, dropTrailingTotal ? -1 : undefined);
+  let interval = detectInterval(valueHeaders);
+  if (interval === null) {
+    log.warn({ columns: valueHeaders.length, headers: valueHeaders.slice(0, 4) }, '[daily] Interval length not recognised, taking columns as hours');
+    interval = 60;
   }
+  log.info({ tableId: data.tableId, columns: data.headers.length, interval, days: data.days.length }, '[daily] Found hourly table');
 
-  const result = { year, month: monthName, days: [] };
+  const year = (data.days.length > 0 ? parseDayDate(data.days[0].dateCell)?.year : null)
+    ?? expectedYear ?? new Date().getFullYear();
+
+  const result = { measurement, year, month, interval, days: [] };
+  const number = (raw) => normalizeNumber(raw, { decimal: decimalOf(locale) });
 
   for (const dayData of data.days) {
     const values = dropTrailingTotal ? dayData.hourlyValues.slice(0, -1) : dayData.hourlyValues;
-    const hourly = values.map(normalizeNumber);
-    const valid = hourly.filter(v => v !== null);
-    if (valid.length === 0) continue;
+    const hourly = values.map(number);
+    const total = aggregateValues(measurement, hourly);
+    if (total === null) continue;
 
-    const totalKwh = valid.reduce((sum, v) => sum + v, 0);
     result.days.push({
       date: dayData.dateCell,
       hourly,
-      total_kwh: parseFloat(totalKwh.toFixed(3)),
+      total_kwh: parseFloat(total.toFixed(3)),
+      portal_total_kwh: dropTrailingTotal ? number(dayData.hourlyValues.at(-1)) : null,
     });
   }
 
@@ -338,40 +608,294 @@ async function scrapeDailyHourlyUsage(page, { monthName = null, expectedYear = n
   return result;
 }
 
-/* ---------- Scrape session (what gets retried) ---------- */
-async function scrapeSession({ loginUrl, username, password, dbMode, targetYear, targetMonthIndex }) {
+/* ---------- Checkpoints ---------- */
+/**
+ * The pages steps start from, and how to get back to each on the open page
+ * when a step fails midway: `home` (the page reached after login, logging
+ * in again if the portal dropped the session), `list` (the consumer grid)
+ * and `curve(consumer, year)` (a consumer's curve tab, switched to `year`
+ * unless null). Recovery has no retries of its own; when it fails, the
+ * session retry takes over.
+ */
+function checkpoints(browser, page, creds, homeUrl) {
+  const nav = {
+    page,
+    homeUrl,
+    async home() {
+      log.info('[checkpoint] Returning to the start page');
+      await page.goto(nav.homeUrl, { waitUntil: 'domcontentloaded' });
+      await settle(page, { timeout: config.STEP_TIMEOUT_LOGIN_MS });
+      if (page.url().includes('Login.tws') || await page.$(SELECTORS.loginPanel) !== null) {
+        log.info('[checkpoint] Portal session lost, logging in again');
+        nav.homeUrl = await login(browser, page, creds);
+      }
+    },
+    async list() {
+      await nav.home();
+      await clickVerbraucher(page);
+    },
+    async curve(consumer, year = null) {
+      await nav.list();
+      await clickCurve(page, consumer);
+      if (year !== null) await selectYear(page, year);
+    },
+  };
+  return nav;
+}
+
+/**
+ * Go back from a month's hourly table to the curve tab it was opened from,
+ * at the year that tab showed: one history step instead of the walk from
+ * the start page. Throws when history leads elsewhere; the caller's step
+ * then recovers by reopening the tab.
+ */
+async function backToCurve(page) {
+  log.info('[daily] Going back to the curve tab');
+  const timeout = config.STEP_TIMEOUT_MONTHLY_MS;
+  const response = await page.goBack({ waitUntil: 'domcontentloaded', timeout });
+  const onCurve = await page.waitForSelector(SELECTORS.energyGrid, { timeout }).then(() => true, () => false);
+  if (!onCurve) throw new Error(`Going back did not return to the curve tab (${response ? page.url() : 'no history'})`);
+}
+
+/* ---------- Open a consumer's curve tab ---------- */
+/** Click the consumer's curve button and (optionally) switch year; returns the monthly grids (scrapeMonthlyCurves). */
+async function openCurve(nav, consumer, year) {
+  const { page } = nav;
+  await step('curve', () => clickCurve(page, consumer), { recover: nav.list });
+
+  let monthlyData = await step('monthly', () => scrapeMonthlyCurves(page), { recover: () => nav.curve(consumer) });
+
+  if (year !== null) {
+    await step('year', () => selectYear(page, year), { recover: () => nav.curve(consumer) });
+    monthlyData = await step('monthly', () => scrapeMonthlyCurves(page), { recover: () => nav.curve(consumer, year) });
+  }
+
+  log.info({ consumer: consumer.id, locale: monthlyData.locale, months: Object.fromEntries(monthlyData.months.map(m => [m.month, m.kwh])),
+    measurements: [ACTIVE_ENERGY, ...Object.keys(monthlyData.others)] }, '[main] Monthly Wirkenergie');
+  return monthlyData;
+}
+
+/* ---------- Persist monthly totals ---------- */
+/**
+ * Save the monthly grids' totals for the year they show (db mode) and/or
+ * collect them for file export, one set per measurement. Months come from
+ * the grid's headers (see monthColumns).
+ */
+async function recordMonthly(consumer, monthlyData, { store, collected }) {
+  if (!store && !collected) return;
+  if (monthlyData.year === null) {
+    log.warn({ consumer: consumer.id }, '[monthly] Shown year unknown, not recording monthly totals');
+    return;
+  }
+  for (const grid of [monthlyData, ...Object.values(monthlyData.others ?? {})]) {
+    const months = grid.months
+      .filter(m => m.kwh !== null)
+      .map(m => ({ month: m.month, kwh: m.kwh }));
+    const totals = { consumer: consumer.id, measurement: grid.measurement, year: monthlyData.year, months };
+    collected?.monthly.push(totals);
+    if (store) await store.saveMonthly(totals);
+  }
+}
+
+/* ---------- Reconcile monthly totals against hourly sums ---------- */
+async function reconcile(consumers, from, to) {
+  const rows = await db.reconcileMonthly({ consumers, from, to });
+  for (const r of rows.filter(r => r.flagged)) {
+    log.warn({ consumer: r.consumer, month: r.month, portalKwh: r.portalKwh, hourlyKwh: r.hourlyKwh, diff: r.diff, hours: r.hours },
+      '[reconcile] Portal monthly total does not match hourly sum');
+  }
+  log.info({ checked: rows.length, flagged: rows.filter(r => r.flagged).length }, '[reconcile] Done');
+  return rows;
+}
+
+/* ---------- Hours stored before 0.4 ---------- */
+/**
+ * Hours stored before 0.4 have consumer = '' (migration 001). They came from
+ * the first row of the consumer grid, so on an account with one consumer
+ * they are assigned to it; with more, the run stops until they are assigned
+ * by hand, since the grid's order may have changed since.
+ */
+async function claimUnassignedHours(found) {
+  const unassigned = await db.countUnassignedHours();
+  if (unassigned === 0) return;
+  if (found.length !== 1) {
+    throw new PermanentError(`edyna_hourly holds ${unassigned} values from before 0.4 without a consumer, and the account `
+      + `has ${found.length} consumers (${found.map(c => c.id).join(', ')}). They came from the first row of the consumer grid `
+      + `back then; assign them with UPDATE edyna_hourly SET consumer = '<POD>' WHERE consumer = '' and run again.`);
+  }
+  await db.claimUnassignedHours(found[0].id);
+}
+
+/* ---------- Scrape (and save) one month's hourly data ---------- */
+/**
+ * Validate a scraped month and save it in db mode; days failing validation
+ * are quarantined (db mode) and left out of both the database and the
+ * export. Returns { quarantinedCount, insertedCount, updatedCount,
+ * unchangedCount }, the row counts null outside db mode.
+ */
+async function recordDays(consumer, dailyData, { store, collected, runId }) {
+  const counts = { quarantinedCount: 0, insertedCount: null, updatedCount: null, unchangedCount: null };
+  const { measurement } = dailyData;
+  const { valid, quarantined } = validateDays(dailyData, {
+    maxHourlyKwh: config.VALIDATE_MAX_HOURLY_KWH,
+    totalToleranceKwh: config.VALIDATE_TOTAL_TOLERANCE_KWH,
+  });
+  for (const q of quarantined) {
+    log.warn({ consumer: consumer.id, measurement, date: q.date, reasons: q.reasons }, '[validate] Day failed validation, quarantining');
+  }
+  metrics.quarantinedDays.inc({ consumer: consumer.id }, quarantined.length);
+  counts.quarantinedCount = quarantined.length;
+
+  const checked = { ...dailyData, consumer: consumer.id, days: valid };
+  log.info({ consumer: consumer.id, measurement, days: dailyData.days.length, quarantined: quarantined.length },
+    '[main] Daily hourly data scraped');
+  collected?.daily.push(checked);
+  if (store) {
+    log.info({ consumer: consumer.id, measurement, sinks: store.names }, '[main] Saving to database');
+    Object.assign(counts, await store.saveHourly(checked, { runId }));
+    if (quarantined.length > 0) await store.saveQuarantine(consumer.id, quarantined, { runId, measurement, interval: dailyData.interval ?? 60 });
+  }
+  return counts;
+}
+
+/**
+ * Click a month in the monthly grid, scrape and validate its hourly table
+ * and record it (recordDays); then the same month of every other grid in
+ * `monthlyData.others` that has a value for it. Returns a summary
+ * { consumer, year, month (1-12), days, quarantinedCount, insertedCount,
+ * updatedCount, unchangedCount }, or null when no month could be opened.
+ * `days` counts active energy days, the other counts cover all measurements.
+ * Row counts are null outside db mode.
+ */
+async function scrapeMonth(nav, consumer, monthlyData, { store, collected, runId, targetYear, targetMonth }) {
+  const { page } = nav;
+  // The month link leaves the curve tab; a retry reopens it at the year shown and clicks again
+  const reopen = () => nav.curve(consumer, targetYear ?? monthlyData.year);
+  const opened = await step('daily', async () => {
+    const target = await findLatestNonNullMonthAndClick(page, monthlyData, targetMonth);
+    return target ? {
+      month: target.month,
+      dailyData: await scrapeDailyHourlyUsage(page, { month: target.month, expectedYear: targetYear, locale: monthlyData.locale }),
+    } : null;
+  }, { recover: reopen });
+  if (!opened) return null;
+
+  const { month, dailyData } = opened;
+  const summary = {
+    consumer: consumer.id,
+    year: dailyData?.year ?? targetYear,
+    month,
+    days: dailyData?.days.length ?? 0,
+    quarantinedCount: 0,
+    insertedCount: null,
+    updatedCount: null,
+    unchangedCount: null,
+  };
+
+  if (dailyData && dailyData.days.length > 0) {
+    Object.assign(summary, await recordDays(consumer, dailyData, { store, collected, runId }));
+  } else {
+    log.warn({ consumer: consumer.id }, '[main] No daily hourly data found');
+  }
+
+  for (const [measurement, grid] of Object.entries(monthlyData.others ?? {})) {
+    if (grid.months.find(m => m.month === month)?.kwh == null) continue;
+    const other = await step('daily', async () => {
+      // On the previous grid's hourly table, unless a retry has reopened the curve tab
+      if (await page.$(SELECTORS.energyGrid) === null) await backToCurve(page);
+      const shown = await scrapeMonthlyGrid(page, measurement);
+      const target = shown && await findLatestNonNullMonthAndClick(page, shown, month);
+      return target
+        ? scrapeDailyHourlyUsage(page, { measurement, month, expectedYear: targetYear, locale: monthlyData.locale })
+        : null;
+    }, { recover: reopen });
+    if (!other || other.days.length === 0) {
+      log.warn({ consumer: consumer.id, measurement }, '[main] No daily hourly data found');
+      continue;
+    }
+    const counts = await recordDays(consumer, other, { store, collected, runId });
+    for (const [key, n] of Object.entries(counts)) summary[key] = n === null ? summary[key] : (summary[key] ?? 0) + n;
+  }
+  return summary;
+}
+
+/* ---------- Backfill a month range for one consumer ---------- */
+/**
+ * Walk `months` ([{ year, month }], ascending) on an already logged-in page
+ * (`nav` from checkpoints()). Finished months are recorded in `progress` (key "consumer|YYYY-MM" ->
+ * summary) so a retried session resumes at the month that failed.
+ */
+async function backfillConsumer(nav, consumer, months, { store, collected, runId, progress }) {
+  const { page } = nav;
+  const keyOf = (ym) => `${consumer.id}|${formatYearMonth(ym)}`;
+  const pending = months.filter(ym => !progress.has(keyOf(ym)));
+  if (pending.length === 0) return;
+
+  let shownYear = pending[0].year;
+  let monthlyData = await openCurve(nav, consumer, shownYear);
+  await recordMonthly(consumer, monthlyData, { store, collected });
+
+  for (const ym of pending) {
+    if (await page.$(SELECTORS.energyGrid) === null) {
+      // The daily view replaced the curve tab; walk back to it.
+      await step('verbraucher', () => clickVerbraucher(page), { recover: nav.home });
+      monthlyData = await openCurve(nav, consumer, ym.year);
+    } else if (ym.year !== shownYear) {
+      await step('year', () => selectYear(page, ym.year), { recover: () => nav.curve(consumer) });
+      monthlyData = await step('monthly', () => scrapeMonthlyCurves(page),
+        { recover: () => nav.curve(consumer, ym.year) });
+    }
+    if (ym.year !== shownYear) await recordMonthly(consumer, monthlyData, { store, collected });
+    shownYear = ym.year;
+
+    log.info({ consumer: consumer.id, month: formatYearMonth(ym) }, '[backfill] Scraping month');
+    const summary = await scrapeMonth(nav, consumer, monthlyData,
+      { store, collected, runId, targetYear: ym.year, targetMonth: ym.month });
+    progress.set(keyOf(ym), { ...(summary ?? { consumer: consumer.id, days: 0 }), year: ym.year, month: ym.month });
+  }
+
+  if (store?.has('postgres')) await reconcile([consumer.id], months[0], months.at(-1));
+}
+
+/* ---------- Scrape session (retried as a whole when a step cannot recover) ---------- */
+async function scrapeSession({
+  loginUrl, username, password, store, collected, runId, targetYear, targetMonth, consumerFilter, months, progress,
+}) {
   let browser;
   try {
     browser = await launchBrowser();
     const page = await browser.newPage();
 
-    await performLogin(page, { loginUrl, username, password });
-    await clickVerbraucher(page);
-    await clickFirstCurve(page);
+    const creds = { loginUrl, username, password };
+    const nav = checkpoints(browser, page, creds, await step('login', () => login(browser, page, creds)));
+    await step('verbraucher', () => clickVerbraucher(page), { recover: nav.home });
 
-    let monthlyData = await scrapeMonthlyActiveEnergy(page);
-
-    if (targetYear !== null) {
-      await selectYear(page, targetYear);
-      monthlyData = await scrapeMonthlyActiveEnergy(page);
+    const found = await step('consumers', () => listConsumers(page), { recover: nav.list });
+    if (store?.has('postgres')) await claimUnassignedHours(found);
+    const consumers = filterConsumers(found, consumerFilter);
+    if (consumers.length === 0) {
+      throw new PermanentError(`No consumer matches ${consumerFilter.join(', ') || '(any)'}. Available: ${found.map(c => c.id).join(', ')}`);
     }
 
-    log.info({ parsed: monthlyData.parsed }, '[main] Monthly Wirkenergie');
-
-    const monthName = await findLatestNonNullMonthAndClick(page, monthlyData, targetMonthIndex);
-    if (monthName) {
-      const dailyData = await scrapeDailyHourlyUsage(page, { monthName, expectedYear: targetYear });
-
-      if (dailyData && dailyData.days.length > 0) {
-        log.info({ days: dailyData.days.length }, '[main] Daily hourly data scraped');
-        if (dbMode) {
-          log.info('[main] Saving to database');
-          await db.saveDailyHourlyData(dailyData);
-        }
+    const results = [];
+    for (const [n, consumer] of consumers.entries()) {
+      // The curve tab replaces the grid; go back through the menu for the next row.
+      if (n > 0) await step('verbraucher', () => clickVerbraucher(page), { recover: nav.home });
+      if (months) {
+        await backfillConsumer(nav, consumer, months, { store, collected, runId, progress });
       } else {
-        log.warn('[main] No daily hourly data found');
+        const monthlyData = await openCurve(nav, consumer, targetYear);
+        await recordMonthly(consumer, monthlyData, { store, collected });
+        const summary = await scrapeMonth(nav, consumer, monthlyData, { store, collected, runId, targetYear, targetMonth });
+        if (summary) results.push(summary);
+        if (store?.has('postgres') && monthlyData.year !== null) {
+          await reconcile([consumer.id], { year: monthlyData.year, month: 1 }, { year: monthlyData.year, month: 12 });
+        }
       }
     }
+    // The portal may have renewed the session cookies along the way
+    await persistSession(browser, nav.homeUrl);
+    return months ? [...progress.values()] : results;
   } catch (err) {
     if (browser) {
       const pages = await browser.pages().catch(() => []);
@@ -384,7 +908,19 @@ async function scrapeSession({ loginUrl, username, password, dbMode, targetYear,
 }
 
 /* ---------- Main ---------- */
-export async function main({ year = null, month = null, dbMode = false } = {}) {
+/**
+ * One scrape run. Either a single month (`year`/`month`, both optional) or an
+ * inclusive range (`from`/`to` as "YYYY-MM") walked in one session.
+ * With `out` set, the scraped hourly series and monthly totals are also
+ * written to that file ("-" = stdout) in `format` (see src/export.js).
+ * With the postgres sink, the run is recorded in edyna_scrape_runs under
+ * `trigger` (e.g. 'manual', 'daily', 'backfill', 'gaps', 'admin').
+ * Resolves to the per-consumer, per-month summaries from scrapeMonth().
+ */
+export async function main({
+  year = null, month = null, from = null, to = null, dbMode = false, consumers = null,
+  out = null, format = null, trigger = 'manual',
+} = {}) {
   if (year !== null && (!Number.isFinite(year) || year < 2020 || year > 2100)) {
     throw new Error(`Invalid year: ${year}. Expected a 4-digit year between 2020-2100.`);
   }
@@ -392,28 +928,391 @@ export async function main({ year = null, month = null, dbMode = false } = {}) {
     throw new Error(`Invalid month: ${month}. Expected 1-12.`);
   }
 
-  if (dbMode) {
-    log.info('[main] Database mode enabled');
-    await db.initializeSchema();
+  let months = null;
+  if (from !== null || to !== null) {
+    if (from === null || to === null) throw new Error('--from and --to must be given together (YYYY-MM).');
+    if (year !== null || month !== null) throw new Error('--from/--to cannot be combined with --year/--month.');
+    const [start, end] = [from, to].map((str) => {
+      const ym = parseYearMonth(str);
+      if (!ym || ym.year < 2020 || ym.year > 2100) {
+        throw new Error(`Invalid range bound: ${str}. Expected YYYY-MM with a year between 2020-2100.`);
+      }
+      return ym;
+    });
+    months = monthRange(start, end);
+    if (months.length === 0) throw new Error(`Invalid range: ${from} is after ${to}.`);
+  }
+
+  if (format !== null && out === null) throw new Error('--format requires --out.');
+  if (out !== null) {
+    format ??= inferFormat(out);
+    if (!FORMATS.includes(format)) {
+      throw new Error(`Invalid format: ${format}. Expected one of ${FORMATS.join(', ')}.`);
+    }
   }
 
-  const targetMonthIndex = month !== null ? month - 1 : null;
+  // Survives across retried sessions so a backfill resumes where it failed
+  const progress = new Map();
+  // Likewise for export and MQTT data; both de-duplicate what a retry re-scrapes
+  const collected = out !== null || config.MQTT_URL ? { daily: [], monthly: [] } : null;
+  // Tags rows this run writes (e.g. edyna_hourly_revisions.run_id)
+  const runId = randomUUID();
 
+  let store = null;
+  let recorded = false;
+  let attempts = 0;
+
+  metrics.runsStarted.inc();
   try {
-    await withRetry(
-      () => scrapeSession({
-        loginUrl: config.LOGIN_URL,
-        username: config.EDYNA_USERNAME,
-        password: config.EDYNA_PASSWORD,
-        dbMode,
-        targetYear: year,
-        targetMonthIndex,
-      }),
+    if (dbMode) {
+      store = await openSinks();
+      log.info({ runId, sinks: store.names }, '[main] Database mode enabled');
+      await store.init();
+      if (store.has('postgres')) {
+        recorded = await recordRunStart({
+          runId, trigger, year, month, from: months?.[0], to: months?.at(-1), consumers: consumers ?? config.CONSUMERS,
+        });
+      }
+    }
+
+    // Selectors a session found missing from a settled page; missing again in a new session is a LayoutError
+    const missing = new Set();
+    const results = await withRetry(
+      () => {
+        attempts++;
+        return scrapeSession({
+          loginUrl: config.LOGIN_URL,
+          username: config.EDYNA_USERNAME,
+          password: config.EDYNA_PASSWORD,
+          store,
+          collected,
+          targetYear: year,
+          targetMonth: month,
+          consumerFilter: consumers ?? config.CONSUMERS,
+          months,
+          runId,
+          progress,
+        }).catch((thrown) => {
+          const err = asLayoutError(thrown, missing.has(thrown.selector));
+          if (thrown instanceof MissingElementError && thrown.layoutChanged) missing.add(thrown.selector);
+          throw err;
+        });
+      },
       { maxAttempts: config.SCRAPE_RETRIES, baseDelay: config.SCRAPE_RETRY_DELAY_MS, label: 'scraper' }
     );
+    if (months) {
+      for (const r of results) {
+        const { consumer, days, quarantinedCount, insertedCount, updatedCount, unchangedCount } = r;
+        log.info({ consumer, month: formatYearMonth(r), days, quarantinedCount, insertedCount, updatedCount, unchangedCount },
+          '[backfill] Summary');
+      }
+    }
+    const quarantined = results.reduce((sum, r) => sum + (r.quarantinedCount ?? 0), 0);
+    if (quarantined > 0) {
+      log.warn({ quarantined, months: results.filter(r => r.quarantinedCount > 0).map(r => `${r.consumer} ${formatYearMonth(r)}`) },
+        '[validate] Days quarantined this run');
+    }
+    if (out !== null) {
+      const written = await writeExport(buildRecords(collected), { out, format });
+      log.info({ out, format, records: written }, '[export] Written');
+    }
+    if (config.MQTT_URL) await publishMqtt(collected);
+    // Both read back from Postgres; other sinks are write-only here
+    if (store?.has('postgres')) await updateNewestHour();
+    if (store?.has('postgres') && config.TARIFF_FILE && results.length > 0) await refreshCostsAfterScrape(results);
+    if (recorded) await recordRunEnd(runId, { outcome: 'success', attempts, results });
+    metrics.runsSucceeded.inc();
+    metrics.lastSuccess.set({}, Date.now() / 1000);
     log.info('[main] Flow complete');
+    return results;
+  } catch (err) {
+    metrics.runsFailed.inc();
+    // A backfill keeps the months it finished
+    if (recorded) await recordRunEnd(runId, { outcome: 'failed', attempts, results: [...progress.values()], error: err });
+    throw err;
+  } finally {
+    await store?.close();
+  }
+}
+
+/* ---------- Run history ---------- */
+// Best effort like updateNewestHour(): bookkeeping must not fail the run it describes.
+async function recordRunStart(run) {
+  try {
+    await db.startRun(run);
+    return true;
+  } catch (err) {
+    log.warn({ err, runId: run.runId }, '[runs] Could not record run start');
+    return false;
+  }
+}
+
+async function recordRunEnd(runId, { outcome, attempts, results, error = null }) {
+  try {
+    await db.finishRun(runId, { outcome, attempts, ...runTotals(results), error });
+  } catch (err) {
+    log.warn({ err, runId }, '[runs] Could not record run end');
+  }
+}
+
+/**
+ * Refresh the newest-stored-hour gauge from the database. Best effort: a
+ * failing query must not fail a run whose data is already saved.
+ */
+export async function updateNewestHour() {
+  try {
+    for (const { consumer, timestamp } of await db.queryLatest({ consumer: null })) {
+      metrics.newestHour.set({ consumer }, timestamp.getTime() / 1000);
+    }
+  } catch (err) {
+    log.warn({ err }, '[metrics] Could not read newest stored hours');
+  }
+}
+
+// Best effort too: a broker outage must not fail a run whose data is saved.
+async function publishMqtt(collected) {
+  try {
+    await publishReadings(latestReadings(collected), {
+      url: config.MQTT_URL,
+      username: config.MQTT_USERNAME,
+      password: config.MQTT_PASSWORD,
+      clientId: config.MQTT_CLIENT_ID,
+      topicPrefix: config.MQTT_TOPIC_PREFIX,
+      discoveryPrefix: config.MQTT_DISCOVERY_PREFIX,
+    });
+  } catch (err) {
+    log.warn({ err }, '[mqtt] Could not publish readings');
+  }
+}
+
+/* ---------- Costs ---------- */
+/**
+ * Recompute and store per-day costs for whole months [from, to] ({year, month})
+ * from edyna_hourly. Returns the daily rows (see tariff.dailyCosts).
+ */
+async function refreshCosts({ from, to, consumers = null }) {
+  if (!config.TARIFF_FILE) throw new Error('TARIFF_FILE is not set; see README, "Costs".');
+  const tariff = await loadTariff(config.TARIFF_FILE);
+  const hourly = await db.queryHourly({
+    from: new Date(from.year, from.month - 1, 1),
+    to: new Date(to.year, to.month, 1),
+    consumer: null,
+  });
+  const wanted = consumers?.length ? new Set(consumers) : null;
+  const daily = dailyCosts(hourly.filter(r => !wanted || wanted.has(r.consumer)), tariff);
+  await db.saveDailyCosts(daily);
+  return daily;
+}
+
+// Best effort, like updateNewestHour(): the scraped data is saved either way.
+async function refreshCostsAfterScrape(results) {
+  const key = (r) => r.year * 12 + r.month;
+  const sorted = results.filter(r => r.year && r.month).sort((a, b) => key(a) - key(b));
+  if (sorted.length === 0) return;
+  try {
+    await refreshCosts({ from: sorted[0], to: sorted.at(-1), consumers: [...new Set(results.map(r => r.consumer))] });
+  } catch (err) {
+    log.warn({ err }, '[costs] Could not update costs');
+  }
+}
+
+/* ---------- Reports ---------- */
+function parseRangeBound(str) {
+  if (str === null) return null;
+  const ym = parseYearMonth(str);
+  if (!ym) throw new Error(`Invalid range bound: ${str}. Expected YYYY-MM.`);
+  return ym;
+}
+
+/** --gaps: missing hours per consumer and month */
+async function reportGaps({ from = null, to = null, consumers = null } = {}) {
+  const [start, end] = [from, to].map(parseRangeBound);
+
+  await db.initializeSchema();
+  try {
+    const gaps = await db.findGaps({ from: start, to: end, consumers });
+    const rows = gaps.map(g => ({ ...g, month: formatYearMonth(g) }));
+    console.log(formatTable(rows, [
+      { key: 'consumer',     label: 'Consumer' },
+      { key: 'month',        label: 'Month' },
+      { key: 'expected',     label: 'Expected' },
+      { key: 'stored',       label: 'Stored' },
+      { key: 'missing',      label: 'Missing' },
+      { key: 'firstMissing', label: 'First missing' },
+    ]));
+    const missing = gaps.reduce((sum, g) => sum + g.missing, 0);
+    console.log(`\n${missing} missing hour(s) in ${gaps.filter(g => g.missing > 0).length} consumer-month(s)`);
   } finally {
-    if (dbMode) await db.closePool();
+    await db.closePool();
+  }
+}
+
+/** --reconcile: portal monthly totals vs hourly sums (default: last 12 months) */
+async function reportReconcile({ from = null, to = null, consumers = null } = {}) {
+  const now = new Date();
+  const end = parseRangeBound(to) ?? { year: now.getFullYear(), month: now.getMonth() + 1 };
+  const start = parseRangeBound(from) ?? { year: end.year - 1, month: end.month };
+
+  await db.initializeSchema();
+  try {
+    const rows = await db.reconcileMonthly({ consumers: consumers ?? [], from: start, to: end });
+    console.log(formatTable(rows.map(r => ({ ...r, flagged: r.flagged ? 'MISMATCH' : 'ok' })), [
+      { key: 'consumer',  label: 'Consumer' },
+      { key: 'month',     label: 'Month' },
+      { key: 'portalKwh', label: 'Portal kWh' },
+      { key: 'hourlyKwh', label: 'Hourly kWh' },
+      { key: 'hours',     label: 'Hours' },
+      { key: 'diff',      label: 'Diff' },
+      { key: 'flagged',   label: 'Status' },
+    ]));
+  } finally {
+    await db.closePool();
+  }
+}
+
+/** --costs: F1/F2/F3 energy, fixed fee and total cost per month or day (default: last 12 months) */
+async function reportCosts({ from = null, to = null, consumers = null, daily = false } = {}) {
+  const now = new Date();
+  const end = parseRangeBound(to) ?? { year: now.getFullYear(), month: now.getMonth() + 1 };
+  const start = parseRangeBound(from) ?? { year: end.year - 1, month: end.month };
+
+  await db.initializeSchema();
+  try {
+    const days = await refreshCosts({ from: start, to: end, consumers });
+    const money = (v) => (v === null ? null : v.toFixed(2));
+    const rows = (daily ? days : monthlyCosts(days))
+      .map(r => ({ ...r, energy_cost: money(r.energy_cost), fixed_cost: money(r.fixed_cost), total_cost: money(r.total_cost) }));
+    console.log(formatTable(rows, [
+      { key: 'consumer',    label: 'Consumer' },
+      { key: daily ? 'day' : 'month', label: daily ? 'Day' : 'Month' },
+      { key: 'f1_kwh',      label: 'F1 kWh' },
+      { key: 'f2_kwh',      label: 'F2 kWh' },
+      { key: 'f3_kwh',      label: 'F3 kWh' },
+      { key: 'hours',       label: 'Hours' },
+      { key: 'energy_cost', label: 'Energy' },
+      { key: 'fixed_cost',  label: 'Fixed' },
+      { key: 'total_cost',  label: 'Total' },
+    ]));
+  } finally {
+    await db.closePool();
+  }
+}
+
+/** --revisions: stored hours the portal later changed, per consumer and day (default: last 3 months) */
+async function reportRevisions({ from = null, to = null, consumers = null } = {}) {
+  const now = new Date();
+  const end = parseRangeBound(to) ?? { year: now.getFullYear(), month: now.getMonth() + 1 };
+  const start = parseRangeBound(from) ?? addMonths(end, -2);
+
+  await db.initializeSchema();
+  try {
+    const wanted = consumers?.length ? new Set(consumers) : null;
+    const rows = (await db.queryRevisions({
+      from: new Date(start.year, start.month - 1, 1),
+      to: new Date(end.year, end.month, 1),
+      consumer: null,
+    })).filter(r => !wanted || wanted.has(r.consumer));
+    console.log(formatTable(rows.map(r => ({ ...r, diff_kwh: Number(r.diff_kwh.toFixed(4)) })), [
+      { key: 'consumer',      label: 'Consumer' },
+      { key: 'day',           label: 'Day' },
+      { key: 'hours',         label: 'Hours' },
+      { key: 'revisions',     label: 'Revisions' },
+      { key: 'diff_kwh',      label: 'Net change kWh' },
+      { key: 'last_changed',  label: 'Last changed' },
+    ]));
+  } finally {
+    await db.closePool();
+  }
+}
+
+/** status: the newest recorded runs and the newest stored hour per consumer */
+async function reportStatus({ limit = 10 } = {}) {
+  if (!Number.isInteger(limit) || limit < 1) throw new Error(`Invalid --limit: ${limit}. Expected a positive integer.`);
+
+  await db.initializeSchema();
+  try {
+    const runs = await db.queryRuns({ limit });
+    const truncate = (str, max) => (str && str.length > max ? `${str.slice(0, max - 1)}…` : str);
+    console.log(formatTable(runs.map(r => ({
+      ...r,
+      target: formatRunTarget(r),
+      consumers: r.consumers?.length ? r.consumers.join(',') : 'all',
+      duration: r.finished_at ? `${Math.round((r.finished_at - r.started_at) / 1000)}s` : null,
+      error: r.error_class ? truncate(`${r.error_class}: ${r.error_message}`, 80) : null,
+    })), [
+      { key: 'started_at',        label: 'Started' },
+      { key: 'trigger',           label: 'Trigger' },
+      { key: 'target',            label: 'Target' },
+      { key: 'consumers',         label: 'Consumers' },
+      { key: 'outcome',           label: 'Outcome' },
+      { key: 'attempts',          label: 'Attempts' },
+      { key: 'duration',          label: 'Duration' },
+      { key: 'inserted_count',    label: 'Inserted' },
+      { key: 'updated_count',     label: 'Updated' },
+      { key: 'unchanged_count',   label: 'Unchanged' },
+      { key: 'quarantined_count', label: 'Quarantined' },
+      { key: 'error',             label: 'Error' },
+    ]));
+    if (runs.length === 0) console.log('\nNo runs recorded yet');
+
+    const now = Date.now();
+    const latest = await db.queryLatest({ consumer: null });
+    console.log(`\n${formatTable(latest.map(r => ({ ...r, age: `${Math.floor((now - r.timestamp) / 3_600_000)}h` })), [
+      { key: 'consumer',  label: 'Consumer' },
+      { key: 'timestamp', label: 'Newest stored hour' },
+      { key: 'age',       label: 'Age' },
+    ])}`);
+  } finally {
+    await db.closePool();
+  }
+}
+
+/** doctor: log in and check the portal against SELECTORS and the formats the scraper parses (src/doctor.js) */
+export async function doctor() {
+  return runDoctor({
+    selectors: SELECTORS,
+    hourlyTables: HOURLY_TABLES,
+    creds: { loginUrl: config.LOGIN_URL, username: config.EDYNA_USERNAME, password: config.EDYNA_PASSWORD },
+    locale: config.PORTAL_LOCALE,
+    decimalOf,
+    launchBrowser,
+    settle,
+    performLogin,
+    clickVerbraucher,
+    clickCurve,
+    scrapeMonthlyGrid,
+    clickMonth: (page, monthlyData) => findLatestNonNullMonthAndClick(page, monthlyData),
+  });
+}
+
+async function reportDoctor() {
+  const checks = await doctor();
+  console.log(formatDoctorReport(checks));
+  if (checks.some(c => c.ok === false)) process.exitCode = 1;
+}
+
+/** migrate status|up: schema migrations (src/migrate.js) */
+async function runMigrate(command) {
+  try {
+    if (command === 'up') {
+      const applied = await db.initializeSchema();
+      console.log(applied.length ? `Applied ${applied.map(m => m.file).join(', ')}` : 'Schema is up to date');
+      return;
+    }
+    if (command !== 'status') throw new Error(`Unknown migrate command: ${command}. Expected status or up.`);
+
+    const { status, unknown } = await db.migrationStatus();
+    console.log(formatTable(status.map(m => ({ ...m, state: m.applied_at ? 'applied' : 'pending' })), [
+      { key: 'version',    label: 'Version' },
+      { key: 'name',       label: 'Name' },
+      { key: 'state',      label: 'State' },
+      { key: 'applied_at', label: 'Applied at' },
+    ]));
+    if (unknown.length > 0) {
+      console.log(`\nApplied but unknown to this version: ${unknown.map(r => `${r.version} (${r.name})`).join(', ')}`);
+    }
+  } finally {
+    await db.closePool();
   }
 }
 
@@ -423,8 +1322,19 @@ if (isMain) {
   const { values, positionals } = parseArgs({
     options: {
       db:    { type: 'boolean', default: false },
+      gaps:  { type: 'boolean', default: false },
+      reconcile: { type: 'boolean', default: false },
+      costs: { type: 'boolean', default: false },
+      revisions: { type: 'boolean', default: false },
+      daily: { type: 'boolean', default: false },
       year:  { type: 'string' },
       month: { type: 'string' },
+      from:  { type: 'string' },
+      to:    { type: 'string' },
+      consumer: { type: 'string', multiple: true },
+      out:    { type: 'string' },
+      format: { type: 'string' },
+      limit:  { type: 'string' },
     },
     allowPositionals: true,
   });
@@ -432,8 +1342,24 @@ if (isMain) {
   const dbMode = values.db || positionals.includes('db');
   const year  = values.year  !== undefined ? parseInt(values.year, 10)  : null;
   const month = values.month !== undefined ? parseInt(values.month, 10) : null;
-
-  main({ year, month, dbMode }).catch(err => {
+  // Repeatable and/or comma-separated; overrides the CONSUMERS allowlist
+  const consumers = values.consumer ? values.consumer.flatMap(c => c.split(',')).map(c => c.trim()).filter(Boolean) : null;
+
+  const from = values.from ?? null;
+  const to   = values.to   ?? null;
+  // Export data owns stdout; keep log lines out of it
+  if (values.out === '-') setLogStream(2);
+
+  const run = positionals[0] === 'migrate' ? runMigrate(positionals[1] ?? 'status')
+            : positionals[0] === 'status' ? reportStatus({ limit: values.limit !== undefined ? Number(values.limit) : 10 })
+            : positionals[0] === 'doctor' ? reportDoctor()
+            : values.gaps      ? reportGaps({ from, to, consumers })
+            : values.reconcile ? reportReconcile({ from, to, consumers })
+            : values.costs     ? reportCosts({ from, to, consumers, daily: values.daily })
+            : values.revisions ? reportRevisions({ from, to, consumers })
+            : main({ year, month, from, to, dbMode, consumers, out: values.out ?? null, format: values.format ?? null });
+
+  run.catch(err => {
     log.error({ err }, '[main] Fatal error');
     process.exitCode = 1;
   });
@@ -0,0 +1,196 @@
+/**
+ * Scheduler job definitions (JOBS), missed-run detection and the gap check's
+ * re-scrape counts.
+ *
+ * A job is { name, schedule, target, months, enabled, catchUp }. `target`:
+ *   current   the latest month the portal shows (a plain run)
+ *   previous  the `months` full calendar months before the current one
+ *   window    the current month and the `months` - 1 before it
+ *
+ * The scheduler records when each job last ran in SCHEDULER_STATE_FILE. On
+ * startup, a job whose schedule fired since then (the scheduler was down)
+ * runs once, however many firings it missed.
+ */
+
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import log from './logger.js';
+import { formatYearMonth } from './util.js';
+
+/** The jobs used when JOBS is unset: the daily run and the previous-month backfill. */
+export function defaultJobs(cronSchedule) {
+  return [
+    { name: 'daily', schedule: cronSchedule, target: 'current', months: 1, enabled: true, catchUp: true },
+    // 3rd and 10th at 23:00: late enough for the portal to have completed the month
+    { name: 'backfill', schedule: '0 23 3,10 * *', target: 'previous', months: 1, enabled: true, catchUp: true },
+  ];
+}
+
+/**
+ * main() options for a job's target as of `now`: {} for current, { year,
+ * month } for a single month, { from, to } ("YYYY-MM") for a range.
+ */
+export function jobTarget({ target, months = 1 }, now = new Date()) {
+  if (target === 'current') return {};
+  const monthsBack = (n) => {
+    const d = new Date(now.getFullYear(), now.getMonth() - n, 1);
+    return { year: d.getFullYear(), month: d.getMonth() + 1 };
+  };
+  const [from, to] = target === 'previous' ? [monthsBack(months), monthsBack(1)] : [monthsBack(months - 1), monthsBack(0)];
+  return months === 1 ? to : { from: formatYearMonth(from), to: formatYearMonth(to) };
+}
+
+/* ---------- Cron expressions ---------- */
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const FIELDS = [
+  { min: 0, max: 59 },                          // second (optional)
+  { min: 0, max: 59 },                          // minute
+  { min: 0, max: 23 },                          // hour
+  { min: 1, max: 31 },                          // day of month
+  { min: 1, max: 12, names: MONTH_NAMES },      // month
+  { min: 0, max: 7, names: WEEKDAY_NAMES },     // weekday, 0 and 7 = Sunday
+];
+
+/**
+ * Parse a node-cron expression (5 fields, or 6 with seconds first) into the
+ * set of allowed values per field: numbers, names (jan, mon, ...), `*`,
+ * ranges, steps and lists. Weekday 7 is folded into 0.
+ *
+ * @returns {Array<Set<number>>} [seconds, minutes, hours, days, months, weekdays]
+ */
+export function parseCron(expr) {
+  const parts = expr.trim().split(/\s+/);
+  if (parts.length === 5) parts.unshift('0');
+  if (parts.length !== 6) throw new Error(`Invalid cron expression "${expr}": expected 5 or 6 fields`);
+
+  return parts.map((part, i) => {
+    const { min, max, names } = FIELDS[i];
+    const value = (str) => {
+      let v = Number(str);
+      if (!/^\d+$/.test(str)) {
+        const n = names ? names.indexOf(str.slice(0, 3).toLowerCase()) : -1;
+        v = n < 0 ? NaN : n + min;
+      }
+      if (!(v >= min && v <= max)) throw new Error(`Invalid cron expression "${expr}": bad value "${str}"`);
+      return v;
+    };
+    const allowed = new Set();
+    for (const item of part.split(',')) {
+      const [range, stepStr] = item.split('/');
+      const step = stepStr === undefined ? 1 : Number(stepStr);
+      if (!Number.isInteger(step) || step < 1) throw new Error(`Invalid cron expression "${expr}": bad step "${item}"`);
+      const [lo, hi] = range === '*' ? [min, max]
+        : range.includes('-') ? range.split('-').map(value)
+        : [value(range), stepStr === undefined ? value(range) : max];
+      if (lo > hi) throw new Error(`Invalid cron expression "${expr}": bad range "${item}"`);
+      for (let v = lo; v <= hi; v += step) allowed.add(i === 5 && v === 7 ? 0 : v);
+    }
+    return allowed;
+  });
+}
+
+/**
+ * The latest time at or before `now` that `expr` matches, in local time,
+ * or null if none falls within `lookbackDays`. Every field must match, the
+ * rule node-cron fires by (day of month AND weekday, unlike classic cron).
+ */
+export function previousRun(expr, now = new Date(), lookbackDays = 400) {
+  const [seconds, minutes, hours, days, months, weekdays] = parseCron(expr);
+  const desc = (set) => [...set].sort((a, b) => b - a);
+  const [secondsDesc, minutesDesc, hoursDesc] = [desc(seconds), desc(minutes), desc(hours)];
+
+  for (let back = 0; back <= lookbackDays; back++) {
+    const day = new Date(now.getFullYear(), now.getMonth(), now.getDate() - back);
+    if (!days.has(day.getDate()) || !months.has(day.getMonth() + 1) || !weekdays.has(day.getDay())) continue;
+    for (const h of hoursDesc) {
+      for (const m of minutesDesc) {
+        for (const s of secondsDesc) {
+          const t = new Date(day.getFullYear(), day.getMonth(), day.getDate(), h, m, s);
+          // Not yet due, or a wall-clock time the spring DST change skips
+          if (t > now || t.getHours() !== h) continue;
+          return t;
+        }
+      }
+    }
+  }
+  return null;
+}
+
+/* ---------- Missed runs ---------- */
+/**
+ * Enabled catch-up jobs whose schedule fired after their recorded last run
+ * (`lastRuns`: name -> ISO time) and at or before `now`, oldest miss first.
+ * A job without a recorded run is not caught up: nothing says it was missed.
+ *
+ * @returns {Array<{job: object, due: Date}>}
+ */
+export function missedJobs(jobs, lastRuns, now = new Date()) {
+  return jobs
+    .filter(job => job.enabled && job.catchUp && lastRuns[job.name])
+    .map(job => ({ job, due: previousRun(job.schedule, now), last: new Date(lastRuns[job.name]) }))
+    .filter(({ due, last }) => due !== null && due > last)
+    .sort((a, b) => a.due - b.due)
+    .map(({ job, due }) => ({ job, due }));
+}
+
+/* ---------- Gap healing attempts ---------- */
+const gapKey = ({ consumer, year, month }) => `${consumer}|${formatYearMonth({ year, month })}`;
+
+/**
+ * The gaps (db.findGaps() rows with missing hours) still worth a re-scrape:
+ * those whose month has had fewer than `maxAttempts` empty heals in
+ * `attempts` ("consumer|YYYY-MM" -> count, see countGapAttempts()).
+ */
+export function healableGaps(gaps, attempts, maxAttempts) {
+  return gaps.filter(g => (attempts[gapKey(g)] ?? 0) < maxAttempts);
+}
+
+/**
+ * Count a heal's outcome into `attempts`: a healed month whose scrape
+ * (main() summaries) stored no new hour is one more empty attempt, one
+ * that stored some starts over. Months no longer among `gaps` (filled, or
+ * out of the look-back window) are forgotten. Returns the new counts.
+ */
+export function countGapAttempts(attempts, gaps, summaries) {
+  const keys = new Set(gaps.map(gapKey));
+  const counts = Object.fromEntries(Object.entries(attempts).filter(([key]) => keys.has(key)));
+  for (const s of summaries) {
+    const key = gapKey(s);
+    if (!keys.has(key)) continue;
+    if (s.insertedCount > 0) delete counts[key];
+    else counts[key] = (counts[key] ?? 0) + 1;
+  }
+  return counts;
+}
+
+/* ---------- State file ---------- */
+/**
+ * The scheduler state file: `lastRuns` (last run per job name), `queue`
+ * (runs queued or running when it was written, see queue.js) and
+ * `gapAttempts` (empty gap heals per month, see countGapAttempts()). All
+ * empty when the file is missing or unreadable.
+ *
+ * @returns {Promise<{lastRuns: Record<string, string>, queue: object[], gapAttempts: Record<string, number>}>}
+ */
+export async function loadSchedulerState(file) {
+  try {
+    const state = JSON.parse(await readFile(file, 'utf8'));
+    return {
+      lastRuns: state && typeof state.lastRuns === 'object' ? { ...state.lastRuns } : {},
+      queue: Array.isArray(state?.queue) ? state.queue : [],
+      gapAttempts: state && typeof state.gapAttempts === 'object' ? { ...state.gapAttempts } : {},
+    };
+  } catch (err) {
+    if (err.code !== 'ENOENT') log.warn({ err, file }, '[scheduler] Ignoring unreadable state file');
+    return { lastRuns: {}, queue: [], gapAttempts: {} };
+  }
+}
+
+/** Write the state file atomically (temp file, then rename). */
+export async function saveSchedulerState(file, { lastRuns, queue = [], gapAttempts = {} }) {
+  await mkdir(path.dirname(path.resolve(file)), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  await writeFile(tmp, JSON.stringify({ lastRuns, queue, gapAttempts }, null, 2));
+  await rename(tmp, file);
+}
@@ -0,0 +1,98 @@
+/**
+ * The portal's UI languages. Edyna serves the same pages in German and
+ * Italian: month headers, weekday prefixes on date cells and labels differ,
+ * numbers use a decimal comma in both. Pure, like util.js.
+ *
+ * PORTAL_LOCALE picks one language; "auto" accepts both and detects the
+ * shown one from the monthly grid's headers (detectLocale). PORTAL_DECIMAL
+ * overrides the language's decimal separator (decimalSeparator).
+ */
+
+// Per month, January first: full name, then abbreviations and variants (lower case)
+const MONTHS = {
+  de: [
+    ['jänner', 'januar', 'jän', 'jan', 'jaenner'], ['februar', 'feber', 'feb'], ['märz', 'mär', 'mrz', 'maerz'],
+    ['april', 'apr'], ['mai'], ['juni', 'jun'], ['juli', 'jul'], ['august', 'aug'],
+    ['september', 'sept', 'sep'], ['oktober', 'okt'], ['november', 'nov'], ['dezember', 'dez'],
+  ],
+  it: [
+    ['gennaio', 'gen'], ['febbraio', 'feb'], ['marzo', 'mar'], ['aprile', 'apr'], ['maggio', 'mag'], ['giugno', 'giu'],
+    ['luglio', 'lug'], ['agosto', 'ago'], ['settembre', 'sett', 'set'], ['ottobre', 'ott'], ['novembre', 'nov'], ['dicembre', 'dic'],
+  ],
+};
+
+// Sunday first, as Date#getDay()
+const WEEKDAYS = {
+  de: [
+    ['sonntag', 'so'], ['montag', 'mo'], ['dienstag', 'di'], ['mittwoch', 'mi'],
+    ['donnerstag', 'do'], ['freitag', 'fr'], ['samstag', 'sa'],
+  ],
+  it: [
+    ['domenica', 'dom', 'do'], ['lunedì', 'lunedi', 'lun', 'lu'], ['martedì', 'martedi', 'mar', 'ma'], ['mercoledì', 'mercoledi', 'mer', 'me'],
+    ['giovedì', 'giovedi', 'gio', 'gi'], ['venerdì', 'venerdi', 'ven', 've'], ['sabato', 'sab', 'sa'],
+  ],
+};
+
+/** Supported PORTAL_LOCALE values besides "auto". */
+export const LOCALES = Object.keys(MONTHS);
+
+// Decimal separator per locale, for numbers that could be read either way ("1.234")
+const DECIMAL_SEPARATOR = { de: ',', it: ',' };
+
+/**
+ * The decimal separator to read ambiguous numbers with: `setting`
+ * (PORTAL_DECIMAL) when it is "," or ".", else `locale`'s, else "," (a
+ * language not detected shows the decimal comma both languages use).
+ */
+export function decimalSeparator(locale, setting = 'auto') {
+  return setting === 'auto' ? DECIMAL_SEPARATOR[locale] ?? ',' : setting;
+}
+
+const localesOf = (locale) => (locale && locale !== 'auto' ? [locale] : LOCALES);
+const lookup = (table, word, locale) => {
+  for (const l of localesOf(locale)) {
+    const i = table[l].findIndex(names => names.includes(word));
+    if (i !== -1) return i;
+  }
+  return -1;
+};
+
+/**
+ * Month number (1-12) of a month header: a German or Italian name or
+ * abbreviation ("Jän", "März", "gen.", "Settembre 2025") or a number ("03",
+ * "03/2025"). With `locale` set, only that language's names count.
+ * Null when the text is no month.
+ */
+export function parseMonthName(text, locale = null) {
+  const s = (text ?? '').trim().toLowerCase();
+  const numeric = s.match(/^(\d{1,2})(?:[./-]\d{2,4})?$/);
+  if (numeric) {
+    const month = Number(numeric[1]);
+    return month >= 1 && month <= 12 ? month : null;
+  }
+  const word = s.match(/^\p{L}+/u)?.[0];
+  if (!word) return null;
+  const i = lookup(MONTHS, word, locale);
+  return i === -1 ? null : i + 1;
+}
+
+/** Day of the week (0 = Sunday) of a weekday name or abbreviation ("Mo", "lun", "Freitag"), or null. */
+export function parseWeekday(text, locale = null) {
+  const i = lookup(WEEKDAYS, (text ?? '').trim().toLowerCase().replace(/\.$/, ''), locale);
+  return i === -1 ? null : i;
+}
+
+/**
+ * The language of month headers: the locale whose names match more of them
+ * than the other's, counting only names that exist in one language
+ * ("Mär" but not "Feb"). Null when nothing tells them apart.
+ */
+export function detectLocale(headers) {
+  const score = Object.fromEntries(LOCALES.map(l => [l, 0]));
+  for (const header of headers) {
+    const matching = LOCALES.filter(l => parseMonthName(header, l) !== null);
+    if (matching.length === 1) score[matching[0]]++;
+  }
+  const [best, second] = Object.entries(score).sort((a, b) => b[1] - a[1]);
+  return best[1] > second[1] ? best[0] : null;
+}
@@ -1,4 +1,17 @@
 import pino from 'pino';
 import config from './config.js';
 
-export default pino({ level: config.LOG_LEVEL });
+let destination = pino.destination(1);
+
+const log = pino({ level: config.LOG_LEVEL }, { write: (line) => destination.write(line) });
+export default log;
+
+/**
+ * Send log lines to file descriptor `fd` from now on (1 stdout, the
+ * default; 2 stderr). The CLI moves them to stderr when `--out -` streams
+ * export data on stdout.
+ */
+export function setLogStream(fd) {
+  destination.flushSync();
+  destination = pino.destination(fd);
+}
@@ -0,0 +1,43 @@
+/**
+ * The quantities the portal's curve tab shows, one grid each. Every stored
+ * reading carries its measurement; the value column (`kwh`, named before
+ * there was more than active energy) holds it in the measurement's unit.
+ *
+ *   active_energy    Wirkenergie / energia attiva       kWh, adds up over time
+ *   reactive_energy  Blindenergie / energia reattiva    kvarh, adds up over time
+ *   peak_power       Leistung / potenza                 kW, a day's or month's value is its maximum
+ *
+ * Pure, like util.js.
+ */
+
+export const MEASUREMENTS = {
+  active_energy:   { unit: 'kWh',   aggregate: 'sum' },
+  reactive_energy: { unit: 'kvarh', aggregate: 'sum' },
+  peak_power:      { unit: 'kW',    aggregate: 'max' },
+};
+
+/** What everything defaults to: the measurement stored before there were others. */
+export const ACTIVE_ENERGY = 'active_energy';
+
+/** Sum (energy) or maximum (power) of a measurement's non-null values; null when there are none. */
+export function aggregateValues(measurement, values) {
+  const present = values.filter(v => v !== null && v !== undefined);
+  if (present.length === 0) return null;
+  return MEASUREMENTS[measurement].aggregate === 'max'
+    ? Math.max(...present)
+    : present.reduce((sum, v) => sum + v, 0);
+}
+
+/**
+ * Values `minutes` apart from local midnight combined into hours with
+ * aggregateValues(); an hour without values is null. Hourly input is
+ * returned as is.
+ */
+export function toHours(measurement, values, minutes = 60) {
+  if (minutes === 60) return values;
+  const perHour = 60 / minutes;
+  return Array.from({ length: Math.ceil(values.length / perHour) }, (_, h) => {
+    const value = aggregateValues(measurement, values.slice(h * perHour, (h + 1) * perHour));
+    return value === null ? null : Number(value.toFixed(6));
+  });
+}
@@ -0,0 +1,110 @@
+/**
+ * In-process Prometheus metrics (text exposition format 0.0.4).
+ * A deliberately tiny registry — counters, gauges and histograms with
+ * labels — so /metrics doesn't need a client library. No I/O here; the
+ * scheduler serves render() over HTTP.
+ */
+
+const escapeLabel = (v) => String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+function labelString(labels) {
+  const entries = Object.entries(labels);
+  return entries.length ? `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}` : '';
+}
+
+/**
+ * A set of metrics rendered together. Metric objects keep one series per
+ * distinct label set; `labels` is a plain object ({} for none).
+ */
+export function createRegistry() {
+  const metrics = [];
+
+  function define(name, help, type, render) {
+    const metric = { name, help, type, series: new Map(), render };
+    metrics.push(metric);
+    return metric;
+  }
+
+  function seriesFor(metric, labels, init) {
+    const key = labelString(labels);
+    if (!metric.series.has(key)) metric.series.set(key, { labels, ...init() });
+    return metric.series.get(key);
+  }
+
+  const scalar = (m) => [...m.series.values()].map(s => `${m.name}${labelString(s.labels)} ${s.value}`);
+
+  function counter(name, help) {
+    const m = define(name, help, 'counter', scalar);
+    return {
+      inc(labels = {}, by = 1) { seriesFor(m, labels, () => ({ value: 0 })).value += by; },
+    };
+  }
+
+  function gauge(name, help) {
+    const m = define(name, help, 'gauge', scalar);
+    return {
+      set(labels, value) { seriesFor(m, labels, () => ({ value: 0 })).value = value; },
+      inc(labels = {}, by = 1) { seriesFor(m, labels, () => ({ value: 0 })).value += by; },
+      dec(labels = {}, by = 1) { seriesFor(m, labels, () => ({ value: 0 })).value -= by; },
+    };
+  }
+
+  function histogram(name, help, buckets) {
+    const bounds = [...buckets].sort((a, b) => a - b);
+    const m = define(name, help, 'histogram', (metric) => [...metric.series.values()].flatMap(s => [
+      ...bounds.map((le, i) => `${name}_bucket${labelString({ ...s.labels, le })} ${s.counts[i]}`),
+      `${name}_bucket${labelString({ ...s.labels, le: '+Inf' })} ${s.count}`,
+      `${name}_sum${labelString(s.labels)} ${s.sum}`,
+      `${name}_count${labelString(s.labels)} ${s.count}`,
+    ]));
+    const observe = (labels, value) => {
+      const s = seriesFor(m, labels, () => ({ counts: bounds.map(() => 0), sum: 0, count: 0 }));
+      bounds.forEach((le, i) => { if (value <= le) s.counts[i]++; });
+      s.sum += value;
+      s.count++;
+    };
+    return {
+      observe,
+      /** Start a timer; calling the returned function records elapsed seconds. */
+      startTimer(labels = {}) {
+        const start = process.hrtime.bigint();
+        return () => observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+      },
+    };
+  }
+
+  function render() {
+    return metrics.map(m => [
+      `# HELP ${m.name} ${m.help}`,
+      `# TYPE ${m.name} ${m.type}`,
+      ...m.render(m),
+    ].join('\n')).join('\n') + '\n';
+  }
+
+  return { counter, gauge, histogram, render };
+}
+
+/* ---------- Application metrics ---------- */
+export const registry = createRegistry();
+
+export const runsStarted   = registry.counter('edyna_scrape_runs_started_total', 'Scrape runs started (main() invocations)');
+export const runsSucceeded = registry.counter('edyna_scrape_runs_succeeded_total', 'Scrape runs that completed');
+export const runsFailed    = registry.counter('edyna_scrape_runs_failed_total', 'Scrape runs that failed after all retries');
+export const retries       = registry.counter('edyna_scrape_retries_total', 'Retry attempts, by label (withRetry labels; step:<name> for step retries)');
+export const stepDuration  = registry.histogram('edyna_scrape_step_duration_seconds',
+  'Wall time of portal steps (login, verbraucher, consumers, curve, year, monthly, daily), failures included',
+  [1, 5, 15, 30, 60, 120, 300, 600]);
+export const rowsWritten   = registry.counter('edyna_rows_written_total',
+  'Rows passed to a storage sink, by sink, table and result (inserted, updated, unchanged)');
+export const quarantinedDays = registry.counter('edyna_quarantined_days_total', 'Scraped days that failed validation, by consumer');
+export const logins        = registry.counter('edyna_logins_total', 'Portal logins, by method (form = credentials submitted, session = saved session reused)');
+export const newestHour    = registry.gauge('edyna_newest_hour_timestamp_seconds', 'Start of the newest stored hour per consumer (Unix time)');
+export const lastSuccess   = registry.gauge('edyna_last_success_timestamp_seconds', 'End of the last successful scrape run (Unix time)');
+export const runInProgress = registry.gauge('edyna_scheduler_run_in_progress', '1 while a scheduled job is running');
+export const skippedTriggers = registry.counter('edyna_scheduler_skipped_triggers_total', 'Scheduler triggers dropped because the same run was already queued or running');
+export const queuedRuns = registry.gauge('edyna_scheduler_queued_runs', 'Scheduler runs waiting in the queue');
+
+// Unlabelled counters report 0 from the start rather than appearing on first use
+for (const c of [runsStarted, runsSucceeded, runsFailed, skippedTriggers]) c.inc({}, 0);
+runInProgress.set({}, 0);
+queuedRuns.set({}, 0);
@@ -0,0 +1,209 @@
+/**
+ * Versioned schema migrations.
+ *
+ * Migrations live in src/migrations as "NNN-name.js" modules exporting
+ * `up(client, log)`. Each runs in its own transaction together with its row
+ * in schema_migrations, unless it exports `transaction = false`: TimescaleDB
+ * refuses to create or refresh continuous aggregates inside a transaction,
+ * so the rollup migrations run statement by statement. Such a migration
+ * can be cut short and run again, so every statement in it must be
+ * idempotent. A session-level advisory lock serialises runners, so the
+ * scheduler and a manual `--db` run never migrate at the same time; the
+ * second one waits and then finds nothing left to do.
+ *
+ * Never edit a migration that has shipped; add a new one. Helpers several
+ * migrations share live here; the SQL a migration creates stays in it.
+ */
+
+import { readdir } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import config from './config.js';
+import log from './logger.js';
+
+const MIGRATIONS_DIR = fileURLToPath(new URL('./migrations/', import.meta.url));
+const FILE_PATTERN = /^(\d{3})-([a-z0-9-]+)\.js$/;
+// Arbitrary but fixed: pg_advisory_lock key shared by every runner
+const LOCK_KEY = 4_721_059_318;
+
+/** Migration files in version order: [{ version, name, file }]. Versions must be 1..N without gaps. */
+export async function listMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = (await readdir(dir))
+    .map(file => FILE_PATTERN.exec(file))
+    .filter(Boolean)
+    .map(([file, version, name]) => ({ version: Number(version), name, file }))
+    .sort((a, b) => a.version - b.version);
+  migrations.forEach((m, i) => {
+    if (m.version !== i + 1) throw new Error(`Migration ${m.file}: expected version ${String(i + 1).padStart(3, '0')}`);
+  });
+  return migrations;
+}
+
+/**
+ * Compare available migrations with applied schema_migrations rows.
+ * `unknown` are versions recorded in the database that this code doesn't
+ * have (a newer release ran against this database).
+ */
+export function planMigrations(available, applied) {
+  const appliedAt = new Map(applied.map(r => [r.version, r.applied_at]));
+  const known = new Set(available.map(m => m.version));
+  return {
+    status: available.map(m => ({ ...m, applied_at: appliedAt.get(m.version) ?? null })),
+    pending: available.filter(m => !appliedAt.has(m.version)),
+    unknown: applied.filter(r => !known.has(r.version)),
+  };
+}
+
+async function ensureTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version    INTEGER     PRIMARY KEY,
+      name       TEXT        NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+}
+
+async function readPlan(client) {
+  const { rows: [{ exists }] } = await client.query(`SELECT to_regclass('schema_migrations') IS NOT NULL AS exists`);
+  const applied = exists
+    ? (await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version')).rows
+    : [];
+  return planMigrations(await listMigrations(), applied);
+}
+
+/** Status of every migration (applied_at null = pending), plus unknown applied versions. Read-only. */
+export async function migrationStatus(pool) {
+  const client = await pool.connect();
+  try {
+    const { status, unknown } = await readPlan(client);
+    return { status, unknown };
+  } finally {
+    client.release();
+  }
+}
+
+/** Apply pending migrations under the advisory lock. Returns the applied ones. */
+export async function runMigrations(pool) {
+  const client = await pool.connect();
+  let unlocked = false;
+  try {
+    const { rows: [{ locked }] } = await client.query('SELECT pg_try_advisory_lock($1) AS locked', [LOCK_KEY]);
+    if (!locked) {
+      log.info('[migrate] Another process is migrating, waiting for it');
+      await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+    }
+
+    try {
+      await ensureTable(client);
+      const { pending, unknown } = await readPlan(client);
+      if (unknown.length > 0) {
+        log.warn({ versions: unknown.map(r => r.version) }, '[migrate] Database has migrations this version does not know; is an older release running?');
+      }
+
+      for (const m of pending) {
+        log.info({ version: m.version, name: m.name }, '[migrate] Applying');
+        const { up, transaction = true } = await import(new URL(`./migrations/${m.file}`, import.meta.url));
+        if (transaction) await client.query('BEGIN');
+        try {
+          await up(client, log);
+          await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [m.version, m.name]);
+          if (transaction) await client.query('COMMIT');
+        } catch (err) {
+          if (transaction) await client.query('ROLLBACK');
+          throw new Error(`Migration ${m.file} failed: ${err.message}`, { cause: err });
+        }
+      }
+      if (pending.length > 0) log.info({ applied: pending.length }, '[migrate] Schema up to date');
+      return pending;
+    } finally {
+      // A failed unlock leaves the lock on this connection; destroy it instead of pooling it
+      unlocked = await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]).then(() => true, () => false);
+    }
+  } finally {
+    client.release(!unlocked);
+  }
+}
+
+/* ---------- Helpers for migrations ---------- */
+/** The rollups of edyna_hourly (migration 005): view, bucket column, time_bucket width, date_trunc unit. */
+export const ROLLUPS = [
+  { view: 'edyna_hourly_daily',   column: 'day',   width: '1 day',   unit: 'day' },
+  { view: 'edyna_hourly_monthly', column: 'month', width: '1 month', unit: 'month' },
+];
+
+/** Whether edyna_hourly is a TimescaleDB hypertable (migration 002 makes it one when it can). */
+export async function isHypertable(client) {
+  const ext = await client.query(`SELECT 1 FROM pg_extension WHERE extname = 'timescaledb'`);
+  if (ext.rowCount === 0) return false;
+  const ht = await client.query(`SELECT 1 FROM timescaledb_information.hypertables WHERE hypertable_name = 'edyna_hourly'`);
+  return ht.rowCount > 0;
+}
+
+/**
+ * Create the rollups that don't exist yet: continuous aggregates on a
+ * hypertable, else materialized views with a unique key (refreshed
+ * concurrently by db.refreshRollups()). `select({ bucket, column })` is the
+ * migration's view query, bucket being the SQL of the local-midnight
+ * bucket start it names `column`. Only for migrations with
+ * `transaction = false`. Returns whether they are continuous aggregates.
+ */
+export async function createRollups(client, select) {
+  const tz = client.escapeLiteral(config.TZ);
+  const hypertable = await isHypertable(client);
+  for (const { view, column, width, unit } of ROLLUPS) {
+    if (hypertable) {
+      const bucket = `time_bucket('${width}', timestamp, ${tz})`;
+      await client.query(`CREATE MATERIALIZED VIEW IF NOT EXISTS ${view} WITH (timescaledb.continuous) AS
+                          ${select({ bucket, column })} WITH NO DATA`);
+      await client.query(`CALL refresh_continuous_aggregate('${view}', NULL, NULL)`);
+    } else {
+      const bucket = `date_trunc('${unit}', timestamp AT TIME ZONE ${tz}) AT TIME ZONE ${tz}`;
+      await client.query(`CREATE MATERIALIZED VIEW IF NOT EXISTS ${view} AS ${select({ bucket, column })}`);
+      await client.query(`CREATE UNIQUE INDEX IF NOT EXISTS ${view}_key ON ${view} (consumer, ${column})`);
+    }
+  }
+  return hypertable;
+}
+
+/**
+ * Whether a rollup holds history edyna_hourly can no longer rebuild: there
+ * is a TimescaleDB retention policy dropping raw chunks, or buckets older
+ * than the oldest stored row (a policy since removed, manual deletes).
+ */
+async function rollupOutlivesSource(client, view, column, hypertable) {
+  const { rows: [{ exists }] } = await client.query('SELECT to_regclass($1) IS NOT NULL AS exists', [view]);
+  if (!exists) return false;
+  if (hypertable) {
+    const policy = await client.query(
+      `SELECT 1 FROM timescaledb_information.jobs WHERE proc_name = 'policy_retention' AND hypertable_name = 'edyna_hourly'`);
+    if (policy.rowCount > 0) return true;
+  }
+  const { rows: [{ older }] } = await client.query(`
+    SELECT EXISTS (
+      SELECT 1 FROM ${view} WHERE ${column} < COALESCE((SELECT MIN(timestamp) FROM edyna_hourly), 'infinity')
+    ) AS older`);
+  return older;
+}
+
+/**
+ * Replace the rollups with ones built from `select` (see createRollups),
+ * for migration `version` ("009"). A rollup is normally dropped and rebuilt
+ * from edyna_hourly; one holding history that can't be rebuilt is renamed
+ * to <view>_before_<version> instead, so that history stays queryable.
+ */
+export async function replaceRollups(client, log, select, version) {
+  const hypertable = await isHypertable(client);
+  for (const { view, column } of ROLLUPS) {
+    const kept = `${view}_before_${version}`;
+    const { rows: [{ done }] } = await client.query('SELECT to_regclass($1) IS NOT NULL AS done', [kept]);
+    // Already kept by an interrupted earlier attempt: `view` is a rebuild and can go
+    if (!done && await rollupOutlivesSource(client, view, column, hypertable)) {
+      await client.query(`ALTER MATERIALIZED VIEW ${view} RENAME TO ${kept}`);
+      await client.query(`ALTER INDEX IF EXISTS ${view}_key RENAME TO ${kept}_key`);
+      log.warn({ view, kept }, '[migrate] Rollup holds history edyna_hourly no longer has (retention); kept it under a new name');
+    } else {
+      await client.query(`DROP MATERIALIZED VIEW IF EXISTS ${view}`);
+    }
+  }
+  return createRollups(client, select);
+}
@@ -0,0 +1,34 @@
+/**
+ * edyna_hourly keyed by (consumer, timestamp).
+ * Idempotent so installs from before schema_migrations are adopted as-is:
+ * pre-0.4 tables (keyed by timestamp alone) get the consumer column and the
+ * wider key; existing rows keep consumer = '' until the first scrape assigns
+ * them (claimUnassignedHours() in src/index.js).
+ */
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS edyna_hourly (
+      consumer   TEXT             NOT NULL DEFAULT '',
+      timestamp  TIMESTAMPTZ      NOT NULL,
+      kwh        DOUBLE PRECISION NOT NULL,
+      created_at TIMESTAMPTZ      DEFAULT NOW(),
+      updated_at TIMESTAMPTZ      DEFAULT NOW(),
+      PRIMARY KEY (consumer, timestamp)
+    );
+  `);
+
+  const { rows } = await client.query(`
+    SELECT a.attname
+      FROM pg_index i
+      JOIN pg_attribute a ON a.attrelid = i.indrelid AND a.attnum = ANY(i.indkey)
+     WHERE i.indrelid = 'edyna_hourly'::regclass AND i.indisprimary
+  `);
+  if (!rows.some(r => r.attname === 'consumer')) {
+    await client.query(`ALTER TABLE edyna_hourly ADD COLUMN IF NOT EXISTS consumer TEXT NOT NULL DEFAULT ''`);
+    await client.query('ALTER TABLE edyna_hourly DROP CONSTRAINT IF EXISTS edyna_hourly_pkey');
+    await client.query('ALTER TABLE edyna_hourly ADD PRIMARY KEY (consumer, timestamp)');
+  }
+
+  // PK already indexes timestamp; remove the duplicate index older versions created
+  await client.query('DROP INDEX IF EXISTS idx_edyna_hourly_timestamp');
+}
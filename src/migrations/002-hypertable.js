@@ -0,0 +1,12 @@
+/**
+ * Convert edyna_hourly to a TimescaleDB hypertable when the extension is
+ * installed; plain PostgreSQL keeps the regular table.
+ */
+export async function up(client, log) {
+  const { rowCount } = await client.query(`SELECT 1 FROM pg_extension WHERE extname = 'timescaledb'`);
+  if (rowCount === 0) {
+    log.info('TimescaleDB not available, using regular table');
+    return;
+  }
+  await client.query(`SELECT create_hypertable('edyna_hourly', 'timestamp', if_not_exists => TRUE, migrate_data => TRUE)`);
+}
@@ -0,0 +1,13 @@
+/** Portal's own monthly Wirkenergie totals; month = first day of the month. */
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS edyna_monthly (
+      consumer   TEXT             NOT NULL,
+      month      DATE             NOT NULL,
+      kwh        DOUBLE PRECISION NOT NULL,
+      created_at TIMESTAMPTZ      DEFAULT NOW(),
+      updated_at TIMESTAMPTZ      DEFAULT NOW(),
+      PRIMARY KEY (consumer, month)
+    );
+  `);
+}
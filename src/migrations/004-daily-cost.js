@@ -0,0 +1,35 @@
+/** Per-day cost breakdown (src/tariff.js) and its monthly roll-up view. */
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS edyna_daily_cost (
+      consumer    TEXT             NOT NULL,
+      day         DATE             NOT NULL,
+      f1_kwh      DOUBLE PRECISION NOT NULL,
+      f2_kwh      DOUBLE PRECISION NOT NULL,
+      f3_kwh      DOUBLE PRECISION NOT NULL,
+      kwh         DOUBLE PRECISION NOT NULL,
+      hours       INTEGER          NOT NULL,
+      energy_cost NUMERIC(12, 4),
+      fixed_cost  NUMERIC(12, 4),
+      total_cost  NUMERIC(12, 4),
+      updated_at  TIMESTAMPTZ      DEFAULT NOW(),
+      PRIMARY KEY (consumer, day)
+    );
+  `);
+  await client.query(`
+    CREATE OR REPLACE VIEW edyna_monthly_cost AS
+    SELECT consumer,
+           date_trunc('month', day)::date AS month,
+           SUM(f1_kwh)      AS f1_kwh,
+           SUM(f2_kwh)      AS f2_kwh,
+           SUM(f3_kwh)      AS f3_kwh,
+           SUM(kwh)         AS kwh,
+           SUM(hours)::int  AS hours,
+           COUNT(*)::int    AS days,
+           SUM(energy_cost) AS energy_cost,
+           SUM(fixed_cost)  AS fixed_cost,
+           SUM(total_cost)  AS total_cost
+      FROM edyna_daily_cost
+     GROUP BY 1, 2;
+  `);
+}
@@ -0,0 +1,27 @@
+/**
+ * Daily and monthly rollups of edyna_hourly, bucketed at local midnight in
+ * config.TZ so days match the portal's days:
+ *
+ *   edyna_hourly_daily    (consumer, day,   kwh, hours)
+ *   edyna_hourly_monthly  (consumer, month, kwh, hours)
+ *
+ * On a TimescaleDB hypertable these are continuous aggregates; on plain
+ * PostgreSQL, materialized views with a unique key so they can be refreshed
+ * concurrently. db.refreshRollups() keeps either kind current after writes.
+ */
+import { createRollups } from '../migrate.js';
+
+export const transaction = false;
+
+const select = ({ bucket, column }) => `
+  SELECT consumer,
+         ${bucket} AS ${column},
+         SUM(kwh)       AS kwh,
+         COUNT(*)::int  AS hours
+    FROM edyna_hourly
+   GROUP BY consumer, ${column}`;
+
+export async function up(client, log) {
+  const continuous = await createRollups(client, select);
+  log.info(continuous ? '[migrate] Created continuous aggregates' : '[migrate] Created materialized views (TimescaleDB not available)');
+}
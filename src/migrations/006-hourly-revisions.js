@@ -0,0 +1,22 @@
+/**
+ * Previous values of hourly readings the portal later changed (estimates
+ * replaced by real readings, corrections). Written by db.saveHourlyRows in
+ * the same transaction as the upsert; run_id is the scrape run that saw it.
+ */
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS edyna_hourly_revisions (
+      id         BIGSERIAL        PRIMARY KEY,
+      consumer   TEXT             NOT NULL,
+      timestamp  TIMESTAMPTZ      NOT NULL,
+      old_kwh    DOUBLE PRECISION NOT NULL,
+      new_kwh    DOUBLE PRECISION NOT NULL,
+      changed_at TIMESTAMPTZ      NOT NULL DEFAULT NOW(),
+      run_id     TEXT
+    );
+  `);
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_edyna_hourly_revisions_consumer_timestamp
+      ON edyna_hourly_revisions (consumer, timestamp);
+  `);
+}
@@ -0,0 +1,23 @@
+/**
+ * Scraped days that failed validation (src/validate.js), kept instead of
+ * being written to edyna_hourly. One row per consumer and day; a repeat
+ * failure refreshes it, a later plausible scrape sets resolved_at.
+ * `hourly` holds the raw column values as scraped (JSON array, nulls kept).
+ */
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS edyna_hourly_quarantine (
+      consumer         TEXT             NOT NULL,
+      day              DATE             NOT NULL,
+      reasons          TEXT[]           NOT NULL,
+      hourly           JSONB            NOT NULL,
+      total_kwh        DOUBLE PRECISION,
+      portal_total_kwh DOUBLE PRECISION,
+      run_id           TEXT,
+      first_seen       TIMESTAMPTZ      NOT NULL DEFAULT NOW(),
+      last_seen        TIMESTAMPTZ      NOT NULL DEFAULT NOW(),
+      resolved_at      TIMESTAMPTZ,
+      PRIMARY KEY (consumer, day)
+    );
+  `);
+}
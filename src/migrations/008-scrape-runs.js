@@ -0,0 +1,33 @@
+/**
+ * One row per main() run in db mode: what triggered it, what it targeted,
+ * how it ended and what it wrote. Inserted as 'running' when the run starts
+ * and completed when it ends, so a row left 'running' is a run that died
+ * (or is still going). run_id matches edyna_hourly_revisions / _quarantine.
+ */
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS edyna_scrape_runs (
+      run_id            UUID        PRIMARY KEY,
+      trigger           TEXT        NOT NULL,
+      target_year       INTEGER,
+      target_month      INTEGER,
+      range_from        DATE,
+      range_to          DATE,
+      consumers         TEXT[],
+      started_at        TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      finished_at       TIMESTAMPTZ,
+      attempts          INTEGER     NOT NULL DEFAULT 0,
+      outcome           TEXT        NOT NULL DEFAULT 'running',
+      error_class       TEXT,
+      error_message     TEXT,
+      months            INTEGER,
+      inserted_count    INTEGER,
+      updated_count     INTEGER,
+      unchanged_count   INTEGER,
+      quarantined_count INTEGER
+    );
+  `);
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_edyna_scrape_runs_started_at ON edyna_scrape_runs (started_at DESC);
+  `);
+}
@@ -0,0 +1,78 @@
+/**
+ * A measurement dimension (src/measurements.js) on the reading tables, so
+ * reactive energy and peak power are stored next to active energy:
+ *
+ *   edyna_hourly             key (consumer, measurement, timestamp)
+ *   edyna_monthly            key (consumer, measurement, month)
+ *   edyna_hourly_quarantine  key (consumer, measurement, day)
+ *   edyna_hourly_revisions   measurement column
+ *
+ * Existing rows become 'active_energy'. The value column keeps its name
+ * `kwh`. The rollups of migration 005 are recreated to cover active energy
+ * only, since summing kWh, kvarh and kW together means nothing. Where
+ * retention has dropped raw hours, the old ones are kept as
+ * edyna_hourly_{daily,monthly}_before_009 (migrate.replaceRollups()).
+ *
+ * TimescaleDB refuses to change the key of a hypertable with compression
+ * enabled, so compressed chunks are decompressed and compression is turned
+ * off. db.syncTimescalePolicies() turns it back on, segmented by consumer
+ * and measurement, when TIMESCALE_COMPRESS_AFTER_DAYS is set.
+ */
+import { isHypertable, replaceRollups } from '../migrate.js';
+
+export const transaction = false;
+
+const KEYS = [
+  { table: 'edyna_hourly',            key: ['consumer', 'measurement', 'timestamp'] },
+  { table: 'edyna_monthly',           key: ['consumer', 'measurement', 'month'] },
+  { table: 'edyna_hourly_quarantine', key: ['consumer', 'measurement', 'day'] },
+];
+
+const select = ({ bucket, column }) => `
+  SELECT consumer,
+         ${bucket} AS ${column},
+         SUM(kwh)       AS kwh,
+         COUNT(*)::int  AS hours
+    FROM edyna_hourly
+   WHERE measurement = 'active_energy'
+   GROUP BY consumer, ${column}`;
+
+async function keyColumns(client, table) {
+  const { rows } = await client.query(`
+    SELECT a.attname
+      FROM pg_index i
+      JOIN pg_attribute a ON a.attrelid = i.indrelid AND a.attnum = ANY(i.indkey)
+     WHERE i.indrelid = $1::regclass AND i.indisprimary
+  `, [table]);
+  return rows.map(r => r.attname);
+}
+
+async function disableCompression(client, log) {
+  const { rows } = await client.query(
+    `SELECT compression_enabled FROM timescaledb_information.hypertables WHERE hypertable_name = 'edyna_hourly'`);
+  if (!rows[0]?.compression_enabled) return;
+  await client.query(`SELECT remove_compression_policy('edyna_hourly', if_exists => TRUE)`);
+  const { rowCount } = await client.query(`
+    SELECT decompress_chunk(format('%I.%I', chunk_schema, chunk_name)::regclass, if_compressed => TRUE)
+      FROM timescaledb_information.chunks
+     WHERE hypertable_name = 'edyna_hourly' AND is_compressed
+  `);
+  await client.query('ALTER TABLE edyna_hourly SET (timescaledb.compress = false)');
+  log.info({ chunks: rowCount }, '[migrate] Decompressed edyna_hourly to change its key; compression is re-enabled by its policy');
+}
+
+export async function up(client, log) {
+  const hypertable = await isHypertable(client);
+
+  for (const { table, key } of KEYS) {
+    await client.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS measurement TEXT NOT NULL DEFAULT 'active_energy'`);
+    if ((await keyColumns(client, table)).includes('measurement')) continue;
+    if (table === 'edyna_hourly' && hypertable) await disableCompression(client, log);
+    await client.query(`ALTER TABLE ${table} DROP CONSTRAINT IF EXISTS ${table}_pkey`);
+    await client.query(`ALTER TABLE ${table} ADD PRIMARY KEY (${key.join(', ')})`);
+  }
+  await client.query(`ALTER TABLE edyna_hourly_revisions ADD COLUMN IF NOT EXISTS measurement TEXT NOT NULL DEFAULT 'active_energy'`);
+
+  await replaceRollups(client, log, select, '009');
+  log.info('[migrate] Added the measurement dimension; rollups cover active energy');
+}
@@ -0,0 +1,34 @@
+/**
+ * Interval length per reading, so quarter-hour load profiles are stored as
+ * they are published instead of being squeezed into hours:
+ *
+ *   edyna_hourly             interval_minutes  60 or 15 (30 if ever shown)
+ *   edyna_hourly_quarantine  interval_minutes  of the quarantined values
+ *
+ * Existing rows are hourly. A row's timestamp is the start of its interval.
+ * The rollups of migration 009 are recreated with `hours` as the covered
+ * time (SUM(interval_minutes) / 60) rather than a row count, which would
+ * read 96 for a fully stored day of quarter hours; where retention has
+ * dropped raw hours, the old ones are kept as *_before_010.
+ */
+import { replaceRollups } from '../migrate.js';
+
+export const transaction = false;
+
+const select = ({ bucket, column }) => `
+  SELECT consumer,
+         ${bucket} AS ${column},
+         SUM(kwh)                                AS kwh,
+         (SUM(interval_minutes) / 60.0)::float8  AS hours
+    FROM edyna_hourly
+   WHERE measurement = 'active_energy'
+   GROUP BY consumer, ${column}`;
+
+export async function up(client, log) {
+  for (const table of ['edyna_hourly', 'edyna_hourly_quarantine']) {
+    await client.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS interval_minutes SMALLINT NOT NULL DEFAULT 60`);
+  }
+
+  await replaceRollups(client, log, select, '010');
+  log.info('[migrate] Added interval_minutes; rollup hours count covered time');
+}
@@ -0,0 +1,139 @@
+/**
+ * MQTT publishing with Home Assistant discovery.
+ *
+ * After a successful scrape, one retained JSON state per consumer:
+ *
+ *   <MQTT_TOPIC_PREFIX>/<pod>/state
+ *     { "day": "2025-03-10", "daily_kwh": 9.5,        latest scraped day with data
+ *       "month": "2025-03", "monthly_kwh": 310.2,     its month (portal total, else hourly sum)
+ *       "hourly": [{ "hour": 0, "timestamp": "...", "kwh": 0.4 }, ...] }
+ *
+ * and, unless MQTT_DISCOVERY_PREFIX is empty, retained discovery configs for
+ * two sensors reading it (daily and monthly energy, device_class energy,
+ * state_class total_increasing; the hourly values are attributes of the
+ * daily sensor). Both totals restart at the start of a day / month, which
+ * total_increasing treats as a meter reset.
+ */
+
+import log from './logger.js';
+import { parseDayDate, hourTimestamps, formatYearMonth } from './util.js';
+import { ACTIVE_ENERGY, toHours } from './measurements.js';
+
+const CONNECT_TIMEOUT_MS = 10_000;
+
+const pad2 = (n) => String(n).padStart(2, '0');
+const round3 = (n) => Math.round(n * 1000) / 1000;
+/** Topic level / unique_id safe form of a consumer id. */
+const slug = (consumer) => (consumer || 'unknown').replace(/[^A-Za-z0-9_-]/g, '_');
+
+/**
+ * Latest day with data per consumer from scraped data shaped like main()'s
+ * `collected` ({ daily: dailyData[], monthly: totals[] }). Only active
+ * energy is published; other measurements are skipped. Finer intervals
+ * (quarter hours) are summed into hours.
+ *
+ * @returns {Array<{consumer: string, day: string, daily_kwh: number, month: string, monthly_kwh: number,
+ *                  hourly: Array<{hour: number, timestamp: string, kwh: number}>}>}
+ */
+export function latestReadings({ daily, monthly }) {
+  const active = (data) => (data.measurement ?? ACTIVE_ENERGY) === ACTIVE_ENERGY;
+  const latest = new Map();
+  const monthSums = new Map();
+  for (const dailyData of daily.filter(active)) {
+    for (const day of dailyData.days) {
+      const date = parseDayDate(day.date, dailyData.year);
+      if (!date) continue;
+      const key = `${date.year}-${pad2(date.month)}-${pad2(date.day)}`;
+      const monthKey = `${dailyData.consumer}|${key.slice(0, 7)}`;
+      // A retried session can scrape a day twice; count it once
+      monthSums.set(monthKey, { ...monthSums.get(monthKey), [key]: day.total_kwh });
+      const current = latest.get(dailyData.consumer);
+      if (!current || key >= current.key) latest.set(dailyData.consumer, { key, date, day, interval: dailyData.interval ?? 60 });
+    }
+  }
+
+  return [...latest.entries()].map(([consumer, { key, date, day, interval }]) => {
+    const month = formatYearMonth(date);
+    const portal = monthly.findLast(t => active(t) && t.consumer === consumer && t.year === date.year)
+      ?.months.find(m => m.month === date.month)?.kwh;
+    const hourly = toHours(ACTIVE_ENERGY, day.hourly, interval);
+    const timestamps = hourTimestamps(date, hourly.length);
+    return {
+      consumer,
+      day: key,
+      daily_kwh: day.total_kwh,
+      month,
+      monthly_kwh: portal ?? round3(Object.values(monthSums.get(`${consumer}|${month}`)).reduce((a, b) => a + b, 0)),
+      hourly: hourly
+        .map((kwh, hour) => ({ hour, timestamp: timestamps[hour].toISOString(), kwh }))
+        .filter(h => h.kwh !== null),
+    };
+  });
+}
+
+/**
+ * Messages for one consumer's reading: the state, plus discovery configs when
+ * `discoveryPrefix` is non-empty. All retained.
+ *
+ * @returns {Array<{topic: string, payload: string}>}
+ */
+export function buildMessages(reading, { topicPrefix, discoveryPrefix }) {
+  const id = slug(reading.consumer);
+  const stateTopic = `${topicPrefix}/${id}/state`;
+  const messages = [{ topic: stateTopic, payload: JSON.stringify(reading) }];
+  if (!discoveryPrefix) return messages;
+
+  const device = {
+    identifiers: [`edyna_${id}`],
+    name: `Edyna ${reading.consumer}`,
+    manufacturer: 'Edyna',
+    model: 'Electricity meter',
+  };
+  const sensor = (key, name, attributes) => ({
+    topic: `${discoveryPrefix}/sensor/edyna_${id}/${key}/config`,
+    payload: JSON.stringify({
+      name,
+      unique_id: `edyna_${id}_${key}`,
+      state_topic: stateTopic,
+      value_template: `{{ value_json.${key}_kwh }}`,
+      json_attributes_topic: stateTopic,
+      json_attributes_template: `{{ {${attributes.map(a => `"${a}": value_json.${a}`).join(', ')}} | tojson }}`,
+      unit_of_measurement: 'kWh',
+      device_class: 'energy',
+      state_class: 'total_increasing',
+      device,
+    }),
+  });
+  messages.push(sensor('daily', 'Daily energy', ['day', 'hourly']), sensor('monthly', 'Monthly energy', ['month']));
+  return messages;
+}
+
+/**
+ * Connect, publish every consumer's latest reading (QoS 1, retained) and
+ * disconnect. Returns the number of consumers published.
+ *
+ * @param {ReturnType<typeof latestReadings>} readings
+ * @param {{ url: string, username?: string, password?: string, clientId: string, topicPrefix: string,
+ *           discoveryPrefix: string, connect?: Function }} opts
+ *   `connect` is mqtt's connectAsync; tests pass an in-process stand-in.
+ */
+export async function publishReadings(readings, {
+  url, username, password, clientId, topicPrefix, discoveryPrefix,
+  connect = async (...args) => (await import('mqtt')).connectAsync(...args),
+}) {
+  if (readings.length === 0) return 0;
+  const client = await connect(url, {
+    username, password, clientId, connectTimeout: CONNECT_TIMEOUT_MS, reconnectPeriod: 0,
+  });
+  try {
+    for (const reading of readings) {
+      for (const { topic, payload } of buildMessages(reading, { topicPrefix, discoveryPrefix })) {
+        await client.publishAsync(topic, payload, { qos: 1, retain: true });
+      }
+      log.info({ consumer: reading.consumer, day: reading.day, daily_kwh: reading.daily_kwh }, '[mqtt] Published');
+    }
+  } finally {
+    await client.endAsync();
+  }
+  return readings.length;
+}
@@ -0,0 +1,174 @@
+/**
+ * Webhook notifications for the scheduler.
+ *
+ * Alerts (each has a key; one notification when it starts firing, another
+ * when it resolves):
+ *
+ *   failures        NOTIFY_FAILURE_THRESHOLD consecutive failed scrape runs
+ *   login           the portal rejected the credentials
+ *   stale:<pod>     newest stored hour of a consumer older than NOTIFY_STALE_HOURS
+ *
+ * A firing alert is not sent again until NOTIFY_REPEAT_HOURS have passed
+ * (0 = only once). Webhooks are "[format+]url" with format one of FORMATS:
+ *
+ *   json    {"alert","status","title","message","details","time"}
+ *   ntfy    plain-text body with Title / Priority / Tags headers
+ *   gotify  {"title","message","priority"}
+ *   slack   {"text"} (Slack incoming webhooks, Mattermost, Discord /slack)
+ */
+
+import log from './logger.js';
+
+export const FORMATS = ['json', 'ntfy', 'gotify', 'slack'];
+
+const POST_TIMEOUT_MS = 10_000;
+const HOUR_MS = 3_600_000;
+
+/** "slack+https://..." -> { format: 'slack', url: 'https://...' }; no prefix means json. */
+export function parseWebhook(str) {
+  const m = /^([a-z]+)\+(https?:\/\/.*)$/i.exec(str);
+  if (m && FORMATS.includes(m[1].toLowerCase())) return { format: m[1].toLowerCase(), url: m[2] };
+  return { format: 'json', url: str };
+}
+
+/**
+ * Request body and headers for one alert in a webhook format.
+ *
+ * @param {string} format
+ * @param {{ key: string, status: 'firing'|'resolved', title: string, message: string, details?: object, time: Date }} alert
+ */
+export function formatPayload(format, alert) {
+  const firing = alert.status === 'firing';
+  const json = (body) => ({ headers: { 'content-type': 'application/json' }, body: JSON.stringify(body) });
+  switch (format) {
+    case 'json':
+      return json({
+        alert: alert.key,
+        status: alert.status,
+        title: alert.title,
+        message: alert.message,
+        details: alert.details ?? {},
+        time: alert.time.toISOString(),
+      });
+    case 'ntfy':
+      return {
+        headers: {
+          'content-type': 'text/plain; charset=utf-8',
+          title: alert.title,
+          priority: firing ? 'high' : 'default',
+          tags: firing ? 'warning' : 'white_check_mark',
+        },
+        body: alert.message,
+      };
+    case 'gotify':
+      return json({ title: alert.title, message: alert.message, priority: firing ? 8 : 4 });
+    case 'slack':
+      return json({ text: `${firing ? ':warning:' : ':white_check_mark:'} *${alert.title}*\n${alert.message}` });
+    default:
+      throw new Error(`Unknown webhook format: ${format}. Expected one of ${FORMATS.join(', ')}.`);
+  }
+}
+
+/** POST an alert to one webhook; rejects on network errors, timeouts and non-2xx. */
+export async function postWebhook({ format, url }, alert) {
+  const { headers, body } = formatPayload(format, alert);
+  const res = await fetch(url, { method: 'POST', headers, body, signal: AbortSignal.timeout(POST_TIMEOUT_MS) });
+  await res.body?.cancel();
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+}
+
+const hoursOld = (ts, now) => Math.floor((now - ts.getTime()) / HOUR_MS);
+
+/**
+ * Alert state machine. Feed it run outcomes and the newest stored hours;
+ * it decides what to send. Delivery errors are logged, never thrown, and an
+ * alert that reached no webhook is retried on the next event.
+ *
+ * @param {{ webhooks: Array<{format: string, url: string}>, failureThreshold?: number,
+ *           staleHours?: number, repeatHours?: number, post?: Function, now?: () => number }} opts
+ *   `staleHours` 0 disables the freshness alert; `post` and `now` are for tests.
+ */
+export function createNotifier({
+  webhooks,
+  failureThreshold = 3,
+  staleHours = 72,
+  repeatHours = 24,
+  post = postWebhook,
+  now = Date.now,
+}) {
+  const active = new Map();   // key -> { sentAt: number|null }
+  let consecutiveFailures = 0;
+
+  async function deliver(alert) {
+    const results = await Promise.allSettled(webhooks.map(w => post(w, alert)));
+    results.forEach((r, i) => {
+      if (r.status === 'rejected') {
+        log.warn({ err: r.reason, alert: alert.key, format: webhooks[i].format }, '[notify] Webhook delivery failed');
+      }
+    });
+    const delivered = results.some(r => r.status === 'fulfilled');
+    if (delivered) log.info({ alert: alert.key, status: alert.status }, `[notify] ${alert.title}`);
+    return delivered;
+  }
+
+  async function fire(key, title, message, details = {}) {
+    const state = active.get(key) ?? { sentAt: null };
+    active.set(key, state);
+    const due = state.sentAt === null || (repeatHours > 0 && now() - state.sentAt >= repeatHours * HOUR_MS);
+    if (!due || webhooks.length === 0) return;
+    if (await deliver({ key, status: 'firing', title, message, details, time: new Date(now()) })) state.sentAt = now();
+  }
+
+  async function resolve(key, title, message, details = {}) {
+    const state = active.get(key);
+    if (!state) return;
+    active.delete(key);
+    // Nobody heard it fire, so nobody needs to hear it resolve
+    if (state.sentAt === null || webhooks.length === 0) return;
+    await deliver({ key, status: 'resolved', title, message, details, time: new Date(now()) });
+  }
+
+  return {
+    /** Record a failed scrape run; `loginFailed` when the portal rejected the credentials. */
+    async runFailed({ label, error, loginFailed = false }) {
+      consecutiveFailures++;
+      if (loginFailed) {
+        await fire('login', 'Edyna scraper: login rejected',
+          `The portal rejected the login (${label}). Check EDYNA_USERNAME / EDYNA_PASSWORD.`, { label });
+      }
+      if (consecutiveFailures >= failureThreshold) {
+        await fire('failures', `Edyna scraper: ${consecutiveFailures} consecutive failed runs`,
+          `Last failure (${label}): ${error?.message ?? error}`, { label, consecutiveFailures, error: error?.message });
+      }
+    },
+
+    /** Record a successful scrape run; resolves the failure and login alerts. */
+    async runSucceeded({ label }) {
+      const failures = consecutiveFailures;
+      consecutiveFailures = 0;
+      await resolve('login', 'Edyna scraper: login working again', `Logged in successfully (${label}).`, { label });
+      await resolve('failures', 'Edyna scraper recovered',
+        `Run ${label} succeeded after ${failures} failed runs.`, { label, failedRuns: failures });
+    },
+
+    /** Check the newest stored hour per consumer ([{consumer, timestamp: Date}]). */
+    async checkFreshness(latest) {
+      if (!staleHours) return;
+      for (const { consumer, timestamp } of latest) {
+        const key = `stale:${consumer}`;
+        const age = hoursOld(timestamp, now());
+        const details = { consumer, newest: timestamp.toISOString(), ageHours: age, thresholdHours: staleHours };
+        if (age > staleHours) {
+          await fire(key, `Edyna data stale: ${consumer}`,
+            `Newest stored hour is ${timestamp.toISOString()} (${age} h old, threshold ${staleHours} h).`, details);
+        } else {
+          await resolve(key, `Edyna data fresh again: ${consumer}`,
+            `Newest stored hour is ${timestamp.toISOString()} (${age} h old).`, details);
+        }
+      }
+    },
+
+    /** Keys of currently firing alerts. */
+    active: () => [...active.keys()],
+  };
+}
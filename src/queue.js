@@ -0,0 +1,112 @@
+/**
+ * The scheduler's run queue: scrape runs execute one at a time, first in,
+ * first out. A run whose key is already queued or running is not added
+ * again, so a trigger that collides with a running job waits its turn
+ * instead of being dropped, and repeated triggers don't pile up.
+ *
+ * No I/O here; the scheduler supplies `execute` and persists entries().
+ */
+
+/**
+ * De-duplication key for main() options: what a run scrapes, e.g.
+ * "current", "2025-03", "2024-10..2025-01", plus "|<consumers>" when
+ * restricted to some consumers.
+ */
+export function runKey({ year = null, month = null, from = null, to = null, consumers = null } = {}) {
+  const target = from && to ? `${from}..${to}`
+    : year && month ? `${year}-${String(month).padStart(2, '0')}`
+    : year ? String(year)
+    : month ? `month ${month}`
+    : 'current';
+  return consumers?.length ? `${target}|${[...consumers].sort().join(',')}` : target;
+}
+
+/**
+ * @typedef {{ id: number, key: string, label: string, kind: string, opts: object, job: string|null,
+ *             source: string, enqueuedAt: Date, startedAt: Date|null }} QueueEntry
+ *
+ * @param {{ execute: (entry: QueueEntry) => Promise<void>, onChange?: () => void, paused?: boolean }} opts
+ *   `execute` runs one entry; a rejection counts as a failed run. `onChange`
+ *   is called whenever the queue or the running entry changes. A `paused`
+ *   queue accepts entries but starts none until start().
+ */
+export function createRunQueue({ execute, onChange = () => {}, paused = false }) {
+  const queued = [];
+  let running = null;
+  let last = null;
+  let nextId = 1;
+  let loop = null;
+
+  const find = (key) => (running?.key === key ? running : queued.find(e => e.key === key) ?? null);
+
+  function kick() {
+    if (loop || paused || queued.length === 0) return;
+    loop = (async () => {
+      while (queued.length > 0 && !paused) {
+        running = queued.shift();
+        running.startedAt = new Date();
+        onChange();
+        let error = null;
+        try {
+          await execute(running);
+        } catch (err) {
+          error = err;
+        }
+        last = { ...running, finishedAt: new Date(), outcome: error ? 'failed' : 'success', error: error?.message ?? null };
+        running = null;
+        onChange();
+      }
+      loop = null;
+    })();
+  }
+
+  return {
+    /**
+     * Queue a run ({ key, label, kind, opts, job?, source? }) unless one with
+     * the same key is queued or running; then that one is returned instead.
+     * @returns {{ entry: QueueEntry, duplicate: boolean }}
+     */
+    enqueue({ key, label, kind, opts = {}, job = null, source = 'schedule' }) {
+      const existing = find(key);
+      if (existing) return { entry: existing, duplicate: true };
+      const entry = { id: nextId++, key, label, kind, opts, job, source, enqueuedAt: new Date(), startedAt: null };
+      queued.push(entry);
+      onChange();
+      kick();
+      return { entry, duplicate: false };
+    },
+
+    /**
+     * Remove a queued run. A running one can't be cancelled.
+     * @returns {{ entry: QueueEntry|null, cancelled: boolean }}
+     */
+    cancel(id) {
+      const i = queued.findIndex(e => e.id === id);
+      if (i === -1) return { entry: running?.id === id ? running : null, cancelled: false };
+      const [entry] = queued.splice(i, 1);
+      onChange();
+      return { entry, cancelled: true };
+    },
+
+    /** The running entry, the queued ones in order, and how the last finished run ended. */
+    list() {
+      return { running, queued: [...queued], last };
+    },
+
+    /** Running entry first, then the queued ones: what a restart should pick up. */
+    entries() {
+      return [running, ...queued].filter(Boolean);
+    },
+
+    start() {
+      paused = false;
+      kick();
+    },
+
+    /** Start no further runs; resolves once the running one (if any) has finished. */
+    async stop() {
+      paused = true;
+      await loop;
+    },
+  };
+}
@@ -1,73 +1,281 @@
 import { writeFile } from 'node:fs/promises';
+import http from 'node:http';
 import os from 'node:os';
 import path from 'node:path';
 import cron from 'node-cron';
 import config from './config.js';
 import log from './logger.js';
-import { main } from './index.js';
+import * as db from './db.js';
+import { main, updateNewestHour, LoginError } from './index.js';
+import * as metrics from './metrics.js';
+import { createNotifier, parseWebhook } from './notify.js';
+import {
+  defaultJobs, jobTarget, missedJobs, healableGaps, countGapAttempts, loadSchedulerState, saveSchedulerState,
+} from './jobs.js';
+import { createRunQueue, runKey } from './queue.js';
+import { createAdminServer } from './admin.js';
+import { formatYearMonth, contiguousMonthRanges } from './util.js';
 
-log.info({ schedule: config.CRON_SCHEDULE }, '[scheduler] Starting');
+// Gap healing, the freshness alert and the newest-hour gauges read Postgres
+const postgres = config.SINKS.includes('postgres');
+const gapSchedule = postgres ? config.GAP_SCHEDULE : '';
+
+const jobs = (config.JOBS ?? defaultJobs(config.CRON_SCHEDULE)).filter(j => j.enabled);
+
+log.info({ jobs: jobs.map(j => `${j.name}: ${j.schedule} (${j.target}${j.target === 'current' ? '' : `, ${j.months}`})`),
+  gapSchedule: gapSchedule || null, sinks: config.SINKS }, '[scheduler] Starting');
+if (!postgres && config.GAP_SCHEDULE) log.info('[scheduler] Gap healing needs the postgres sink, disabled');
+if (process.env.RUN_ON_START ?? process.env.EDYNA_RUN_ON_START) {
+  log.warn('[scheduler] RUN_ON_START is no longer supported; missed runs are caught up instead (see SCHEDULER_STATE_FILE)');
+}
 
-let currentRun = null;
 let shuttingDown = false;
 
-function runScraper({ year = null, month = null } = {}) {
-  if (shuttingDown) return;
-  if (currentRun) {
-    log.warn('[scheduler] Previous run still in progress, skipping this trigger');
-    return;
+const notifier = createNotifier({
+  webhooks: config.NOTIFY_WEBHOOKS.map(parseWebhook),
+  failureThreshold: config.NOTIFY_FAILURE_THRESHOLD,
+  staleHours: config.NOTIFY_STALE_HOURS,
+  repeatHours: config.NOTIFY_REPEAT_HOURS,
+});
+
+// One main() call, reported to the notifier; returns its summaries. Jobs that
+// end up not scraping (a gap check with nothing to heal) don't count as runs.
+async function scrape(label, opts) {
+  let results;
+  try {
+    results = await main({ ...opts, dbMode: true });
+  } catch (err) {
+    await notifier.runFailed({ label, error: err, loginFailed: err instanceof LoginError });
+    throw err;
   }
+  await notifier.runSucceeded({ label });
+  return results;
+}
+
+async function checkFreshness() {
+  if (config.NOTIFY_WEBHOOKS.length === 0 || !config.NOTIFY_STALE_HOURS || !postgres) return;
+  try {
+    await notifier.checkFreshness(await db.queryLatest({ consumer: null }));
+  } catch (err) {
+    log.warn({ err }, '[scheduler] Freshness check failed');
+  } finally {
+    await db.closePool();
+  }
+}
 
-  const label = year && month ? `${year}-${String(month).padStart(2, '0')}` : 'current';
-  log.info({ label }, '[scheduler] Starting scraper run');
+/* ---------- State file ---------- */
+const state = await loadSchedulerState(config.SCHEDULER_STATE_FILE);
+const { lastRuns } = state;
 
-  currentRun = main({ year, month, dbMode: true })
-    .catch(err => {
-      log.error({ err }, '[scheduler] Scraper run failed');
-    })
-    .finally(() => {
-      currentRun = null;
+// Best effort, and serialized so writes land in order: a lost write at
+// worst repeats or skips one catch-up run or forgets the queue.
+let saving = Promise.resolve();
+function saveState() {
+  saving = saving
+    .then(() => saveSchedulerState(config.SCHEDULER_STATE_FILE, { lastRuns, queue: persistedQueue(), gapAttempts: state.gapAttempts }))
+    .catch((err) => {
+      log.warn({ err, file: config.SCHEDULER_STATE_FILE }, '[scheduler] Could not save scheduler state');
     });
-  return currentRun;
+  return saving;
+}
+
+/* ---------- Run queue ---------- */
+// One run touches the browser/DB at a time; the others wait in the queue
+const queue = createRunQueue({
+  execute,
+  onChange() {
+    metrics.queuedRuns.set({}, queue.list().queued.length);
+    saveState();
+  },
+  // Started once the newest-hour seeding has released the pool, see below
+  paused: true,
+});
+
+// The running run is kept too: one cut short by a crash is run again on restart
+const persistedQueue = () => queue.entries().map(({ key, label, kind, opts, job, source }) => ({ key, label, kind, opts, job, source }));
+
+// Jobs whose trigger was merged into an equal queued or running run, by entry id
+const mergedJobs = new Map();
+
+// Returns queue.enqueue()'s { entry, duplicate }, or null once shutting down
+function enqueue(run) {
+  if (shuttingDown) return null;
+  const queued = queue.enqueue(run);
+  const { entry, duplicate } = queued;
+  if (duplicate) {
+    if (run.job && run.job !== entry.job) mergedJobs.set(entry.id, [...(mergedJobs.get(entry.id) ?? []), run.job]);
+    log.warn({ label: run.label, queued: entry.label, id: entry.id }, '[scheduler] Same run already queued or running, skipping this trigger');
+    metrics.skippedTriggers.inc();
+  } else if (queue.list().running !== entry) {
+    log.info({ label: entry.label, id: entry.id }, '[scheduler] Run queued');
+  }
+  return queued;
+}
+
+async function execute(entry) {
+  log.info({ label: entry.label, id: entry.id, target: entry.key }, '[scheduler] Starting scraper run');
+  metrics.runInProgress.set({}, 1);
+  const startedAt = new Date();
+  try {
+    if (entry.kind === 'gaps') await healGaps();
+    else await scrape(entry.label, entry.opts);
+  } catch (err) {
+    log.error({ err, label: entry.label }, '[scheduler] Scraper run failed');
+    throw err;
+  } finally {
+    // A run that finished, failed or not, counts as the last run of its job
+    // and of jobs merged into it; one cut short by a crash doesn't, so the
+    // next start catches it up.
+    for (const job of [entry.job, ...(mergedJobs.get(entry.id) ?? [])].filter(Boolean)) {
+      lastRuns[job] = startedAt.toISOString();
+    }
+    mergedJobs.delete(entry.id);
+    metrics.runInProgress.set({}, 0);
+    await checkFreshness();
+  }
 }
 
-function lastMonth() {
-  const d = new Date();
-  d.setDate(1);
-  d.setMonth(d.getMonth() - 1);
-  return { year: d.getFullYear(), month: d.getMonth() + 1 };
+/* ---------- Jobs ---------- */
+// The target is fixed when the run is queued: a backfill queued on the 31st
+// still means the previous month if it only starts after midnight.
+function runJob(job, { catchUp = false } = {}) {
+  const target = jobTarget(job);
+  enqueue({
+    key: runKey(target),
+    label: catchUp ? `${job.name} (catch-up)` : job.name,
+    kind: 'scrape',
+    opts: { ...target, trigger: catchUp ? `catch-up:${job.name}` : job.name },
+    job: job.name,
+    source: catchUp ? 'catch-up' : 'schedule',
+  });
 }
 
-cron.schedule(config.CRON_SCHEDULE, () => {
-  runScraper();
-}, { timezone: config.TZ });
+/* ---------- Gap healing ---------- */
+// Find months with missing hours in the look-back window and re-scrape them,
+// one range backfill per run of consecutive months, for the affected consumers only.
+// A month whose last GAP_MAX_ATTEMPTS re-scrapes stored nothing new (before
+// the meter existed, a POD without data) is left alone while it has gaps.
+async function healGaps() {
+  let gaps;
+  try {
+    await db.initializeSchema();
+    gaps = (await db.findGaps()).filter(g => g.missing > 0);
+  } finally {
+    await db.closePool();
+  }
+
+  state.gapAttempts = countGapAttempts(state.gapAttempts, gaps, []);
+  if (gaps.length === 0) {
+    log.info('[scheduler] Gap check: no missing hours');
+    await saveState();
+    return;
+  }
+  const healable = healableGaps(gaps, state.gapAttempts, config.GAP_MAX_ATTEMPTS);
+  if (healable.length < gaps.length) {
+    const skipped = gaps.filter(g => !healable.includes(g)).map(g => `${g.consumer} ${formatYearMonth(g)}`);
+    log.info({ months: skipped, attempts: config.GAP_MAX_ATTEMPTS },
+      '[scheduler] Gap check: skipping months that stayed empty after repeated re-scrapes');
+  }
 
-// 3rd and 10th of each month: scrape the previous full month
-cron.schedule('0 23 3,10 * *', () => {
-  const { year, month } = lastMonth();
-  log.info({ year, month }, '[scheduler] Backfill run: scraping last month');
-  runScraper({ year, month });
-}, { timezone: config.TZ });
+  const monthKey = (ym) => ym.year * 12 + ym.month;
+  for (const { from, to } of contiguousMonthRanges(healable)) {
+    if (shuttingDown) break;
+    const inRange = healable.filter(g => monthKey(g) >= monthKey(from) && monthKey(g) <= monthKey(to));
+    const consumers = [...new Set(inRange.map(g => g.consumer))];
+    const missing = inRange.reduce((sum, g) => sum + g.missing, 0);
+    log.info({ from: formatYearMonth(from), to: formatYearMonth(to), consumers, missing },
+      '[scheduler] Gap check: backfilling');
+    const summaries = await scrape(`gaps ${formatYearMonth(from)}..${formatYearMonth(to)}`,
+      { from: formatYearMonth(from), to: formatYearMonth(to), consumers, trigger: 'gaps' });
+    state.gapAttempts = countGapAttempts(state.gapAttempts, gaps, summaries);
+  }
+  await saveState();
+}
 
-if (config.RUN_ON_START) {
-  log.info('[scheduler] RUN_ON_START enabled, running immediately');
-  runScraper();
+for (const job of jobs) {
+  cron.schedule(job.schedule, () => {
+    runJob(job);
+  }, { timezone: config.TZ });
 }
 
+if (gapSchedule) {
+  cron.schedule(gapSchedule, () => {
+    enqueue({ key: 'gaps', label: 'gaps', kind: 'gaps' });
+  }, { timezone: config.TZ });
+}
+
+/* ---------- Restored queue and catch-up ---------- */
+// Runs still queued at the last shutdown go first, in their original order
+if (state.queue.length > 0) {
+  log.info({ runs: state.queue.map(r => r.label) }, '[scheduler] Restoring queued runs');
+  for (const run of state.queue) enqueue(run);
+}
+
+// Each missed job runs once, oldest miss first; the queue drops one that
+// duplicates a restored run.
+const missed = missedJobs(jobs, lastRuns);
+for (const { job, due } of missed) {
+  log.info({ job: job.name, missed: due.toISOString(), lastRun: lastRuns[job.name] }, '[scheduler] Catching up missed run');
+  runJob(job, { catchUp: true });
+}
+
+// A job seen for the first time has missed nothing yet; from now on it has a baseline
+const unseen = jobs.filter(j => !lastRuns[j.name]);
+for (const job of unseen) lastRuns[job.name] = new Date().toISOString();
+if (unseen.length > 0) await saveState();
+
 /* ---------- Liveness heartbeat (checked by Docker HEALTHCHECK) ---------- */
 const HEARTBEAT_FILE = path.join(os.tmpdir(), 'edyna-heartbeat');
 const touchHeartbeat = () => writeFile(HEARTBEAT_FILE, String(Date.now())).catch(() => {});
 touchHeartbeat();
 setInterval(touchHeartbeat, 60_000);
 
+/* ---------- Prometheus metrics ---------- */
+let metricsServer = null;
+let seeded = Promise.resolve();
+if (config.METRICS_PORT) {
+  metricsServer = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname !== '/metrics') {
+      res.writeHead(404, { 'content-type': 'text/plain; charset=utf-8' });
+      return res.end('Not found\n');
+    }
+    res.writeHead(200, { 'content-type': 'text/plain; version=0.0.4; charset=utf-8' });
+    res.end(metrics.registry.render());
+  });
+  metricsServer.listen(config.METRICS_PORT, config.METRICS_HOST, () => {
+    log.info({ host: config.METRICS_HOST, port: config.METRICS_PORT }, '[scheduler] Serving /metrics');
+  });
+
+  // Seed the newest-hour gauges so they are meaningful before the first run
+  if (postgres) seeded = updateNewestHour().finally(() => db.closePool());
+}
+// Queued runs use the pool too, so they wait for the seeding to close it
+seeded.then(() => queue.start());
+
+/* ---------- Admin endpoint ---------- */
+let adminServer = null;
+if (config.ADMIN_PORT) {
+  adminServer = createAdminServer(queue, { enqueue });
+  adminServer.listen(config.ADMIN_PORT, config.ADMIN_HOST, () => {
+    log.info({ host: config.ADMIN_HOST, port: config.ADMIN_PORT, auth: Boolean(config.ADMIN_TOKEN) }, '[scheduler] Serving /queue');
+  });
+}
+
 /* ---------- Graceful shutdown ---------- */
 async function shutdown(signal) {
   if (shuttingDown) return;
   shuttingDown = true;
   log.info({ signal }, '[scheduler] Shutting down');
-  if (currentRun) {
-    log.info('[scheduler] Waiting for in-flight scraper run to finish');
-    await currentRun;
+  if (queue.list().running) log.info('[scheduler] Waiting for in-flight scraper run to finish');
+  await queue.stop();
+  // Whatever is still queued runs after the next start
+  await saveState();
+  const { queued } = queue.list();
+  if (queued.length > 0) log.info({ runs: queued.map(e => e.label) }, '[scheduler] Queued runs saved for the next start');
+  for (const server of [metricsServer, adminServer].filter(Boolean)) {
+    server.closeIdleConnections();
+    await new Promise(resolve => server.close(resolve));
   }
   process.exit(0);
 }
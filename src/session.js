@@ -0,0 +1,65 @@
+/**
+ * Persisted portal session: the browser's cookies plus the page the portal
+ * showed after login, so a later run (or a retry) can skip the login form
+ * while the portal still accepts the session.
+ *
+ * The file grants portal access the way the password does. It is written
+ * with mode 0600 (directory 0700) through a temp file and rename, and a
+ * file found readable by others is tightened on load.
+ */
+
+import { chmod, mkdir, readFile, rename, rm, stat, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import log from './logger.js';
+
+// What Browser.setCookie() accepts; size, session, priority etc. are dropped
+const COOKIE_FIELDS = ['name', 'value', 'domain', 'path', 'expires', 'httpOnly', 'secure', 'sameSite'];
+
+/**
+ * Cookies as Browser.cookies() returns them -> storable / restorable ones.
+ * Expired cookies are dropped; session cookies (expires <= 0) keep no expiry.
+ */
+export function sessionCookies(cookies, now = Date.now()) {
+  return cookies
+    .filter(c => !(c.expires > 0 && c.expires * 1000 <= now))
+    .map(c => Object.fromEntries(COOKIE_FIELDS
+      .filter(k => c[k] !== undefined && !(k === 'expires' && c[k] <= 0))
+      .map(k => [k, c[k]])));
+}
+
+/** The saved session ({ url, cookies }), or null when there is none worth trying. */
+export async function loadSession(file, now = Date.now()) {
+  let data;
+  try {
+    const { mode } = await stat(file);
+    if (mode & 0o077) {
+      log.warn({ file, mode: (mode & 0o777).toString(8) }, '[session] Session file was readable by others, restricting to 0600');
+      await chmod(file, 0o600);
+    }
+    data = JSON.parse(await readFile(file, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') log.warn({ err, file }, '[session] Ignoring unreadable session file');
+    return null;
+  }
+  if (typeof data?.url !== 'string' || !Array.isArray(data.cookies)) {
+    log.warn({ file }, '[session] Ignoring malformed session file');
+    return null;
+  }
+  const cookies = sessionCookies(data.cookies, now);
+  return cookies.length > 0 ? { url: data.url, cookies } : null;
+}
+
+/** Write the session atomically, owner-only. */
+export async function saveSession(file, { url, cookies }) {
+  await mkdir(path.dirname(path.resolve(file)), { recursive: true, mode: 0o700 });
+  const tmp = `${file}.${process.pid}.tmp`;
+  await writeFile(tmp, JSON.stringify({ savedAt: new Date().toISOString(), url, cookies: sessionCookies(cookies) }),
+    { mode: 0o600 });
+  // writeFile's mode only applies to new files; a stale temp file keeps its own
+  await chmod(tmp, 0o600);
+  await rename(tmp, file);
+}
+
+export async function clearSession(file) {
+  await rm(file, { force: true });
+}
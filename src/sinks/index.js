@@ -0,0 +1,108 @@
+/**
+ * Storage sinks for --db mode, selected with SINKS: any of postgres, sqlite,
+ * influx, written in the order listed. A sink is
+ *
+ *   { name,
+ *     init(),                                                    create tables / check settings
+ *     saveHourly(consumer, rows, { runId, measurement }),        rows from expandDailyHourly()
+ *     saveMonthly({ consumer, year, measurement, months }),      portal monthly totals
+ *     close(),
+ *     saveQuarantine?(consumer, days, { runId, measurement, interval }) }  optional extras
+ *
+ * `measurement` is one of src/measurements.js; sinks store it with every value.
+ * Every sink upserts: writing the same data twice leaves it unchanged, and a
+ * changed value replaces the stored one, so a retried or repeated run is
+ * harmless. The save methods resolve to { insertedCount, updatedCount,
+ * unchangedCount }, or null when the backend can't tell (InfluxDB).
+ *
+ * Backends are imported when configured, so node:sqlite (and its
+ * experimental-feature warning) stays out of Postgres-only setups.
+ */
+
+import config from '../config.js';
+import log from '../logger.js';
+import * as metrics from '../metrics.js';
+import { expandDailyHourly } from '../util.js';
+import { ACTIVE_ENERGY } from '../measurements.js';
+
+const FACTORIES = {
+  postgres: async () => (await import('./postgres.js')).createPostgresSink(),
+  sqlite:   async () => (await import('./sqlite.js')).createSqliteSink({ path: config.SQLITE_PATH }),
+  influx:   async () => (await import('./influx.js')).createInfluxSink({
+    url: config.INFLUX_URL, token: config.INFLUX_TOKEN, org: config.INFLUX_ORG, bucket: config.INFLUX_BUCKET,
+  }),
+};
+
+/** Create the configured sinks (not yet initialised) as one combined sink. */
+export async function openSinks(names = config.SINKS) {
+  const sinks = [];
+  for (const name of names) sinks.push(await FACTORIES[name]());
+  return combineSinks(sinks);
+}
+
+function countRows(sink, table, counts) {
+  if (!counts) return;
+  for (const result of ['inserted', 'updated', 'unchanged']) {
+    metrics.rowsWritten.inc({ sink, table, result }, counts[`${result}Count`]);
+  }
+}
+
+/**
+ * Fan writes out to several sinks, one after the other; the first failure
+ * fails the write. Counts returned are those of the first sink that reports
+ * any (all null when none does).
+ */
+export function combineSinks(sinks) {
+  const noCounts = { insertedCount: null, updatedCount: null, unchangedCount: null };
+
+  async function each(table, write) {
+    let counts = null;
+    for (const sink of sinks) {
+      const result = await write(sink);
+      countRows(sink.name, table, result);
+      counts ??= result;
+    }
+    return counts ?? noCounts;
+  }
+
+  return {
+    names: sinks.map(s => s.name),
+    has: (name) => sinks.some(s => s.name === name),
+
+    async init() {
+      for (const sink of sinks) await sink.init();
+    },
+
+    /**
+     * Expand scraped days into hourly rows once for all sinks. Rows are
+     * de-duplicated on timestamp, last value wins. dailyData.measurement
+     * defaults to active energy.
+     */
+    async saveHourly(dailyData, opts = {}) {
+      const { rows, unparseable, duplicates } = expandDailyHourly(dailyData);
+      for (const date of unparseable) log.warn({ date }, '[sinks] Skipping unparseable date');
+      for (const d of duplicates) {
+        log.warn({ timestamp: d.timestamp.toISOString(), date: d.date, hour: d.hour },
+          '[sinks] Duplicate timestamp in scraped batch, keeping last value');
+      }
+      const measurement = dailyData.measurement ?? ACTIVE_ENERGY;
+      return each('hourly', sink => sink.saveHourly(dailyData.consumer ?? '', rows, { ...opts, measurement }));
+    },
+
+    saveMonthly(totals) {
+      return each('monthly', sink => sink.saveMonthly({ measurement: ACTIVE_ENERGY, ...totals }));
+    },
+
+    async saveQuarantine(consumer, days, opts = {}) {
+      for (const sink of sinks) await sink.saveQuarantine?.(consumer, days, opts);
+    },
+
+    /** Close every sink, even if one fails; failures are logged. */
+    async close() {
+      const results = await Promise.allSettled(sinks.map(s => s.close()));
+      results.forEach((r, i) => {
+        if (r.status === 'rejected') log.warn({ err: r.reason, sink: sinks[i].name }, '[sinks] Close failed');
+      });
+    },
+  };
+}
@@ -0,0 +1,139 @@
+/**
+ * InfluxDB sink: line protocol over the v2 HTTP write API (/api/v2/write),
+ * which InfluxDB 2.x/3.x and 1.8+ (bucket "db/retention-policy", token
+ * "user:password") all accept.
+ *
+ *   edyna_hourly,consumer=<POD>,interval_minutes=<60|15>,measurement=<name> kwh=<float> <start of the interval, Unix s>
+ *   edyna_monthly,consumer=<POD> kwh=<float> <local midnight of the 1st, Unix s>
+ *
+ * The field is the measurement's unit (src/measurements.js): kwh for active
+ * energy, kvarh for reactive energy, kw for peak power. Hourly points carry
+ * the measurement and interval length as tags, so each measurement at each
+ * resolution is a series of its own; the monthly measurements of one month
+ * are fields of the same point.
+ *
+ * A point with the same measurement, tags and timestamp replaces the stored
+ * one. That is an upsert as long as a day keeps its interval length; when it
+ * changes (hours re-published as quarter hours, or back), the series of the
+ * other lengths are deleted over the saved days first (/api/v2/delete), as
+ * the other sinks replace those rows. InfluxDB 3 has no delete API: there
+ * the old series is left, told apart by its tag. InfluxDB doesn't say
+ * whether a point was new, so no counts are reported.
+ */
+
+import log from '../logger.js';
+import { MEASUREMENTS, ACTIVE_ENERGY } from '../measurements.js';
+import { INTERVALS, daySpans } from '../util.js';
+
+const WRITE_TIMEOUT_MS = 30_000;
+const BATCH_LINES = 5000;
+
+// Line protocol tag values escape commas, equals signs and spaces.
+const escapeTag = (v) => String(v).replace(/[,= ]/g, '\\$&');
+const seconds = (date) => Math.floor(date.getTime() / 1000);
+
+/** One line-protocol point; `field` names the value (default kwh), `tags` are added after consumer. */
+export function formatPoint(measurement, consumer, value, time, field = 'kwh', tags = {}) {
+  const tagSet = [`consumer=${escapeTag(consumer || 'unknown')}`, ...Object.entries(tags).map(([k, v]) => `${k}=${escapeTag(v)}`)].join(',');
+  return `${measurement},${tagSet} ${field}=${value} ${seconds(time)}`;
+}
+
+const fieldOf = (measurement) => MEASUREMENTS[measurement].unit.toLowerCase();
+
+// Consecutive days as one range, so a month costs one delete per other interval length
+function mergeSpans(spans) {
+  const merged = [];
+  for (const s of [...spans].sort((a, b) => a.from - b.from)) {
+    const last = merged.at(-1);
+    if (last && s.from <= last.to) last.to = s.to > last.to ? s.to : last.to;
+    else merged.push({ from: s.from, to: s.to });
+  }
+  return merged;
+}
+
+/** @param {{ url?: string, token?: string, org?: string, bucket: string }} opts */
+export function createInfluxSink({ url, token, org, bucket }) {
+  let canDelete = true;   // false once the server turned out not to have /api/v2/delete
+
+  const endpointOf = (path, params = {}) => {
+    const endpoint = new URL(path, url.endsWith('/') ? url : `${url}/`);
+    endpoint.search = new URLSearchParams({ bucket, ...params, ...(org ? { org } : {}) });
+    return endpoint;
+  };
+  const authorization = token ? { authorization: `Token ${token}` } : {};
+
+  async function write(lines) {
+    const endpoint = endpointOf('api/v2/write', { precision: 's' });
+    for (let i = 0; i < lines.length; i += BATCH_LINES) {
+      const res = await fetch(endpoint, {
+        method: 'POST',
+        headers: {
+          'content-type': 'text/plain; charset=utf-8',
+          ...authorization,
+        },
+        body: lines.slice(i, i + BATCH_LINES).join('\n'),
+        signal: AbortSignal.timeout(WRITE_TIMEOUT_MS),
+      });
+      if (!res.ok) {
+        const detail = (await res.text().catch(() => '')).slice(0, 500);
+        throw new Error(`InfluxDB write failed: HTTP ${res.status} ${detail}`.trim());
+      }
+    }
+  }
+
+  // Delete one measurement's hourly series of other interval lengths over the days in `rows`
+  async function deleteOtherIntervals(consumer, measurement, rows) {
+    const interval = rows[0].interval ?? 60;
+    const quote = (v) => `"${String(v).replace(/["\\]/g, '\\$&')}"`;
+    for (const { from, to } of mergeSpans(daySpans(rows))) {
+      for (const other of INTERVALS.filter(m => m !== interval)) {
+        if (!canDelete) return;
+        const res = await fetch(endpointOf('api/v2/delete'), {
+          method: 'POST',
+          headers: { 'content-type': 'application/json', ...authorization },
+          body: JSON.stringify({
+            // The range is inclusive; stop short of the next day's first point
+            start: from.toISOString(),
+            stop: new Date(to.getTime() - 1000).toISOString(),
+            predicate: `_measurement="edyna_hourly" AND consumer=${quote(consumer || 'unknown')}`
+              + ` AND measurement=${quote(measurement)} AND interval_minutes="${other}"`,
+          }),
+          signal: AbortSignal.timeout(WRITE_TIMEOUT_MS),
+        });
+        if ([404, 405, 501].includes(res.status)) {
+          canDelete = false;
+          log.warn({ status: res.status }, '[influx] Server has no delete API; series of another interval length are left in place');
+        } else if (!res.ok) {
+          const detail = (await res.text().catch(() => '')).slice(0, 500);
+          throw new Error(`InfluxDB delete failed: HTTP ${res.status} ${detail}`.trim());
+        }
+      }
+    }
+  }
+
+  return {
+    name: 'influx',
+
+    async init() {
+      if (!url) throw new Error('INFLUX_URL is required for the influx sink');
+    },
+
+    async saveHourly(consumer, rows, { measurement = ACTIVE_ENERGY } = {}) {
+      if (rows.length === 0) return null;
+      await deleteOtherIntervals(consumer, measurement, rows);
+      await write(rows.map(r =>
+        formatPoint('edyna_hourly', consumer, r.kwh, r.timestamp, fieldOf(measurement), { interval_minutes: r.interval ?? 60, measurement })));
+      log.info({ consumer, measurement, points: rows.length }, '[influx] Wrote hourly data');
+      return null;
+    },
+
+    async saveMonthly({ consumer, year, measurement = ACTIVE_ENERGY, months }) {
+      if (months.length === 0) return null;
+      await write(months.map(m => formatPoint('edyna_monthly', consumer, m.kwh, new Date(year, m.month - 1, 1), fieldOf(measurement))));
+      log.info({ consumer, year, measurement, points: months.length }, '[influx] Wrote monthly totals');
+      return null;
+    },
+
+    async close() {},
+  };
+}
@@ -0,0 +1,18 @@
+/**
+ * PostgreSQL / TimescaleDB sink: the schema in src/migrations, with hourly
+ * revisions, quarantine and rollups. The reports, the HTTP API and the
+ * scheduler's gap healing read from this database.
+ */
+
+import * as db from '../db.js';
+
+export function createPostgresSink() {
+  return {
+    name: 'postgres',
+    init: () => db.initializeSchema(),
+    saveHourly: (consumer, rows, opts) => db.saveHourlyRows(consumer, rows, opts),
+    saveMonthly: (totals) => db.saveMonthlyData(totals),
+    saveQuarantine: (consumer, days, opts) => db.saveQuarantine(consumer, days, opts),
+    close: () => db.closePool(),
+  };
+}
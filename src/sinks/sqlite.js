@@ -0,0 +1,167 @@
+/**
+ * SQLite sink (node:sqlite, no extra dependency; Node >= 22.13). One file
+ * holding edyna_hourly and edyna_monthly with the same keys and upsert rules
+ * as PostgreSQL. Timestamps are ISO 8601 UTC strings, months "YYYY-MM-01",
+ * so both sort and compare as text.
+ *
+ * Files from before the measurement column (PostgreSQL migration 009) are
+ * converted on init: SQLite can't change a primary key in place, so each
+ * table is rebuilt with its rows as active energy. Columns added later
+ * (interval_minutes, migration 010) are added in place. A saved day
+ * replaces stored values of another interval length (hours by quarter hours
+ * or back) in the time it covers.
+ */
+
+import { mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import log from '../logger.js';
+import { daySpans, formatYearMonth } from '../util.js';
+import { ACTIVE_ENERGY } from '../measurements.js';
+
+const NOW = `strftime('%Y-%m-%dT%H:%M:%fZ', 'now')`;
+
+const table = ({ name, keyColumn, extra }) => `
+  CREATE TABLE IF NOT EXISTS ${name} (
+    consumer    TEXT NOT NULL,
+    measurement TEXT NOT NULL DEFAULT '${ACTIVE_ENERGY}',
+    ${keyColumn.padEnd(11)} TEXT NOT NULL,
+    kwh         REAL NOT NULL,${Object.entries(extra).map(([column, type]) => `
+    ${column} ${type},`).join('')}
+    created_at  TEXT NOT NULL DEFAULT (${NOW}),
+    updated_at  TEXT NOT NULL DEFAULT (${NOW}),
+    PRIMARY KEY (consumer, measurement, ${keyColumn})
+  ) WITHOUT ROWID;
+`;
+
+// `extra`: value columns after kwh, added to existing files when missing
+const TABLES = [
+  { name: 'edyna_hourly',  keyColumn: 'timestamp', extra: { interval_minutes: 'INTEGER NOT NULL DEFAULT 60' } },
+  { name: 'edyna_monthly', keyColumn: 'month',     extra: {} },
+];
+
+/**
+ * @param {{ path: string, load?: Function }} opts  `path`: database file,
+ *   created if missing; `load` imports node:sqlite, tests pass a stand-in.
+ */
+export function createSqliteSink({ path: file, load = () => import('node:sqlite') }) {
+  let db = null;
+
+  // Rebuild a table from before the measurement column; its rows are active energy.
+  function addMeasurement(t) {
+    const { name, keyColumn } = t;
+    const columns = db.prepare(`PRAGMA table_info(${name})`).all().map(c => c.name);
+    if (columns.length === 0 || columns.includes('measurement')) return;
+    db.exec('BEGIN IMMEDIATE');
+    try {
+      db.exec(`ALTER TABLE ${name} RENAME TO ${name}_old`);
+      db.exec(table(t));
+      db.exec(`INSERT INTO ${name} (consumer, ${keyColumn}, kwh, created_at, updated_at)
+               SELECT consumer, ${keyColumn}, kwh, created_at, updated_at FROM ${name}_old`);
+      db.exec(`DROP TABLE ${name}_old`);
+      db.exec('COMMIT');
+    } catch (err) {
+      db.exec('ROLLBACK');
+      throw err;
+    }
+    log.info({ file, table: name }, '[sqlite] Added the measurement column');
+  }
+
+  function addColumns({ name, extra }) {
+    const columns = db.prepare(`PRAGMA table_info(${name})`).all().map(c => c.name);
+    for (const [column, type] of Object.entries(extra).filter(([c]) => !columns.includes(c))) {
+      db.exec(`ALTER TABLE ${name} ADD COLUMN ${column} ${type}`);
+      log.info({ file, table: name, column }, '[sqlite] Added a column');
+    }
+  }
+
+  // Insert new keys, update changed values, leave equal ones alone; one transaction,
+  // which `before` runs in first. Entries are [key, ...values of valueColumns].
+  function upsert(table, keyColumn, consumer, measurement, entries, { valueColumns = ['kwh'], before } = {}) {
+    const where = `consumer = ? AND measurement = ? AND ${keyColumn} = ?`;
+    const select = db.prepare(`SELECT ${valueColumns.join(', ')} FROM ${table} WHERE ${where}`);
+    const insert = db.prepare(`INSERT INTO ${table} (consumer, measurement, ${keyColumn}, ${valueColumns.join(', ')})
+                               VALUES (?, ?, ?, ${valueColumns.map(() => '?').join(', ')})`);
+    const update = db.prepare(`UPDATE ${table} SET ${valueColumns.map(c => `${c} = ?`).join(', ')}, updated_at = ${NOW} WHERE ${where}`);
+
+    const counts = { insertedCount: 0, updatedCount: 0, unchangedCount: 0 };
+    const updated = [];
+    db.exec('BEGIN IMMEDIATE');
+    try {
+      before?.();
+      for (const [key, ...values] of entries) {
+        const stored = select.get(consumer, measurement, key);
+        if (!stored) {
+          insert.run(consumer, measurement, key, ...values);
+          counts.insertedCount++;
+        } else if (valueColumns.some((c, i) => stored[c] !== values[i])) {
+          update.run(...values, consumer, measurement, key);
+          counts.updatedCount++;
+          updated.push({ key, previousKwh: stored.kwh, kwh: values[0] });
+        } else {
+          counts.unchangedCount++;
+        }
+      }
+      db.exec('COMMIT');
+    } catch (err) {
+      db.exec('ROLLBACK');
+      throw err;
+    }
+    return { counts, updated };
+  }
+
+  return {
+    name: 'sqlite',
+
+    async init() {
+      const { DatabaseSync } = await load().catch((err) => {
+        // Before 22.13 node:sqlite only exists behind --experimental-sqlite
+        if (err.code !== 'ERR_UNKNOWN_BUILTIN_MODULE') throw err;
+        throw new Error(`The sqlite sink needs Node >= 22.13 (node:sqlite); this is ${process.version}`);
+      });
+      await mkdir(path.dirname(path.resolve(file)), { recursive: true });
+      db = new DatabaseSync(file);
+      // Another writer (a manual run next to the scheduler) waits instead of failing
+      db.exec('PRAGMA journal_mode = WAL; PRAGMA busy_timeout = 5000;');
+      for (const t of TABLES) {
+        addMeasurement(t);
+        db.exec(table(t));
+        addColumns(t);
+      }
+    },
+
+    async saveHourly(consumer, rows, { measurement = ACTIVE_ENERGY } = {}) {
+      // Values of another interval length on the saved days are replaced, not kept alongside
+      const clear = db.prepare(`DELETE FROM edyna_hourly WHERE consumer = ? AND measurement = ?
+                                  AND timestamp >= ? AND timestamp < ? AND interval_minutes <> ?`);
+      let cleared = 0;
+      const { counts } = upsert('edyna_hourly', 'timestamp', consumer, measurement,
+        rows.map(r => [r.timestamp.toISOString(), r.kwh, r.interval ?? 60]), {
+          valueColumns: ['kwh', 'interval_minutes'],
+          before: () => {
+            for (const s of daySpans(rows)) {
+              cleared += Number(clear.run(consumer, measurement, s.from.toISOString(), s.to.toISOString(), s.interval ?? 60).changes);
+            }
+          },
+        });
+      if (cleared > 0) log.info({ consumer, measurement, file, cleared }, '[sqlite] Replaced values of another interval length');
+      log.info({ consumer, measurement, file, ...counts }, '[sqlite] Saved daily hourly data');
+      return counts;
+    },
+
+    async saveMonthly({ consumer, year, measurement = ACTIVE_ENERGY, months }) {
+      const { counts, updated } = upsert('edyna_monthly', 'month', consumer, measurement,
+        months.map(m => [`${formatYearMonth({ year, month: m.month })}-01`, m.kwh]));
+      for (const u of updated) {
+        log.warn({ consumer, measurement, month: u.key.slice(0, 7), previousKwh: u.previousKwh, kwh: u.kwh },
+          '[sqlite] Portal corrected monthly total');
+      }
+      log.info({ consumer, year, measurement, file, ...counts }, '[sqlite] Saved monthly totals');
+      return counts;
+    },
+
+    async close() {
+      db?.close();
+      db = null;
+    },
+  };
+}
@@ -0,0 +1,205 @@
+/**
+ * ARERA time-of-use bands and cost calculation.
+ *
+ *   F1  Mon-Fri 08:00-19:00
+ *   F2  Mon-Fri 07:00-08:00 and 19:00-23:00, Sat 07:00-23:00
+ *   F3  Mon-Sat 00:00-07:00 and 23:00-24:00, Sundays and national holidays all day
+ *
+ * An hour is classified by its local start time in the process TZ (pinned to
+ * config.TZ), so both 02:00 hours of the 25-hour DST day are F3.
+ *
+ * Prices come from a JSON tariff file (see README, "Costs"):
+ *
+ *   { "currency": "EUR",
+ *     "holidays": ["10-04"],                      // extra, "MM-DD" (every year) or "YYYY-MM-DD"
+ *     "periods": [{ "from": "2025-01-01", "to": "2025-06-30",    // inclusive; `to` optional on the last
+ *                   "prices": { "F1": 0.16, "F2": 0.15, "F3": 0.13 },  // per kWh
+ *                   "monthlyFee": 9.8 }] }                             // spread evenly over the month's days
+ */
+
+import { readFile } from 'node:fs/promises';
+import { z } from 'zod';
+
+export const BANDS = ['F1', 'F2', 'F3'];
+
+// Fixed-date national holidays (MM-DD); Easter Monday is added per year
+const NATIONAL_HOLIDAYS = ['01-01', '01-06', '04-25', '05-01', '06-02', '08-15', '11-01', '12-08', '12-25', '12-26'];
+
+const pad2 = (n) => String(n).padStart(2, '0');
+const round4 = (n) => Math.round(n * 10_000) / 10_000;
+
+/** Local calendar day of a Date as "YYYY-MM-DD". */
+export const localDay = (d) => `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`;
+
+/** Gregorian Easter Sunday (anonymous Gregorian algorithm) -> { month, day }. */
+export function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return { month, day };
+}
+
+/**
+ * National holidays of a year as a Set of "YYYY-MM-DD", plus `extra`
+ * entries ("MM-DD" recurring or "YYYY-MM-DD" one-off).
+ */
+export function holidaysFor(year, extra = []) {
+  const easter = easterSunday(year);
+  const monday = new Date(year, easter.month - 1, easter.day + 1);
+  const days = new Set([...NATIONAL_HOLIDAYS, `${pad2(monday.getMonth() + 1)}-${pad2(monday.getDate())}`]
+    .map(md => `${year}-${md}`));
+  for (const h of extra) {
+    if (h.length === 5) days.add(`${year}-${h}`);
+    else if (h.startsWith(`${year}-`)) days.add(h);
+  }
+  return days;
+}
+
+/** ARERA band of the hour starting at `date` (local time). */
+export function timeBand(date, holidays) {
+  const hour = date.getHours();
+  const weekday = date.getDay();   // 0 = Sunday
+  if (weekday === 0 || holidays.has(localDay(date))) return 'F3';
+  if (hour < 7 || hour >= 23) return 'F3';
+  if (weekday === 6) return 'F2';
+  return hour >= 8 && hour < 19 ? 'F1' : 'F2';
+}
+
+/* ---------- Tariff file ---------- */
+const price = z.number().min(0);
+const periodSchema = z.strictObject({
+  from:       z.iso.date(),
+  to:         z.iso.date().optional(),
+  prices:     z.strictObject({ F1: price, F2: price, F3: price }),
+  monthlyFee: z.number().min(0).default(0),
+});
+
+export const tariffSchema = z.strictObject({
+  currency: z.string().default('EUR'),
+  holidays: z.array(z.string().regex(/^(\d{4}-)?\d{2}-\d{2}$/, 'Expected MM-DD or YYYY-MM-DD')).default([]),
+  periods:  z.array(periodSchema).min(1),
+}).transform(t => ({ ...t, periods: [...t.periods].sort((a, b) => a.from.localeCompare(b.from)) }))
+  .superRefine((t, ctx) => {
+    t.periods.forEach((p, i) => {
+      if (p.to !== undefined && p.to < p.from) {
+        ctx.addIssue({ code: 'custom', message: `Period ${p.from}: "to" is before "from"` });
+      }
+      const next = t.periods[i + 1];
+      if (next && (p.to === undefined || p.to >= next.from)) {
+        ctx.addIssue({ code: 'custom', message: `Period ${p.from} overlaps period ${next.from}` });
+      }
+    });
+  });
+
+/** Read and validate a tariff file; throws with every problem listed. */
+export async function loadTariff(file) {
+  const result = tariffSchema.safeParse(JSON.parse(await readFile(file, 'utf8')));
+  if (!result.success) {
+    const issues = result.error.issues.map(i => `  ${i.path.join('.') || 'tariff'}: ${i.message}`).join('\n');
+    throw new Error(`Invalid tariff file ${file}:\n${issues}`);
+  }
+  return result.data;
+}
+
+/** The price period covering a "YYYY-MM-DD" day, or null. */
+export function periodAt(tariff, day) {
+  return tariff.periods.find(p => p.from <= day && (p.to === undefined || day <= p.to)) ?? null;
+}
+
+/* ---------- Cost breakdown ---------- */
+
+/**
+ * Per-day cost breakdown of hourly rows ([{consumer, timestamp, kwh}]).
+ * Every calendar day of a month with any data gets a row (hours = 0 when
+ * nothing is stored), so each month carries its full fixed fee. Costs are
+ * null on days no price period covers.
+ *
+ * @returns {Array<{consumer: string, day: string, f1_kwh: number, f2_kwh: number, f3_kwh: number,
+ *                  kwh: number, hours: number, energy_cost: number|null, fixed_cost: number|null,
+ *                  total_cost: number|null}>}
+ */
+export function dailyCosts(rows, tariff) {
+  const holidays = new Map();
+  const holidaysOf = (year) => {
+    if (!holidays.has(year)) holidays.set(year, holidaysFor(year, tariff.holidays));
+    return holidays.get(year);
+  };
+
+  const days = new Map();
+  const dayRow = (consumer, day) => {
+    const key = `${consumer}|${day}`;
+    if (!days.has(key)) days.set(key, { consumer, day, F1: 0, F2: 0, F3: 0, hours: 0 });
+    return days.get(key);
+  };
+
+  const months = new Set();
+  for (const { consumer, timestamp, kwh } of rows) {
+    const ts = new Date(timestamp);
+    const acc = dayRow(consumer, localDay(ts));
+    acc[timeBand(ts, holidaysOf(ts.getFullYear()))] += kwh;
+    acc.hours++;
+    months.add(`${consumer}|${ts.getFullYear()}|${ts.getMonth() + 1}`);
+  }
+  for (const key of months) {
+    const [consumer, year, month] = key.split('|');
+    const n = new Date(Number(year), Number(month), 0).getDate();
+    for (let d = 1; d <= n; d++) dayRow(consumer, `${year}-${pad2(month)}-${pad2(d)}`);
+  }
+
+  return [...days.values()]
+    .sort((a, b) => a.consumer.localeCompare(b.consumer) || a.day.localeCompare(b.day))
+    .map(({ consumer, day, hours, ...kwh }) => {
+      const period = periodAt(tariff, day);
+      const [year, month] = day.split('-').map(Number);
+      const energy = period && BANDS.reduce((sum, b) => sum + kwh[b] * period.prices[b], 0);
+      const fixed = period && period.monthlyFee / new Date(year, month, 0).getDate();
+      return {
+        consumer,
+        day,
+        f1_kwh: round4(kwh.F1),
+        f2_kwh: round4(kwh.F2),
+        f3_kwh: round4(kwh.F3),
+        kwh: round4(kwh.F1 + kwh.F2 + kwh.F3),
+        hours,
+        energy_cost: period ? round4(energy) : null,
+        fixed_cost: period ? round4(fixed) : null,
+        total_cost: period ? round4(energy + fixed) : null,
+      };
+    });
+}
+
+/** Roll dailyCosts() rows up to months ("YYYY-MM"); a cost is null if any day's is. */
+export function monthlyCosts(daily) {
+  const months = new Map();
+  for (const r of daily) {
+    const month = r.day.slice(0, 7);
+    const key = `${r.consumer}|${month}`;
+    if (!months.has(key)) {
+      months.set(key, {
+        consumer: r.consumer, month, f1_kwh: 0, f2_kwh: 0, f3_kwh: 0, kwh: 0, hours: 0, days: 0,
+        energy_cost: 0, fixed_cost: 0, total_cost: 0,
+      });
+    }
+    const m = months.get(key);
+    for (const k of ['f1_kwh', 'f2_kwh', 'f3_kwh', 'kwh', 'hours']) m[k] += r[k];
+    for (const k of ['energy_cost', 'fixed_cost', 'total_cost']) m[k] = m[k] === null || r[k] === null ? null : m[k] + r[k];
+    m.days++;
+  }
+  return [...months.values()].map(m => {
+    for (const k of ['f1_kwh', 'f2_kwh', 'f3_kwh', 'kwh', 'energy_cost', 'fixed_cost', 'total_cost']) {
+      if (m[k] !== null) m[k] = round4(m[k]);
+    }
+    return m;
+  });
+}
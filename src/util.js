@@ -2,31 +2,60 @@
  * Pure helpers shared by scraper and db layers. No I/O — unit-testable.
  */
 
+import { parseMonthName, parseWeekday } from './locale.js';
+
 /**
- * Parse a portal number string (de-AT locale: "." thousands, "," decimal).
- * "1.234,56" -> 1234.56. Returns null for empty / "-" / "N/A" / garbage.
+ * Parse a portal number string. Either separator convention is read:
+ * "1.234,56" and "1,234.56" -> 1234.56 (see numberShape). A lone separator
+ * before exactly three digits ("1.234") is read as `decimal` says: the
+ * portal locale's decimal separator (see decimalSeparator in locale.js).
+ * Returns null for empty / "-" / "N/A" / garbage.
  */
-export function normalizeNumber(str) {
-  if (!str || str === '' || str === '-' || str === 'N/A') return null;
-  const normalized = str
-    .replace(/\./g, '')
-    .replace(',', '.')
-    .replace(/[^\d.-]/g, '');
-  const num = normalized ? parseFloat(normalized) : null;
+export function normalizeNumber(str, { decimal = ',' } = {}) {
+  if (!str || str === '-' || str === 'N/A') return null;
+  const s = str.replace(/[^\d.,-]/g, '');
+  const { separator, ambiguous } = numberShape(s);
+  const decimalSep = ambiguous && separator !== decimal ? null : separator;
+  const cut = decimalSep ? s.lastIndexOf(decimalSep) : s.length;
+  const normalized = s.slice(0, cut).replace(/[.,]/g, '') + (decimalSep ? `.${s.slice(cut + 1)}` : '');
+  const num = normalized ? Number(normalized) : null;
   return Number.isFinite(num) ? num : null;
 }
 
+/**
+ * The decimal separator a number string shows. With both "." and "," the
+ * last one is; a repeated one groups thousands ("1.234.567" -> null); a
+ * lone one is, except before exactly three digits ("1.234", but not
+ * "0.123"), where it could be either: `ambiguous`.
+ * @returns {{ separator: ','|'.'|null, ambiguous: boolean }}
+ */
+export function numberShape(str) {
+  const separators = (str ?? '').match(/[.,]/g) ?? [];
+  if (new Set(separators).size === 2) return { separator: separators.at(-1), ambiguous: false };
+  if (separators.length !== 1) return { separator: null, ambiguous: false };
+  const [int, frac] = str.split(separators[0]);
+  return { separator: separators[0], ambiguous: /^\d{3}\D*$/.test(frac) && !/^\D*-?0?$/.test(int) };
+}
+
+// "Mo", "Mo.", "lun", "Montag," before the date
+const WEEKDAY_PREFIX_RE = /^(\p{L}+)\.?,?\s+(?=\d)/u;
+
 /**
  * Parse a portal date cell into { year, month, day } (month 1-based).
- * Accepts "dd.mm.yyyy", "dd/mm/yyyy", "yyyy-mm-dd", and "dd.mm" / "dd/mm"
- * (year taken from fallbackYear). Returns null if unparseable.
+ * Accepts "dd.mm.yyyy", "dd/mm/yyyy", "dd-mm-yyyy" (also with a two-digit
+ * year), "yyyy-mm-dd", "dd.mm" / "dd/mm" (year taken from fallbackYear) and
+ * month names in either portal language ("3. März 2025", "3 marzo").
+ * A leading German or Italian weekday ("Mo 03.03.2025", "lun 03/03/2025")
+ * is skipped. Returns null if unparseable.
  */
 export function parseDayDate(dateStr, fallbackYear = null) {
   if (!dateStr) return null;
-  const s = dateStr.trim();
+  let s = dateStr.trim();
+  const weekday = s.match(WEEKDAY_PREFIX_RE);
+  if (weekday && parseWeekday(weekday[1]) !== null) s = s.slice(weekday[0].length);
 
-  let m = s.match(/^(\d{1,2})[/.](\d{1,2})[/.](\d{4})$/);
-  if (m) return { year: Number(m[3]), month: Number(m[2]), day: Number(m[1]) };
+  let m = s.match(/^(\d{1,2})([/.-])(\d{1,2})\2(\d{4}|\d{2})$/);
+  if (m) return { year: fullYear(m[4]), month: Number(m[3]), day: Number(m[1]) };
 
   m = s.match(/^(\d{4})-(\d{2})-(\d{2})$/);
   if (m) return { year: Number(m[1]), month: Number(m[2]), day: Number(m[3]) };
@@ -34,32 +63,298 @@ export function parseDayDate(dateStr, fallbackYear = null) {
   m = s.match(/^(\d{1,2})[/.](\d{1,2})[/.]?$/);
   if (m && fallbackYear) return { year: fallbackYear, month: Number(m[2]), day: Number(m[1]) };
 
+  m = s.match(/^(\d{1,2})\.?\s*(\p{L}+)\.?(?:\s+(\d{4}))?$/u);
+  const month = m && parseMonthName(m[2]);
+  if (month && (m[3] || fallbackYear)) return { year: m[3] ? Number(m[3]) : fallbackYear, month, day: Number(m[1]) };
+
   return null;
 }
 
+const fullYear = (y) => (y.length === 2 ? 2000 + Number(y) : Number(y));
+
 /**
- * True when a table header labels an aggregate column ("Summe", "Total", …)
- * rather than an hour-of-day. The portal's hourly grid ends with such a
+ * True when a table header labels an aggregate column ("Summe", "Total",
+ * "Max" on the power grid, …) rather than an hour-of-day. The portal's hourly grid ends with such a
  * column; it must be dropped before mapping columns to hours, or the
  * total lands on midnight+24h and collides with the next day's 00:00 row.
  */
 export function isAggregateHeader(text) {
   // Starts-with match: covers "Summe", "Summe (kWh)", "Totale", "Tot." —
   // hour headers are time-like ("01:00") and can never match.
-  return /^(summe|gesamt|total|somma|tot\.)/i.test((text ?? '').trim());
+  return /^(summe|gesamt|total|somma|tot\.|max|massimo|höchst)/i.test((text ?? '').trim());
+}
+
+// Italian POD: "IT" + 3-digit distributor code + "E" + 8-digit meter number
+const POD_RE = /\bIT\d{3}E\d{8}[A-Z]?\b/i;
+
+/**
+ * Extract a POD code from consumer-grid text ("IT001E12345678 – Via …").
+ * Returns the upper-cased code, or null when the text holds none.
+ */
+export function parsePodCode(text) {
+  const m = (text ?? '').match(POD_RE);
+  return m ? m[0].toUpperCase() : null;
+}
+
+/**
+ * Narrow the consumers found on the portal to an allowlist of identifiers
+ * (case-insensitive). An empty allowlist keeps every consumer.
+ *
+ * @param {Array<{id: string}>} consumers
+ * @param {string[]} allow
+ */
+export function filterConsumers(consumers, allow = []) {
+  if (!allow.length) return consumers;
+  const wanted = new Set(allow.map(a => a.trim().toUpperCase()));
+  return consumers.filter(c => wanted.has(c.id.toUpperCase()));
+}
+
+/**
+ * Collapse months ([{ year, month }], any order, duplicates allowed) into
+ * ascending runs of consecutive months: [{ from, to }].
+ */
+export function contiguousMonthRanges(months) {
+  const keys = [...new Set(months.map(ym => ym.year * 12 + ym.month - 1))].sort((a, b) => a - b);
+  const toYm = (k) => ({ year: Math.floor(k / 12), month: (k % 12) + 1 });
+  const ranges = [];
+  for (const k of keys) {
+    const last = ranges.at(-1);
+    if (last && last.end === k - 1) last.end = k;
+    else ranges.push({ start: k, end: k });
+  }
+  return ranges.map(r => ({ from: toYm(r.start), to: toYm(r.end) }));
+}
+
+/**
+ * Parse "YYYY-MM" into { year, month } (month 1-based).
+ * Returns null if malformed or the month is out of range.
+ */
+export function parseYearMonth(str) {
+  const m = (str ?? '').trim().match(/^(\d{4})-(\d{1,2})$/);
+  if (!m) return null;
+  const year = Number(m[1]);
+  const month = Number(m[2]);
+  return month >= 1 && month <= 12 ? { year, month } : null;
+}
+
+/** { year: 2025, month: 3 } -> "2025-03" */
+export function formatYearMonth({ year, month }) {
+  return `${year}-${String(month).padStart(2, '0')}`;
+}
+
+/** The month `n` months after { year, month } (before it for negative `n`), across year boundaries. */
+export function addMonths({ year, month }, n) {
+  const k = year * 12 + month - 1 + n;
+  return { year: Math.floor(k / 12), month: (k % 12) + 1 };
+}
+
+/**
+ * Every month from `from` to `to`, both inclusive, as [{ year, month }].
+ * Empty when `from` lies after `to`.
+ */
+export function monthRange(from, to) {
+  const months = [];
+  let { year, month } = from;
+  while (year < to.year || (year === to.year && month <= to.month)) {
+    months.push({ year, month });
+    if (++month > 12) { month = 1; year++; }
+  }
+  return months;
+}
+
+const MINUTE_MS = 60_000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+/** Minutes per value column the hourly table may have: hours, half hours, quarter hours. */
+export const INTERVALS = [60, 30, 15];
+
+/**
+ * Flatten scraped days into one row per value column:
+ * { timestamp, date, hour, interval, kwh }, with date the parsed
+ * { year, month, day }, interval the column's minutes (dailyData.interval,
+ * 60 when unset) and hour the hour after local midnight the column starts in.
+ * Null values are dropped. Rows are de-duplicated on timestamp, last value
+ * wins (a single INSERT must not contain the same key twice — Postgres 21000).
+ * Collisions and unparseable date cells are returned for the caller to log.
+ *
+ * @param {{ year: number|null, interval?: number, days: Array<{date: string, hourly: Array<number|null>}> }} dailyData
+ */
+export function expandDailyHourly(dailyData) {
+  const interval = dailyData.interval ?? 60;
+  const byTimestamp = new Map();
+  const unparseable = [];
+  const duplicates = [];
+  for (const day of dailyData.days) {
+    const date = parseDayDate(day.date, dailyData.year);
+    if (!date) {
+      unparseable.push(day.date);
+      continue;
+    }
+    const timestamps = intervalTimestamps(date, day.hourly.length, interval);
+    day.hourly.forEach((kwh, i) => {
+      if (kwh === null || kwh === undefined) return;
+      const timestamp = timestamps[i];
+      const hour = Math.floor((i * interval) / 60);
+      if (byTimestamp.has(timestamp.getTime())) duplicates.push({ timestamp, date: day.date, hour });
+      byTimestamp.set(timestamp.getTime(), { timestamp, date, hour, interval, kwh });
+    });
+  }
+  return { rows: [...byTimestamp.values()], unparseable, duplicates };
 }
 
-const HOUR_MS = 3_600_000;
+/**
+ * The stretch of time each day of expandDailyHourly() rows covers, from
+ * its first value to the end of its last: [{ from, to, interval }] with
+ * Dates, half-open. Sinks clear values of another interval length inside
+ * these spans, so a day switching between hours and quarter hours isn't
+ * stored twice.
+ */
+export function daySpans(rows) {
+  const spans = new Map();
+  for (const r of rows) {
+    const key = formatYearMonth(r.date) + '-' + r.date.day;
+    const end = new Date(r.timestamp.getTime() + r.interval * MINUTE_MS);
+    const span = spans.get(key);
+    if (!span) spans.set(key, { from: r.timestamp, to: end, interval: r.interval });
+    else {
+      if (r.timestamp < span.from) span.from = r.timestamp;
+      if (end > span.to) span.to = end;
+    }
+  }
+  return [...spans.values()];
+}
 
 /**
- * Timestamps for the hourly columns of one portal day.
- * Column h is treated as the h-th consecutive hour after local midnight,
- * not as wall-clock "h:00" — this keeps DST days correct: on the 25-hour
- * October day both occurrences of 02:00 get distinct timestamps, and on the
- * 23-hour March day no phantom 02:00 is produced.
- * Local midnight comes from the process TZ (config.js pins process.env.TZ).
+ * Timestamps for the value columns of one portal day, `minutes` apart.
+ * Column i is treated as the i-th consecutive interval after local
+ * midnight, not as a wall-clock label — this keeps DST days correct: on
+ * the 25-hour October day both occurrences of 02:00 (or 02:15, …) get
+ * distinct timestamps, and on the 23-hour March day no phantom 02:00 is
+ * produced. Local midnight comes from the process TZ (config.js pins
+ * process.env.TZ).
  */
-export function hourTimestamps({ year, month, day }, count) {
+export function intervalTimestamps({ year, month, day }, count, minutes = 60) {
   const midnight = new Date(year, month - 1, day).getTime();
-  return Array.from({ length: count }, (_, h) => new Date(midnight + h * HOUR_MS));
+  return Array.from({ length: count }, (_, i) => new Date(midnight + i * minutes * MINUTE_MS));
+}
+
+/** intervalTimestamps() for hourly columns. */
+export function hourTimestamps(date, count) {
+  return intervalTimestamps(date, count, 60);
+}
+
+/** Hours in a local calendar day: 24, or 23/25 on DST changeover days. */
+export function hoursInDay({ year, month, day }) {
+  return (new Date(year, month - 1, day + 1) - new Date(year, month - 1, day)) / HOUR_MS;
+}
+
+/** Value columns of `minutes` in a local calendar day: 24 hours or 96 quarter hours, fewer or more on DST days. */
+export function intervalsInDay(date, minutes = 60) {
+  return (hoursInDay(date) * 60) / minutes;
+}
+
+/**
+ * Minutes per value column of the hourly table, from its value headers
+ * (date and aggregate columns left out): the step between the first two
+ * time labels ("00:15", "00:30" -> 15; "01:00", "02:00" -> 60, also for
+ * ranges like "00:00-00:15") or, when the labels don't tell, the column
+ * count (23-25 -> 60, 46-50 -> 30, 92-100 -> 15). Null when neither gives
+ * one of INTERVALS.
+ */
+export function detectInterval(headers) {
+  const times = headers
+    .map(h => (h ?? '').match(/(\d{1,2}):(\d{2})/))
+    .filter(Boolean)
+    .slice(0, 2)
+    .map(m => Number(m[1]) * 60 + Number(m[2]));
+  if (times.length === 2 && INTERVALS.includes(times[1] - times[0])) return times[1] - times[0];
+  const perHour = Math.round(headers.length / 24);
+  return INTERVALS.find(minutes => minutes * perHour === 60) ?? null;
+}
+
+/**
+ * Every hour the portal should report for a calendar month, as Dates.
+ * Built day by day from hourTimestamps with each day's real length
+ * (23/24/25 h), so the expected series has the same DST shape as scraped data.
+ */
+export function monthHourTimestamps({ year, month }) {
+  const days = new Date(year, month, 0).getDate();
+  return Array.from({ length: days }, (_, i) => {
+    const date = { year, month, day: i + 1 };
+    return hourTimestamps(date, hoursInDay(date));
+  }).flat();
+}
+
+/**
+ * Compare the expected hourly series of each month against stored epoch-ms
+ * timestamps. Hours at or after `until` are not expected yet.
+ * Returns one row per month: { year, month, expected, stored, missing, firstMissing }.
+ *
+ * @param {Array<{year: number, month: number}>} months
+ * @param {Set<number>} stored
+ * @param {Date} until
+ */
+export function summarizeGaps(months, stored, until) {
+  return months.map(({ year, month }) => {
+    const expected = monthHourTimestamps({ year, month }).filter(ts => ts < until);
+    const missingTs = expected.filter(ts => !stored.has(ts.getTime()));
+    return {
+      year,
+      month,
+      expected: expected.length,
+      stored: expected.length - missingTs.length,
+      missing: missingTs.length,
+      firstMissing: missingTs[0] ?? null,
+    };
+  });
+}
+
+/**
+ * Difference between the sum of hourly values and the portal's own total
+ * (rounded to Wh), flagged when it exceeds `tolerance` kWh either way.
+ */
+export function compareTotals(portalKwh, hourlyKwh, tolerance) {
+  const diff = Math.round((hourlyKwh - portalKwh) * 1000) / 1000;
+  return { diff, flagged: Math.abs(diff) > tolerance };
+}
+
+/**
+ * Render rows as a fixed-width plain-text table for CLI reports.
+ * `columns` is [{ key, label }]; null/undefined cells print as "-".
+ */
+export function formatTable(rows, columns) {
+  const cell = (v) => (v === null || v === undefined ? '-' : v instanceof Date ? v.toISOString() : String(v));
+  const widths = columns.map(c => Math.max(c.label.length, ...rows.map(r => cell(r[c.key]).length)));
+  const line = (values) => values.map((v, i) => v.padEnd(widths[i])).join('  ').trimEnd();
+  return [
+    line(columns.map(c => c.label)),
+    line(widths.map(w => '-'.repeat(w))),
+    ...rows.map(r => line(columns.map(c => cell(r[c.key])))),
+  ].join('\n');
+}
+
+/**
+ * Totals over a run's scrapeMonth() summaries for edyna_scrape_runs. A row
+ * count is null when no summary has it (no sink reported counts).
+ */
+export function runTotals(summaries) {
+  const sum = (key) => (summaries.some(s => s[key] != null)
+    ? summaries.reduce((total, s) => total + (s[key] ?? 0), 0)
+    : null);
+  return {
+    months: summaries.length,
+    insertedCount: sum('insertedCount'),
+    updatedCount: sum('updatedCount'),
+    unchangedCount: sum('unchangedCount'),
+    quarantinedCount: sum('quarantinedCount'),
+  };
+}
+
+/** What a recorded run targeted: "2024-10..2025-01", "2025-03", "2025", "month 3" or "latest". */
+export function formatRunTarget({ target_year: year, target_month: month, range_from: from, range_to: to }) {
+  if (from && to) return `${from}..${to}`;
+  if (year && month) return formatYearMonth({ year, month });
+  if (year) return String(year);
+  if (month) return `month ${month}`;
+  return 'latest';
 }
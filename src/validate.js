@@ -0,0 +1,86 @@
+/**
+ * Plausibility checks for scraped days, run before anything is stored.
+ *
+ * A day that fails any check is quarantined whole (edyna_hourly_quarantine)
+ * instead of being partly written to edyna_hourly; a later run that scrapes
+ * a plausible version of the day stores it and resolves the quarantine row.
+ * Days whose date cell can't be parsed are left to the sinks' saveHourly,
+ * which skips them with a warning. No I/O here.
+ */
+
+import { parseDayDate, intervalsInDay } from './util.js';
+import { ACTIVE_ENERGY, MEASUREMENTS } from './measurements.js';
+
+const pad2 = (n) => String(n).padStart(2, '0');
+const round3 = (n) => Math.round(n * 1000) / 1000;
+
+/**
+ * Reasons a scraped day ({ date, hourly, total_kwh, portal_total_kwh? }) is
+ * implausible; [] when it passes. `year` resolves date cells without one;
+ * `interval` is the minutes per value column.
+ *
+ *   - value columns vs. the intervals of that local day (23/24/25 hours,
+ *     92/96/100 quarter hours): fewer is always wrong, more only if the
+ *     extra columns hold values
+ *   - negative values, or values above `maxHourlyKwh` (active energy only,
+ *     scaled down for shorter intervals)
+ *   - the hourly sum (maximum, for power) vs. the portal's own day total,
+ *     when the grid has one
+ */
+export function validateDay(day, year, { maxHourlyKwh, totalToleranceKwh, measurement = ACTIVE_ENERGY, interval = 60 }) {
+  const reasons = [];
+  const [unit, slot] = interval === 60 ? ['hour', 'hour'] : [`${interval}-minute`, 'interval'];
+
+  const date = parseDayDate(day.date, year);
+  if (date) {
+    const expected = intervalsInDay(date, interval);
+    const columns = day.hourly.length;
+    if (columns < expected) {
+      reasons.push(`${columns} ${unit} columns, expected ${expected}`);
+    } else if (day.hourly.slice(expected).some(v => v !== null)) {
+      // An aggregate column isAggregateHeader() didn't recognise
+      const last = day.hourly.at(-1);
+      const rest = day.hourly.slice(0, -1).reduce((sum, v) => sum + (v ?? 0), 0);
+      const hint = last !== null && Math.abs(last - rest) <= totalToleranceKwh ? ' (last column looks like a day total)' : '';
+      reasons.push(`${columns} ${unit} columns, expected ${expected}${hint}`);
+    }
+  }
+
+  const limit = (maxHourlyKwh * interval) / 60;
+  day.hourly.forEach((kwh, i) => {
+    if (kwh === null) return;
+    if (kwh < 0) reasons.push(`${slot} ${i}: negative value ${kwh}`);
+    else if (measurement === ACTIVE_ENERGY && kwh > limit) reasons.push(`${slot} ${i}: ${kwh} kWh exceeds limit ${limit}`);
+  });
+
+  const portal = day.portal_total_kwh ?? null;
+  if (portal !== null && Math.abs(day.total_kwh - portal) > totalToleranceKwh) {
+    const aggregate = MEASUREMENTS[measurement].aggregate === 'max' ? 'maximum' : 'sum';
+    reasons.push(`hourly ${aggregate} ${day.total_kwh} differs from portal total ${portal} by ${round3(day.total_kwh - portal)}`);
+  }
+
+  return reasons;
+}
+
+/**
+ * Split scrapeDailyHourlyUsage() output into days to store and days to
+ * quarantine. Quarantined entries are the scraped day plus `day`
+ * ("YYYY-MM-DD", null if the date didn't parse) and `reasons`.
+ *
+ * @returns {{ valid: Array<object>, quarantined: Array<object> }}
+ */
+export function validateDays(dailyData, limits) {
+  const valid = [];
+  const quarantined = [];
+  for (const day of dailyData.days) {
+    const reasons = validateDay(day, dailyData.year,
+      { ...limits, measurement: dailyData.measurement ?? ACTIVE_ENERGY, interval: dailyData.interval ?? 60 });
+    if (reasons.length === 0) {
+      valid.push(day);
+      continue;
+    }
+    const date = parseDayDate(day.date, dailyData.year);
+    quarantined.push({ ...day, day: date && `${date.year}-${pad2(date.month)}-${pad2(date.day)}`, reasons });
+  }
+  return { valid, quarantined };
+}
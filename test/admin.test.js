@@ -0,0 +1,122 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+Object.assign(process.env, {
+  LOGIN_URL: 'http://127.0.0.1/Login.tws',
+  EDYNA_USERNAME: 'user',
+  EDYNA_PASSWORD: 'secret',
+  ADMIN_TOKEN: 'admin-token',
+  LOG_LEVEL: 'error',
+});
+const { createAdminServer } = await import('../src/admin.js');
+const { createRunQueue } = await import('../src/queue.js');
+
+describe('admin endpoint', () => {
+  let server;
+  let base;
+  let finishRun;
+  const started = [];
+  // Runs stay in progress until finishRun() is called
+  const queue = createRunQueue({
+    execute: (entry) => new Promise((resolve) => {
+      started.push(entry);
+      finishRun = resolve;
+    }),
+  });
+
+  before(async () => {
+    server = createAdminServer(queue);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  const request = (path, { method = 'GET', body, token = 'admin-token' } = {}) => fetch(base + path, {
+    method,
+    headers: token ? { authorization: `Bearer ${token}` } : {},
+    body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body),
+  });
+
+  test('requires the bearer token', async () => {
+    const missing = await request('/queue', { token: null });
+    assert.equal(missing.status, 401);
+    assert.equal(missing.headers.get('www-authenticate'), 'Bearer');
+    assert.equal((await request('/queue', { token: 'wrong' })).status, 401);
+  });
+
+  test('unknown paths and methods', async () => {
+    assert.equal((await request('/metrics')).status, 404);
+    assert.equal((await request('/queue/abc', { method: 'DELETE' })).status, 404);
+    const put = await request('/queue', { method: 'PUT' });
+    assert.equal(put.status, 405);
+    assert.equal(put.headers.get('allow'), 'GET, POST');
+    assert.equal((await request('/queue/1')).status, 405);
+  });
+
+  test('rejects malformed runs', async () => {
+    const res = await request('/queue', { method: 'POST', body: { year: 2025, month: 13, bogus: 1 } });
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).issues.length, 2);
+    assert.equal((await request('/queue', { method: 'POST', body: '{' })).status, 400);
+    assert.equal((await request('/queue', { method: 'POST', body: { from: '2025-01' } })).status, 400);
+    assert.equal((await request('/queue', { method: 'POST', body: { from: '2024-13', to: '2025-01' } })).status, 400);
+    assert.equal((await request('/queue', { method: 'POST', body: { from: '2024-00', to: '2025-01' } })).status, 400);
+    assert.equal((await request('/queue', { method: 'POST', body: { from: '2025-03', to: '2025-01' } })).status, 400);
+    assert.equal((await request('/queue', { method: 'POST', body: { from: '2025-01', to: '2025-03', year: 2025 } })).status, 400);
+    assert.equal((await request('/queue', { method: 'POST', body: { consumers: [] } })).status, 400);
+    assert.equal(started.length, 0);
+  });
+
+  test('queues, de-duplicates, lists and cancels runs', async () => {
+    const first = await request('/queue', { method: 'POST', body: { year: 2025, month: 3 } });
+    assert.equal(first.status, 202);
+    const { entry: running } = await first.json();
+    assert.equal(running.key, '2025-03');
+    assert.deepEqual(started.map(e => e.opts), [{ year: 2025, month: 3, trigger: 'admin' }]);
+
+    const second = await request('/queue', { method: 'POST', body: { from: '2024-11', to: '2025-01', consumers: ['IT001'] } });
+    assert.equal(second.status, 202);
+    const { entry: queued } = await second.json();
+    assert.equal(queued.key, '2024-11..2025-01|IT001');
+
+    const dup = await request('/queue', { method: 'POST', body: { year: 2025, month: 3 } });
+    assert.equal(dup.status, 200);
+    assert.deepEqual(await dup.json(), { entry: running, duplicate: true });
+
+    const list = await (await request('/queue')).json();
+    assert.equal(list.running.id, running.id);
+    assert.deepEqual(list.queued.map(e => e.id), [queued.id]);
+    assert.equal(list.last, null);
+
+    assert.equal((await request(`/queue/${running.id}`, { method: 'DELETE' })).status, 409);
+    const cancelled = await request(`/queue/${queued.id}`, { method: 'DELETE' });
+    assert.equal(cancelled.status, 200);
+    assert.equal((await cancelled.json()).cancelled.id, queued.id);
+    assert.equal((await request(`/queue/${queued.id}`, { method: 'DELETE' })).status, 404);
+
+    finishRun();
+    await new Promise(resolve => setImmediate(resolve));
+    const after = await (await request('/queue')).json();
+    assert.equal(after.running, null);
+    assert.deepEqual(after.queued, []);
+    assert.equal(after.last.id, running.id);
+    assert.equal(after.last.outcome, 'success');
+    assert.equal(started.length, 1);
+  });
+
+  test('answers 503 when the scheduler refuses runs (shutting down)', async () => {
+    const refusing = createAdminServer(queue, { enqueue: () => null });
+    await new Promise(resolve => refusing.listen(0, '127.0.0.1', resolve));
+    try {
+      const res = await fetch(`http://127.0.0.1:${refusing.address().port}/queue`, {
+        method: 'POST', headers: { authorization: 'Bearer admin-token' }, body: JSON.stringify({ year: 2025, month: 4 }),
+      });
+      assert.equal(res.status, 503);
+      assert.deepEqual(queue.list().queued, []);
+      assert.equal(started.length, 1);
+    } finally {
+      await new Promise(resolve => refusing.close(resolve));
+    }
+  });
+});
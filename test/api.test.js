@@ -0,0 +1,66 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+// config.js reads the environment on first import; no database is configured,
+// so these tests only cover what is answered before any query runs.
+Object.assign(process.env, {
+  LOGIN_URL: 'http://127.0.0.1/Login.tws',
+  EDYNA_USERNAME: 'user',
+  EDYNA_PASSWORD: 'secret',
+  API_TOKEN: 'test-token',
+  LOG_LEVEL: 'error',
+});
+const { createApiServer } = await import('../src/api.js');
+
+describe('HTTP API request handling', () => {
+  let server;
+  let base;
+
+  before(async () => {
+    server = createApiServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  const get = (path, token = 'test-token', method = 'GET') =>
+    fetch(base + path, { method, headers: token ? { authorization: `Bearer ${token}` } : {} });
+
+  test('requires the bearer token', async () => {
+    const missing = await get('/latest', null);
+    assert.equal(missing.status, 401);
+    assert.equal(missing.headers.get('www-authenticate'), 'Bearer');
+    assert.equal((await get('/latest', 'wrong')).status, 401);
+  });
+
+  test('unknown paths and methods', async () => {
+    assert.equal((await get('/nope')).status, 404);
+    const post = await get('/hourly', 'test-token', 'POST');
+    assert.equal(post.status, 405);
+    assert.equal(post.headers.get('allow'), 'GET');
+  });
+
+  test('rejects malformed and unknown query parameters', async () => {
+    const res = await get('/daily?from=03.01.2025&bogus=1');
+    assert.equal(res.status, 400);
+    const body = await res.json();
+    assert.equal(body.issues.length, 2);
+    assert.match(body.issues.join('\n'), /^from: /m);
+
+    assert.equal((await get('/monthly?to=2025-3')).status, 400);
+    assert.equal((await get('/hourly?format=xml')).status, 400);
+    assert.equal((await get('/hourly?from=2025-01-01T00:00:00')).status, 400, 'datetime without offset');
+    assert.equal((await get('/revisions?from=2025-03')).status, 400);
+    assert.equal((await get('/daily?measurement=voltage')).status, 400);
+  });
+
+  test('rejects empty and oversized ranges', async () => {
+    assert.equal((await get('/daily?from=2025-03-02&to=2025-03-01')).status, 400);
+    assert.equal((await get('/monthly?from=2025-04&to=2025-03')).status, 400);
+    assert.equal((await get('/revisions?from=2025-03-02&to=2025-03-01')).status, 400);
+    const wide = await get('/hourly?from=2023-01-01&to=2025-01-01');
+    assert.equal(wide.status, 400);
+    assert.match((await wide.json()).error, /366 days/);
+  });
+});
@@ -0,0 +1,397 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomUUID } from 'node:crypto';
+import { startPostgres } from './pglite.js';
+
+Object.assign(process.env, {
+  LOGIN_URL: 'http://127.0.0.1/Login.tws',
+  EDYNA_USERNAME: 'user',
+  EDYNA_PASSWORD: 'secret',
+  LOG_LEVEL: 'error',
+  TZ: 'Europe/Rome',
+});
+const pg = await startPostgres();
+const db = await import('../src/db.js');
+const { expandDailyHourly } = await import('../src/util.js');
+
+// Each describe stores under its own consumer, so they don't see each other's rows
+const hours = (date, hourly, interval = 60) => expandDailyHourly({ year: 2025, interval, days: [{ date, hourly }] }).rows;
+const at = (iso) => new Date(iso);
+
+before(() => db.initializeSchema());
+after(async () => {
+  await db.closePool();
+  await pg.stop();
+});
+
+describe('saveHourlyRows revisions', () => {
+  const POD = 'IT001E00000013';
+  const revisions = async () => (await pg.query(
+    `SELECT timestamp, old_kwh, new_kwh, run_id, measurement FROM edyna_hourly_revisions
+      WHERE consumer = $1 ORDER BY id`, [POD])).rows;
+
+  test('a rescrape records each changed hour with its old value, new value and run', async () => {
+    assert.deepEqual(await db.saveHourlyRows(POD, hours('10.03.2025', [0.5, 0.6, 0.7]), { runId: 'run-1' }),
+      { insertedCount: 3, updatedCount: 0, unchangedCount: 0 });
+    assert.deepEqual(await revisions(), [], 'first inserts are not revisions');
+
+    assert.deepEqual(await db.saveHourlyRows(POD, hours('10.03.2025', [0.5, 0.9, 0.4]), { runId: 'run-2' }),
+      { insertedCount: 0, updatedCount: 2, unchangedCount: 1 });
+    assert.deepEqual(await revisions(), [
+      { timestamp: at('2025-03-10T01:00:00+01:00'), old_kwh: 0.6, new_kwh: 0.9, run_id: 'run-2', measurement: 'active_energy' },
+      { timestamp: at('2025-03-10T02:00:00+01:00'), old_kwh: 0.7, new_kwh: 0.4, run_id: 'run-2', measurement: 'active_energy' },
+    ]);
+    const { rows } = await pg.query(`SELECT kwh FROM edyna_hourly WHERE consumer = $1 ORDER BY timestamp`, [POD]);
+    assert.deepEqual(rows.map(r => r.kwh), [0.5, 0.9, 0.4]);
+  });
+
+  test('an identical rescrape changes nothing, not even updated_at', async () => {
+    const before = (await pg.query(`SELECT MAX(updated_at) AS t FROM edyna_hourly WHERE consumer = $1`, [POD])).rows[0].t;
+    assert.deepEqual(await db.saveHourlyRows(POD, hours('10.03.2025', [0.5, 0.9, 0.4]), { runId: 'run-3' }),
+      { insertedCount: 0, updatedCount: 0, unchangedCount: 3 });
+    assert.equal((await revisions()).length, 2);
+    const after = (await pg.query(`SELECT MAX(updated_at) AS t FROM edyna_hourly WHERE consumer = $1`, [POD])).rows[0].t;
+    assert.deepEqual(after, before);
+  });
+
+  test('queryRevisions sums repeated revisions of an hour into the net change, per local day', async () => {
+    await db.saveHourlyRows(POD, hours('10.03.2025', [0.5, 1.0, 0.4]), { runId: 'run-4' });
+    // 23:00 local on the 11th is 22:00 UTC; it still belongs to the 11th
+    const late = Array(24).fill(null);
+    late[23] = 2;
+    await db.saveHourlyRows(POD, hours('11.03.2025', late));
+    late[23] = 1.5;
+    await db.saveHourlyRows(POD, hours('11.03.2025', late));
+
+    const days = await db.queryRevisions({ from: at('2025-03-01T00:00:00+01:00'), to: at('2025-04-01T00:00:00+02:00'), consumer: POD });
+    assert.deepEqual(days.map(({ consumer, day, hours, revisions, diff_kwh }) => ({ consumer, day, hours, revisions, diff: Number(diff_kwh.toFixed(6)) })), [
+      // 0.6 -> 0.9 -> 1.0 and 0.7 -> 0.4: +0.4 - 0.3
+      { consumer: POD, day: '2025-03-10', hours: 2, revisions: 3, diff: 0.1 },
+      { consumer: POD, day: '2025-03-11', hours: 1, revisions: 1, diff: -0.5 },
+    ]);
+    assert.ok(days[0].first_changed <= days[0].last_changed);
+    assert.deepEqual(await db.queryRevisions({ from: at('2025-03-11T00:00:00+01:00'), to: at('2025-03-12T00:00:00+01:00'), consumer: POD, measurement: 'reactive_energy' }), []);
+  });
+
+  test('saving a day resolves its quarantined version, and only that one', async () => {
+    const quarantined = (day) => ({ day, date: day, hourly: [1, null], total_kwh: 1, portal_total_kwh: 2, reasons: ['total mismatch'] });
+    await db.saveQuarantine(POD, [quarantined('2025-03-12'), quarantined('2025-03-13')], { runId: 'run-5' });
+    await db.saveQuarantine(POD, [quarantined('2025-03-12')], { measurement: 'reactive_energy' });
+
+    await db.saveHourlyRows(POD, hours('12.03.2025', [0.3, 0.3]), { runId: 'run-6' });
+    const { rows } = await pg.query(
+      `SELECT to_char(day, 'YYYY-MM-DD') AS day, measurement, resolved_at IS NOT NULL AS resolved
+         FROM edyna_hourly_quarantine WHERE consumer = $1 ORDER BY day, measurement`, [POD]);
+    assert.deepEqual(rows, [
+      { day: '2025-03-12', measurement: 'active_energy', resolved: true },
+      { day: '2025-03-12', measurement: 'reactive_energy', resolved: false },
+      { day: '2025-03-13', measurement: 'active_energy', resolved: false },
+    ]);
+
+    // Quarantined again later: unresolved until the next good save
+    await db.saveQuarantine(POD, [quarantined('2025-03-12')]);
+    const again = await pg.query(
+      `SELECT resolved_at FROM edyna_hourly_quarantine WHERE consumer = $1 AND day = '2025-03-12' AND measurement = 'active_energy'`, [POD]);
+    assert.equal(again.rows[0].resolved_at, null);
+  });
+
+  test('a failed save leaves neither values nor revisions behind', async () => {
+    const rows = hours('10.03.2025', [9, 9, 9]);
+    rows[2].kwh = null;   // kwh is NOT NULL: the upsert fails inside the transaction
+    await assert.rejects(db.saveHourlyRows(POD, rows, { runId: 'run-7' }), /null value/);
+    const { rows: stored } = await pg.query(
+      `SELECT kwh FROM edyna_hourly WHERE consumer = $1 AND timestamp < '2025-03-11' ORDER BY timestamp`, [POD]);
+    assert.deepEqual(stored.map(r => r.kwh), [0.5, 1.0, 0.4]);
+    assert.equal((await revisions()).filter(r => r.run_id === 'run-7').length, 0);
+  });
+});
+
+describe('rollups on plain PostgreSQL', () => {
+  const POD = 'IT001E00000012';
+  const rollup = async (view, column) => (await pg.query(
+    `SELECT to_char(${column} AT TIME ZONE 'Europe/Rome', 'YYYY-MM-DD') AS ${column}, kwh, hours
+       FROM ${view} WHERE consumer = $1 ORDER BY ${column}`, [POD])).rows;
+  const daily = () => rollup('edyna_hourly_daily', 'day');
+  const monthly = () => rollup('edyna_hourly_monthly', 'month');
+
+  test('migrations create them as materialized views with a unique key', async () => {
+    const { rows } = await pg.query(
+      `SELECT c.relname, c.relkind, i.indisunique AS is_unique
+         FROM pg_class c JOIN pg_index i ON i.indrelid = c.oid
+        WHERE c.relname IN ('edyna_hourly_daily', 'edyna_hourly_monthly') ORDER BY 1`);
+    assert.deepEqual(rows, [
+      { relname: 'edyna_hourly_daily', relkind: 'm', is_unique: true },
+      { relname: 'edyna_hourly_monthly', relkind: 'm', is_unique: true },
+    ]);
+  });
+
+  test('saves only mark them stale; closing the pool refreshes them, in local days and months', async () => {
+    await db.saveHourlyRows(POD, hours('10.03.2025', [1, 2]));
+    // 23:00 and 23:45 local on March 31st are April 1st in UTC
+    const late = Array(96).fill(null);
+    late[92] = 0.25;
+    late[95] = 0.5;
+    await db.saveHourlyRows(POD, hours('31.03.2025', late, 15));
+    assert.deepEqual(await daily(), [], 'not refreshed while the run goes on');
+
+    await db.closePool();
+    assert.deepEqual(await daily(), [
+      { day: '2025-03-10', kwh: 3, hours: 2 },
+      { day: '2025-03-31', kwh: 0.75, hours: 0.5 },
+    ]);
+    assert.deepEqual(await monthly(), [{ month: '2025-03-01', kwh: 3.75, hours: 2.5 }]);
+  });
+
+  test('no refresh without a changed active-energy value', async () => {
+    // Written behind db.js's back: only a refresh makes it show up
+    await pg.query(`INSERT INTO edyna_hourly (consumer, timestamp, kwh) VALUES ($1, '2025-03-20T12:00:00+01:00', 4)`, [POD]);
+    await db.saveHourlyRows(POD, hours('10.03.2025', [1, 2]));
+    await db.saveHourlyRows(POD, hours('10.03.2025', [7]), { measurement: 'reactive_energy' });
+    await db.closePool();
+    assert.deepEqual((await daily()).map(r => r.day), ['2025-03-10', '2025-03-31']);
+
+    await db.saveHourlyRows(POD, hours('10.03.2025', [1, 3]));
+    await db.flushRollups();
+    assert.deepEqual(await daily(), [
+      { day: '2025-03-10', kwh: 4, hours: 2 },
+      { day: '2025-03-20', kwh: 4, hours: 1 },
+      { day: '2025-03-31', kwh: 0.75, hours: 0.5 },
+    ]);
+  });
+});
+
+describe('monthly totals', () => {
+  const POD = 'IT001E00000004';
+  const OTHER = 'IT001E00000044';
+  const stored = async (measurement = 'active_energy') => (await pg.query(
+    `SELECT to_char(month, 'YYYY-MM') AS month, kwh FROM edyna_monthly
+      WHERE consumer = $1 AND measurement = $2 ORDER BY month`, [POD, measurement])).rows;
+
+  test('saveMonthlyData inserts, leaves equal totals alone and takes corrected ones', async () => {
+    const months = [{ month: 1, kwh: 100 }, { month: 2, kwh: 90 }, { month: 3, kwh: 80 }];
+    assert.deepEqual(await db.saveMonthlyData({ consumer: POD, year: 2025, months }),
+      { insertedCount: 3, updatedCount: 0, unchangedCount: 0 });
+    const { rows: [first] } = await pg.query(`SELECT updated_at FROM edyna_monthly WHERE consumer = $1 AND month = '2025-01-01'`, [POD]);
+
+    assert.deepEqual(await db.saveMonthlyData({ consumer: POD, year: 2025, months: [months[0], { month: 2, kwh: 92.5 }] }),
+      { insertedCount: 0, updatedCount: 1, unchangedCount: 1 });
+    assert.deepEqual(await stored(), [
+      { month: '2025-01', kwh: 100 }, { month: '2025-02', kwh: 92.5 }, { month: '2025-03', kwh: 80 },
+    ]);
+    const { rows: [again] } = await pg.query(`SELECT updated_at FROM edyna_monthly WHERE consumer = $1 AND month = '2025-01-01'`, [POD]);
+    assert.deepEqual(again, first);
+  });
+
+  test('saveMonthlyData keeps each measurement apart', async () => {
+    assert.deepEqual(await db.saveMonthlyData({ consumer: POD, year: 2025, measurement: 'reactive_energy', months: [{ month: 2, kwh: 7 }] }),
+      { insertedCount: 1, updatedCount: 0, unchangedCount: 0 });
+    assert.deepEqual(await stored('reactive_energy'), [{ month: '2025-02', kwh: 7 }]);
+    assert.equal((await stored()).find(r => r.month === '2025-02').kwh, 92.5);
+    assert.deepEqual(await db.saveMonthlyData({ consumer: POD, year: 2025, months: [] }),
+      { insertedCount: 0, updatedCount: 0, unchangedCount: 0 });
+  });
+
+  test('reconcileMonthly sums active-energy hours within local months and flags beyond the tolerance', async () => {
+    // Midnight local on March 1st is still February in UTC: it counts for March
+    await db.saveHourlyRows(POD, hours('28.02.2025', [...Array(23).fill(null), 2.5]));
+    await db.saveHourlyRows(POD, hours('01.03.2025', [79]));
+    const quarters = Array(96).fill(null);
+    quarters[95] = 0.5;
+    await db.saveHourlyRows(POD, hours('31.03.2025', quarters, 15));
+    await db.saveHourlyRows(POD, hours('15.03.2025', [40]), { measurement: 'reactive_energy' });
+    await db.saveMonthlyData({ consumer: OTHER, year: 2025, months: [{ month: 2, kwh: 1 }] });
+
+    const rows = await db.reconcileMonthly({ consumers: [POD], from: { year: 2025, month: 2 }, to: { year: 2025, month: 3 } });
+    assert.deepEqual(rows, [
+      { consumer: POD, month: '2025-02', portalKwh: 92.5, hourlyKwh: 2.5, hours: 1, diff: -90, flagged: true },
+      { consumer: POD, month: '2025-03', portalKwh: 80, hourlyKwh: 79.5, hours: 1.25, diff: -0.5, flagged: false },
+    ]);
+    assert.deepEqual((await db.reconcileMonthly({ from: { year: 2025, month: 2 }, to: { year: 2025, month: 2 } })).map(r => r.consumer),
+      [POD, OTHER]);
+  });
+});
+
+describe('scrape run history', () => {
+  const summary = ({ run_id, trigger, target_year, target_month, range_from, range_to, consumers, outcome, attempts, months,
+    inserted_count, updated_count, unchanged_count, quarantined_count, error_class, error_message, finished_at }) => ({
+    run_id, trigger, target_year, target_month, range_from, range_to, consumers, outcome, attempts, months,
+    inserted_count, updated_count, unchanged_count, quarantined_count, error_class, error_message, finished: finished_at !== null,
+  });
+  const ids = [randomUUID(), randomUUID(), randomUUID()];
+
+  test('startRun records a running run with its target; queryRuns lists the newest first', async () => {
+    await db.startRun({ runId: ids[0], trigger: 'daily', year: 2025, month: 3 });
+    await db.startRun({ runId: ids[1], trigger: 'gaps', from: { year: 2024, month: 11 }, to: { year: 2025, month: 2 }, consumers: ['IT001E00000019'] });
+
+    const runs = await db.queryRuns();
+    assert.deepEqual(runs.map(summary), [
+      { run_id: ids[1], trigger: 'gaps', target_year: null, target_month: null, range_from: '2024-11', range_to: '2025-02',
+        consumers: ['IT001E00000019'], outcome: 'running', attempts: 0, months: null, inserted_count: null, updated_count: null,
+        unchanged_count: null, quarantined_count: null, error_class: null, error_message: null, finished: false },
+      { run_id: ids[0], trigger: 'daily', target_year: 2025, target_month: 3, range_from: null, range_to: null,
+        consumers: null, outcome: 'running', attempts: 0, months: null, inserted_count: null, updated_count: null,
+        unchanged_count: null, quarantined_count: null, error_class: null, error_message: null, finished: false },
+    ]);
+    assert.ok(runs[0].started_at instanceof Date);
+  });
+
+  test('finishRun stores the outcome, totals and error of a run', async () => {
+    await db.finishRun(ids[0], {
+      outcome: 'succeeded', attempts: 1, months: 1, insertedCount: 24, updatedCount: 2, unchangedCount: 718, quarantinedCount: 0,
+    });
+    const err = new TypeError('Grid not found');
+    await db.finishRun(ids[1], {
+      outcome: 'failed', attempts: 3, months: 2, insertedCount: null, updatedCount: null, unchangedCount: null, quarantinedCount: null, error: err,
+    });
+
+    const [failed, succeeded] = (await db.queryRuns()).map(summary);
+    assert.deepEqual(succeeded, { ...succeeded, outcome: 'succeeded', attempts: 1, months: 1, inserted_count: 24, updated_count: 2,
+      unchanged_count: 718, quarantined_count: 0, error_class: null, error_message: null, finished: true });
+    assert.deepEqual(failed, { ...failed, outcome: 'failed', attempts: 3, months: 2, inserted_count: null, updated_count: null,
+      unchanged_count: null, quarantined_count: null, error_class: 'TypeError', error_message: 'Grid not found', finished: true });
+  });
+
+  test('queryRuns honours the limit', async () => {
+    await db.startRun({ runId: ids[2], trigger: 'manual' });
+    assert.deepEqual((await db.queryRuns({ limit: 2 })).map(r => r.run_id), [ids[2], ids[1]]);
+  });
+});
+
+describe('hours from before 0.4', () => {
+  const POD = 'IT001E00000001';
+
+  test('claimUnassignedHours gives them to the consumer, keeping its own value for the same hour', async () => {
+    await pg.exec(`
+      INSERT INTO edyna_hourly (consumer, timestamp, kwh)
+        VALUES ('', '2023-01-01T00:00:00+01:00', 1), ('', '2023-01-01T01:00:00+01:00', 2), ('', '2023-01-01T02:00:00+01:00', 3);
+      INSERT INTO edyna_hourly (consumer, timestamp, kwh) VALUES ('${POD}', '2023-01-01T02:00:00+01:00', 3.5);
+    `);
+    assert.equal(await db.countUnassignedHours(), 3);
+
+    assert.deepEqual(await db.claimUnassignedHours(POD), { claimed: 2, dropped: 1 });
+    assert.equal(await db.countUnassignedHours(), 0);
+    const { rows } = await pg.query(
+      `SELECT kwh FROM edyna_hourly WHERE consumer = $1 AND timestamp < '2023-01-02' ORDER BY timestamp`, [POD]);
+    assert.deepEqual(rows.map(r => r.kwh), [1, 2, 3.5]);
+
+    // The rollups move along once refreshed
+    await db.flushRollups();
+    const { rows: days } = await pg.query(`SELECT consumer, kwh FROM edyna_hourly_daily WHERE day < '2023-01-02' ORDER BY consumer`);
+    assert.deepEqual(days, [{ consumer: POD, kwh: 6.5 }]);
+    assert.deepEqual(await db.claimUnassignedHours(POD), { claimed: 0, dropped: 0 });
+  });
+});
+
+// Last in the file: these replace the rollups and fake TimescaleDB for good
+describe('rollups as continuous aggregates', () => {
+  const POD = 'IT001E00000112';
+  const refreshes = async () => (await pg.query(
+    `DELETE FROM cagg_refreshes RETURNING view, window_start AS "from", window_end AS "to"`)).rows;
+
+  // Views of relkind 'v', as continuous aggregates appear in pg_class, and a refresh that records its window
+  before(async () => {
+    await db.closePool();
+    await pg.exec(`
+      DROP MATERIALIZED VIEW edyna_hourly_daily;
+      DROP MATERIALIZED VIEW edyna_hourly_monthly;
+      CREATE VIEW edyna_hourly_daily AS SELECT 1 AS stand_in;
+      CREATE VIEW edyna_hourly_monthly AS SELECT 1 AS stand_in;
+      CREATE TABLE cagg_refreshes (view TEXT, window_start TIMESTAMPTZ, window_end TIMESTAMPTZ);
+      CREATE PROCEDURE refresh_continuous_aggregate(view TEXT, window_start TIMESTAMPTZ, window_end TIMESTAMPTZ)
+        LANGUAGE sql AS $$ INSERT INTO cagg_refreshes VALUES (view, window_start, window_end) $$;
+    `);
+  });
+
+  const both = (from, to) => ['edyna_hourly_daily', 'edyna_hourly_monthly'].map(view => ({ view, from: at(from), to: at(to) }));
+
+  test('a save refreshes the whole local months of the saved hours, no more', async () => {
+    // Midnight local on March 1st is still February in UTC
+    await db.saveHourlyRows(POD, hours('01.03.2025', [1]));
+    assert.deepEqual(await refreshes(), both('2025-03-01T00:00:00+01:00', '2025-04-01T00:00:00+02:00'));
+  });
+
+  test('the window spans every month between the first and last saved hour, across a new year', async () => {
+    await db.saveHourlyRows(POD, [...hours('31.12.2024', [1]), ...hours('01.01.2025', [1])]);
+    assert.deepEqual(await refreshes(), both('2024-12-01T00:00:00+01:00', '2025-02-01T00:00:00+01:00'));
+  });
+
+  test('nothing is refreshed for unchanged values or other measurements', async () => {
+    await db.saveHourlyRows(POD, hours('01.03.2025', [1]));
+    await db.saveHourlyRows(POD, hours('01.03.2025', [5]), { measurement: 'peak_power' });
+    assert.deepEqual(await refreshes(), []);
+  });
+
+  test('a failed refresh is only logged; the values stay saved', async () => {
+    await pg.exec('DROP PROCEDURE refresh_continuous_aggregate');
+    assert.deepEqual(await db.saveHourlyRows(POD, hours('02.03.2025', [2])), { insertedCount: 1, updatedCount: 0, unchangedCount: 0 });
+    const { rows } = await pg.query(`SELECT kwh FROM edyna_hourly WHERE consumer = $1 AND timestamp = '2025-03-02T00:00:00+01:00'`, [POD]);
+    assert.deepEqual(rows, [{ kwh: 2 }]);
+  });
+});
+
+describe('TimescaleDB policies', () => {
+  let config;
+  const jobs = async () => (await pg.query(
+    `SELECT job_id, proc_name, config FROM timescaledb_information.jobs ORDER BY proc_name`)).rows;
+  const sync = async ({ compress, retention }) => {
+    Object.assign(config, { TIMESCALE_COMPRESS_AFTER_DAYS: compress, TIMESCALE_RETENTION_DAYS: retention });
+    await db.initializeSchema();
+  };
+
+  // The extension row and the catalog and policy functions syncTimescalePolicies() uses, on an already compressed hypertable
+  before(async () => {
+    ({ default: config } = await import('../src/config.js'));
+    await pg.exec(`
+      INSERT INTO pg_extension (oid, extname, extowner, extnamespace, extrelocatable, extversion)
+        VALUES (99999, 'timescaledb', 10, 'public'::regnamespace, false, '0.0');
+      CREATE SCHEMA timescaledb_information;
+      CREATE TABLE timescaledb_information.hypertables (hypertable_name TEXT, compression_enabled BOOLEAN);
+      INSERT INTO timescaledb_information.hypertables VALUES ('edyna_hourly', true);
+      CREATE TABLE timescaledb_information.jobs (job_id SERIAL, proc_name TEXT, hypertable_name TEXT, config JSONB);
+      CREATE FUNCTION add_compression_policy(hypertable REGCLASS, compress_after INTERVAL) RETURNS INTEGER LANGUAGE sql AS $$
+        INSERT INTO timescaledb_information.jobs (proc_name, hypertable_name, config)
+          VALUES ('policy_compression', hypertable::text, jsonb_build_object('compress_after', compress_after)) RETURNING job_id $$;
+      CREATE FUNCTION remove_compression_policy(hypertable REGCLASS, if_exists BOOLEAN) RETURNS VOID LANGUAGE sql AS $$
+        DELETE FROM timescaledb_information.jobs WHERE proc_name = 'policy_compression' AND hypertable_name = hypertable::text $$;
+      CREATE FUNCTION add_retention_policy(hypertable REGCLASS, drop_after INTERVAL) RETURNS INTEGER LANGUAGE sql AS $$
+        INSERT INTO timescaledb_information.jobs (proc_name, hypertable_name, config)
+          VALUES ('policy_retention', hypertable::text, jsonb_build_object('drop_after', drop_after)) RETURNING job_id $$;
+      CREATE FUNCTION remove_retention_policy(hypertable REGCLASS, if_exists BOOLEAN) RETURNS VOID LANGUAGE sql AS $$
+        DELETE FROM timescaledb_information.jobs WHERE proc_name = 'policy_retention' AND hypertable_name = hypertable::text $$;
+    `);
+  });
+  after(() => Object.assign(config, { TIMESCALE_COMPRESS_AFTER_DAYS: 0, TIMESCALE_RETENTION_DAYS: 0 }));
+
+  test('adds a policy per setting and leaves one with the same interval alone', async () => {
+    await sync({ compress: 7, retention: 0 });
+    const [compression] = await jobs();
+    assert.deepEqual(await jobs(), [{ job_id: compression.job_id, proc_name: 'policy_compression', config: { compress_after: '7 days' } }]);
+
+    await sync({ compress: 7, retention: 0 });
+    assert.deepEqual(await jobs(), [compression]);
+  });
+
+  test('a changed interval replaces only its own policy; 0 removes it', async () => {
+    await sync({ compress: 7, retention: 365 });
+    const [compression, retention] = await jobs();
+    assert.deepEqual(retention.config, { drop_after: '365 days' });
+
+    await sync({ compress: 14, retention: 365 });
+    const [recompressed, kept] = await jobs();
+    assert.notEqual(recompressed.job_id, compression.job_id);
+    assert.deepEqual(recompressed.config, { compress_after: '14 days' });
+    assert.deepEqual(kept, retention);
+
+    await sync({ compress: 0, retention: 365 });
+    assert.deepEqual(await jobs(), [retention]);
+    await sync({ compress: 0, retention: 0 });
+    assert.deepEqual(await jobs(), []);
+  });
+
+  test('turns compression back on (off since migration 009) before adding its policy', async () => {
+    await pg.exec(`UPDATE timescaledb_information.hypertables SET compression_enabled = false`);
+    // Plain PostgreSQL doesn't know the setting, which shows it is sent first
+    await assert.rejects(sync({ compress: 7, retention: 0 }), /parameter namespace "timescaledb"/);
+    assert.deepEqual(await jobs(), []);
+  });
+});
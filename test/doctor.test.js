@@ -0,0 +1,79 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+Object.assign(process.env, {
+  LOGIN_URL: 'http://127.0.0.1/Login.tws',
+  EDYNA_USERNAME: 'user',
+  EDYNA_PASSWORD: 'secret',
+  LOG_LEVEL: 'error',
+});
+const {
+  checkNumbers, checkDates, checkHourlyHeaders, checkMonthHeaders, formatDoctorReport,
+} = await import('../src/doctor.js');
+
+describe('doctor format checks', () => {
+  test('numbers: either convention passes, unreadable cells are listed', () => {
+    assert.deepEqual(checkNumbers(['1.234,56', '0,1234', '12', '-', '', ' 7,5 kWh ']), { ok: true, count: 4, decimal: ',', bad: [] });
+    assert.deepEqual(checkNumbers(['1,234.56', '0.1234', '1.5']), { ok: true, count: 3, decimal: '.', bad: [] });
+    assert.deepEqual(checkNumbers(['12', 'n.v.', 'abc']), { ok: false, count: 3, decimal: null, bad: ['n.v.', 'abc'] });
+    assert.equal(checkNumbers(['-', 'N/A']).ok, false, 'nothing to check is no pass');
+  });
+
+  test('numbers: misread or mixed separators', () => {
+    assert.deepEqual(checkNumbers(['1.234', '0.5']).bad, ['1.234'], 'read as thousands with a decimal comma locale');
+    assert.equal(checkNumbers(['1.234', '0.5'], '.').ok, true);
+    assert.deepEqual(checkNumbers(['1.234,5', '1,234.5']), { ok: false, count: 2, decimal: null, bad: ['1.234,5', '1,234.5'] });
+  });
+
+  test('dates: what parseDayDate reads', () => {
+    assert.equal(checkDates(['01.03.2025', '2025-03-02', '03/03/2025']).ok, true);
+    assert.equal(checkDates(['Mo 03.03.2025', 'lun 03/03/2025', '3. März 2025']).ok, true);
+    assert.deepEqual(checkDates(['01.03.2025', 'Xy 01.03.2025', 'März 2']), { ok: false, count: 3, bad: ['Xy 01.03.2025', 'März 2'] });
+    assert.equal(checkDates(['01.03.'], 2025).ok, true);
+  });
+
+  test('hourly headers: date column, 23-25 hours, optional aggregate', () => {
+    const hours = (n) => Array.from({ length: n }, (_, h) => `${String(h + 1).padStart(2, '0')}:00`);
+    assert.deepEqual(checkHourlyHeaders(['Datum', ...hours(25), 'Summe']),
+      { ok: true, hours: 25, minutes: 60, columns: 25, aggregate: true, bad: [] });
+    assert.equal(checkHourlyHeaders(['Data', ...hours(24)]).ok, true);
+    assert.equal(checkHourlyHeaders(['Datum', '00-01', '1', ...hours(22)]).ok, true);
+    assert.equal(checkHourlyHeaders(['Datum', ...hours(12)]).ok, false);
+    assert.deepEqual(checkHourlyHeaders(['Datum', ...hours(23), 'Spitze', 'Summe']).bad, ['Spitze']);
+  });
+
+  test('hourly headers: quarter hours count as the hours they cover', () => {
+    const quarters = (n) => Array.from({ length: n }, (_, q) =>
+      `${String(Math.floor((q + 1) / 4)).padStart(2, '0')}:${String(((q + 1) % 4) * 15).padStart(2, '0')}`);
+    assert.deepEqual(checkHourlyHeaders(['Datum', ...quarters(92), 'Summe']),
+      { ok: true, hours: 23, minutes: 15, columns: 92, aggregate: true, bad: [] });
+    assert.equal(checkHourlyHeaders(['Data', ...quarters(100)]).ok, true);
+    assert.equal(checkHourlyHeaders(['Datum', ...quarters(40)]).ok, false);
+  });
+
+  test('month headers: twelve months with a link each', () => {
+    const de = ['Jän', 'Feb', 'Mär', 'Apr', 'Mai', 'Jun', 'Jul', 'Aug', 'Sep', 'Okt', 'Nov', 'Dez'];
+    const it = ['gen', 'feb', 'mar', 'apr', 'mag', 'giu', 'lug', 'ago', 'set', 'ott', 'nov', 'dic'];
+    assert.deepEqual(checkMonthHeaders(de, 12), { ok: true, months: 12, links: 12, locale: 'de', unknown: [] });
+    assert.equal(checkMonthHeaders(it, 12).locale, 'it');
+    assert.equal(checkMonthHeaders([...de, 'Summe'], 12).ok, true);
+    assert.equal(checkMonthHeaders(de, 0).ok, false);
+    assert.deepEqual(checkMonthHeaders(de, 12, 'it').unknown, ['Jän', 'Mär', 'Mai', 'Jun', 'Jul']);
+    assert.deepEqual(checkMonthHeaders(Array(12).fill('M'), 12).unknown, Array(5).fill('M'));
+  });
+});
+
+describe('formatDoctorReport', () => {
+  test('one row per check and a count', () => {
+    const out = formatDoctorReport([
+      { page: 'login page', check: 'loginUser', ok: true, detail: '1 × #user', suggestion: null },
+      { page: 'curve tab', check: 'energyGrid', ok: false, detail: '#grid not found', suggestion: '#new_grid' },
+      { page: 'hourly table', check: '(page)', ok: null, detail: 'not reached', suggestion: null },
+    ]);
+    const lines = out.split('\n');
+    assert.match(lines[0], /^Page\s+Check\s+Result\s+Detail\s+Suggestion$/);
+    assert.match(lines[3], /energyGrid\s+FAIL\s+#grid not found\s+#new_grid$/);
+    assert.match(lines[4], /\(page\)\s+skip\s+not reached/);
+    assert.equal(lines.at(-1), '1 passed, 1 failed, 1 skipped');
+  });
+});
@@ -0,0 +1,369 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync } from 'node:fs';
+import { mkdtemp, readFile, rm, stat } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import puppeteer from 'puppeteer';
+import { startMockPortal, kwhAt, kvarhAt, kwAt, quarterAt, hoursInDay, DEFAULT_CONSUMERS } from './mock-portal.js';
+import { startPostgres } from './pglite.js';
+
+// Local midnight, DST days and the mock's data must agree on one zone.
+process.env.TZ = 'Europe/Rome';
+
+async function browserAvailable() {
+  try {
+    return existsSync(await puppeteer.executablePath());
+  } catch {
+    return false;
+  }
+}
+
+const missing = !(await browserAvailable()) && 'no Chromium available (install it or set PUPPETEER_EXECUTABLE_PATH)';
+// In CI a missing browser fails the run instead of skipping the suite unnoticed
+if (missing && process.env.CI) {
+  test('a browser is available for the end-to-end suite', () => assert.fail(`${missing}; CI is set`));
+}
+
+describe('full scrape flow against the mock portal', { skip: missing, timeout: 300_000 }, () => {
+  let portal;
+  let main;
+  let doctor;
+  let LoginError;
+  let PermanentError;
+  let LayoutError;
+  let config;
+  let dir;
+
+  before(async () => {
+    portal = await startMockPortal({ username: 'user', password: 'secret' });
+    Object.assign(process.env, {
+      LOGIN_URL: portal.loginUrl,
+      EDYNA_USERNAME: 'user',
+      EDYNA_PASSWORD: 'secret',
+      HEADLESS: 'true',
+      SCRAPE_RETRIES: '1',
+      SCRAPE_RETRY_DELAY_MS: '0',
+      STEP_RETRY_DELAY_MS: '0',
+      LOG_LEVEL: 'error',
+    });
+    // config.js reads the environment on first import
+    ({ main, doctor, LoginError, PermanentError, LayoutError } = await import('../src/index.js'));
+    ({ default: config } = await import('../src/config.js'));
+    dir = await mkdtemp(path.join(os.tmpdir(), 'edyna-e2e-'));
+  });
+
+  after(async () => {
+    await portal?.close();
+    if (dir) await rm(dir, { recursive: true, force: true });
+  });
+
+  async function scrape(name, opts) {
+    const out = path.join(dir, `${name}.json`);
+    const summaries = await main({ ...opts, out });
+    const records = JSON.parse(await readFile(out, 'utf8'));
+    return { summaries, records };
+  }
+
+  const podIndex = (pod) => DEFAULT_CONSUMERS.findIndex(c => c.pod === pod);
+  // The reactive energy and power grids are optional; the mock shows them only when asked to
+  const notPassed = (checks) => checks.filter(c => c.ok !== true).map(c => [c.check, c.ok]);
+  const OPTIONAL_MISSING = [['reactiveGrid', null], ['powerGrid', null]];
+
+  function assertHourlyMatchesPortal(records) {
+    for (const r of records.filter(r => r.type === 'hourly' && r.measurement === 'active_energy')) {
+      const [y, m, d] = r.period.split('-').map(Number);
+      assert.equal(r.kwh, kwhAt(podIndex(r.consumer), y, m, d, r.hour), `${r.consumer} ${r.period} h${r.hour}`);
+      assert.equal(r.timestamp, new Date(new Date(y, m - 1, d).getTime() + r.hour * 3_600_000).toISOString());
+    }
+  }
+
+  test('scrapes the latest month for every consumer, including the 23-hour DST day', async () => {
+    const { summaries, records } = await scrape('latest', {});
+
+    assert.deepEqual(summaries.map(s => s.consumer), DEFAULT_CONSUMERS.map(c => c.pod));
+    for (const { pod } of DEFAULT_CONSUMERS) {
+      const hourly = records.filter(r => r.type === 'hourly' && r.consumer === pod);
+      assert.equal(hourly.length, 31 * 24 - 1);
+      assert.equal(hourly.filter(r => r.period === '2025-03-30').length, hoursInDay(2025, 3, 30));
+      assert.equal(hoursInDay(2025, 3, 30), 23);
+
+      const monthly = records.filter(r => r.type === 'monthly' && r.consumer === pod);
+      assert.deepEqual(monthly.map(r => r.period), ['2025-01', '2025-02', '2025-03']);
+    }
+    assertHourlyMatchesPortal(records);
+  });
+
+  test('backfills a range across a year boundary with a single login', async () => {
+    const loginsBefore = portal.requests.filter(r => r.startsWith('POST')).length;
+    const pod = DEFAULT_CONSUMERS[1].pod;
+    const { summaries, records } = await scrape('range', { from: '2024-10', to: '2025-01', consumers: [pod] });
+
+    assert.equal(portal.requests.filter(r => r.startsWith('POST')).length - loginsBefore, 1);
+    assert.deepEqual(summaries.map(s => [s.consumer, s.year, s.month]), [
+      [pod, 2024, 10], [pod, 2024, 11], [pod, 2024, 12], [pod, 2025, 1],
+    ]);
+
+    const october = records.filter(r => r.type === 'hourly' && r.period.startsWith('2024-10'));
+    assert.equal(october.length, 31 * 24 + 1);
+    const longDay = october.filter(r => r.period === '2024-10-27');
+    assert.equal(new Set(longDay.map(r => r.timestamp)).size, 25);
+    assertHourlyMatchesPortal(records);
+  });
+
+  test('waits out slow postbacks', async () => {
+    portal.delayMs = 1500;
+    try {
+      const { records } = await scrape('slow', { year: 2025, month: 1, consumers: [DEFAULT_CONSUMERS[0].pod] });
+      assert.equal(records.filter(r => r.type === 'hourly').length, 31 * 24);
+    } finally {
+      portal.delayMs = 0;
+    }
+  });
+
+  test('reads the Italian portal: month headers, weekday-prefixed dates', async () => {
+    portal.setLanguage('it');
+    try {
+      const pod = DEFAULT_CONSUMERS[0].pod;
+      const { summaries, records } = await scrape('italian', { year: 2025, month: 3, consumers: [pod] });
+      assert.deepEqual(summaries.map(s => [s.year, s.month, s.days]), [[2025, 3, 31]]);
+      assert.equal(records.filter(r => r.type === 'hourly').length, 31 * 24 - 1);
+      assert.deepEqual(records.filter(r => r.type === 'monthly').map(r => r.period), ['2025-01', '2025-02', '2025-03']);
+      assertHourlyMatchesPortal(records);
+
+      const checks = await doctor();
+      assert.deepEqual(notPassed(checks), OPTIONAL_MISSING);
+      assert.equal(checks.find(c => c.check === 'language').detail, 'it (detected)');
+    } finally {
+      portal.setLanguage('de');
+    }
+  });
+
+  test('reads numbers with a decimal point once PORTAL_DECIMAL says so', async () => {
+    portal.setDecimal('.');
+    try {
+      const pod = DEFAULT_CONSUMERS[0].pod;
+      // Day totals like "12.345" read in the language's decimal comma don't match their hours
+      const { summaries: misread } = await scrape('decimal-auto', { year: 2025, month: 1, consumers: [pod] });
+      assert.ok(misread[0].quarantinedCount > 0);
+
+      config.PORTAL_DECIMAL = '.';
+      const { summaries, records } = await scrape('decimal-point', { year: 2025, month: 1, consumers: [pod] });
+      assert.deepEqual(summaries.map(s => [s.month, s.days, s.quarantinedCount]), [[1, 31, 0]]);
+      assertHourlyMatchesPortal(records);
+      assert.deepEqual(notPassed(await doctor()), OPTIONAL_MISSING);
+    } finally {
+      config.PORTAL_DECIMAL = 'auto';
+      portal.setDecimal(',');
+    }
+  });
+
+  test('scrapes reactive energy and peak power when the portal shows them', async () => {
+    portal.showMeasurements(true);
+    try {
+      const pod = DEFAULT_CONSUMERS[0].pod;
+      const lists = () => portal.requests.filter(r => r.includes('view=list')).length;
+      const listsBefore = lists();
+      const { summaries, records } = await scrape('measurements', { year: 2025, month: 1, consumers: [pod] });
+      assert.deepEqual(summaries.map(s => [s.month, s.days, s.quarantinedCount]), [[1, 31, 0]]);
+      // Each grid's month is reached by going back to the curve tab, not through the consumer list
+      assert.equal(lists() - listsBefore, 1);
+
+      const hourly = (measurement) => records.filter(r => r.type === 'hourly' && r.measurement === measurement);
+      for (const [measurement, unit, at] of [['active_energy', 'kWh', kwhAt], ['reactive_energy', 'kvarh', kvarhAt], ['peak_power', 'kW', kwAt]]) {
+        assert.equal(hourly(measurement).length, 31 * 24, measurement);
+        for (const r of hourly(measurement)) {
+          const [y, m, d] = r.period.split('-').map(Number);
+          assert.equal(r.unit, unit);
+          assert.equal(r.kwh, at(0, y, m, d, r.hour), `${measurement} ${r.period} h${r.hour}`);
+        }
+      }
+
+      const monthly = records.filter(r => r.type === 'monthly');
+      assert.deepEqual(monthly.map(r => [r.measurement, r.period]).filter(([, p]) => p === '2025-01'),
+        [['active_energy', '2025-01'], ['peak_power', '2025-01'], ['reactive_energy', '2025-01']]);
+      // Power's month is its highest hour, not a sum
+      const peak = Math.max(...hourly('peak_power').map(r => r.kwh));
+      assert.equal(monthly.find(r => r.measurement === 'peak_power' && r.period === '2025-01').kwh, Number(peak.toFixed(2)));
+
+      assert.deepEqual(notPassed(await doctor()), []);
+    } finally {
+      portal.showMeasurements(false);
+    }
+  });
+
+  test('scrapes quarter-hour tables, each quarter of the DST day at its own time', async () => {
+    portal.showQuarterHours(true);
+    try {
+      const pod = DEFAULT_CONSUMERS[1].pod;
+      const { summaries, records } = await scrape('quarters', { year: 2025, month: 3, consumers: [pod] });
+      assert.deepEqual(summaries.map(s => [s.month, s.days, s.quarantinedCount]), [[3, 31, 0]]);
+
+      const quarters = records.filter(r => r.type === 'hourly');
+      assert.equal(quarters.length, 30 * 96 + 92);
+      assert.equal(new Set(quarters.map(r => r.timestamp)).size, quarters.length);
+      assert.ok(quarters.every(r => r.interval_minutes === 15));
+      for (const r of quarters) {
+        const [y, m, d] = r.period.split('-').map(Number);
+        const i = (new Date(r.timestamp) - new Date(y, m - 1, d)) / 900_000;
+        assert.equal(r.hour, Math.floor(i / 4));
+        assert.equal(r.kwh, quarterAt('active', 1, y, m, d, i), `${r.period} q${i}`);
+      }
+
+      const checks = await doctor();
+      assert.deepEqual(notPassed(checks), OPTIONAL_MISSING);
+      assert.ok(checks.some(c => c.check === 'hour columns' && c.detail === '100 15-minute intervals (25 hours) + "Summe"'));
+    } finally {
+      portal.showQuarterHours(false);
+    }
+  });
+
+  test('recovers a failed step on the open page instead of starting over', async () => {
+    const timeout = config.STEP_TIMEOUT_MONTHLY_MS;
+    config.STEP_TIMEOUT_MONTHLY_MS = 1000;
+    const logins = () => portal.requests.filter(r => r.startsWith('POST')).length;
+    const curves = () => portal.requests.filter(r => r.includes('view=curve')).length;
+    try {
+      const [loginsBefore, curvesBefore] = [logins(), curves()];
+      portal.failNext('curve');
+      // SCRAPE_RETRIES=1: a session retry would fail the run
+      const [summary] = await main({ year: 2025, month: 1, consumers: [DEFAULT_CONSUMERS[0].pod] });
+      assert.equal(summary.days, 31);
+      assert.equal(logins() - loginsBefore, 1);
+      // The failed curve tab, its reopening, and the year switch
+      assert.equal(curves() - curvesBefore, 3);
+    } finally {
+      config.STEP_TIMEOUT_MONTHLY_MS = timeout;
+    }
+  });
+
+  test('stores a month in the sqlite sink, idempotently', async () => {
+    const { SINKS, SQLITE_PATH } = config;
+    Object.assign(config, { SINKS: ['sqlite'], SQLITE_PATH: path.join(dir, 'edyna.sqlite') });
+    const pod = DEFAULT_CONSUMERS[0].pod;
+    try {
+      const [first] = await main({ year: 2024, month: 10, consumers: [pod], dbMode: true });
+      assert.deepEqual([first.insertedCount, first.updatedCount, first.unchangedCount], [31 * 24 + 1, 0, 0]);
+      const [second] = await main({ year: 2024, month: 10, consumers: [pod], dbMode: true });
+      assert.deepEqual([second.insertedCount, second.updatedCount, second.unchangedCount], [0, 0, 31 * 24 + 1]);
+    } finally {
+      Object.assign(config, { SINKS, SQLITE_PATH });
+    }
+  });
+
+  test('assigns hours stored before 0.4 to the only consumer, and stops while there are several', async () => {
+    const pg = await startPostgres();
+    const single = await startMockPortal({ consumers: DEFAULT_CONSUMERS.slice(0, 1), available: { 2024: [10] } });
+    const { SINKS, LOGIN_URL } = config;
+    const saved = Object.fromEntries(Object.keys(pg.settings).map(k => [k, config[k]]));
+    Object.assign(config, { SINKS: ['postgres'], ...pg.settings });
+    const db = await import('../src/db.js');
+    const stored = async () => (await pg.query(
+      `SELECT consumer, COUNT(*)::int AS n FROM edyna_hourly GROUP BY consumer ORDER BY consumer`)).rows;
+    try {
+      await db.initializeSchema();
+      await pg.exec(`INSERT INTO edyna_hourly (consumer, timestamp, kwh)
+                     SELECT '', t, 1 FROM generate_series('2023-01-01T00:00:00Z'::timestamptz, '2023-01-01T23:00:00Z', '1 hour') t`);
+
+      await assert.rejects(main({ year: 2024, month: 10, dbMode: true }), (err) => err instanceof PermanentError
+        && /24 values from before 0\.4/.test(err.message) && err.message.includes(DEFAULT_CONSUMERS[1].pod));
+      assert.deepEqual(await stored(), [{ consumer: '', n: 24 }]);
+
+      config.LOGIN_URL = single.loginUrl;
+      const [summary] = await main({ year: 2024, month: 10, dbMode: true });
+      assert.equal(summary.insertedCount, 31 * 24 + 1);
+      assert.deepEqual(await stored(), [{ consumer: DEFAULT_CONSUMERS[0].pod, n: 24 + 31 * 24 + 1 }]);
+    } finally {
+      Object.assign(config, { SINKS, LOGIN_URL, ...saved });
+      await db.closePool();
+      await single.close();
+      await pg.stop();
+    }
+  });
+
+  test('reuses a saved session until the portal expires it', async () => {
+    const file = path.join(dir, 'session', 'portal.json');
+    config.SESSION_FILE = file;
+    const logins = () => portal.requests.filter(r => r.startsWith('POST')).length;
+    const run = () => main({ year: 2025, month: 1, consumers: [DEFAULT_CONSUMERS[0].pod] });
+    try {
+      const before = logins();
+      await run();
+      assert.equal(logins() - before, 1);
+      assert.equal((await stat(file)).mode & 0o777, 0o600);
+
+      await run();
+      assert.equal(logins() - before, 1);
+
+      portal.expireSessions();
+      const [summary] = await run();
+      assert.equal(logins() - before, 2);
+      assert.equal(summary.days, 31);
+    } finally {
+      config.SESSION_FILE = undefined;
+    }
+  });
+
+  describe('after a portal layout change', () => {
+    const renamed = 'body_ctl00_ctl00_tcListUtenze_TCurve_cCurveNeu_gvCurveAttiva';
+
+    test('retries a grid missing from a 200 page once, as a failed postback', async () => {
+      const timeout = config.STEP_TIMEOUT_MONTHLY_MS;
+      config.STEP_TIMEOUT_MONTHLY_MS = 1000;
+      try {
+        portal.blankNext('curve');
+        const [summary] = await main({ year: 2025, month: 1, consumers: [DEFAULT_CONSUMERS[0].pod] });
+        assert.equal(summary.days, 31);
+      } finally {
+        config.STEP_TIMEOUT_MONTHLY_MS = timeout;
+      }
+    });
+
+    test('fails the run when the retry finds the grid missing too', async () => {
+      const timeout = config.STEP_TIMEOUT_MONTHLY_MS;
+      config.STEP_TIMEOUT_MONTHLY_MS = 1000;
+      const curves = () => portal.requests.filter(r => r.includes('view=curve')).length;
+      portal.renameIds({ energyGrid: renamed });
+      try {
+        const before = curves();
+        await assert.rejects(main({ consumers: [DEFAULT_CONSUMERS[0].pod] }),
+          (err) => err instanceof LayoutError && /Active energy grid .* is missing/.test(err.message));
+        // The curve tab and its reopening for the one step retry; no session retry
+        assert.equal(curves() - before, 2);
+      } finally {
+        config.STEP_TIMEOUT_MONTHLY_MS = timeout;
+        portal.renameIds({});
+      }
+    });
+
+    test('doctor reports the missing element with its new ID', async () => {
+      portal.renameIds({ energyGrid: renamed });
+      try {
+        const checks = await doctor();
+        const failed = checks.filter(c => c.ok === false);
+        assert.deepEqual(failed.map(c => c.check), ['energyGrid']);
+        assert.equal(failed[0].suggestion.split(', ')[0], `#${renamed}`);
+        assert.ok(checks.filter(c => c.page === 'hourly table').every(c => c.ok === null));
+      } finally {
+        portal.renameIds({});
+      }
+    });
+  });
+
+  test('doctor passes against the current layout', async () => {
+    const checks = await doctor();
+    assert.deepEqual(notPassed(checks), OPTIONAL_MISSING);
+    assert.ok(checks.some(c => c.check === 'fallback chain' && /gvDettaglio.*used/.test(c.detail)));
+    assert.ok(checks.some(c => c.check === 'hour columns' && c.detail === '25 hours + "Summe"'));
+  });
+
+  test('fails the run on bad credentials', async () => {
+    const password = config.EDYNA_PASSWORD;
+    config.EDYNA_PASSWORD = 'wrong';
+    try {
+      await assert.rejects(main({}), (err) => err instanceof LoginError && /Login not confirmed/.test(err.message));
+    } finally {
+      config.EDYNA_PASSWORD = password;
+    }
+  });
+});
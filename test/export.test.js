@@ -0,0 +1,93 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { inferFormat, buildRecords, serialize, COLUMNS } from '../src/export.js';
+
+const collected = {
+  daily: [
+    { consumer: 'IT001E00000001', year: 2025, days: [{ date: '01.03.2025', hourly: [0.5, null, 0.25] }] },
+    // Retried session: same day again with a corrected first hour
+    { consumer: 'IT001E00000001', year: 2025, days: [{ date: '01.03.2025', hourly: [0.75] }] },
+  ],
+  monthly: [{ consumer: 'IT001E00000001', year: 2025, months: [{ month: 2, kwh: 310.5 }, { month: 1, kwh: 1200 }] }],
+};
+
+describe('inferFormat', () => {
+  test('maps extensions and falls back to json', () => {
+    assert.equal(inferFormat('out/data.CSV'), 'csv');
+    assert.equal(inferFormat('data.ndjson'), 'ndjson');
+    assert.equal(inferFormat('data.jsonl'), 'ndjson');
+    assert.equal(inferFormat('data.json'), 'json');
+    assert.equal(inferFormat('-'), 'json');
+  });
+});
+
+describe('buildRecords', () => {
+  const records = buildRecords(collected);
+
+  test('emits one record per non-null hour, de-duplicated, then monthly totals in order', () => {
+    assert.deepEqual(records.map(r => [r.type, r.period, r.hour, r.kwh]), [
+      ['hourly', '2025-03-01', 0, 0.75],
+      ['hourly', '2025-03-01', 2, 0.25],
+      ['monthly', '2025-01', null, 1200],
+      ['monthly', '2025-02', null, 310.5],
+    ]);
+  });
+
+  test('hourly timestamps are ISO UTC hours after local midnight', () => {
+    const midnight = new Date(2025, 2, 1).getTime();
+    assert.equal(records[1].timestamp, new Date(midnight + 2 * 3_600_000).toISOString());
+    assert.equal(records[2].timestamp, null);
+  });
+
+  test('keeps measurements of the same hour apart, with their unit', () => {
+    const day = { date: '01.03.2025', hourly: [0.5] };
+    const mixed = buildRecords({
+      daily: [
+        { consumer: 'IT001E00000001', year: 2025, days: [day] },
+        { consumer: 'IT001E00000001', measurement: 'reactive_energy', year: 2025, days: [day] },
+        { consumer: 'IT001E00000001', measurement: 'peak_power', year: 2025, days: [{ ...day, hourly: [3.2] }] },
+      ],
+    });
+    assert.deepEqual(mixed.map(r => [r.measurement, r.unit, r.kwh]), [
+      ['active_energy', 'kWh', 0.5],
+      ['peak_power', 'kW', 3.2],
+      ['reactive_energy', 'kvarh', 0.5],
+    ]);
+  });
+
+  test('quarter hours keep their own timestamps within the hour', () => {
+    const quarters = buildRecords({
+      daily: [{ consumer: 'IT001E00000001', year: 2025, interval: 15, days: [{ date: '01.03.2025', hourly: [0.1, 0.2, 0.3, 0.4, 0.5] }] }],
+    });
+    const midnight = new Date(2025, 2, 1).getTime();
+    assert.deepEqual(quarters.map(r => [r.hour, r.interval_minutes, r.timestamp]),
+      [0, 1, 2, 3, 4].map(i => [Math.floor(i / 4), 15, new Date(midnight + i * 900_000).toISOString()]));
+  });
+});
+
+describe('serialize', () => {
+  const records = buildRecords(collected);
+
+  test('csv has a stable header and empty cells for not-applicable fields', () => {
+    const lines = serialize(records, 'csv').split('\r\n');
+    assert.equal(lines[0], COLUMNS.join(','));
+    assert.equal(lines[3], 'monthly,IT001E00000001,2025-01,,,1200,active_energy,kWh,');
+    assert.equal(lines.at(-1), '');
+  });
+
+  test('csv quotes fields containing separators', () => {
+    const [, row] = serialize([{ type: 'monthly', consumer: 'Via Roma 1, "A"', period: '2025-01', kwh: 1 }], 'csv')
+      .split('\r\n');
+    assert.equal(row, 'monthly,"Via Roma 1, ""A""",2025-01,,,1,,,');
+  });
+
+  test('ndjson and json carry the same records', () => {
+    const ndjson = serialize(records, 'ndjson').trim().split('\n').map(l => JSON.parse(l));
+    assert.deepEqual(ndjson, records);
+    assert.deepEqual(JSON.parse(serialize(records, 'json')), records);
+  });
+
+  test('rejects unknown formats', () => {
+    assert.throws(() => serialize(records, 'xml'), /Unknown export format/);
+  });
+});
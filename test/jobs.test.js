@@ -0,0 +1,152 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+Object.assign(process.env, {
+  LOGIN_URL: 'http://127.0.0.1/Login.tws',
+  EDYNA_USERNAME: 'user',
+  EDYNA_PASSWORD: 'secret',
+  LOG_LEVEL: 'error',
+  TZ: 'Europe/Rome',
+});
+const {
+  defaultJobs, jobTarget, parseCron, previousRun, missedJobs, healableGaps, countGapAttempts, loadSchedulerState, saveSchedulerState,
+} = await import('../src/jobs.js');
+
+const at = (y, m, d, h = 0, min = 0, s = 0) => new Date(y, m - 1, d, h, min, s);
+const job = (name, schedule, extra = {}) => ({ name, schedule, target: 'current', months: 1, enabled: true, catchUp: true, ...extra });
+
+describe('parseCron', () => {
+  test('five or six fields; numbers, names, ranges, steps and lists', () => {
+    const [seconds, minutes, hours, days, months, weekdays] = parseCron('*/15 8-10 1,15 jan-mar mon,fri');
+    assert.deepEqual([...seconds], [0]);
+    assert.deepEqual([...minutes], [0, 15, 30, 45]);
+    assert.deepEqual([...hours], [8, 9, 10]);
+    assert.deepEqual([...days], [1, 15]);
+    assert.deepEqual([...months], [1, 2, 3]);
+    assert.deepEqual([...weekdays], [1, 5]);
+    assert.deepEqual([...parseCron('30 0 0 * * 7')[5]], [0]);
+    assert.deepEqual([...parseCron('0 0 * * 5/1')[5]].sort(), [0, 5, 6]);
+  });
+
+  test('rejects malformed expressions', () => {
+    for (const expr of ['* * * *', '60 * * * *', '* * * * * * *', '0 0 * foo *', '0 0 5-1 * *', '*/0 * * * *']) {
+      assert.throws(() => parseCron(expr), /Invalid cron expression/, expr);
+    }
+  });
+});
+
+describe('previousRun', () => {
+  test('latest matching time at or before now', () => {
+    assert.deepEqual(previousRun('0 9 * * *', at(2025, 3, 10, 9, 0)), at(2025, 3, 10, 9, 0));
+    assert.deepEqual(previousRun('0 9 * * *', at(2025, 3, 10, 8, 59)), at(2025, 3, 9, 9, 0));
+    assert.deepEqual(previousRun('0 23 3,10 * *', at(2025, 3, 2, 12)), at(2025, 2, 10, 23, 0));
+    assert.deepEqual(previousRun('0 23 3,10 * *', at(2025, 1, 1)), at(2024, 12, 10, 23, 0));
+  });
+
+  test('day of month and weekday must both match, as node-cron fires', () => {
+    // The 13th that is a Friday: June 2025
+    assert.deepEqual(previousRun('0 12 13 * fri', at(2025, 10, 1)), at(2025, 6, 13, 12, 0));
+  });
+
+  test('skips the wall-clock hour the spring DST change removes', () => {
+    assert.deepEqual(previousRun('30 2 * * *', at(2025, 3, 30, 12)), at(2025, 3, 29, 2, 30));
+  });
+
+  test('null when nothing matches within the look-back', () => {
+    assert.equal(previousRun('0 0 30 2 *', at(2025, 3, 10)), null);
+  });
+});
+
+describe('jobTarget', () => {
+  const now = at(2025, 1, 15, 9);
+
+  test('current, previous and window', () => {
+    assert.deepEqual(jobTarget({ target: 'current' }, now), {});
+    assert.deepEqual(jobTarget({ target: 'previous', months: 1 }, now), { year: 2024, month: 12 });
+    assert.deepEqual(jobTarget({ target: 'previous', months: 3 }, now), { from: '2024-10', to: '2024-12' });
+    assert.deepEqual(jobTarget({ target: 'window', months: 1 }, now), { year: 2025, month: 1 });
+    assert.deepEqual(jobTarget({ target: 'window', months: 2 }, now), { from: '2024-12', to: '2025-01' });
+  });
+
+  test('the default jobs keep the daily run and the previous-month backfill', () => {
+    const [daily, backfill] = defaultJobs('0 6 * * *');
+    assert.equal(daily.schedule, '0 6 * * *');
+    assert.deepEqual(jobTarget(daily, now), {});
+    assert.deepEqual(jobTarget(backfill, now), { year: 2024, month: 12 });
+  });
+});
+
+describe('missedJobs', () => {
+  const now = at(2025, 3, 12, 8);
+
+  test('jobs whose schedule fired since their last run, oldest miss first', () => {
+    const jobs = [job('daily', '0 9 * * *'), job('backfill', '0 23 3,10 * *'), job('hourly', '0 * * * *')];
+    const missed = missedJobs(jobs, {
+      daily: at(2025, 3, 9, 9, 0, 2).toISOString(),
+      backfill: at(2025, 3, 3, 23, 0, 1).toISOString(),
+      hourly: at(2025, 3, 12, 8, 0, 1).toISOString(),
+    }, now);
+    assert.deepEqual(missed.map(m => [m.job.name, m.due]), [
+      ['backfill', at(2025, 3, 10, 23, 0)],
+      ['daily', at(2025, 3, 11, 9, 0)],
+    ]);
+  });
+
+  test('never-run, disabled and non-catch-up jobs are left alone', () => {
+    const lastRun = at(2025, 1, 1).toISOString();
+    const jobs = [job('new', '0 9 * * *'), job('off', '0 9 * * *', { enabled: false }), job('nocatch', '0 9 * * *', { catchUp: false })];
+    assert.deepEqual(missedJobs(jobs, { off: lastRun, nocatch: lastRun }, now), []);
+  });
+});
+
+describe('gap healing attempts', () => {
+  const gap = (consumer, month) => ({ consumer, year: 2025, month, missing: 744 });
+  const summary = (consumer, month, insertedCount) => ({ consumer, year: 2025, month, days: 0, insertedCount });
+
+  test('counts re-scrapes that stored nothing, until the cap leaves the month alone', () => {
+    const gaps = [gap('A', 1), gap('A', 2)];
+    let attempts = {};
+    for (let i = 0; i < 3; i++) {
+      assert.deepEqual(healableGaps(gaps, attempts, 3), gaps);
+      attempts = countGapAttempts(attempts, gaps, [summary('A', 1, 0), summary('A', 2, 0)]);
+    }
+    assert.deepEqual(attempts, { 'A|2025-01': 3, 'A|2025-02': 3 });
+    assert.deepEqual(healableGaps(gaps, attempts, 3), []);
+    assert.deepEqual(healableGaps(gaps, attempts, 4), gaps);
+  });
+
+  test('a re-scrape storing hours starts over; filled months and other consumers are forgotten', () => {
+    const attempts = { 'A|2025-01': 2, 'A|2025-02': 1, 'B|2024-06': 5 };
+    const gaps = [gap('A', 1), gap('A', 2)];
+    assert.deepEqual(countGapAttempts(attempts, gaps, [summary('A', 1, 24), summary('A', 2, 0), summary('C', 1, 0)]),
+      { 'A|2025-02': 2 });
+    assert.deepEqual(countGapAttempts(attempts, [gap('A', 2)], []), { 'A|2025-02': 1 });
+  });
+});
+
+describe('scheduler state file', () => {
+  test('round trip; a missing or unreadable file is an empty state', async () => {
+    const dir = await mkdtemp(path.join(os.tmpdir(), 'edyna-jobs-'));
+    const empty = { lastRuns: {}, queue: [], gapAttempts: {} };
+    try {
+      const file = path.join(dir, 'state', 'scheduler.json');
+      assert.deepEqual(await loadSchedulerState(file), empty);
+      const state = {
+        lastRuns: { daily: '2025-03-10T08:00:00.000Z' },
+        queue: [{ key: '2025-02', label: 'manual', kind: 'scrape', opts: { year: 2025, month: 2 } }],
+        gapAttempts: { 'IT001E12345678|2025-01': 2 },
+      };
+      await saveSchedulerState(file, state);
+      assert.deepEqual(await loadSchedulerState(file), state);
+      await writeFile(file, JSON.stringify({ lastRuns: state.lastRuns }));
+      assert.deepEqual(await loadSchedulerState(file), { ...empty, lastRuns: state.lastRuns });
+      await writeFile(file, 'not json');
+      assert.deepEqual(await loadSchedulerState(file), empty);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,107 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseMonthName, parseWeekday, detectLocale, decimalSeparator } from '../src/locale.js';
+
+const GERMAN = ['Jän', 'Feb', 'Mär', 'Apr', 'Mai', 'Jun', 'Jul', 'Aug', 'Sep', 'Okt', 'Nov', 'Dez'];
+const ITALIAN = ['gen', 'feb', 'mar', 'apr', 'mag', 'giu', 'lug', 'ago', 'set', 'ott', 'nov', 'dic'];
+const months = Array.from({ length: 12 }, (_, i) => i + 1);
+
+describe('parseMonthName (de)', () => {
+  test('abbreviations and full names', () => {
+    assert.deepEqual(GERMAN.map(m => parseMonthName(m)), months);
+    assert.deepEqual(
+      ['Jänner', 'Februar', 'März', 'April', 'Mai', 'Juni', 'Juli', 'August', 'September', 'Oktober', 'November', 'Dezember']
+        .map(m => parseMonthName(m, 'de')),
+      months,
+    );
+  });
+
+  test('variants, case, trailing dot and year', () => {
+    assert.equal(parseMonthName('Januar'), 1);
+    assert.equal(parseMonthName('JAN.'), 1);
+    assert.equal(parseMonthName('Mrz 2025'), 3);
+    assert.equal(parseMonthName(' sept. '), 9);
+  });
+
+  test('Italian names do not count with locale de', () => {
+    assert.equal(parseMonthName('gen', 'de'), null);
+    assert.equal(parseMonthName('Dez', 'de'), 12);
+  });
+});
+
+describe('parseMonthName (it)', () => {
+  test('abbreviations and full names', () => {
+    assert.deepEqual(ITALIAN.map(m => parseMonthName(m)), months);
+    assert.deepEqual(
+      ['gennaio', 'febbraio', 'marzo', 'aprile', 'maggio', 'giugno', 'luglio', 'agosto', 'settembre', 'ottobre', 'novembre', 'dicembre']
+        .map(m => parseMonthName(m, 'it')),
+      months,
+    );
+  });
+
+  test('variants, case, trailing dot and year', () => {
+    assert.equal(parseMonthName('Gen.'), 1);
+    assert.equal(parseMonthName('Sett. 2025'), 9);
+    assert.equal(parseMonthName('DICEMBRE'), 12);
+  });
+
+  test('German names do not count with locale it', () => {
+    assert.equal(parseMonthName('Okt', 'it'), null);
+    assert.equal(parseMonthName('ott', 'it'), 10);
+  });
+});
+
+describe('parseMonthName (numeric)', () => {
+  test('month numbers with an optional year', () => {
+    assert.equal(parseMonthName('03'), 3);
+    assert.equal(parseMonthName('12/2025'), 12);
+    assert.equal(parseMonthName('1.25'), 1);
+    assert.equal(parseMonthName('13'), null);
+    assert.equal(parseMonthName('Summe'), null);
+    assert.equal(parseMonthName(''), null);
+  });
+});
+
+describe('parseWeekday', () => {
+  test('German', () => {
+    assert.deepEqual(['So', 'Mo', 'Di', 'Mi', 'Do', 'Fr', 'Sa'].map(d => parseWeekday(d, 'de')), [0, 1, 2, 3, 4, 5, 6]);
+    assert.equal(parseWeekday('Montag'), 1);
+    assert.equal(parseWeekday('Mo.'), 1);
+  });
+
+  test('Italian', () => {
+    assert.deepEqual(['dom', 'lun', 'mar', 'mer', 'gio', 'ven', 'sab'].map(d => parseWeekday(d, 'it')), [0, 1, 2, 3, 4, 5, 6]);
+    assert.equal(parseWeekday('Lunedì'), 1);
+    assert.equal(parseWeekday('venerdi'), 5);
+  });
+
+  test('unknown words', () => {
+    assert.equal(parseWeekday('lun', 'de'), null);
+    assert.equal(parseWeekday('Foo'), null);
+  });
+});
+
+describe('detectLocale', () => {
+  test('German and Italian month headers', () => {
+    assert.equal(detectLocale(GERMAN), 'de');
+    assert.equal(detectLocale(ITALIAN), 'it');
+    assert.equal(detectLocale(['Januar', 'Februar', 'März']), 'de');
+    assert.equal(detectLocale(['gennaio', 'febbraio', 'marzo']), 'it');
+  });
+
+  test('null when nothing tells the languages apart', () => {
+    assert.equal(detectLocale(['Feb', 'Apr', 'Nov']), null);
+    assert.equal(detectLocale(['01', '02', '03']), null);
+    assert.equal(detectLocale([]), null);
+  });
+});
+
+describe('decimalSeparator', () => {
+  test('the language\'s, unless PORTAL_DECIMAL sets one', () => {
+    assert.equal(decimalSeparator('de'), ',');
+    assert.equal(decimalSeparator('it', 'auto'), ',');
+    assert.equal(decimalSeparator(null), ',');
+    assert.equal(decimalSeparator('de', '.'), '.');
+    assert.equal(decimalSeparator(null, ','), ',');
+  });
+});
@@ -0,0 +1,60 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRegistry } from '../src/metrics.js';
+
+describe('createRegistry', () => {
+  test('renders counters and gauges with HELP/TYPE and one line per label set', () => {
+    const r = createRegistry();
+    const runs = r.counter('runs_total', 'Runs');
+    const newest = r.gauge('newest_seconds', 'Newest hour');
+    runs.inc();
+    runs.inc({}, 2);
+    newest.set({ consumer: 'IT001E00000001' }, 100);
+    newest.set({ consumer: 'IT001E00000002' }, 200);
+    newest.set({ consumer: 'IT001E00000001' }, 150);
+
+    assert.equal(r.render(), [
+      '# HELP runs_total Runs',
+      '# TYPE runs_total counter',
+      'runs_total 3',
+      '# HELP newest_seconds Newest hour',
+      '# TYPE newest_seconds gauge',
+      'newest_seconds{consumer="IT001E00000001"} 150',
+      'newest_seconds{consumer="IT001E00000002"} 200',
+      '',
+    ].join('\n'));
+  });
+
+  test('escapes label values', () => {
+    const r = createRegistry();
+    r.counter('c_total', 'C').inc({ label: 'a"b\\c\nd' });
+    assert.match(r.render(), /^c_total\{label="a\\"b\\\\c\\nd"\} 1$/m);
+  });
+
+  test('histogram buckets are cumulative and end with +Inf', () => {
+    const r = createRegistry();
+    const h = r.histogram('step_seconds', 'Steps', [10, 1, 5]);
+    for (const v of [0.5, 3, 3, 7, 42]) h.observe({ step: 'login' }, v);
+
+    const lines = r.render().split('\n').filter(l => l.startsWith('step_seconds'));
+    assert.deepEqual(lines, [
+      'step_seconds_bucket{step="login",le="1"} 1',
+      'step_seconds_bucket{step="login",le="5"} 3',
+      'step_seconds_bucket{step="login",le="10"} 4',
+      'step_seconds_bucket{step="login",le="+Inf"} 5',
+      'step_seconds_sum{step="login"} 55.5',
+      'step_seconds_count{step="login"} 5',
+    ]);
+  });
+
+  test('startTimer records elapsed seconds', async () => {
+    const r = createRegistry();
+    const h = r.histogram('t_seconds', 'T', [60]);
+    const done = h.startTimer();
+    await new Promise(resolve => setTimeout(resolve, 20));
+    done();
+    const sum = Number(/^t_seconds_sum (\S+)$/m.exec(r.render())[1]);
+    assert.ok(sum >= 0.015 && sum < 60, `sum ${sum}`);
+    assert.match(r.render(), /^t_seconds_count 1$/m);
+  });
+});
@@ -0,0 +1,114 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+Object.assign(process.env, {
+  LOGIN_URL: 'http://127.0.0.1/Login.tws',
+  EDYNA_USERNAME: 'user',
+  EDYNA_PASSWORD: 'secret',
+  LOG_LEVEL: 'error',
+});
+const { listMigrations, planMigrations, replaceRollups } = await import('../src/migrate.js');
+
+describe('listMigrations', () => {
+  test('shipped migrations are numbered 1..N and export up()', async () => {
+    const migrations = await listMigrations();
+    assert.ok(migrations.length >= 4);
+    assert.deepEqual(migrations.map(m => m.version), migrations.map((_, i) => i + 1));
+    assert.deepEqual(migrations.slice(0, 2).map(m => m.name), ['hourly', 'hypertable']);
+    for (const m of migrations) {
+      const mod = await import(`../src/migrations/${m.file}`);
+      assert.equal(typeof mod.up, 'function', m.file);
+    }
+  });
+
+  test('rejects gaps and ignores other files', async () => {
+    const dir = await mkdtemp(path.join(os.tmpdir(), 'edyna-migrations-'));
+    try {
+      for (const f of ['001-a.js', '003-c.js', 'README.md', '002-b.js.orig']) await writeFile(path.join(dir, f), '');
+      await assert.rejects(listMigrations(dir), /003-c\.js: expected version 002/);
+      await writeFile(path.join(dir, '002-b.js'), '');
+      assert.deepEqual((await listMigrations(dir)).map(m => m.file), ['001-a.js', '002-b.js', '003-c.js']);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('planMigrations', () => {
+  const available = [1, 2, 3].map(version => ({ version, name: `m${version}`, file: `00${version}-m${version}.js` }));
+  const at = new Date('2025-01-01T00:00:00Z');
+
+  test('fresh or adopted database: everything pending', () => {
+    const { pending, status, unknown } = planMigrations(available, []);
+    assert.deepEqual(pending.map(m => m.version), [1, 2, 3]);
+    assert.ok(status.every(m => m.applied_at === null));
+    assert.deepEqual(unknown, []);
+  });
+
+  test('partially applied, plus a version from a newer release', () => {
+    const { pending, status, unknown } = planMigrations(available, [
+      { version: 1, name: 'm1', applied_at: at },
+      { version: 2, name: 'm2', applied_at: at },
+      { version: 4, name: 'future', applied_at: at },
+    ]);
+    assert.deepEqual(pending.map(m => m.version), [3]);
+    assert.deepEqual(status.map(m => m.applied_at), [at, at, null]);
+    assert.deepEqual(unknown.map(r => r.version), [4]);
+  });
+});
+
+describe('replaceRollups', () => {
+  const select = ({ bucket, column }) => `SELECT consumer, ${bucket} AS ${column}, SUM(kwh) AS kwh FROM edyna_hourly GROUP BY 1, 2`;
+  const log = { warnings: [], warn(obj) { this.warnings.push(obj); } };
+
+  // A TimescaleDB install with both rollups, answering the catalog queries replaceRollups makes
+  function fakeClient({ retention = false, older = false } = {}) {
+    const sql = [];
+    return {
+      sql,
+      escapeLiteral: (s) => `'${s}'`,
+      async query(text, params = []) {
+        sql.push(text.replace(/\s+/g, ' ').trim());
+        if (/pg_extension|timescaledb_information\.hypertables/.test(text)) return { rowCount: 1, rows: [{}] };
+        if (/policy_retention/.test(text)) return { rowCount: retention ? 1 : 0, rows: [] };
+        if (/to_regclass/.test(text)) {
+          const exists = !params[0].includes('_before_');
+          return { rowCount: 1, rows: [{ exists, done: exists }] };
+        }
+        if (/AS older/.test(text)) return { rowCount: 1, rows: [{ older }] };
+        return { rowCount: 0, rows: [] };
+      },
+    };
+  }
+  const statements = (client, re) => client.sql.filter(s => re.test(s));
+
+  test('drops and rebuilds rollups edyna_hourly still covers', async () => {
+    const client = fakeClient();
+    await replaceRollups(client, log, select, '010');
+    assert.deepEqual(statements(client, /^DROP MATERIALIZED VIEW/),
+      ['DROP MATERIALIZED VIEW IF EXISTS edyna_hourly_daily', 'DROP MATERIALIZED VIEW IF EXISTS edyna_hourly_monthly']);
+    assert.deepEqual(statements(client, /RENAME/), []);
+    assert.equal(statements(client, /^CREATE MATERIALIZED VIEW IF NOT EXISTS edyna_hourly_daily WITH \(timescaledb\.continuous\)/).length, 1);
+  });
+
+  test('with a retention policy, keeps the old rollups under a new name', async () => {
+    const client = fakeClient({ retention: true });
+    await replaceRollups(client, log, select, '010');
+    assert.deepEqual(statements(client, /^DROP/), []);
+    assert.deepEqual(statements(client, /^ALTER MATERIALIZED VIEW/), [
+      'ALTER MATERIALIZED VIEW edyna_hourly_daily RENAME TO edyna_hourly_daily_before_010',
+      'ALTER MATERIALIZED VIEW edyna_hourly_monthly RENAME TO edyna_hourly_monthly_before_010',
+    ]);
+    assert.equal(statements(client, /^CALL refresh_continuous_aggregate/).length, 2);
+    assert.deepEqual(log.warnings.slice(-2).map(w => w.kept), ['edyna_hourly_daily_before_010', 'edyna_hourly_monthly_before_010']);
+  });
+
+  test('buckets older than the oldest hour also count as history to keep', async () => {
+    const client = fakeClient({ older: true });
+    await replaceRollups(client, log, select, '009');
+    assert.equal(statements(client, /RENAME TO edyna_hourly_daily_before_009$/).length, 1);
+  });
+});
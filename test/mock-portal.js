@@ -0,0 +1,279 @@
+/**
+ * Minimal stand-in for the Edyna WebForms portal, for end-to-end tests.
+ * Serves the pages the scraper walks through using the exact element IDs
+ * from SELECTORS in src/index.js. Postbacks are plain navigations here;
+ * the scraper only relies on the resulting DOM.
+ *
+ * Data is synthetic and deterministic (see kwhAt, kvarhAt, kwAt, quarterAt), so tests
+ * can recompute every value the portal shows.
+ */
+
+import http from 'node:http';
+
+const ID = {
+  loginPanel:  'body_body_cLogin_pnlLogin',
+  loginUser:   'body_body_cLogin_txtUser',
+  loginPass:   'body_body_cLogin_txtPassword',
+  loginBtn:    'body_body_cLogin_btnLogin',
+  menu:        'body_ctl00_mMenu1_FirstLevelMenuRepeater_lnkLevelMenu_0',
+  tabs:        'body_ctl00_ctl00_tcListUtenze',
+  consumers:   'body_ctl00_ctl00_tcListUtenze_TList_cUFListUtenze_gvUtenze',
+  curveBtn:    'body_ctl00_ctl00_tcListUtenze_TList_cUFListUtenze_gvUtenze_btnCurve_',
+  year:        'body_ctl00_ctl00_tcListUtenze_TCurve_cCurve_ddlAnno',
+  energyGrid:  'body_ctl00_ctl00_tcListUtenze_TCurve_cCurve_gvCurveAttiva',
+  monthBtn:    'body_ctl00_ctl00_tcListUtenze_TCurve_cCurve_gvCurveAttiva_btnCurve_',
+  reactiveGrid: 'body_ctl00_ctl00_tcListUtenze_TCurve_cCurve_gvCurveReattiva',
+  reactiveBtn: 'body_ctl00_ctl00_tcListUtenze_TCurve_cCurve_gvCurveReattiva_btnCurve_',
+  powerGrid:   'body_ctl00_ctl00_tcListUtenze_TCurve_cCurve_gvCurvePotenza',
+  powerBtn:    'body_ctl00_ctl00_tcListUtenze_TCurve_cCurve_gvCurvePotenza_btnCurve_',
+  hourlyGrid:  'body_ctl00_ctl00_tcListUtenze_TCurve_cCurve_gvDettaglio',
+};
+
+// What the portal prints per UI language
+const LANGUAGES = {
+  de: {
+    months: ['Jän', 'Feb', 'Mär', 'Apr', 'Mai', 'Jun', 'Jul', 'Aug', 'Sep', 'Okt', 'Nov', 'Dez'],
+    date: (y, m, d) => `${pad2(d)}.${pad2(m)}.${y}`,
+    dateHeader: 'Datum',
+    total: 'Summe',
+  },
+  it: {
+    months: ['gen', 'feb', 'mar', 'apr', 'mag', 'giu', 'lug', 'ago', 'set', 'ott', 'nov', 'dic'],
+    date: (y, m, d) => `${['dom', 'lun', 'mar', 'mer', 'gio', 'ven', 'sab'][new Date(y, m - 1, d).getDay()]} ${pad2(d)}/${pad2(m)}/${y}`,
+    dateHeader: 'Data',
+    total: 'Totale',
+  },
+};
+const HOUR_MS = 3_600_000;
+
+export const DEFAULT_CONSUMERS = [
+  { pod: 'IT001E00000001', address: 'Via Roma 1, Bolzano' },
+  { pod: 'IT001E00000002', address: 'Via Roma 1, Bolzano (Wärmepumpe)' },
+];
+
+// Months with published data per year; 2024-10 holds the 25-hour day, 2025-03 the 23-hour one.
+export const DEFAULT_AVAILABLE = { 2024: [10, 11, 12], 2025: [1, 2, 3] };
+
+/** Synthetic consumption for consumer row `c`, local date y-m-d, hour index h. */
+export function kwhAt(c, y, m, d, h) {
+  return Number(((c + 1) * 0.1 + h * 0.01 + d * 0.001 + m * 0.0001).toFixed(4));
+}
+
+/** Synthetic reactive energy (kvarh), same arguments as kwhAt. */
+export function kvarhAt(c, y, m, d, h) {
+  return Number((kwhAt(c, y, m, d, h) * 0.3).toFixed(4));
+}
+
+/** Synthetic peak power (kW) within the hour, same arguments as kwhAt. */
+export function kwAt(c, y, m, d, h) {
+  return Number((kwhAt(c, y, m, d, h) * 4).toFixed(3));
+}
+
+/**
+ * A quarter-hour value of grid `q` ('active', 'reactive', 'power'): the
+ * hour's value spread evenly over its quarters (energy) or repeated (power),
+ * at the digits the table prints. `i` is the quarter index from midnight.
+ */
+export function quarterAt(q, c, y, m, d, i) {
+  const { at, digits, max } = GRIDS[q];
+  return Number((at(c, y, m, d, Math.floor(i / 4)) / (max ? 1 : 4)).toFixed(digits));
+}
+
+/** Hours in a local calendar day (23/24/25) in the process TZ. */
+export function hoursInDay(y, m, d) {
+  return (new Date(y, m - 1, d + 1) - new Date(y, m - 1, d)) / HOUR_MS;
+}
+
+function deAt(n, digits, decimal = ',') {
+  const [int, frac] = n.toFixed(digits).split('.');
+  return int.replace(/\B(?=(\d{3})+(?!\d))/g, decimal === ',' ? '.' : ',') + (frac ? decimal + frac : '');
+}
+
+const pad2 = (n) => String(n).padStart(2, '0');
+
+// The curve tab's grids; `q` selects one in the daily view's URL. Power adds up to its maximum.
+const GRIDS = {
+  active:   { grid: 'energyGrid',   btn: 'monthBtn',    at: kwhAt,   digits: 4 },
+  reactive: { grid: 'reactiveGrid', btn: 'reactiveBtn', at: kvarhAt, digits: 4 },
+  power:    { grid: 'powerGrid',    btn: 'powerBtn',    at: kwAt,    digits: 3, max: true },
+};
+
+function values(q, c, y, m, d, quarters = false) {
+  return quarters
+    ? Array.from({ length: hoursInDay(y, m, d) * 4 }, (_, i) => quarterAt(q, c, y, m, d, i))
+    : Array.from({ length: hoursInDay(y, m, d) }, (_, h) => GRIDS[q].at(c, y, m, d, h));
+}
+
+const aggregate = (q, list) => (GRIDS[q].max ? Math.max(...list) : list.reduce((a, v) => a + v, 0));
+
+function monthTotal(q, c, y, m, quarters = false) {
+  const days = new Date(y, m, 0).getDate();
+  return aggregate(q, Array.from({ length: days }, (_, i) => aggregate(q, values(q, c, y, m, i + 1, quarters))));
+}
+
+function layout(body, { withMenu = true } = {}) {
+  const menu = withMenu ? `<a id="${ID.menu}" href="/EIPPUF/Single.tws?view=list">Verbraucher</a>` : '';
+  return `<!doctype html><html><head><meta charset="utf-8"><title>Edyna</title></head>
+<body><form>${menu}</form>${body}</body></html>`;
+}
+
+function loginPage(error = '') {
+  return layout(`
+<form method="post" action="/EIPPUF/Login.tws">
+  <div id="${ID.loginPanel}">
+    ${error ? `<span class="error">${error}</span>` : ''}
+    <input id="${ID.loginUser}" name="user" type="text">
+    <input id="${ID.loginPass}" name="password" type="password">
+    <input id="${ID.loginBtn}" type="submit" value="Anmelden">
+  </div>
+</form>`, { withMenu: false });
+}
+
+/**
+ * Start the mock portal on a random local port.
+ *
+ * @param {{ username?: string, password?: string, consumers?: Array<{pod: string, address: string}>,
+ *           available?: Record<number, number[]>, delayMs?: number }} [opts]
+ * @returns {Promise<{ loginUrl: string, delayMs: number, requests: string[], expireSessions: () => void,
+ *                     failNext: (view: string) => void, blankNext: (view: string) => void, renameIds: (ids: Record<string, string>) => void,
+ *                     setLanguage: (lang: 'de'|'it') => void, showMeasurements: (on: boolean) => void,
+ *                     showQuarterHours: (on: boolean) => void, setDecimal: (sep: ','|'.') => void,
+ *                     close: () => Promise<void> }>}
+ *   `delayMs` (slow postbacks) can be changed while running; `requests` logs "METHOD path" per request;
+ *   `expireSessions()` logs every browser out, as a server-side session timeout would;
+ *   `failNext(view)` answers the next request for that view ('list', 'curve', 'daily') with an error page;
+ *   `blankNext(view)` answers it with an empty page and a 200 status, as a failed postback leaves it;
+ *   `renameIds({ key: id })` serves other IDs (keys of ID) on the pages behind the login, as a portal update
+ *   would; {} restores them;
+ *   `setLanguage('it')` serves the curve tab and hourly table in Italian (month headers, weekday-prefixed
+ *   dates), 'de' (the default) in German;
+ *   `showMeasurements(true)` adds the reactive energy and power grids below the active energy one, with
+ *   their hourly tables (the power one ending in a "Max" column); off by default;
+ *   `showQuarterHours(true)` serves the hourly tables in quarter hours ("00:15" … "25:00", 92/96/100 values
+ *   a day, see quarterAt), with the monthly grids summing them; off by default;
+ *   `setDecimal('.')` shows numbers with a decimal point and comma thousands ("1,234.56"), ',' (the
+ *   default) the other way round.
+ */
+export async function startMockPortal({
+  username = 'user',
+  password = 'secret',
+  consumers = DEFAULT_CONSUMERS,
+  available = DEFAULT_AVAILABLE,
+  delayMs = 0,
+} = {}) {
+  const sessions = new Set();
+  const years = Object.keys(available).map(Number).sort((a, b) => a - b);
+  const failing = new Set();
+  const blanking = new Set();
+  let id = ID;
+  let lang = LANGUAGES.de;
+  let grids = ['active'];
+  let quarters = false;
+  let decimal = ',';
+  const portal = {
+    loginUrl: '', delayMs, requests: [], expireSessions: () => sessions.clear(), failNext: (view) => failing.add(view),
+    blankNext: (view) => blanking.add(view),
+    renameIds: (ids) => { id = { ...ID, ...ids }; }, setLanguage: (l) => { lang = LANGUAGES[l]; },
+    showMeasurements: (on) => { grids = on ? Object.keys(GRIDS) : ['active']; },
+    showQuarterHours: (on) => { quarters = on; }, setDecimal: (sep) => { decimal = sep; }, close: null,
+  };
+
+  function consumerList() {
+    const rows = consumers.map((c, i) => `
+    <tr><td>${c.pod}</td><td>${c.address}</td>
+        <td><a id="${id.curveBtn}${i}" href="/EIPPUF/Single.tws?view=curve&c=${i}">Kurve</a></td></tr>`).join('');
+    return `<div id="${id.tabs}"><table id="${id.consumers}">
+    <tr><th>POD</th><th>Adresse</th><th></th></tr>${rows}
+  </table></div>`;
+  }
+
+  function curve(c, year) {
+    const options = years.map(y => `<option value="${y}"${y === year ? ' selected' : ''}>${y}</option>`).join('');
+    const tables = grids.map(q => {
+      const cells = lang.months.map((_, i) => {
+        const m = i + 1;
+        const text = available[year]?.includes(m) ? deAt(monthTotal(q, c, year, m, quarters), 2, decimal) : '-';
+        return `<td><a id="${id[GRIDS[q].btn]}${i}" href="/EIPPUF/Single.tws?view=daily&q=${q}&c=${c}&year=${year}&month=${m}">${text}</a></td>`;
+      }).join('');
+      return `<table id="${id[GRIDS[q].grid]}">
+    <tr>${lang.months.map(n => `<th>${n}</th>`).join('')}</tr>
+    <tr>${cells}</tr>
+  </table>`;
+    }).join('\n  ');
+    return `<div id="${id.tabs}">
+  <select id="${id.year}" onchange="location.href='/EIPPUF/Single.tws?view=curve&c=${c}&year='+this.value">${options}</select>
+  ${tables}</div>`;
+  }
+
+  function daily(q, c, year, month) {
+    const hoursHeader = quarters
+      ? Array.from({ length: 100 }, (_, i) => `<th>${pad2(Math.floor((i + 1) / 4))}:${pad2(((i + 1) % 4) * 15)}</th>`).join('')
+      : Array.from({ length: 25 }, (_, h) => `<th>${pad2(h + 1)}:00</th>`).join('');
+    const days = new Date(year, month, 0).getDate();
+    const { digits } = GRIDS[q];
+    const rows = Array.from({ length: days }, (_, i) => {
+      const d = i + 1;
+      const hourly = values(q, c, year, month, d, quarters);
+      return `<tr><td>${lang.date(year, month, d)}</td>${hourly.map(v => `<td>${deAt(v, digits, decimal)}</td>`).join('')}<td>${deAt(aggregate(q, hourly), 3, decimal)}</td></tr>`;
+    }).join('');
+    const total = GRIDS[q].max ? 'Max' : lang.total;
+    return `<table id="${id.hourlyGrid}"><tr><th>${lang.dateHeader}</th>${hoursHeader}<th>${total}</th></tr>${rows}</table>`;
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    portal.requests.push(`${req.method} ${url.pathname}${url.search}`);
+    const send = (status, html, headers = {}) => {
+      res.writeHead(status, { 'content-type': 'text/html; charset=utf-8', ...headers });
+      res.end(html);
+    };
+
+    if (url.pathname === '/EIPPUF/Login.tws') {
+      if (req.method !== 'POST') return send(200, loginPage());
+      let body = '';
+      for await (const chunk of req) body += chunk;
+      const form = new URLSearchParams(body);
+      if (form.get('user') !== username || form.get('password') !== password) {
+        return send(200, loginPage('Benutzername oder Passwort falsch'));
+      }
+      const sid = String(Math.random()).slice(2);
+      sessions.add(sid);
+      return send(302, '', { location: '/EIPPUF/Single.tws', 'set-cookie': `sid=${sid}; Path=/; HttpOnly` });
+    }
+
+    if (url.pathname === '/EIPPUF/Single.tws') {
+      const sid = /(?:^|;\s*)sid=(\d+)/.exec(req.headers.cookie ?? '')?.[1];
+      if (!sessions.has(sid)) return send(302, '', { location: '/EIPPUF/Login.tws' });
+
+      const view = url.searchParams.get('view');
+      if (view) await new Promise(r => setTimeout(r, portal.delayMs));
+      if (failing.delete(view)) return send(500, layout('<h1>Serverfehler</h1>'));
+      if (blanking.delete(view)) return send(200, layout(''));
+      const c = Number(url.searchParams.get('c') ?? 0);
+      const year = Number(url.searchParams.get('year') ?? years.at(-1));
+      if (view === 'list') return send(200, layout(consumerList()));
+      if (view === 'curve') return send(200, layout(curve(c, year)));
+      if (view === 'daily') {
+        return send(200, layout(daily(url.searchParams.get('q') ?? 'active', c, year, Number(url.searchParams.get('month')))));
+      }
+      return send(200, layout('<h1>Willkommen</h1>'));
+    }
+
+    send(404, 'Not found');
+  }
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch((err) => {
+      res.writeHead(500);
+      res.end(err.message);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  portal.loginUrl = `http://127.0.0.1:${server.address().port}/EIPPUF/Login.tws`;
+  portal.close = () => new Promise(resolve => {
+    server.closeAllConnections();
+    server.close(() => resolve());
+  });
+  return portal;
+}
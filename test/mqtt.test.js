@@ -0,0 +1,150 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'node:net';
+
+Object.assign(process.env, {
+  LOGIN_URL: 'http://127.0.0.1/Login.tws',
+  EDYNA_USERNAME: 'user',
+  EDYNA_PASSWORD: 'secret',
+  LOG_LEVEL: 'error',
+  TZ: 'Europe/Rome',
+});
+const { latestReadings, buildMessages, publishReadings } = await import('../src/mqtt.js');
+
+const POD = 'IT001E00000001';
+const day = (date, hourly) => ({ date, hourly, total_kwh: hourly.reduce((a, b) => a + (b ?? 0), 0) });
+
+/**
+ * In-process stand-in for an MQTT 3.1.1 broker: accepts any CONNECT, acks
+ * QoS 1 PUBLISHes and records them. Just enough for one publishing client.
+ */
+function startBroker() {
+  const broker = { published: [], connects: [] };
+  const server = net.createServer((socket) => {
+    let buf = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+      buf = Buffer.concat([buf, chunk]);
+      for (;;) {
+        // Fixed header: type/flags byte, then the remaining length as a varint
+        let length = 0;
+        let pos = 1;
+        for (let mult = 1; pos < buf.length; mult *= 128) {
+          length += (buf[pos] & 0x7f) * mult;
+          if ((buf[pos++] & 0x80) === 0) break;
+        }
+        if (buf.length < 2 || buf.length < pos + length) return;
+        const [type, flags] = [buf[0] >> 4, buf[0] & 0x0f];
+        const body = buf.subarray(pos, pos + length);
+        buf = buf.subarray(pos + length);
+
+        if (type === 1) {                       // CONNECT
+          const userFlag = body[7] & 0x80;
+          broker.connects.push({ userFlag: Boolean(userFlag) });
+          socket.write(Buffer.from([0x20, 0x02, 0x00, 0x00]));
+        } else if (type === 3) {                // PUBLISH
+          const topicLength = body.readUInt16BE(0);
+          const topic = body.subarray(2, 2 + topicLength).toString();
+          const qos = (flags >> 1) & 0x03;
+          const start = 2 + topicLength + (qos > 0 ? 2 : 0);
+          broker.published.push({ topic, qos, retain: Boolean(flags & 0x01), payload: body.subarray(start).toString() });
+          if (qos === 1) socket.write(Buffer.from([0x40, 0x02, body[2 + topicLength], body[3 + topicLength]]));
+        } else if (type === 14) {               // DISCONNECT
+          socket.end();
+        }
+      }
+    });
+  });
+  broker.listen = () => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+  broker.close = () => new Promise(resolve => server.close(resolve));
+  return broker;
+}
+
+describe('latestReadings', () => {
+  test('latest day per consumer with its hourly values and month total', () => {
+    const readings = latestReadings({
+      daily: [
+        { consumer: POD, year: 2025, days: [day('09.03.2025', [1, 2]), day('10.03.2025', [0.5, null, 1.5])] },
+        { consumer: 'IT001E00000002', year: 2025, days: [day('30.03.2025', [1, 1])] },
+        // A retry re-scraped March 9th
+        { consumer: POD, year: 2025, days: [day('09.03.2025', [1, 2])] },
+      ],
+      monthly: [{ consumer: 'IT001E00000002', year: 2025, months: [{ month: 3, kwh: 40.5 }] }],
+    });
+
+    assert.deepEqual(readings.map(r => [r.consumer, r.day, r.daily_kwh, r.month, r.monthly_kwh]), [
+      [POD, '2025-03-10', 2, '2025-03', 5],
+      ['IT001E00000002', '2025-03-30', 2, '2025-03', 40.5],
+    ]);
+    assert.deepEqual(readings[0].hourly, [
+      { hour: 0, timestamp: '2025-03-09T23:00:00.000Z', kwh: 0.5 },
+      { hour: 2, timestamp: '2025-03-10T01:00:00.000Z', kwh: 1.5 },
+    ]);
+  });
+
+  test('quarter-hour values are published as hours', () => {
+    const [reading] = latestReadings({
+      daily: [{ consumer: POD, year: 2025, interval: 15, days: [day('10.03.2025', [0.1, 0.2, 0.1, 0.1, null, null, null, null, 0.25])] }],
+      monthly: [],
+    });
+    assert.deepEqual(reading.hourly, [
+      { hour: 0, timestamp: '2025-03-09T23:00:00.000Z', kwh: 0.5 },
+      { hour: 2, timestamp: '2025-03-10T01:00:00.000Z', kwh: 0.25 },
+    ]);
+  });
+});
+
+describe('buildMessages', () => {
+  const reading = { consumer: POD, day: '2025-03-10', daily_kwh: 2, month: '2025-03', monthly_kwh: 5, hourly: [] };
+
+  test('state plus Home Assistant discovery for daily and monthly energy', () => {
+    const messages = buildMessages(reading, { topicPrefix: 'edyna', discoveryPrefix: 'homeassistant' });
+    assert.deepEqual(messages.map(m => m.topic), [
+      `edyna/${POD}/state`,
+      `homeassistant/sensor/edyna_${POD}/daily/config`,
+      `homeassistant/sensor/edyna_${POD}/monthly/config`,
+    ]);
+    assert.deepEqual(JSON.parse(messages[0].payload), reading);
+
+    const daily = JSON.parse(messages[1].payload);
+    assert.equal(daily.state_topic, `edyna/${POD}/state`);
+    assert.equal(daily.value_template, '{{ value_json.daily_kwh }}');
+    assert.equal(daily.unique_id, `edyna_${POD}_daily`);
+    assert.deepEqual([daily.device_class, daily.state_class, daily.unit_of_measurement], ['energy', 'total_increasing', 'kWh']);
+    assert.deepEqual(daily.device.identifiers, [`edyna_${POD}`]);
+    assert.equal(JSON.parse(messages[2].payload).value_template, '{{ value_json.monthly_kwh }}');
+  });
+
+  test('empty discovery prefix publishes the state only; ids are topic-safe', () => {
+    const messages = buildMessages({ ...reading, consumer: 'Via Roma 1/A' }, { topicPrefix: 'edyna', discoveryPrefix: '' });
+    assert.deepEqual(messages.map(m => m.topic), ['edyna/Via_Roma_1_A/state']);
+  });
+});
+
+describe('publishReadings against a stand-in broker', () => {
+  const broker = startBroker();
+  let url;
+
+  before(async () => { url = `mqtt://127.0.0.1:${await broker.listen()}`; });
+  after(() => broker.close());
+
+  test('publishes every message retained with QoS 1 and disconnects', async () => {
+    const reading = { consumer: POD, day: '2025-03-10', daily_kwh: 2, month: '2025-03', monthly_kwh: 5, hourly: [] };
+    const count = await publishReadings([reading], {
+      url, username: 'ha', password: 'pw', clientId: 'test', topicPrefix: 'edyna', discoveryPrefix: 'homeassistant',
+    });
+
+    assert.equal(count, 1);
+    assert.deepEqual(broker.connects, [{ userFlag: true }]);
+    assert.deepEqual(broker.published.map(p => [p.topic, p.qos, p.retain]), [
+      [`edyna/${POD}/state`, 1, true],
+      [`homeassistant/sensor/edyna_${POD}/daily/config`, 1, true],
+      [`homeassistant/sensor/edyna_${POD}/monthly/config`, 1, true],
+    ]);
+    assert.equal(JSON.parse(broker.published[0].payload).daily_kwh, 2);
+  });
+
+  test('nothing to publish: no connection', async () => {
+    const connect = () => assert.fail('should not connect');
+    assert.equal(await publishReadings([], { url, connect }), 0);
+  });
+});
@@ -0,0 +1,158 @@
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+Object.assign(process.env, {
+  LOGIN_URL: 'http://127.0.0.1/Login.tws',
+  EDYNA_USERNAME: 'user',
+  EDYNA_PASSWORD: 'secret',
+  LOG_LEVEL: 'error',
+});
+const { parseWebhook, formatPayload, createNotifier } = await import('../src/notify.js');
+
+const HOUR_MS = 3_600_000;
+const alert = { key: 'failures', status: 'firing', title: 'T', message: 'M', details: { n: 3 }, time: new Date(0) };
+
+describe('parseWebhook / formatPayload', () => {
+  test('format prefix is optional and defaults to json', () => {
+    assert.deepEqual(parseWebhook('https://example.org/hook'), { format: 'json', url: 'https://example.org/hook' });
+    assert.deepEqual(parseWebhook('Slack+https://hooks.slack.com/x'), { format: 'slack', url: 'https://hooks.slack.com/x' });
+    assert.deepEqual(parseWebhook('ntfy+http://ntfy.local/edyna'), { format: 'ntfy', url: 'http://ntfy.local/edyna' });
+  });
+
+  test('payload per format', () => {
+    assert.deepEqual(JSON.parse(formatPayload('json', alert).body), {
+      alert: 'failures', status: 'firing', title: 'T', message: 'M', details: { n: 3 }, time: '1970-01-01T00:00:00.000Z',
+    });
+    const ntfy = formatPayload('ntfy', { ...alert, status: 'resolved' });
+    assert.equal(ntfy.body, 'M');
+    assert.deepEqual([ntfy.headers.title, ntfy.headers.priority, ntfy.headers.tags], ['T', 'default', 'white_check_mark']);
+    assert.deepEqual(JSON.parse(formatPayload('gotify', alert).body), { title: 'T', message: 'M', priority: 8 });
+    assert.deepEqual(JSON.parse(formatPayload('slack', alert).body), { text: ':warning: *T*\nM' });
+    assert.throws(() => formatPayload('teams', alert), /Unknown webhook format/);
+  });
+});
+
+describe('createNotifier against a local webhook receiver', () => {
+  let server;
+  let received;
+  let status;
+  let base;
+  let clock;
+
+  before(async () => {
+    server = http.createServer(async (req, res) => {
+      let body = '';
+      for await (const chunk of req) body += chunk;
+      received.push({ path: req.url, headers: req.headers, body });
+      res.writeHead(status);
+      res.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    received = [];
+    status = 200;
+    clock = Date.UTC(2025, 2, 10, 9);
+  });
+
+  const notifier = (opts = {}) => createNotifier({
+    webhooks: [parseWebhook(`${base}/generic`)],
+    failureThreshold: 3,
+    staleHours: 48,
+    repeatHours: 24,
+    now: () => clock,
+    ...opts,
+  });
+  const events = () => received.map(r => {
+    const { alert: key, status: s } = JSON.parse(r.body);
+    return `${key}:${s}`;
+  });
+  const failure = { label: 'current', error: new Error('Timeout') };
+
+  test('fires after N consecutive failures, once, and resolves on success', async () => {
+    const n = notifier();
+    await n.runFailed(failure);
+    await n.runFailed(failure);
+    assert.deepEqual(events(), []);
+
+    await n.runFailed(failure);
+    await n.runFailed(failure);
+    assert.deepEqual(events(), ['failures:firing']);
+    assert.equal(JSON.parse(received[0].body).details.error, 'Timeout');
+
+    await n.runSucceeded({ label: 'current' });
+    await n.runSucceeded({ label: 'current' });
+    assert.deepEqual(events(), ['failures:firing', 'failures:resolved']);
+    assert.match(JSON.parse(received[1].body).message, /after 4 failed runs/);
+  });
+
+  test('a success below the threshold resets the count silently', async () => {
+    const n = notifier();
+    await n.runFailed(failure);
+    await n.runFailed(failure);
+    await n.runSucceeded({ label: 'current' });
+    await n.runFailed(failure);
+    await n.runFailed(failure);
+    assert.deepEqual(events(), []);
+  });
+
+  test('repeats a firing alert only after NOTIFY_REPEAT_HOURS', async () => {
+    const n = notifier({ failureThreshold: 1 });
+    await n.runFailed(failure);
+    clock += 23 * HOUR_MS;
+    await n.runFailed(failure);
+    clock += 1 * HOUR_MS;
+    await n.runFailed(failure);
+    assert.deepEqual(events(), ['failures:firing', 'failures:firing']);
+  });
+
+  test('login rejection alerts on the first failure', async () => {
+    const n = notifier();
+    await n.runFailed({ ...failure, loginFailed: true });
+    await n.runFailed({ ...failure, loginFailed: true });
+    await n.runSucceeded({ label: 'current' });
+    assert.deepEqual(events(), ['login:firing', 'login:resolved']);
+  });
+
+  test('stale data per consumer, then fresh again', async () => {
+    const n = notifier();
+    const at = (hoursAgo) => new Date(clock - hoursAgo * HOUR_MS);
+    await n.checkFreshness([{ consumer: 'IT001E00000001', timestamp: at(49) }, { consumer: 'IT001E00000002', timestamp: at(10) }]);
+    await n.checkFreshness([{ consumer: 'IT001E00000001', timestamp: at(50) }]);
+    assert.deepEqual(events(), ['stale:IT001E00000001:firing']);
+    assert.deepEqual(JSON.parse(received[0].body).details.ageHours, 49);
+
+    await n.checkFreshness([{ consumer: 'IT001E00000001', timestamp: at(5) }]);
+    assert.deepEqual(events(), ['stale:IT001E00000001:firing', 'stale:IT001E00000001:resolved']);
+    assert.deepEqual(n.active(), []);
+  });
+
+  test('an undelivered alert is retried on the next event, and never throws', async () => {
+    const n = notifier({ failureThreshold: 1 });
+    status = 500;
+    await n.runFailed(failure);
+    assert.equal(received.length, 1);
+
+    status = 204;
+    await n.runFailed(failure);
+    await n.runFailed(failure);
+    assert.equal(received.length, 2);
+  });
+
+  test('sends every format to its own webhook', async () => {
+    const n = createNotifier({
+      webhooks: ['json', 'ntfy', 'gotify', 'slack'].map(f => parseWebhook(`${f}+${base}/${f}`)),
+      failureThreshold: 1,
+    });
+    await n.runFailed(failure);
+    assert.deepEqual(received.map(r => r.path).sort(), ['/gotify', '/json', '/ntfy', '/slack']);
+    const ntfy = received.find(r => r.path === '/ntfy');
+    assert.equal(ntfy.headers.priority, 'high');
+    assert.equal(ntfy.body, 'Last failure (current): Timeout');
+  });
+});
@@ -0,0 +1,34 @@
+/**
+ * Throwaway PostgreSQL for tests of src/db.js: PGlite (PostgreSQL compiled
+ * to WebAssembly, in memory) behind its wire-protocol server, so db.js
+ * reaches it through pg exactly as it reaches a real server. There is no
+ * TimescaleDB, so migrations take the plain-PostgreSQL paths (regular
+ * table, materialized-view rollups).
+ *
+ * Start it before the first import of src/config.js, which reads the DB_*
+ * settings from the environment; past that, assign `settings` to config.
+ */
+
+import { PGlite } from '@electric-sql/pglite';
+import { PGLiteSocketServer } from '@electric-sql/pglite-socket';
+
+export async function startPostgres() {
+  const db = await PGlite.create();
+  // pg.Pool may open more than one connection; the server queues their queries on the single database
+  const server = new PGLiteSocketServer({ db, port: 0, maxConnections: 10 });
+  await server.start();
+  const [host, port] = server.getServerConn().split(':');
+  const settings = { DB_HOST: host, DB_PORT: Number(port), DB_NAME: 'postgres', DB_USER: 'postgres', DB_PASSWORD: 'postgres' };
+  Object.assign(process.env, { ...settings, DB_PORT: port });
+
+  return {
+    settings,
+    /** Run SQL directly, bypassing db.js (setup and inspection). */
+    query: (sql, params) => db.query(sql, params),
+    exec: (sql) => db.exec(sql),
+    async stop() {
+      await server.stop();
+      await db.close();
+    },
+  };
+}
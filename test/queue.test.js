@@ -0,0 +1,131 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { createRunQueue, runKey } = await import('../src/queue.js');
+
+// execute() that records the order and finishes each run only when told to
+function controlledRuns() {
+  const started = [];
+  const pending = new Map();
+  return {
+    started,
+    execute: (entry) => new Promise((resolve, reject) => {
+      started.push(entry.key);
+      pending.set(entry.key, { resolve, reject });
+    }),
+    finish: async (key, err = null) => {
+      const p = pending.get(key);
+      pending.delete(key);
+      if (err) p.reject(err); else p.resolve();
+      await new Promise(resolve => setImmediate(resolve));
+    },
+  };
+}
+
+const run = (key, extra = {}) => ({ key, label: key, kind: 'scrape', ...extra });
+
+describe('runKey', () => {
+  test('identifies what a run scrapes', () => {
+    assert.equal(runKey({}), 'current');
+    assert.equal(runKey({ year: 2025, month: 3 }), '2025-03');
+    assert.equal(runKey({ year: 2024 }), '2024');
+    assert.equal(runKey({ from: '2024-10', to: '2025-01' }), '2024-10..2025-01');
+    assert.equal(runKey({ year: 2025, month: 3, consumers: ['IT2', 'IT1'] }), '2025-03|IT1,IT2');
+    assert.equal(runKey({ consumers: [] }), 'current');
+  });
+});
+
+describe('createRunQueue', () => {
+  test('runs one entry at a time, first in first out', async () => {
+    const runs = controlledRuns();
+    const queue = createRunQueue({ execute: runs.execute });
+    queue.enqueue(run('a'));
+    queue.enqueue(run('b'));
+    queue.enqueue(run('c'));
+    assert.deepEqual(runs.started, ['a']);
+    assert.equal(queue.list().running.key, 'a');
+    assert.deepEqual(queue.list().queued.map(e => e.key), ['b', 'c']);
+
+    await runs.finish('a');
+    assert.deepEqual(runs.started, ['a', 'b']);
+    await runs.finish('b');
+    await runs.finish('c');
+    assert.deepEqual(runs.started, ['a', 'b', 'c']);
+    assert.equal(queue.list().running, null);
+  });
+
+  test('a run already queued or running is not added again', async () => {
+    const runs = controlledRuns();
+    const queue = createRunQueue({ execute: runs.execute });
+    const first = queue.enqueue(run('2025-03'));
+    const queued = queue.enqueue(run('current'));
+    assert.equal(first.duplicate, false);
+
+    const again = queue.enqueue(run('2025-03', { label: 'other' }));
+    assert.equal(again.duplicate, true);
+    assert.equal(again.entry, first.entry);
+    assert.equal(queue.enqueue(run('current')).entry, queued.entry);
+    assert.equal(queue.list().queued.length, 1);
+
+    await runs.finish('2025-03');
+    assert.equal(queue.enqueue(run('2025-03')).duplicate, false, 'finished runs can be queued again');
+    await runs.finish('current');
+    await runs.finish('2025-03');
+  });
+
+  test('cancels queued entries, not the running one', async () => {
+    const runs = controlledRuns();
+    const queue = createRunQueue({ execute: runs.execute });
+    const { entry: a } = queue.enqueue(run('a'));
+    const { entry: b } = queue.enqueue(run('b'));
+
+    assert.deepEqual(queue.cancel(b.id), { entry: b, cancelled: true });
+    assert.deepEqual(queue.cancel(a.id), { entry: a, cancelled: false });
+    assert.deepEqual(queue.cancel(999), { entry: null, cancelled: false });
+    await runs.finish('a');
+    assert.deepEqual(runs.started, ['a']);
+  });
+
+  test('reports the outcome of the last finished run', async () => {
+    const runs = controlledRuns();
+    const queue = createRunQueue({ execute: runs.execute });
+    assert.equal(queue.list().last, null);
+
+    queue.enqueue(run('a', { job: 'daily' }));
+    queue.enqueue(run('b'));
+    await runs.finish('a', new Error('Portal down'));
+    assert.equal(queue.list().last.key, 'a');
+    assert.equal(queue.list().last.job, 'daily');
+    assert.equal(queue.list().last.outcome, 'failed');
+    assert.equal(queue.list().last.error, 'Portal down');
+    assert.ok(queue.list().last.finishedAt instanceof Date);
+
+    await runs.finish('b');
+    assert.equal(queue.list().last.outcome, 'success');
+    assert.equal(queue.list().last.error, null);
+  });
+
+  test('paused until started; stop waits for the running entry and keeps the rest', async () => {
+    const runs = controlledRuns();
+    let changes = 0;
+    const queue = createRunQueue({ execute: runs.execute, paused: true, onChange: () => changes++ });
+    queue.enqueue(run('a'));
+    queue.enqueue(run('b'));
+    assert.deepEqual(runs.started, []);
+    assert.deepEqual(queue.entries().map(e => e.key), ['a', 'b']);
+
+    queue.start();
+    assert.deepEqual(runs.started, ['a']);
+    assert.deepEqual(queue.entries().map(e => e.key), ['a', 'b'], 'the running entry first');
+
+    let stopped = false;
+    const stopping = queue.stop().then(() => { stopped = true; });
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(stopped, false);
+    await runs.finish('a');
+    await stopping;
+    assert.deepEqual(runs.started, ['a']);
+    assert.deepEqual(queue.entries().map(e => e.key), ['b']);
+    assert.ok(changes >= 4);
+  });
+});
@@ -0,0 +1,69 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { chmod, mkdtemp, rm, stat, writeFile } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+Object.assign(process.env, {
+  LOGIN_URL: 'http://127.0.0.1/Login.tws',
+  EDYNA_USERNAME: 'user',
+  EDYNA_PASSWORD: 'secret',
+  LOG_LEVEL: 'error',
+});
+const { sessionCookies, loadSession, saveSession, clearSession } = await import('../src/session.js');
+
+const NOW = Date.UTC(2025, 2, 10, 9);
+const cookie = (name, expires) => ({
+  name, value: 'v', domain: 'portal.example', path: '/', expires, size: 2, httpOnly: true, secure: true, session: expires <= 0,
+});
+
+describe('sessionCookies', () => {
+  test('drops expired cookies and fields setCookie() does not take', () => {
+    assert.deepEqual(sessionCookies([cookie('sid', -1), cookie('old', NOW / 1000 - 1), cookie('auth', NOW / 1000 + 60)], NOW), [
+      { name: 'sid', value: 'v', domain: 'portal.example', path: '/', httpOnly: true, secure: true },
+      { name: 'auth', value: 'v', domain: 'portal.example', path: '/', expires: NOW / 1000 + 60, httpOnly: true, secure: true },
+    ]);
+  });
+});
+
+describe('session file', () => {
+  let dir;
+  before(async () => { dir = await mkdtemp(path.join(os.tmpdir(), 'edyna-session-')); });
+  after(() => rm(dir, { recursive: true, force: true }));
+
+  test('round trip, owner-only permissions', async () => {
+    const file = path.join(dir, 'nested', 'session.json');
+    await saveSession(file, { url: 'https://portal.example/Single.tws', cookies: [cookie('sid', -1)] });
+    assert.equal((await stat(file)).mode & 0o777, 0o600);
+    assert.equal((await stat(path.dirname(file))).mode & 0o777, 0o700);
+
+    const loaded = await loadSession(file);
+    assert.equal(loaded.url, 'https://portal.example/Single.tws');
+    assert.deepEqual(loaded.cookies.map(c => c.name), ['sid']);
+
+    await clearSession(file);
+    assert.equal(await loadSession(file), null);
+    await clearSession(file);
+  });
+
+  test('missing, malformed or fully expired sessions are not tried', async () => {
+    assert.equal(await loadSession(path.join(dir, 'none.json')), null);
+
+    const file = path.join(dir, 'bad.json');
+    await writeFile(file, '{"cookies": "nope"}', { mode: 0o600 });
+    assert.equal(await loadSession(file), null);
+    await writeFile(file, 'not json');
+    assert.equal(await loadSession(file), null);
+
+    await saveSession(file, { url: 'https://portal.example/', cookies: [cookie('auth', NOW / 1000 + 60)] });
+    assert.equal(await loadSession(file, NOW + 120_000), null);
+  });
+
+  test('a file readable by others is restricted on load', async () => {
+    const file = path.join(dir, 'open.json');
+    await saveSession(file, { url: 'https://portal.example/', cookies: [cookie('sid', -1)] });
+    await chmod(file, 0o644);
+    assert.ok(await loadSession(file));
+    assert.equal((await stat(file)).mode & 0o777, 0o600);
+  });
+});
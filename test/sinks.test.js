@@ -0,0 +1,323 @@
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { mkdtemp, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+Object.assign(process.env, {
+  LOGIN_URL: 'http://127.0.0.1/Login.tws',
+  EDYNA_USERNAME: 'user',
+  EDYNA_PASSWORD: 'secret',
+  LOG_LEVEL: 'error',
+  TZ: 'Europe/Rome',
+});
+const { combineSinks } = await import('../src/sinks/index.js');
+const { createSqliteSink } = await import('../src/sinks/sqlite.js');
+const { createInfluxSink, formatPoint } = await import('../src/sinks/influx.js');
+
+const POD = 'IT001E00000001';
+const dailyData = (hourly, date = '10.03.2025') => ({ consumer: POD, year: 2025, days: [{ date, hourly }] });
+
+/** In-memory sink recording what it was given. */
+function fakeSink(name, { counts = true } = {}) {
+  const calls = [];
+  const result = counts ? { insertedCount: 1, updatedCount: 0, unchangedCount: 0 } : null;
+  return {
+    name,
+    calls,
+    init: async () => calls.push(['init']),
+    saveHourly: async (consumer, rows, opts) => { calls.push(['hourly', consumer, rows, opts]); return result; },
+    saveMonthly: async (totals) => { calls.push(['monthly', totals]); return result; },
+    close: async () => calls.push(['close']),
+  };
+}
+
+describe('combineSinks', () => {
+  test('every sink gets the same de-duplicated rows; counts come from the first that reports them', async () => {
+    const influx = fakeSink('influx', { counts: false });
+    const sqlite = fakeSink('sqlite');
+    const store = combineSinks([influx, sqlite]);
+    assert.deepEqual(store.names, ['influx', 'sqlite']);
+    assert.ok(store.has('sqlite') && !store.has('postgres'));
+
+    await store.init();
+    // The same day twice: the second copy's values win
+    const counts = await store.saveHourly({ ...dailyData([1, 2]), days: [...dailyData([1, 2]).days, ...dailyData([3]).days] });
+    assert.deepEqual(counts, { insertedCount: 1, updatedCount: 0, unchangedCount: 0 });
+    for (const sink of [influx, sqlite]) {
+      const [, consumer, rows, opts] = sink.calls[1];
+      assert.equal(consumer, POD);
+      assert.deepEqual(rows.map(r => [r.hour, r.kwh]), [[0, 3], [1, 2]]);
+      assert.equal(opts.measurement, 'active_energy');
+    }
+
+    // Sinks without the optional extra are skipped
+    await store.saveQuarantine(POD, []);
+    await store.close();
+    assert.deepEqual(sqlite.calls.map(c => c[0]), ['init', 'hourly', 'close']);
+  });
+
+  test('passes the measurement on, active energy by default', async () => {
+    const sink = fakeSink('sqlite');
+    const store = combineSinks([sink]);
+    await store.saveHourly({ ...dailyData([1]), measurement: 'peak_power' }, { runId: 'r1' });
+    await store.saveMonthly({ consumer: POD, year: 2025, months: [] });
+    await store.saveMonthly({ consumer: POD, year: 2025, measurement: 'reactive_energy', months: [] });
+    assert.deepEqual(sink.calls[0][3], { runId: 'r1', measurement: 'peak_power' });
+    assert.deepEqual(sink.calls.slice(1).map(([, totals]) => totals.measurement), ['active_energy', 'reactive_energy']);
+  });
+
+  test('no counting sink: counts are null', async () => {
+    const store = combineSinks([fakeSink('influx', { counts: false })]);
+    assert.deepEqual(await store.saveMonthly({ consumer: POD, year: 2025, months: [] }),
+      { insertedCount: null, updatedCount: null, unchangedCount: null });
+  });
+
+  test('a failing sink fails the write; close still reaches every sink', async () => {
+    const broken = { ...fakeSink('influx'), saveHourly: async () => { throw new Error('down'); }, close: async () => { throw new Error('x'); } };
+    const other = fakeSink('sqlite');
+    const store = combineSinks([broken, other]);
+    await assert.rejects(store.saveHourly(dailyData([1])), /down/);
+    await store.close();
+    assert.deepEqual(other.calls.map(c => c[0]), ['close']);
+  });
+});
+
+describe('sqlite sink', () => {
+  let dir;
+  before(async () => { dir = await mkdtemp(path.join(os.tmpdir(), 'edyna-sqlite-')); });
+  after(() => rm(dir, { recursive: true, force: true }));
+
+  test('upserts hourly rows and monthly totals idempotently, across reopen', async () => {
+    const file = path.join(dir, 'nested', 'edyna.sqlite');
+    const store = combineSinks([createSqliteSink({ path: file })]);
+    await store.init();
+    const day = Array.from({ length: 24 }, (_, h) => h / 10);
+    assert.deepEqual(await store.saveHourly(dailyData(day)), { insertedCount: 24, updatedCount: 0, unchangedCount: 0 });
+    assert.deepEqual(await store.saveHourly(dailyData(day)), { insertedCount: 0, updatedCount: 0, unchangedCount: 24 });
+    const totals = { consumer: POD, year: 2025, months: [{ month: 2, kwh: 300 }, { month: 3, kwh: 310 }] };
+    assert.deepEqual(await store.saveMonthly(totals), { insertedCount: 2, updatedCount: 0, unchangedCount: 0 });
+    await store.close();
+
+    const reopened = combineSinks([createSqliteSink({ path: file })]);
+    await reopened.init();
+    assert.deepEqual(await reopened.saveHourly(dailyData([...day.slice(0, 23), 9])),
+      { insertedCount: 0, updatedCount: 1, unchangedCount: 23 });
+    assert.deepEqual(await reopened.saveMonthly({ ...totals, months: [{ month: 3, kwh: 311 }] }),
+      { insertedCount: 0, updatedCount: 1, unchangedCount: 0 });
+    await reopened.close();
+
+    const { DatabaseSync } = await import('node:sqlite');
+    const db = new DatabaseSync(file);
+    try {
+      const first = db.prepare('SELECT timestamp, kwh FROM edyna_hourly ORDER BY timestamp LIMIT 1').get();
+      assert.deepEqual({ ...first }, { timestamp: '2025-03-09T23:00:00.000Z', kwh: 0 });
+      assert.equal(db.prepare('SELECT kwh FROM edyna_hourly ORDER BY timestamp DESC LIMIT 1').get().kwh, 9);
+      assert.deepEqual(db.prepare('SELECT month, kwh FROM edyna_monthly ORDER BY month').all().map(r => [r.month, r.kwh]),
+        [['2025-02-01', 300], ['2025-03-01', 311]]);
+    } finally {
+      db.close();
+    }
+  });
+
+  test('keeps measurements apart', async () => {
+    const store = combineSinks([createSqliteSink({ path: path.join(dir, 'measurements.sqlite') })]);
+    await store.init();
+    try {
+      assert.equal((await store.saveHourly(dailyData([1, 2]))).insertedCount, 2);
+      assert.equal((await store.saveHourly({ ...dailyData([0.5, 0.7]), measurement: 'reactive_energy' })).insertedCount, 2);
+      assert.equal((await store.saveHourly(dailyData([1, 2]))).unchangedCount, 2);
+      const totals = { consumer: POD, year: 2025, months: [{ month: 3, kwh: 4.2 }] };
+      assert.equal((await store.saveMonthly(totals)).insertedCount, 1);
+      assert.equal((await store.saveMonthly({ ...totals, measurement: 'peak_power' })).insertedCount, 1);
+    } finally {
+      await store.close();
+    }
+  });
+
+  test('quarter hours replace the hour they cover, adding the column to older files', async () => {
+    const file = path.join(dir, 'intervals.sqlite');
+    const { DatabaseSync } = await import('node:sqlite');
+    const old = new DatabaseSync(file);
+    old.exec(`CREATE TABLE edyna_hourly (consumer TEXT NOT NULL, measurement TEXT NOT NULL DEFAULT 'active_energy',
+                timestamp TEXT NOT NULL, kwh REAL NOT NULL, created_at TEXT NOT NULL DEFAULT 'c', updated_at TEXT NOT NULL DEFAULT 'u',
+                PRIMARY KEY (consumer, measurement, timestamp)) WITHOUT ROWID;
+              INSERT INTO edyna_hourly (consumer, timestamp, kwh) VALUES ('${POD}', '2025-03-09T23:00:00.000Z', 0.4),
+                                                                         ('${POD}', '2025-03-10T00:00:00.000Z', 0.5);`);
+    old.close();
+
+    const store = combineSinks([createSqliteSink({ path: file })]);
+    await store.init();
+    try {
+      assert.deepEqual(await store.saveHourly({ ...dailyData([0.1, 0.1, 0.1, 0.1]), interval: 15 }),
+        { insertedCount: 4, updatedCount: 0, unchangedCount: 0 });
+    } finally {
+      await store.close();
+    }
+    const db = new DatabaseSync(file);
+    try {
+      const rows = db.prepare('SELECT timestamp, interval_minutes FROM edyna_hourly ORDER BY timestamp').all();
+      assert.deepEqual(rows.map(r => [r.timestamp, r.interval_minutes]), [
+        ['2025-03-09T23:00:00.000Z', 15], ['2025-03-09T23:15:00.000Z', 15],
+        ['2025-03-09T23:30:00.000Z', 15], ['2025-03-09T23:45:00.000Z', 15],
+        ['2025-03-10T00:00:00.000Z', 60],
+      ]);
+    } finally {
+      db.close();
+    }
+  });
+
+  test('converts a file from before the measurement column', async () => {
+    const file = path.join(dir, 'old.sqlite');
+    const { DatabaseSync } = await import('node:sqlite');
+    const old = new DatabaseSync(file);
+    old.exec(`CREATE TABLE edyna_hourly (consumer TEXT NOT NULL, timestamp TEXT NOT NULL, kwh REAL NOT NULL,
+                created_at TEXT NOT NULL DEFAULT 'c', updated_at TEXT NOT NULL DEFAULT 'u', PRIMARY KEY (consumer, timestamp)) WITHOUT ROWID;
+              INSERT INTO edyna_hourly (consumer, timestamp, kwh) VALUES ('${POD}', '2025-03-09T23:00:00.000Z', 0.4);`);
+    old.close();
+
+    const store = combineSinks([createSqliteSink({ path: file })]);
+    await store.init();
+    try {
+      assert.deepEqual(await store.saveHourly(dailyData([0.4, 0.5])), { insertedCount: 1, updatedCount: 0, unchangedCount: 1 });
+    } finally {
+      await store.close();
+    }
+    const db = new DatabaseSync(file);
+    try {
+      const rows = db.prepare('SELECT measurement, timestamp, created_at FROM edyna_hourly ORDER BY timestamp').all();
+      assert.equal(rows.length, 2);
+      assert.deepEqual({ ...rows[0] }, { measurement: 'active_energy', timestamp: '2025-03-09T23:00:00.000Z', created_at: 'c' });
+    } finally {
+      db.close();
+    }
+  });
+
+  test('names the Node version it needs when node:sqlite is missing', async () => {
+    const missing = Object.assign(new Error('No such built-in module: node:sqlite'), { code: 'ERR_UNKNOWN_BUILTIN_MODULE' });
+    const sink = createSqliteSink({ path: path.join(dir, 'old-node.sqlite'), load: () => Promise.reject(missing) });
+    await assert.rejects(sink.init(), /needs Node >= 22\.13/);
+  });
+});
+
+describe('influx sink', () => {
+  let server;
+  let received;
+  let status;
+  let deleteStatus;
+  let base;
+
+  before(async () => {
+    server = http.createServer(async (req, res) => {
+      let body = '';
+      for await (const chunk of req) body += chunk;
+      received.push({ url: new URL(req.url, 'http://x'), headers: req.headers, body });
+      res.writeHead(req.url.startsWith('/api/v2/delete') ? deleteStatus ?? status : status);
+      res.end(status >= 400 ? '{"message":"bucket not found"}' : '');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    received = [];
+    status = 204;
+    deleteStatus = null;
+  });
+
+  const writes = () => received.filter(r => r.url.pathname === '/api/v2/write');
+  const deletes = () => received.filter(r => r.url.pathname === '/api/v2/delete').map(r => JSON.parse(r.body));
+
+  test('line protocol points', () => {
+    assert.equal(formatPoint('edyna_hourly', 'a b,c=d', 0.5, new Date(Date.UTC(2025, 2, 9, 23))),
+      'edyna_hourly,consumer=a\\ b\\,c\\=d kwh=0.5 1741561200');
+    assert.equal(formatPoint('edyna_hourly', 'x', 2, new Date(Date.UTC(2025, 2, 9, 23)), 'kvarh'),
+      'edyna_hourly,consumer=x kvarh=2 1741561200');
+    assert.equal(formatPoint('edyna_hourly', 'x', 2, new Date(Date.UTC(2025, 2, 9, 23)), 'kw', { interval_minutes: 15, measurement: 'peak_power' }),
+      'edyna_hourly,consumer=x,interval_minutes=15,measurement=peak_power kw=2 1741561200');
+  });
+
+  test('writes hourly and monthly points to the v2 write API', async () => {
+    const store = combineSinks([createInfluxSink({ url: `${base}/`, token: 't0k', org: 'home', bucket: 'energy' })]);
+    await store.init();
+    assert.deepEqual(await store.saveHourly(dailyData([0.25, 1])),
+      { insertedCount: null, updatedCount: null, unchangedCount: null });
+    await store.saveMonthly({ consumer: POD, year: 2025, months: [{ month: 3, kwh: 310.5 }] });
+
+    assert.equal(writes().length, 2);
+    const [hourly, monthly] = writes();
+    assert.equal(hourly.url.pathname, '/api/v2/write');
+    assert.deepEqual(Object.fromEntries(hourly.url.searchParams), { bucket: 'energy', precision: 's', org: 'home' });
+    assert.equal(hourly.headers.authorization, 'Token t0k');
+    assert.deepEqual(hourly.body.split('\n'), [
+      `edyna_hourly,consumer=${POD},interval_minutes=60,measurement=active_energy kwh=0.25 1741561200`,
+      `edyna_hourly,consumer=${POD},interval_minutes=60,measurement=active_energy kwh=1 1741564800`,
+    ]);
+    // Local midnight of March 1st in Europe/Rome
+    assert.equal(monthly.body, `edyna_monthly,consumer=${POD} kwh=310.5 1740783600`);
+  });
+
+  test('other measurements are fields named by their unit', async () => {
+    const store = combineSinks([createInfluxSink({ url: base, bucket: 'energy' })]);
+    await store.saveHourly({ ...dailyData([0.3]), measurement: 'reactive_energy' });
+    await store.saveMonthly({ consumer: POD, year: 2025, measurement: 'peak_power', months: [{ month: 3, kwh: 4.5 }] });
+    assert.deepEqual(writes().map(r => r.body), [
+      `edyna_hourly,consumer=${POD},interval_minutes=60,measurement=reactive_energy kvarh=0.3 1741561200`,
+      `edyna_monthly,consumer=${POD} kw=4.5 1740783600`,
+    ]);
+  });
+
+  test('quarter hours are points 15 minutes apart', async () => {
+    const store = combineSinks([createInfluxSink({ url: base, bucket: 'energy' })]);
+    await store.saveHourly({ ...dailyData([0.1, 0.2]), interval: 15 });
+    assert.deepEqual(writes()[0].body.split('\n'), [
+      `edyna_hourly,consumer=${POD},interval_minutes=15,measurement=active_energy kwh=0.1 1741561200`,
+      `edyna_hourly,consumer=${POD},interval_minutes=15,measurement=active_energy kwh=0.2 1741562100`,
+    ]);
+  });
+
+  test('a day re-stored at another interval length deletes its old series first', async () => {
+    const store = combineSinks([createInfluxSink({ url: base, org: 'home', bucket: 'energy' })]);
+    await store.saveHourly({ ...dailyData(Array(96).fill(0.1)), interval: 15 });
+    await store.saveHourly({ ...dailyData(Array(24).fill(0.4), '10.03.2025'), measurement: 'reactive_energy' });
+    received = [];
+    await store.saveHourly(dailyData(Array(24).fill(0.4), '10.03.2025'));
+
+    assert.deepEqual(Object.fromEntries(received[0].url.searchParams), { bucket: 'energy', org: 'home' });
+    const predicate = (minutes) => `_measurement="edyna_hourly" AND consumer="${POD}" AND measurement="active_energy" AND interval_minutes="${minutes}"`;
+    // The whole local day, 2025-03-10 00:00 to 23:59:59 in Europe/Rome
+    assert.deepEqual(deletes(), [
+      { start: '2025-03-09T23:00:00.000Z', stop: '2025-03-10T22:59:59.000Z', predicate: predicate(30) },
+      { start: '2025-03-09T23:00:00.000Z', stop: '2025-03-10T22:59:59.000Z', predicate: predicate(15) },
+    ]);
+    assert.equal(received.at(-1).url.pathname, '/api/v2/write', 'deleted before writing');
+    assert.ok(writes()[0].body.startsWith(`edyna_hourly,consumer=${POD},interval_minutes=60,measurement=active_energy kwh=0.4 `));
+  });
+
+  test('consecutive days are deleted as one range; a server without deletes still gets the points', async () => {
+    const store = combineSinks([createInfluxSink({ url: base, bucket: 'energy' })]);
+    await store.saveHourly({ consumer: POD, year: 2025, interval: 15, days: [
+      { date: '10.03.2025', hourly: Array(96).fill(0.1) }, { date: '11.03.2025', hourly: Array(96).fill(0.1) }] });
+    assert.deepEqual(deletes().map(d => [d.start, d.stop]), [
+      ['2025-03-09T23:00:00.000Z', '2025-03-11T22:59:59.000Z'], ['2025-03-09T23:00:00.000Z', '2025-03-11T22:59:59.000Z']]);
+
+    deleteStatus = 405;
+    const v3 = combineSinks([createInfluxSink({ url: base, bucket: 'energy' })]);
+    received = [];
+    await v3.saveHourly(dailyData([1]));
+    await v3.saveHourly(dailyData([2]));
+    assert.equal(deletes().length, 1, 'not asked again once unsupported');
+    assert.equal(writes().length, 2);
+  });
+
+  test('errors carry the HTTP status; a missing URL fails init', async () => {
+    status = 404;
+    const sink = createInfluxSink({ url: base, bucket: 'nope' });
+    await assert.rejects(combineSinks([sink]).saveHourly(dailyData([1])), /HTTP 404 .*bucket not found/);
+    assert.equal(received[0].headers.authorization, undefined);
+    await assert.rejects(createInfluxSink({ bucket: 'edyna' }).init(), /INFLUX_URL is required/);
+  });
+});
@@ -0,0 +1,110 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  easterSunday, holidaysFor, timeBand, tariffSchema, periodAt, dailyCosts, monthlyCosts,
+} from '../src/tariff.js';
+
+// Bands are defined on local time; config.js pins TZ the same way at runtime.
+process.env.TZ = 'Europe/Rome';
+
+const HOUR_MS = 3_600_000;
+const tariff = (periods, holidays = []) => tariffSchema.parse({ periods, holidays });
+const prices = { F1: 0.2, F2: 0.1, F3: 0.05 };
+
+describe('holidays', () => {
+  test('Easter Sunday', () => {
+    assert.deepEqual(easterSunday(2024), { month: 3, day: 31 });
+    assert.deepEqual(easterSunday(2025), { month: 4, day: 20 });
+    assert.deepEqual(easterSunday(2026), { month: 4, day: 5 });
+  });
+
+  test('national holidays include Easter Monday; extras recur or apply once', () => {
+    const h = holidaysFor(2025, ['10-04', '2026-08-14']);
+    for (const day of ['2025-01-06', '2025-04-21', '2025-06-02', '2025-12-26', '2025-10-04']) assert.ok(h.has(day), day);
+    assert.ok(!h.has('2025-04-20') && !h.has('2026-08-14'));
+    assert.ok(holidaysFor(2024).has('2024-04-01'));
+  });
+});
+
+describe('timeBand', () => {
+  const holidays = holidaysFor(2025);
+  const band = (y, m, d, h) => timeBand(new Date(y, m - 1, d, h), holidays);
+
+  test('weekdays', () => {
+    // 2025-03-10 is a Monday
+    assert.deepEqual([0, 6, 7, 8, 18, 19, 22, 23].map(h => band(2025, 3, 10, h)),
+      ['F3', 'F3', 'F2', 'F1', 'F1', 'F2', 'F2', 'F3']);
+  });
+
+  test('Saturdays, Sundays and holidays', () => {
+    assert.deepEqual([6, 7, 12, 22, 23].map(h => band(2025, 3, 15, h)), ['F3', 'F2', 'F2', 'F2', 'F3']);
+    assert.equal(band(2025, 3, 16, 12), 'F3');
+    // Liberation Day 2025 is a Friday
+    assert.equal(band(2025, 4, 25, 12), 'F3');
+  });
+});
+
+describe('tariff file', () => {
+  test('periods are sorted and looked up by day', () => {
+    const t = tariff([
+      { from: '2025-07-01', prices: { ...prices, F1: 0.3 } },
+      { from: '2025-01-01', to: '2025-06-30', prices, monthlyFee: 10 },
+    ]);
+    assert.equal(t.currency, 'EUR');
+    assert.equal(periodAt(t, '2025-06-30').prices.F1, 0.2);
+    assert.equal(periodAt(t, '2025-07-01').prices.F1, 0.3);
+    assert.equal(periodAt(t, '2025-07-01').monthlyFee, 0);
+    assert.equal(periodAt(t, '2024-12-31'), null);
+  });
+
+  test('rejects overlaps, open periods before others and missing bands', () => {
+    const issues = (periods) => tariffSchema.safeParse({ periods }).error?.issues.map(i => i.message) ?? [];
+    assert.match(issues([{ from: '2025-01-01', to: '2025-03-01', prices }, { from: '2025-02-01', prices }])[0], /overlaps/);
+    assert.match(issues([{ from: '2025-01-01', prices }, { from: '2025-02-01', prices }])[0], /overlaps/);
+    assert.equal(issues([{ from: '2025-01-01', prices: { F1: 0.2, F2: 0.1 } }]).length, 1);
+  });
+});
+
+describe('dailyCosts / monthlyCosts', () => {
+  test('bands, energy cost and the fixed fee spread over the month', () => {
+    const t = tariff([{ from: '2025-01-01', prices, monthlyFee: 31 }]);
+    const daily = dailyCosts([
+      { consumer: 'IT001E00000001', timestamp: new Date(2025, 2, 10, 8), kwh: 2 },
+      { consumer: 'IT001E00000001', timestamp: new Date(2025, 2, 10, 20), kwh: 1 },
+      { consumer: 'IT001E00000001', timestamp: new Date(2025, 2, 10, 23), kwh: 4 },
+    ], t);
+
+    assert.equal(daily.length, 31);
+    assert.deepEqual(daily[9], {
+      consumer: 'IT001E00000001', day: '2025-03-10', f1_kwh: 2, f2_kwh: 1, f3_kwh: 4, kwh: 7, hours: 3,
+      energy_cost: 0.7, fixed_cost: 1, total_cost: 1.7,
+    });
+    assert.deepEqual([daily[0].day, daily[0].hours, daily[0].total_cost], ['2025-03-01', 0, 1]);
+
+    const [month] = monthlyCosts(daily);
+    assert.deepEqual(month, {
+      consumer: 'IT001E00000001', month: '2025-03', f1_kwh: 2, f2_kwh: 1, f3_kwh: 4, kwh: 7, hours: 3, days: 31,
+      energy_cost: 0.7, fixed_cost: 31, total_cost: 31.7,
+    });
+  });
+
+  test('DST days keep every hour', () => {
+    const t = tariff([{ from: '2024-01-01', prices }]);
+    const day = (y, m, d, hours) => Array.from({ length: hours }, (_, h) =>
+      ({ consumer: 'c', timestamp: new Date(new Date(y, m - 1, d).getTime() + h * HOUR_MS), kwh: 1 }));
+    const daily = dailyCosts([...day(2024, 10, 27, 25), ...day(2025, 3, 30, 23)], t);
+    const byDay = Object.fromEntries(daily.map(r => [r.day, r]));
+    assert.equal(byDay['2024-10-27'].hours, 25);
+    assert.equal(byDay['2024-10-27'].f3_kwh, 25);   // Sunday
+    assert.equal(byDay['2025-03-30'].hours, 23);
+    assert.equal(byDay['2025-03-31'].hours, 0);
+  });
+
+  test('days without a price period have no cost, and neither does their month', () => {
+    const t = tariff([{ from: '2025-03-15', prices, monthlyFee: 31 }]);
+    const daily = dailyCosts([{ consumer: 'c', timestamp: new Date(2025, 2, 20, 10), kwh: 1 }], t);
+    assert.equal(daily[0].total_cost, null);
+    assert.equal(daily[19].total_cost, 1.2);
+    assert.equal(monthlyCosts(daily)[0].total_cost, null);
+  });
+});
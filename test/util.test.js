@@ -1,9 +1,15 @@
 import { test, describe } from 'node:test';
 import assert from 'node:assert/strict';
-import { normalizeNumber, parseDayDate, hourTimestamps, isAggregateHeader } from '../src/util.js';
+import {
+  normalizeNumber, numberShape, parseDayDate, hourTimestamps, intervalTimestamps, hoursInDay, intervalsInDay,
+  detectInterval, expandDailyHourly, daySpans, isAggregateHeader, parsePodCode, filterConsumers,
+  parseYearMonth, formatYearMonth, monthRange, addMonths,
+  contiguousMonthRanges, monthHourTimestamps, summarizeGaps, formatTable,
+  compareTotals, runTotals, formatRunTarget,
+} from '../src/util.js';
 
 describe('normalizeNumber', () => {
-  test('parses de-AT formatted numbers', () => {
+  test('parses numbers with a decimal comma', () => {
     assert.equal(normalizeNumber('1.234,56'), 1234.56);
     assert.equal(normalizeNumber('0,5'), 0.5);
     assert.equal(normalizeNumber('12'), 12);
@@ -14,8 +20,20 @@ describe('normalizeNumber', () => {
     assert.equal(normalizeNumber('123,4 kWh'), 123.4);
   });
 
-  test('treats dot as thousands separator (locale assumption)', () => {
-    assert.equal(normalizeNumber('1.5'), 15);
+  test('parses numbers with a decimal point', () => {
+    assert.equal(normalizeNumber('1,234.56'), 1234.56);
+    assert.equal(normalizeNumber('1.5'), 1.5);
+    assert.equal(normalizeNumber('0.123'), 0.123);
+    assert.equal(normalizeNumber('1,234,567'), 1234567);
+    assert.equal(normalizeNumber('1 234.5'), 1234.5);
+  });
+
+  test('reads a lone separator before three digits by the locale', () => {
+    assert.equal(normalizeNumber('1.234'), 1234);
+    assert.equal(normalizeNumber('1,234'), 1.234);
+    assert.equal(normalizeNumber('1.234', { decimal: '.' }), 1.234);
+    assert.equal(normalizeNumber('1,234', { decimal: '.' }), 1234);
+    assert.equal(normalizeNumber('0,123', { decimal: '.' }), 0.123);
   });
 
   test('returns null for empty and placeholder values', () => {
@@ -27,6 +45,22 @@ describe('normalizeNumber', () => {
   });
 });
 
+describe('numberShape', () => {
+  test('the decimal separator a number shows', () => {
+    assert.deepEqual(numberShape('1.234,5'), { separator: ',', ambiguous: false });
+    assert.deepEqual(numberShape('1,234.5'), { separator: '.', ambiguous: false });
+    assert.deepEqual(numberShape('0,5'), { separator: ',', ambiguous: false });
+    assert.deepEqual(numberShape('0.123'), { separator: '.', ambiguous: false });
+    assert.deepEqual(numberShape('1.234.567'), { separator: null, ambiguous: false });
+    assert.deepEqual(numberShape('12'), { separator: null, ambiguous: false });
+  });
+
+  test('a lone separator before three digits is ambiguous', () => {
+    assert.deepEqual(numberShape('1.234'), { separator: '.', ambiguous: true });
+    assert.deepEqual(numberShape('-12,345 kWh'), { separator: ',', ambiguous: true });
+  });
+});
+
 describe('parseDayDate', () => {
   test('parses dd.mm.yyyy and dd/mm/yyyy', () => {
     assert.deepEqual(parseDayDate('15.12.2025'), { year: 2025, month: 12, day: 15 });
@@ -43,7 +77,34 @@ describe('parseDayDate', () => {
     assert.equal(parseDayDate('15.12'), null);
   });
 
+  test('parses dashes and two-digit years', () => {
+    assert.deepEqual(parseDayDate('03-03-2025'), { year: 2025, month: 3, day: 3 });
+    assert.deepEqual(parseDayDate('03.03.25'), { year: 2025, month: 3, day: 3 });
+    assert.equal(parseDayDate('03.03-2025'), null);
+  });
+
+  test('skips a German weekday prefix', () => {
+    assert.deepEqual(parseDayDate('Mo 03.03.2025'), { year: 2025, month: 3, day: 3 });
+    assert.deepEqual(parseDayDate('Mo. 03.03.2025'), { year: 2025, month: 3, day: 3 });
+    assert.deepEqual(parseDayDate('Montag, 03.03.2025'), { year: 2025, month: 3, day: 3 });
+    assert.deepEqual(parseDayDate('So 02.03.', 2025), { year: 2025, month: 3, day: 2 });
+  });
+
+  test('skips an Italian weekday prefix', () => {
+    assert.deepEqual(parseDayDate('lun 03/03/2025'), { year: 2025, month: 3, day: 3 });
+    assert.deepEqual(parseDayDate('Lunedì 03/03/2025'), { year: 2025, month: 3, day: 3 });
+    assert.deepEqual(parseDayDate('dom 02/03', 2025), { year: 2025, month: 3, day: 2 });
+  });
+
+  test('parses month names in either language', () => {
+    assert.deepEqual(parseDayDate('3. März 2025'), { year: 2025, month: 3, day: 3 });
+    assert.deepEqual(parseDayDate('31 dicembre 2024'), { year: 2024, month: 12, day: 31 });
+    assert.deepEqual(parseDayDate('Mo 3. Jän', 2025), { year: 2025, month: 1, day: 3 });
+    assert.equal(parseDayDate('3 marzo'), null);
+  });
+
   test('returns null for garbage', () => {
+    assert.equal(parseDayDate('Foo 03.03.2025'), null);
     assert.equal(parseDayDate(''), null);
     assert.equal(parseDayDate('foo'), null);
     assert.equal(parseDayDate(null), null);
@@ -58,6 +119,9 @@ describe('isAggregateHeader', () => {
     assert.equal(isAggregateHeader('Totale'), true);
     assert.equal(isAggregateHeader('Tot.'), true);
     assert.equal(isAggregateHeader(' total '), true);
+    assert.equal(isAggregateHeader('Max (kW)'), true);
+    assert.equal(isAggregateHeader('Massimo'), true);
+    assert.equal(isAggregateHeader('Höchstwert'), true);
   });
 
   test('never matches hour or date headers', () => {
@@ -87,3 +151,205 @@ describe('hourTimestamps', () => {
     assert.equal(ts[24].getTime() - ts[0].getTime(), 24 * 3_600_000);
   });
 });
+
+describe('quarter hours', () => {
+  test('detectInterval reads the step between time labels, else the column count', () => {
+    assert.equal(detectInterval(['00:15', '00:30', '00:45']), 15);
+    assert.equal(detectInterval(['00:00-00:15', '00:15-00:30']), 15);
+    assert.equal(detectInterval(['01:00', '02:00']), 60);
+    assert.equal(detectInterval(['00:30', '01:00']), 30);
+    assert.equal(detectInterval(Array.from({ length: 24 }, (_, h) => String(h + 1))), 60);
+    assert.equal(detectInterval(Array(92).fill('x')), 15);
+    assert.equal(detectInterval(Array(100).fill('x')), 15);
+    assert.equal(detectInterval(Array(60).fill('x')), null);
+  });
+
+  test('intervalTimestamps keeps every quarter of a DST day distinct', () => {
+    for (const date of [{ year: 2025, month: 3, day: 30 }, { year: 2025, month: 10, day: 26 }, { year: 2025, month: 6, day: 15 }]) {
+      const count = intervalsInDay(date, 15);
+      assert.equal(count, hoursInDay(date) * 4);
+      const ts = intervalTimestamps(date, count, 15);
+      assert.equal(new Set(ts.map(t => t.getTime())).size, count);
+      assert.equal(ts.at(-1).getTime() - ts[0].getTime(), (count - 1) * 900_000);
+    }
+  });
+
+  test('expandDailyHourly gives each quarter its own row in the hour it starts in', () => {
+    const { rows } = expandDailyHourly({ year: 2025, interval: 15, days: [{ date: '15.06.2025', hourly: [0.1, 0.2, null, 0.4, 0.5] }] });
+    assert.deepEqual(rows.map(r => [r.hour, r.interval, r.kwh]), [[0, 15, 0.1], [0, 15, 0.2], [0, 15, 0.4], [1, 15, 0.5]]);
+    assert.equal(rows[1].timestamp - rows[0].timestamp, 900_000);
+    assert.deepEqual(daySpans(rows), [{ from: rows[0].timestamp, to: new Date(rows[3].timestamp.getTime() + 900_000), interval: 15 }]);
+  });
+
+  test('rows default to hourly', () => {
+    const { rows } = expandDailyHourly({ year: 2025, days: [{ date: '15.06.2025', hourly: [1, 2] }] });
+    assert.deepEqual(rows.map(r => [r.hour, r.interval]), [[0, 60], [1, 60]]);
+  });
+});
+
+describe('parsePodCode', () => {
+  test('extracts the POD from surrounding grid text', () => {
+    assert.equal(parsePodCode('IT001E12345678 Via Roma 1, Bolzano'), 'IT001E12345678');
+    assert.equal(parsePodCode('Zählpunkt: it201e00012345'), 'IT201E00012345');
+  });
+
+  test('returns null when no POD is present', () => {
+    assert.equal(parsePodCode('Via Roma 1'), null);
+    assert.equal(parsePodCode(''), null);
+    assert.equal(parsePodCode(null), null);
+  });
+});
+
+describe('filterConsumers', () => {
+  const consumers = [{ id: 'IT001E00000001' }, { id: 'IT001E00000002' }];
+
+  test('keeps everything for an empty allowlist', () => {
+    assert.deepEqual(filterConsumers(consumers, []), consumers);
+    assert.deepEqual(filterConsumers(consumers), consumers);
+  });
+
+  test('matches identifiers case-insensitively', () => {
+    assert.deepEqual(filterConsumers(consumers, ['it001e00000002 ']), [consumers[1]]);
+    assert.deepEqual(filterConsumers(consumers, ['IT999E99999999']), []);
+  });
+});
+
+describe('parseYearMonth / formatYearMonth', () => {
+  test('round-trips YYYY-MM', () => {
+    assert.deepEqual(parseYearMonth('2025-03'), { year: 2025, month: 3 });
+    assert.deepEqual(parseYearMonth(' 2024-7 '), { year: 2024, month: 7 });
+    assert.equal(formatYearMonth({ year: 2025, month: 3 }), '2025-03');
+  });
+
+  test('rejects malformed input and out-of-range months', () => {
+    assert.equal(parseYearMonth('2025-13'), null);
+    assert.equal(parseYearMonth('2025-00'), null);
+    assert.equal(parseYearMonth('03.2025'), null);
+    assert.equal(parseYearMonth(undefined), null);
+  });
+});
+
+describe('monthRange', () => {
+  test('walks inclusively across year boundaries', () => {
+    assert.deepEqual(monthRange({ year: 2024, month: 11 }, { year: 2025, month: 2 }), [
+      { year: 2024, month: 11 },
+      { year: 2024, month: 12 },
+      { year: 2025, month: 1 },
+      { year: 2025, month: 2 },
+    ]);
+  });
+
+  test('single month and reversed ranges', () => {
+    assert.deepEqual(monthRange({ year: 2025, month: 5 }, { year: 2025, month: 5 }), [{ year: 2025, month: 5 }]);
+    assert.deepEqual(monthRange({ year: 2025, month: 6 }, { year: 2025, month: 5 }), []);
+  });
+});
+
+describe('addMonths', () => {
+  test('rolls over year boundaries both ways', () => {
+    assert.deepEqual(addMonths({ year: 2025, month: 1 }, -2), { year: 2024, month: 11 });
+    assert.deepEqual(addMonths({ year: 2025, month: 2 }, -2), { year: 2024, month: 12 });
+    assert.deepEqual(addMonths({ year: 2025, month: 3 }, -2), { year: 2025, month: 1 });
+    assert.deepEqual(addMonths({ year: 2024, month: 11 }, 3), { year: 2025, month: 2 });
+    assert.deepEqual(addMonths({ year: 2025, month: 5 }, -24), { year: 2023, month: 5 });
+  });
+});
+
+describe('contiguousMonthRanges', () => {
+  test('groups consecutive months and dedupes', () => {
+    const months = [
+      { year: 2025, month: 1 }, { year: 2024, month: 12 }, { year: 2025, month: 1 },
+      { year: 2025, month: 4 },
+    ];
+    assert.deepEqual(contiguousMonthRanges(months), [
+      { from: { year: 2024, month: 12 }, to: { year: 2025, month: 1 } },
+      { from: { year: 2025, month: 4 }, to: { year: 2025, month: 4 } },
+    ]);
+    assert.deepEqual(contiguousMonthRanges([]), []);
+  });
+});
+
+describe('monthHourTimestamps', () => {
+  test('covers the month exactly, whatever its DST shape', () => {
+    for (const month of [2, 3, 10]) {
+      const ts = monthHourTimestamps({ year: 2025, month });
+      const start = new Date(2025, month - 1, 1).getTime();
+      const end = new Date(2025, month, 1).getTime();
+      assert.equal(ts.length, (end - start) / 3_600_000);
+      assert.equal(ts[0].getTime(), start);
+      assert.equal(new Set(ts.map(t => t.getTime())).size, ts.length);
+    }
+  });
+});
+
+describe('summarizeGaps', () => {
+  const feb = { year: 2025, month: 2 };
+  const all = monthHourTimestamps(feb);
+
+  test('counts missing hours and reports the first one', () => {
+    const stored = new Set(all.map(t => t.getTime()));
+    stored.delete(all[5].getTime());
+    stored.delete(all[100].getTime());
+    const [row] = summarizeGaps([feb], stored, new Date(2030, 0, 1));
+    assert.equal(row.expected, all.length);
+    assert.equal(row.missing, 2);
+    assert.equal(row.stored, all.length - 2);
+    assert.deepEqual(row.firstMissing, all[5]);
+  });
+
+  test('does not expect hours at or after the cut-off', () => {
+    const [row] = summarizeGaps([feb], new Set(), all[24]);
+    assert.equal(row.expected, 24);
+    assert.equal(row.missing, 24);
+  });
+});
+
+describe('formatTable', () => {
+  test('pads columns and prints placeholders for empty cells', () => {
+    const out = formatTable(
+      [{ a: 'x', b: 12 }, { a: 'long', b: null }],
+      [{ key: 'a', label: 'A' }, { key: 'b', label: 'Count' }],
+    );
+    assert.equal(out, [
+      'A     Count',
+      '----  -----',
+      'x     12',
+      'long  -',
+    ].join('\n'));
+  });
+});
+
+describe('compareTotals', () => {
+  test('flags differences beyond the tolerance in either direction', () => {
+    assert.deepEqual(compareTotals(300, 300.4, 1), { diff: 0.4, flagged: false });
+    assert.deepEqual(compareTotals(300, 287.5, 1), { diff: -12.5, flagged: true });
+    assert.deepEqual(compareTotals(300, 301.25, 1), { diff: 1.25, flagged: true });
+  });
+
+  test('rounds away float noise from summing hourly values', () => {
+    assert.equal(compareTotals(0.3, 0.1 + 0.2, 0).diff, 0);
+  });
+});
+
+describe('runTotals', () => {
+  test('sums counts over a run; counts no sink reported stay null', () => {
+    assert.deepEqual(runTotals([
+      { insertedCount: 720, updatedCount: 0, unchangedCount: 24, quarantinedCount: 1 },
+      { insertedCount: null, updatedCount: 3, unchangedCount: 0, quarantinedCount: 0 },
+    ]), { months: 2, insertedCount: 720, updatedCount: 3, unchangedCount: 24, quarantinedCount: 1 });
+    assert.deepEqual(runTotals([{ insertedCount: null, quarantinedCount: 0 }]),
+      { months: 1, insertedCount: null, updatedCount: null, unchangedCount: null, quarantinedCount: 0 });
+    assert.equal(runTotals([]).insertedCount, null);
+  });
+});
+
+describe('formatRunTarget', () => {
+  test('range, month, year or latest', () => {
+    const run = { target_year: null, target_month: null, range_from: null, range_to: null };
+    assert.equal(formatRunTarget({ ...run, range_from: '2024-10', range_to: '2025-01' }), '2024-10..2025-01');
+    assert.equal(formatRunTarget({ ...run, target_year: 2025, target_month: 3 }), '2025-03');
+    assert.equal(formatRunTarget({ ...run, target_year: 2025 }), '2025');
+    assert.equal(formatRunTarget({ ...run, target_month: 3 }), 'month 3');
+    assert.equal(formatRunTarget(run), 'latest');
+  });
+});
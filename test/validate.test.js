@@ -0,0 +1,80 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateDay, validateDays } from '../src/validate.js';
+
+// Expected hour counts follow local DST; config.js pins TZ the same way at runtime.
+process.env.TZ = 'Europe/Rome';
+
+const limits = { maxHourlyKwh: 10, totalToleranceKwh: 0.05 };
+const day = (date, hourly, portal = null) => ({
+  date,
+  hourly,
+  total_kwh: Number(hourly.reduce((sum, v) => sum + (v ?? 0), 0).toFixed(3)),
+  portal_total_kwh: portal,
+});
+const hours = (n, kwh = 0.5) => Array(n).fill(kwh);
+
+describe('validateDay', () => {
+  test('accepts normal and DST days, trailing empty columns and partial days', () => {
+    assert.deepEqual(validateDay(day('10.03.2025', hours(24), 12), 2025, limits), []);
+    assert.deepEqual(validateDay(day('30.03.2025', hours(23)), 2025, limits), []);
+    assert.deepEqual(validateDay(day('27.10.2024', hours(25)), 2024, limits), []);
+    assert.deepEqual(validateDay(day('10.03.2025', [...hours(24), null]), 2025, limits), []);
+    assert.deepEqual(validateDay(day('10.03.2025', [...hours(8), ...Array(16).fill(null)]), 2025, limits), []);
+  });
+
+  test('column count must match the hours of that day', () => {
+    assert.deepEqual(validateDay(day('10.03.2025', hours(22)), 2025, limits), ['22 hour columns, expected 24']);
+    assert.deepEqual(validateDay(day('30.03.2025', hours(24)), 2025, limits), ['24 hour columns, expected 23']);
+    assert.deepEqual(validateDay(day('27.10.2024', hours(24)), 2024, limits), ['24 hour columns, expected 25']);
+  });
+
+  test('an unrecognised total column is called out', () => {
+    const [reason] = validateDay(day('10.03.2025', [...hours(24), 12]), 2025, { ...limits, maxHourlyKwh: 100 });
+    assert.equal(reason, '25 hour columns, expected 24 (last column looks like a day total)');
+  });
+
+  test('negative and implausible values', () => {
+    const hourly = hours(24);
+    hourly[3] = -0.2;
+    hourly[17] = 42;
+    assert.deepEqual(validateDay(day('10.03.2025', hourly), 2025, limits),
+      ['hour 3: negative value -0.2', 'hour 17: 42 kWh exceeds limit 10']);
+  });
+
+  test('hourly sum is cross-checked against the portal total', () => {
+    assert.deepEqual(validateDay(day('10.03.2025', hours(24), 12.04), 2025, limits), []);
+    assert.deepEqual(validateDay(day('10.03.2025', hours(24), 13), 2025, limits),
+      ['hourly sum 12 differs from portal total 13 by -1']);
+  });
+
+  test('power is checked by its maximum, and not against the kWh limit', () => {
+    const power = { ...limits, measurement: 'peak_power' };
+    const hourly = [...hours(23, 2), 42];
+    assert.deepEqual(validateDay({ ...day('10.03.2025', hourly, 42), total_kwh: 42 }, 2025, power), []);
+    assert.deepEqual(validateDay({ ...day('10.03.2025', hourly, 40), total_kwh: 42 }, 2025, power),
+      ['hourly maximum 42 differs from portal total 40 by 2']);
+  });
+
+  test('quarter hours: 92/96/100 columns, the limit scaled to the interval', () => {
+    const quarters = { ...limits, interval: 15 };
+    assert.deepEqual(validateDay(day('30.03.2025', hours(92, 0.1)), 2025, quarters), []);
+    assert.deepEqual(validateDay(day('26.10.2025', hours(100, 0.1)), 2025, quarters), []);
+    assert.deepEqual(validateDay(day('10.03.2025', hours(24)), 2025, quarters), ['24 15-minute columns, expected 96']);
+    const hourly = hours(96, 0.1);
+    hourly[40] = 3;
+    assert.deepEqual(validateDay(day('10.03.2025', hourly), 2025, quarters), ['interval 40: 3 kWh exceeds limit 2.5']);
+  });
+});
+
+describe('validateDays', () => {
+  test('splits valid and quarantined days, keying the latter by date', () => {
+    const { valid, quarantined } = validateDays({
+      year: 2025,
+      days: [day('01.03.', hours(24)), day('02.03.', hours(21)), day('garbage', [-1])],
+    }, limits);
+    assert.deepEqual(valid.map(d => d.date), ['01.03.']);
+    assert.deepEqual(quarantined.map(d => [d.day, d.reasons.length]), [['2025-03-02', 1], [null, 1]]);
+    assert.deepEqual(quarantined[0].hourly, hours(21));
+  });
+});